@@ -0,0 +1,183 @@
+import semver from 'semver';
+
+// 安全公告的严重程度，按从低到高排列
+export const ADVISORY_SEVERITIES = ['info', 'low', 'moderate', 'high', 'critical'];
+
+/**
+ * 查找当前版本已被弃用的依赖
+ * packument 中每个版本的 deprecated 字段就是 npm deprecate 时填写的说明
+ * @param {Object} currentVersions - 当前版本
+ * @param {Object} dependencyDetails - 依赖详细信息
+ * @returns {Array<Object>} - [{ name, version, message, reason }]
+ */
+export function findDeprecations(currentVersions, dependencyDetails) {
+  const deprecations = [];
+
+  for (const [dep, version] of Object.entries(currentVersions)) {
+    const message = getDeprecation(dependencyDetails[dep], version);
+    if (message === null) continue;
+
+    deprecations.push({
+      name: dep,
+      version,
+      message,
+      reason: `${dep}@${version} 已被弃用${message ? `: ${message}` : ''}`
+    });
+  }
+
+  return deprecations;
+}
+
+/**
+ * 获取包的某个版本的弃用说明
+ * @param {Object} packageDetails - 包详细信息
+ * @param {string} version - 版本
+ * @returns {string|null} - 弃用说明，未弃用时为 null
+ */
+export function getDeprecation(packageDetails, version) {
+  const versionInfo = packageDetails && packageDetails.versions && packageDetails.versions[version];
+  if (!versionInfo || !versionInfo.deprecated) {
+    return null;
+  }
+  return typeof versionInfo.deprecated === 'string' ? versionInfo.deprecated.trim() : '';
+}
+
+/**
+ * 通过registry的批量安全公告接口，查找影响依赖当前版本的安全公告
+ * @param {Object} currentVersions - 当前版本
+ * @param {Object} dependencyDetails - 依赖详细信息，用于查找修复了公告的最低版本
+ * @param {Object} registry - registry客户端
+ * @returns {Promise<Array<Object>>} - [{ id, name, version, title, severity, url, vulnerableVersions, fixedIn, reason }]
+ */
+export async function findAdvisories(currentVersions, dependencyDetails, registry) {
+  const versionsByName = {};
+  for (const [dep, version] of Object.entries(currentVersions)) {
+    if (semver.valid(version)) {
+      versionsByName[dep] = [version];
+    }
+  }
+  if (Object.keys(versionsByName).length === 0) {
+    return [];
+  }
+
+  const response = await registry.getAdvisories(versionsByName);
+  const advisories = [];
+
+  for (const [dep, items] of Object.entries(response)) {
+    const version = currentVersions[dep];
+    if (!version || !Array.isArray(items)) continue;
+
+    for (const item of items) {
+      const vulnerableVersions = item.vulnerable_versions || '*';
+      // 批量接口按包名返回公告，仍然需要确认当前版本在受影响的范围内
+      if (!semver.validRange(vulnerableVersions) || !semver.satisfies(version, vulnerableVersions, { includePrerelease: true })) {
+        continue;
+      }
+
+      const severity = ADVISORY_SEVERITIES.includes(item.severity) ? item.severity : 'moderate';
+      const title = item.title || `安全公告 ${item.id}`;
+      advisories.push({
+        id: String(item.id),
+        name: dep,
+        version,
+        title,
+        severity,
+        url: item.url || null,
+        vulnerableVersions,
+        fixedIn: findFixedVersion(dependencyDetails[dep], version, vulnerableVersions),
+        reason: `${dep}@${version} 存在 ${severity} 级别的安全漏洞: ${title}`
+      });
+    }
+  }
+
+  // 严重的公告排在前面
+  return advisories.sort((a, b) =>
+    ADVISORY_SEVERITIES.indexOf(b.severity) - ADVISORY_SEVERITIES.indexOf(a.severity) || a.name.localeCompare(b.name)
+  );
+}
+
+/**
+ * 查找比当前版本新、且不受公告影响的最低正式版本
+ * @param {Object} packageDetails - 包详细信息
+ * @param {string} current - 当前版本
+ * @param {string} vulnerableVersions - 受影响的版本范围
+ * @returns {string|null} - 版本，还没有修复时为 null
+ */
+function findFixedVersion(packageDetails, current, vulnerableVersions) {
+  if (!packageDetails || !packageDetails.versions) {
+    return null;
+  }
+
+  return Object.keys(packageDetails.versions)
+    .filter(version => semver.valid(version) && !semver.prerelease(version) && semver.gt(version, current))
+    .sort(semver.compare)
+    .find(version => !semver.satisfies(version, vulnerableVersions)) || null;
+}
+
+/**
+ * 描述安全公告的修复情况
+ * @param {Object} advisory - 安全公告（经过 applySecurityFixes 处理）
+ * @returns {string} - 如 "升级到 2.0.0 可以修复"
+ */
+export function describeAdvisoryFix(advisory) {
+  if (advisory.fixedByTarget) {
+    return `升级到 ${advisory.target} 可以修复`;
+  }
+  if (!advisory.fixedIn) {
+    return '暂无修复版本';
+  }
+  return advisory.target
+    ? `升级目标 ${advisory.target} 仍受影响，${advisory.fixedIn} 起已修复`
+    : `${advisory.fixedIn} 起已修复`;
+}
+
+/**
+ * 判断升级到目标版本能否解决弃用和安全公告，并为对应的升级标记安全修复
+ * 带有安全修复的升级在报告中优先列出
+ * @param {Object} results - 兼容性分析结果（包含 deprecations、advisories 和 upgradeAnalysis）
+ * @param {Object} dependencyDetails - 依赖详细信息
+ */
+export function applySecurityFixes(results, dependencyDetails) {
+  const upgradeAnalysis = results.upgradeAnalysis || {};
+  const targetOf = dep => (upgradeAnalysis[dep] ? upgradeAnalysis[dep].latestVersion : null);
+
+  results.deprecations.forEach(item => {
+    item.target = targetOf(item.name);
+    item.fixedByTarget = Boolean(item.target) && getDeprecation(dependencyDetails[item.name], item.target) === null;
+  });
+
+  (results.advisories || []).forEach(item => {
+    item.target = targetOf(item.name);
+    item.fixedByTarget = Boolean(item.target) && !semver.satisfies(item.target, item.vulnerableVersions, { includePrerelease: true });
+  });
+
+  for (const [dep, info] of Object.entries(upgradeAnalysis)) {
+    const advisories = (results.advisories || []).filter(item => item.name === dep);
+    const deprecation = results.deprecations.find(item => item.name === dep);
+    if (advisories.length === 0 && !deprecation) continue;
+
+    const fixes = advisories.filter(item => item.fixedByTarget);
+    info.security = {
+      advisories: advisories.map(item => item.id),
+      fixes: fixes.map(item => item.id),
+      // 公告按严重程度排序，第一个就是修复的最严重的公告
+      severity: fixes.length > 0 ? fixes[0].severity : null,
+      deprecated: Boolean(deprecation),
+      fixesDeprecation: Boolean(deprecation && deprecation.fixedByTarget)
+    };
+  }
+}
+
+/**
+ * 按安全修复的优先级排列升级：修复的公告越严重越靠前，其次是解决弃用的升级
+ * @param {Array<Array>} entries - Object.entries(upgradeAnalysis)
+ * @returns {Array<Array>} - 排序后的新数组，没有安全修复的升级保持原来的顺序
+ */
+export function sortBySecurityPriority(entries) {
+  const priority = ([, info]) => {
+    if (!info.security) return -1;
+    if (info.security.severity) return ADVISORY_SEVERITIES.indexOf(info.security.severity) + 1;
+    return info.security.fixesDeprecation ? 0 : -1;
+  };
+  return [...entries].sort((a, b) => priority(b) - priority(a));
+}
@@ -1,14 +1,83 @@
 import fs from 'fs/promises';
 import path from 'path';
-import axios from 'axios';
-import chalk from 'chalk';
+import { readLockfile, resolveInstalledVersion, listInstalledPackages } from './lockfile.js';
+import { getDefaultRegistryClient } from './registry.js';
+import { resolveNodeRuntime } from './engines.js';
+import { createReporter } from './progress.js';
+
+// --scope 中的分组名与 package.json 字段的对应关系
+export const DEPENDENCY_GROUPS = {
+  prod: 'dependencies',
+  dev: 'devDependencies',
+  peer: 'peerDependencies',
+  optional: 'optionalDependencies'
+};
+
+export const DEFAULT_SCOPE = ['prod'];
+
+/**
+ * 解析 --scope 参数
+ * @param {string|Array<string>} scope - 逗号分隔的分组名，如 prod,dev
+ * @returns {Array<string>} - 分组名列表
+ */
+export function parseScope(scope) {
+  if (!scope) {
+    return DEFAULT_SCOPE;
+  }
+
+  const groups = (Array.isArray(scope) ? scope : scope.split(','))
+    .map(group => group.trim())
+    .filter(Boolean);
+
+  for (const group of groups) {
+    if (!DEPENDENCY_GROUPS[group]) {
+      throw new Error(`未知的依赖分组: ${group}，可选值为 ${Object.keys(DEPENDENCY_GROUPS).join(', ')}`);
+    }
+  }
+
+  return groups.length > 0 ? [...new Set(groups)] : DEFAULT_SCOPE;
+}
+
+/**
+ * 按分组收集需要分析的依赖
+ * 同一个依赖出现在多个分组中时（如同时声明为peer和dev），记录它所在的全部分组
+ * @param {Object} projectInfo - 项目信息
+ * @param {Array<string>} scope - 分组名列表
+ * @returns {Object} - { 包名: { range, groups } }
+ */
+export function collectDependencies(projectInfo, scope = DEFAULT_SCOPE) {
+  const collected = {};
+
+  for (const group of scope) {
+    const declared = projectInfo[DEPENDENCY_GROUPS[group]] || {};
+    for (const [dep, range] of Object.entries(declared)) {
+      if (collected[dep]) {
+        collected[dep].groups.push(group);
+      } else {
+        collected[dep] = { range, groups: [group] };
+      }
+    }
+  }
+
+  return collected;
+}
 
 /**
  * 分析项目依赖
  * @param {string} projectPath - 项目路径
+ * @param {Object} options - 分析选项
+ * @param {Array<string>} options.scope - 需要分析的依赖分组
+ * @param {Object} options.registry - registry客户端
+ * @param {Object} options.lockfile - 已读取的锁文件（工作区中的包使用根目录的锁文件），默认读取项目路径下的锁文件
+ * @param {Array<string>} options.exclude - 不参与分析的依赖（如工作区内部的包）
+ * @param {string} options.node - --node 指定的 Node 版本
+ * @param {Object} options.nodeRuntime - 项目自身无法确定 Node 版本时使用的版本（如工作区根目录的 .nvmrc）
+ * @param {Object} options.reporter - 进度报告器（见 createReporter），默认不输出
  * @returns {Promise<Object>} - 项目依赖信息
  */
-export async function analyzeProject(projectPath) {
+export async function analyzeProject(projectPath, options = {}) {
+  const { scope = DEFAULT_SCOPE, registry = getDefaultRegistryClient(), exclude = [], reporter = createReporter() } = options;
+  
   try {
     // 读取package.json文件
     const packageJsonPath = path.join(projectPath, 'package.json');
@@ -16,45 +85,79 @@ export async function analyzeProject(projectPath) {
     const packageJson = JSON.parse(packageJsonContent);
     
     // 提取依赖信息
-    const dependencies = { ...packageJson.dependencies || {} };
-    const devDependencies = { ...packageJson.devDependencies || {} };
-    const peerDependencies = { ...packageJson.peerDependencies || {} };
+    const pick = declared => Object.fromEntries(
+      Object.entries(declared || {}).filter(([dep]) => !exclude.includes(dep))
+    );
+    const dependencies = pick(packageJson.dependencies);
+    const devDependencies = pick(packageJson.devDependencies);
+    const peerDependencies = pick(packageJson.peerDependencies);
+    const optionalDependencies = pick(packageJson.optionalDependencies);
+    
+    // 项目使用的 Node 版本，用于检查依赖的 engines
+    const nodeRuntime = await resolveNodeRuntime(projectPath, packageJson, options.node) || options.nodeRuntime || null;
+    
+    // 从锁文件或 node_modules 中读取实际安装的版本
+    const lockfile = options.lockfile !== undefined ? options.lockfile : await readLockfile(projectPath);
+    const installedVersions = {};
+    
+    for (const group of [dependencies, optionalDependencies, devDependencies, peerDependencies]) {
+      for (const [dep, range] of Object.entries(group)) {
+        if (!installedVersions[dep]) {
+          installedVersions[dep] = await resolveInstalledVersion(projectPath, lockfile, dep, range);
+        }
+      }
+    }
     
     // 获取依赖的最新版本信息
-    console.log(chalk.blue('正在获取依赖的最新版本信息...'));
+    reporter.stage('latest-versions', '正在获取依赖的最新版本信息...');
     
-    const allDependencies = { ...dependencies };
+    const allDependencies = collectDependencies(
+      { dependencies, devDependencies, peerDependencies, optionalDependencies },
+      scope
+    );
     const latestVersions = {};
     
-    for (const [dep, version] of Object.entries(allDependencies)) {
-      try {
-        // 清理版本号中的特殊字符(^, ~, >=等)
-        const cleanVersion = version.replace(/[^\d.]/g, '');
-        
-        // 从npm registry获取包信息
-        const response = await axios.get(`https://registry.npmjs.org/${dep}`);
-        const latestVersion = response.data['dist-tags'].latest;
-        
-        latestVersions[dep] = {
-          current: cleanVersion,
-          latest: latestVersion
-        };
-        
-        process.stdout.write(chalk.green('.'));
-      } catch (error) {
-        process.stdout.write(chalk.red('x'));
-        console.error(`\n无法获取 ${dep} 的信息: ${error.message}`);
+    // 从npm registry并发获取包信息（结果会被缓存，兼容性检查时不会重复下载）
+    const depNames = Object.keys(allDependencies);
+    const progress = reporter.progress('latest-versions', '获取最新版本', depNames.length);
+    const { packages, errors } = await registry.getPackages(depNames, (name, error) => progress.tick(!error));
+    progress.stop();
+    
+    for (const dep of depNames) {
+      if (errors[dep]) {
+        reporter.warn(`无法获取 ${dep} 的信息: ${errors[dep].message}`);
+        continue;
       }
+      
+      const { version: currentVersion, source } = installedVersions[dep];
+      latestVersions[dep] = {
+        current: currentVersion,
+        latest: (packages[dep]['dist-tags'] || {}).latest || null,
+        source
+      };
     }
     
-    console.log('\n');
+    // 锁文件中安装的所有包，用于查找重复安装的版本；工作区共用根目录的锁文件，由 analyzeWorkspaces 统一检查
+    const installedPackages = lockfile && options.lockfile === undefined
+      ? listInstalledPackages(lockfile, [{
+        name: packageJson.name || path.basename(path.resolve(projectPath)),
+        path: '.',
+        dependencies: { ...devDependencies, ...optionalDependencies, ...dependencies }
+      }])
+      : null;
     
     return {
       name: packageJson.name,
       version: packageJson.version,
+      packageJsonPath,
       dependencies,
       devDependencies,
       peerDependencies,
+      optionalDependencies,
+      installedVersions,
+      lockfile: lockfile ? { type: lockfile.type, path: lockfile.path } : null,
+      installedPackages,
+      nodeRuntime,
       latestVersions
     };
   } catch (error) {
@@ -71,10 +174,5 @@ export async function analyzeProject(projectPath) {
  * @returns {Promise<Object>} - 包的详细信息
  */
 export async function getPackageInfo(packageName) {
-  try {
-    const response = await axios.get(`https://registry.npmjs.org/${packageName}`);
-    return response.data;
-  } catch (error) {
-    throw new Error(`获取包 ${packageName} 信息失败: ${error.message}`);
-  }
+  return getDefaultRegistryClient().getPackageInfo(packageName);
 }
\ No newline at end of file
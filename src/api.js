@@ -0,0 +1,358 @@
+import fs from 'fs';
+import semver from 'semver';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+import { analyzeProject, parseScope, collectDependencies, DEPENDENCY_GROUPS } from './analyzer.js';
+import { checkCompatibility } from './compatibility.js';
+import { renderReport as renderFormattedReport, REPORT_FORMATS } from './report.js';
+import { createRegistryFromOptions, DEFAULT_CONCURRENCY, DEFAULT_TIMEOUT } from './registry.js';
+import { createReporter } from './progress.js';
+import { DEFAULT_CACHE_TTL } from './cache.js';
+import { loadConfig, mergeOptions, getRuleSources, isIgnored, isPairIgnored } from './config.js';
+import { findWorkspaces, analyzeWorkspaces } from './workspaces.js';
+import { DEFAULT_TARGET, UPGRADE_LEVELS, parseTarget, checkTargetTag } from './targets.js';
+import { createChangelogClient, createChangelogSources, addChangelogs, CHANGELOG_SOURCES, DEFAULT_GITHUB_API } from './changelog.js';
+import { loadRules } from './rules.js';
+import { parseTargetSpec, resolveTargetSpec, simulateUpgrade } from './simulate.js';
+import { resolveDiffInput, readJsonReport, diffReports } from './diff.js';
+import { extractGitRevision } from './git.js';
+import { toJsonReport } from './json-report.js';
+import { parseInitSpecs, selectVersions } from './init.js';
+import { resolveNodeRuntime } from './engines.js';
+
+export { collectFindings, evaluateGate, parseFailOn, FAIL_ON_CATEGORIES, EXIT_CODES } from './gate.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const packageJson = JSON.parse(fs.readFileSync(resolve(__dirname, '../package.json'), 'utf8'));
+
+// API 渲染的报告格式，text 格式只用于命令行输出
+export const API_REPORT_FORMATS = REPORT_FORMATS.filter(format => format !== 'text');
+
+// 分析选项的默认值，与命令行选项的默认值相同
+export const DEFAULT_OPTIONS = {
+  deep: false,
+  scope: 'prod',
+  concurrency: DEFAULT_CONCURRENCY,
+  timeout: DEFAULT_TIMEOUT,
+  offline: false,
+  cacheTtl: DEFAULT_CACHE_TTL,
+  cache: true,
+  workspaces: true,
+  target: DEFAULT_TARGET,
+  prerelease: false,
+  audit: true,
+  changelog: false,
+  changelogSource: CHANGELOG_SOURCES.join(','),
+  githubApi: DEFAULT_GITHUB_API
+};
+
+/**
+ * 分析项目的依赖兼容性
+ * 与命令行使用相同的配置文件、规则和缓存，但不会输出到控制台或退出进程：
+ * 分析过程通过 onEvent 回调报告，出错时抛出异常
+ * @param {Object} options - 分析选项，字段与命令行选项相同（驼峰命名），未指定的选项使用配置文件中的 options 或默认值
+ * @param {string} options.path - 项目路径，默认为当前目录
+ * @param {Function} options.onEvent - 分析过程的事件回调 (event) => void，event.type 为 stage、progress、info 或 warning
+ * @param {Function} options.select - 选择要分析的依赖 (dependencies) => Array<string>|Promise<Array<string>>，不指定时分析全部依赖
+ * @returns {Promise<Object|null>} - 兼容性分析结果，select 没有选择任何依赖时为 null
+ */
+export async function analyze(options = {}) {
+  const { config, merged } = await resolveOptions(options);
+  return runAnalysis(merged, config, createReporter(options.onEvent), options.select);
+}
+
+/**
+ * 模拟把若干依赖升级到指定版本，找出必须一起升级的依赖和阻止这次升级的依赖
+ * 只分析项目路径下的 package.json，不分析工作区
+ * @param {Array<string>} specs - 升级目标，如 ['react@18', 'next@14']，版本可以是具体版本、版本范围或 dist-tag
+ * @param {Object} options - 选项，与 analyze 相同
+ * @returns {Promise<Object>} - { project, targets, moves, blockers, versions }
+ */
+export async function simulate(specs, options = {}) {
+  const targets = specs.map(parseTargetSpec);
+  if (targets.length === 0) {
+    throw new Error('请至少指定一个升级目标，如 react@18');
+  }
+  const { config, merged } = await resolveOptions(options);
+  const reporter = createReporter(options.onEvent);
+
+  const registry = await createRegistryFromOptions(merged);
+  reporter.stage('project', '📦 正在分析项目依赖...');
+  const projectInfo = await analyzeProject(merged.path, {
+    scope: parseScope(merged.scope),
+    registry,
+    node: merged.node,
+    reporter
+  });
+
+  const currentVersions = {};
+  for (const [dep, { current }] of Object.entries(projectInfo.latestVersions)) {
+    if (semver.valid(current) && !isIgnored(config, dep)) {
+      currentVersions[dep] = current;
+    }
+  }
+
+  // 已经获取过的包会直接使用缓存，这里只会下载升级目标中项目尚未使用的包
+  reporter.stage('simulate', '🔮 正在模拟升级...');
+  const { packages: dependencyDetails, errors } = await registry.getPackages([
+    ...Object.keys(currentVersions),
+    ...targets.map(target => target.name)
+  ]);
+  const resolved = targets.map(target => {
+    if (errors[target.name]) {
+      throw new Error(`无法获取 ${target.name} 的信息: ${errors[target.name].message}`);
+    }
+    return { name: target.name, version: resolveTargetSpec(dependencyDetails[target.name], target) };
+  });
+
+  return {
+    project: {
+      name: projectInfo.name || null,
+      version: projectInfo.version || null,
+      packageJsonPath: projectInfo.packageJsonPath
+    },
+    ...simulateUpgrade(currentVersions, dependencyDetails, resolved, {
+      pins: config.pins,
+      ignorePair: (dep1, dep2) => isPairIgnored(config, dep1, dep2)
+    })
+  };
+}
+
+/**
+ * 比较两个版本的依赖健康状况，只返回发生变化的内容：新增和已解决的不兼容依赖对、依赖版本的变化、新增和已解决的升级风险
+ * 比较对象可以是项目目录、upgrade-lens -f json 保存的报告，或项目所在仓库中的 git 版本（通过 git show 读取 package.json 和锁文件）
+ * @param {string} baseSpec - 基准，如 origin/main
+ * @param {string|null} headSpec - 比较的对象，未指定时为项目路径下当前的文件
+ * @param {Object} options - 分析选项，与 analyze 相同
+ * @returns {Promise<Object>} - { base, head, projects, changed }
+ */
+export async function diff(baseSpec, headSpec = null, options = {}) {
+  const projectPath = resolve(options.path || process.cwd());
+  const reporter = createReporter(options.onEvent);
+  const tool = { name: packageJson.name, version: packageJson.version };
+
+  const load = async spec => {
+    const input = await resolveDiffInput(spec, projectPath);
+    if (input.type === 'json') {
+      return { label: input.label, report: await readJsonReport(input.path) };
+    }
+
+    reporter.stage('diff', `🔀 正在分析 ${input.label}...`);
+    if (input.type === 'path') {
+      return { label: input.label, report: toJsonReport(await analyze({ ...options, path: input.path }), tool) };
+    }
+
+    const dir = await extractGitRevision(projectPath, input.ref);
+    try {
+      return { label: input.label, report: toJsonReport(await analyze({ ...options, path: dir }), tool) };
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  };
+
+  const base = await load(baseSpec);
+  const head = await load(headSpec);
+  return {
+    base: { label: base.label, generatedAt: base.report.generatedAt },
+    head: { label: head.label, generatedAt: head.report.generatedAt },
+    ...diffReports(base.report, head.report)
+  };
+}
+
+/**
+ * 为新项目选择一组相互兼容的最新版本，不需要已有的 package.json
+ * 求解满足彼此 peerDependencies 要求、且不命中已知问题规则的版本组合，选中版本需要的 peer 依赖会自动加入
+ * @param {string|Array<string>} specs - 依赖列表，如 'react@18,react-router,antd'，版本可以是版本范围、具体版本或 dist-tag
+ * @param {Object} options - 选项，与 analyze 相同，另外支持 exact（使用精确版本）
+ * @returns {Promise<Object>} - { satisfiable, exhaustive, packages, dependencies, conflicts }
+ */
+export async function init(specs, options = {}) {
+  const targets = parseInitSpecs(specs);
+  if (targets.length === 0) {
+    throw new Error('请至少指定一个依赖，如 react,react-dom');
+  }
+  const { config, merged } = await resolveOptions(options);
+  const reporter = createReporter(options.onEvent);
+
+  const registry = await createRegistryFromOptions(merged);
+  const { rules } = await loadRules(merged.path, getRuleSources(config, merged.rules));
+  const nodeRuntime = await resolveNodeRuntime(merged.path, {}, merged.node);
+
+  reporter.stage('init', '🌱 正在选择相互兼容的版本...');
+  return selectVersions(targets, {
+    registry,
+    config,
+    rules,
+    nodeRange: nodeRuntime ? nodeRuntime.range : null,
+    prerelease: merged.prerelease,
+    exact: merged.exact,
+    reporter
+  });
+}
+
+/**
+ * 将分析结果渲染为报告
+ * @param {Object} results - analyze 返回的分析结果
+ * @param {string} format - 报告格式：markdown、json、sarif、html
+ * @returns {Promise<string>} - 报告内容
+ */
+export async function renderReport(results, format = 'json') {
+  if (!API_REPORT_FORMATS.includes(format)) {
+    throw new Error(`不支持的报告格式: ${format}，可选值为 ${API_REPORT_FORMATS.join(', ')}`);
+  }
+  return renderFormattedReport(results, format, { name: packageJson.name, version: packageJson.version });
+}
+
+/**
+ * 读取项目配置文件，并与传入的选项合并：显式传入的选项优先于配置文件中的 options，都未指定时使用默认值
+ * @param {Object} options - 传入的选项
+ * @returns {Promise<Object>} - { config, merged }
+ */
+async function resolveOptions(options) {
+  const projectPath = options.path || process.cwd();
+  const config = await loadConfig(projectPath);
+
+  const explicit = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  const merged = mergeOptions(
+    { ...DEFAULT_OPTIONS, ...explicit, path: projectPath },
+    config,
+    key => (key in explicit ? 'cli' : 'default')
+  );
+  return { config, merged };
+}
+
+/**
+ * 在分析之前检查 --target 指定的 dist-tag 是否存在
+ * 已经获取过的包会直接使用缓存，分析时不会重复请求
+ * @param {string} target - 升级目标
+ * @param {Array<string>} names - 需要分析的依赖
+ * @param {Object} registry - registry客户端
+ * @returns {Promise<void>}
+ */
+async function validateTargetTag(target, names, registry) {
+  if (target === DEFAULT_TARGET || UPGRADE_LEVELS.includes(target)) {
+    return;
+  }
+  const { packages } = await registry.getPackages(names);
+  checkTargetTag(target, packages);
+}
+
+/**
+ * 分析项目依赖并检查兼容性
+ * @param {Object} options - 合并后的选项
+ * @param {Object} config - 项目配置
+ * @param {Object} reporter - 进度报告器
+ * @param {Function} select - 选择要分析的依赖
+ * @returns {Promise<Object|null>} - 兼容性分析结果
+ */
+async function runAnalysis(options, config, reporter, select) {
+  const scope = parseScope(options.scope);
+  const target = parseTarget(options.target);
+  const registry = await createRegistryFromOptions(options);
+  const { rules } = await loadRules(options.path, getRuleSources(config, options.rules));
+
+  if (config.path) {
+    reporter.info(`使用配置文件: ${config.path}`);
+  }
+  if (registry.offline) {
+    reporter.info(`离线模式：使用缓存目录 ${registry.cache.dir}`);
+    if (options.audit) {
+      reporter.info('离线模式下不查询安全公告');
+    }
+  }
+  const audit = options.audit && !registry.offline;
+
+  // 工作区项目：逐个分析每个工作区
+  const workspaces = options.workspaces ? await findWorkspaces(options.path) : null;
+  if (workspaces) {
+    if (select) {
+      reporter.warn('工作区项目不支持选择要分析的依赖，将分析全部依赖');
+    }
+    reporter.stage('workspaces', `📦 发现 ${workspaces.packages.length} 个工作区（${workspaces.source}），正在逐个分析...`);
+    const internalNames = workspaces.packages.map(pkg => pkg.name);
+    await validateTargetTag(target, workspaces.packages
+      .flatMap(pkg => Object.keys(collectDependencies(pkg.packageJson, scope)))
+      .filter(name => !internalNames.includes(name)), registry);
+    const results = await analyzeWorkspaces(workspaces, {
+      deep: options.deep,
+      scope,
+      registry,
+      config,
+      rules,
+      node: options.node,
+      target,
+      prerelease: options.prerelease,
+      audit,
+      reporter
+    });
+    return fetchChangelogs(results, options, registry, reporter);
+  }
+
+  // 分析项目依赖
+  reporter.stage('project', '📦 正在分析项目依赖...');
+  const projectInfo = await analyzeProject(options.path, { scope, registry, node: options.node, reporter });
+
+  // 只分析选中的依赖
+  if (select) {
+    const selected = collectDependencies(projectInfo, scope);
+    const names = await select(Object.entries(selected).map(([name, { range, groups }]) => ({ name, range, groups })));
+    if (!names || names.length === 0) {
+      return null;
+    }
+
+    for (const group of scope) {
+      const field = DEPENDENCY_GROUPS[group];
+      projectInfo[field] = Object.fromEntries(
+        Object.entries(projectInfo[field]).filter(([dep]) => names.includes(dep))
+      );
+    }
+  }
+
+  await validateTargetTag(target, Object.keys(collectDependencies(projectInfo, scope)), registry);
+
+  // 检查兼容性
+  reporter.stage('compatibility', '🔍 正在检查依赖兼容性...');
+  const results = await checkCompatibility(projectInfo, {
+    deep: options.deep,
+    scope,
+    registry,
+    config,
+    rules,
+    target,
+    prerelease: options.prerelease,
+    audit,
+    reporter
+  });
+  return fetchChangelogs(results, options, registry, reporter);
+}
+
+/**
+ * 指定 changelog 选项时，为主版本升级和有问题的升级获取更新日志
+ * @param {Object} results - 兼容性分析结果
+ * @param {Object} options - 合并后的选项
+ * @param {Object} registry - registry客户端
+ * @param {Object} reporter - 进度报告器
+ * @returns {Promise<Object>} - 附加了更新日志的分析结果
+ */
+async function fetchChangelogs(results, options, registry, reporter) {
+  if (!options.changelog) {
+    return results;
+  }
+  if (registry.offline) {
+    reporter.warn('离线模式下无法获取更新日志，已忽略 --changelog');
+    return results;
+  }
+
+  reporter.stage('changelog', '📝 正在获取更新日志...');
+  const names = (Array.isArray(options.changelogSource) ? options.changelogSource : options.changelogSource.split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+  const sources = createChangelogSources(names, {
+    registry,
+    githubApi: options.githubApi,
+    timeout: Number(options.timeout) || DEFAULT_TIMEOUT,
+    concurrency: Number(options.concurrency) || DEFAULT_CONCURRENCY
+  });
+  await addChangelogs(results, createChangelogClient({ registry, sources }), reporter);
+  return results;
+}
@@ -0,0 +1,269 @@
+import fs from 'fs/promises';
+import { spawn } from 'child_process';
+import semver from 'semver';
+import { setJsonMembers } from './json-edit.js';
+import { getVersionPeers } from './compatibility.js';
+import { findKnownIssue } from './rules.js';
+
+// 会被改写的依赖分组，peerDependencies 是对使用方的约定，不会自动修改
+export const APPLY_GROUPS = ['dependencies', 'devDependencies'];
+
+// diff 中每处修改前后保留的上下文行数
+const DIFF_CONTEXT = 3;
+
+/**
+ * 根据分析结果生成升级计划
+ * 优先使用统一的推荐版本组合，其次是已知问题规则的推荐版本，最后是可以安全升级的依赖；
+ * 同一个依赖只采用优先级最高的来源。
+ * 可以安全升级只是相对于当前版本而言，提供依赖详细信息时，每个升级目标还要与计划中已经选定的版本逐一检查，
+ * 与它们冲突的升级不加入计划
+ * @param {Object} results - 兼容性分析结果
+ * @param {Object} options - 选项
+ * @param {boolean} options.upgrades - 是否包含可以安全升级的依赖，为 false 时只修复问题
+ * @param {Object} options.dependencyDetails - 依赖详细信息，用于检查升级目标与计划中版本的peer要求
+ * @param {Function} options.ignorePair - 判断依赖对是否被忽略的函数
+ * @param {Array<Object>} options.rules - 已知兼容性问题规则
+ * @returns {Object} - { plan: [{ name, from, to, source }], skipped: [{ name, to, reason }] }，source 为 solution、known-issue 或 upgrade
+ */
+export function buildUpgradePlan(results, options = {}) {
+  const { upgrades = true, dependencyDetails = null, ignorePair = () => false, rules = [] } = options;
+  const plan = new Map();
+  const skipped = [];
+  const add = (name, from, to, source) => {
+    if (!plan.has(name) && semver.valid(to) && to !== from) {
+      plan.set(name, { name, from, to, source });
+    }
+  };
+
+  if (results.solution && results.solution.satisfiable) {
+    results.solution.changes.forEach(change => add(change.name, change.from, change.to, 'solution'));
+  }
+
+  results.incompatible
+    .filter(item => item.type === 'known-issue' && item.recommendation)
+    .forEach(item => {
+      item.packages.forEach(pkg => add(pkg.name, pkg.version, item.recommendation[pkg.name], 'known-issue'));
+    });
+
+  if (upgrades) {
+    for (const [name, info] of Object.entries(results.upgradeAnalysis || {})) {
+      if (!info.canUpgrade || plan.has(name)) continue;
+
+      // 后加入的升级目标要与之前加入的一起检查
+      if (dependencyDetails) {
+        const planned = { ...results.currentVersions };
+        plan.forEach(item => { planned[item.name] = item.to; });
+        const reason = findPlanConflict(name, info.latestVersion, planned, dependencyDetails, { ignorePair, rules });
+        if (reason) {
+          skipped.push({ name, to: info.latestVersion, reason });
+          continue;
+        }
+      }
+      add(name, info.currentVersion, info.latestVersion, 'upgrade');
+    }
+  }
+
+  return { plan: [...plan.values()], skipped };
+}
+
+/**
+ * 检查把依赖改为某个版本后，与计划中其他依赖的版本是否冲突
+ * @param {string} name - 依赖名称
+ * @param {string} version - 目标版本
+ * @param {Object} planned - 计划中的版本 { 包名: 版本 }
+ * @param {Object} dependencyDetails - 依赖详细信息
+ * @param {Object} options - { ignorePair, rules }
+ * @returns {string|null} - 冲突原因，没有冲突时为 null
+ */
+function findPlanConflict(name, version, planned, dependencyDetails, options) {
+  const { ignorePair, rules } = options;
+  const peers = getVersionPeers(dependencyDetails[name], version) || {};
+
+  for (const [other, otherVersion] of Object.entries(planned)) {
+    if (other === name || !semver.valid(otherVersion) || ignorePair(name, other)) continue;
+
+    const range = peers[other];
+    if (range && semver.validRange(range) && !semver.satisfies(otherVersion, range)) {
+      return `${name}@${version} 需要 ${other}@${range}，但计划中的版本是 ${otherVersion}`;
+    }
+    const otherRange = (getVersionPeers(dependencyDetails[other], otherVersion) || {})[name];
+    if (otherRange && semver.validRange(otherRange) && !semver.satisfies(version, otherRange)) {
+      return `${other}@${otherVersion} 需要 ${name}@${otherRange}，与 ${version} 不兼容`;
+    }
+    const issue = findKnownIssue(rules, name, version, other, otherVersion);
+    if (issue) {
+      return `与 ${other}@${otherVersion} 存在已知问题: ${issue.reason}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 将升级计划写回 package.json
+ * 保留每个依赖原有的范围前缀（^、~、精确版本等），只替换发生变化的版本字符串，文件的其余内容保持不变
+ * @param {string} packageJsonPath - package.json 路径
+ * @param {Array<Object>} plan - 升级计划
+ * @param {Object} options - 选项
+ * @param {boolean} options.dryRun - 只生成差异，不写入文件
+ * @returns {Promise<Object>} - { changes: [{ name, group, from, to }], skipped: [{ name, reason, lockfileOnly }], diff, written }
+ */
+export async function applyUpgradePlan(packageJsonPath, plan, options = {}) {
+  const { dryRun = false } = options;
+  const content = await fs.readFile(packageJsonPath, 'utf-8');
+  let packageJson;
+  try {
+    packageJson = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`解析 ${packageJsonPath} 失败: ${error.message}`);
+  }
+
+  const changes = [];
+  const skipped = [];
+  const updates = {};
+
+  for (const { name, to } of plan) {
+    const groups = APPLY_GROUPS.filter(group => packageJson[group] && packageJson[group][name]);
+    if (groups.length === 0) {
+      skipped.push({ name, reason: `不在 ${APPLY_GROUPS.join('、')} 中` });
+      continue;
+    }
+
+    for (const group of groups) {
+      const range = packageJson[group][name];
+      const newRange = rewriteRange(range, to);
+
+      if (newRange === null) {
+        skipped.push({ name, reason: `无法改写版本范围 ${range}` });
+      } else if (newRange === range) {
+        skipped.push({ name, reason: `版本范围 ${range} 已包含 ${to}，只需要更新锁文件`, lockfileOnly: true });
+      } else {
+        updates[group] = { ...updates[group], [name]: newRange };
+        changes.push({ name, group, from: range, to: newRange });
+      }
+    }
+  }
+
+  const newContent = Object.entries(updates).reduce((text, [group, entries]) => setJsonMembers(text, group, entries), content);
+  const diff = createUnifiedDiff(content, newContent, 'package.json');
+  const written = !dryRun && changes.length > 0;
+
+  if (written) {
+    await fs.writeFile(packageJsonPath, newContent, 'utf-8');
+  }
+
+  return { changes, skipped, diff, written };
+}
+
+/**
+ * 在项目目录中运行包管理器的安装命令，刷新锁文件
+ * @param {string} projectPath - 项目路径
+ * @param {string} packageManager - 包管理器：npm、pnpm、yarn
+ * @returns {Promise<void>}
+ */
+export function runPackageManager(projectPath, packageManager = 'npm') {
+  return new Promise((resolve, reject) => {
+    const child = spawn(packageManager, ['install'], {
+      cwd: projectPath,
+      stdio: 'inherit',
+      shell: process.platform === 'win32'
+    });
+
+    child.on('error', error => reject(new Error(`无法运行 ${packageManager}: ${error.message}`)));
+    child.on('close', code => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`${packageManager} install 失败，退出码 ${code}`));
+      }
+    });
+  });
+}
+
+/**
+ * 把版本范围改写为新的版本，保留原有的前缀
+ * @param {string} range - 原版本范围
+ * @param {string} version - 新版本
+ * @returns {string|null} - 新的版本范围，无法改写（如 git 地址、workspace: 协议）时为 null
+ */
+function rewriteRange(range, version) {
+  const match = range.trim().match(/^(\^|~|>=|=)?v?\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?$/);
+  if (match) {
+    return `${match[1] || ''}${version}`;
+  }
+
+  // 复杂的范围（如 16.x、^16 || ^17）已包含新版本时保持不变，否则改写为 ^新版本
+  if (semver.validRange(range)) {
+    return semver.satisfies(version, range) ? range : `^${version}`;
+  }
+
+  return null;
+}
+
+/**
+ * 生成统一格式（unified）的差异
+ * @param {string} oldText - 原内容
+ * @param {string} newText - 新内容
+ * @param {string} fileName - 文件名
+ * @returns {string} - 差异文本，内容相同时为空字符串
+ */
+function createUnifiedDiff(oldText, newText, fileName) {
+  const toLines = text => {
+    const lines = text.split(/\r?\n/);
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+  };
+  const a = toLines(oldText);
+  const b = toLines(newText);
+
+  // 最长公共子序列
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i], oldIndex: i++, newIndex: j++ });
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ type: '-', line: a[i], oldIndex: i++, newIndex: j });
+    } else {
+      ops.push({ type: '+', line: b[j], oldIndex: i, newIndex: j++ });
+    }
+  }
+
+  // 把相距较近的修改合并到同一个 hunk
+  const hunks = [];
+  ops.forEach((op, index) => {
+    if (op.type === ' ') return;
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= DIFF_CONTEXT * 2) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  });
+
+  if (hunks.length === 0) {
+    return '';
+  }
+
+  let output = `--- a/${fileName}\n+++ b/${fileName}\n`;
+  for (const hunk of hunks) {
+    const slice = ops.slice(Math.max(0, hunk.start - DIFF_CONTEXT), Math.min(ops.length, hunk.end + DIFF_CONTEXT + 1));
+    const oldCount = slice.filter(op => op.type !== '+').length;
+    const newCount = slice.filter(op => op.type !== '-').length;
+    const oldStart = slice[0].oldIndex + (oldCount > 0 ? 1 : 0);
+    const newStart = slice[0].newIndex + (newCount > 0 ? 1 : 0);
+
+    output += `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@\n`;
+    output += slice.map(op => `${op.type}${op.line}`).join('\n') + '\n';
+  }
+
+  return output;
+}
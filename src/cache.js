@@ -0,0 +1,127 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+
+// 默认缓存目录，可以通过 --cache-dir 或 UPGRADE_LENS_CACHE_DIR 环境变量修改
+export const DEFAULT_CACHE_DIR = process.env.UPGRADE_LENS_CACHE_DIR ||
+  path.join(os.homedir(), '.upgrade-lens', 'cache');
+
+// 缓存的有效期（分钟），过期后会通过 ETag 向 registry 重新验证
+export const DEFAULT_CACHE_TTL = 60;
+
+/**
+ * 创建registry元数据的磁盘缓存
+ * 每个packument保存为一个文件，以请求地址的哈希作为文件名
+ * @param {Object} options - 缓存选项
+ * @param {string} options.dir - 缓存目录
+ * @param {number} options.ttl - 有效期（分钟）
+ * @returns {Object} - 缓存对象
+ */
+export function createMetadataCache(options = {}) {
+  const dir = options.dir || DEFAULT_CACHE_DIR;
+  const ttl = (options.ttl === undefined ? DEFAULT_CACHE_TTL : Number(options.ttl)) * 60 * 1000;
+
+  const entryPath = url => path.join(dir, `${crypto.createHash('sha1').update(url).digest('hex')}.json`);
+
+  /**
+   * 读取缓存条目
+   * @param {string} url - packument地址
+   * @returns {Promise<Object|null>} - { name, url, etag, lastModified, fetchedAt, data }
+   */
+  async function read(url) {
+    try {
+      const content = await fs.readFile(entryPath(url), 'utf-8');
+      return JSON.parse(content);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 写入缓存条目，写入失败不影响分析
+   * @param {string} url - packument地址
+   * @param {Object} entry - 缓存条目
+   * @returns {Promise<void>}
+   */
+  async function write(url, entry) {
+    try {
+      await fs.mkdir(dir, { recursive: true });
+      // 先写临时文件再重命名，避免并发读到不完整的内容
+      const target = entryPath(url);
+      const temp = `${target}.${process.pid}.tmp`;
+      await fs.writeFile(temp, JSON.stringify({ ...entry, url }), 'utf-8');
+      await fs.rename(temp, target);
+    } catch (error) {
+      // 忽略缓存写入失败
+    }
+  }
+
+  /**
+   * 判断缓存条目是否仍在有效期内
+   * @param {Object} entry - 缓存条目
+   * @returns {boolean}
+   */
+  function isFresh(entry) {
+    return Boolean(entry) && Date.now() - entry.fetchedAt < ttl;
+  }
+
+  /**
+   * 清空缓存
+   * @returns {Promise<number>} - 删除的条目数
+   */
+  async function clear() {
+    const files = await listEntries();
+    await Promise.all(files.map(file => fs.unlink(path.join(dir, file)).catch(() => {})));
+    return files.length;
+  }
+
+  /**
+   * 统计缓存信息
+   * @returns {Promise<Object>} - { dir, entries, size, stale, oldest, newest }
+   */
+  async function stats() {
+    const files = await listEntries();
+    const result = {
+      dir,
+      entries: files.length,
+      size: 0,
+      stale: 0,
+      oldest: null,
+      newest: null
+    };
+
+    for (const file of files) {
+      try {
+        const filePath = path.join(dir, file);
+        const { size } = await fs.stat(filePath);
+        const { fetchedAt } = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        result.size += size;
+        if (!isFresh({ fetchedAt })) {
+          result.stale++;
+        }
+        if (!result.oldest || fetchedAt < result.oldest) {
+          result.oldest = fetchedAt;
+        }
+        if (!result.newest || fetchedAt > result.newest) {
+          result.newest = fetchedAt;
+        }
+      } catch (error) {
+        // 忽略损坏的缓存文件
+      }
+    }
+
+    return result;
+  }
+
+  async function listEntries() {
+    try {
+      const files = await fs.readdir(dir);
+      return files.filter(file => file.endsWith('.json'));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  return { dir, read, write, isFresh, clear, stats };
+}
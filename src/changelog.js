@@ -0,0 +1,451 @@
+import zlib from 'zlib';
+import { promisify } from 'util';
+import axios from 'axios';
+import semver from 'semver';
+import { getUpgradeLevel } from './targets.js';
+import { createReporter } from './progress.js';
+import { createLimiter, DEFAULT_CONCURRENCY } from './registry.js';
+
+const gunzip = promisify(zlib.gunzip);
+
+export const DEFAULT_GITHUB_API = 'https://api.github.com';
+
+// 默认按顺序尝试的更新日志来源
+export const CHANGELOG_SOURCES = ['github', 'tarball'];
+
+// GitHub Releases 每页数量和最多读取的页数
+const RELEASES_PER_PAGE = 100;
+const MAX_RELEASE_PAGES = 5;
+
+// tarball 中的更新日志文件（位于包的根目录）
+const CHANGELOG_FILE = /^[^/]+\/(changelog|history|changes|releases)(\.(md|markdown|txt))?$/i;
+
+// 不在不兼容变更章节中、但标记为不兼容变更的条目
+const BREAKING_MARKER = /^\s*(?:[-*+]\s+)?(?:\*\*|__|\[)?(?:BREAKING(?:[ -]CHANGES?)?|💥)(?:\*\*|__|\])?\s*[:：]?\s*(?:\*\*|__)?\s*(\S.*)$/i;
+
+// 单条不兼容变更的最大长度，过长的说明会被截断
+const MAX_ITEM_LENGTH = 300;
+
+// 读取更新日志时tarball的最大下载大小和解压后的最大大小，超过时视为没有更新日志
+const MAX_TARBALL_SIZE = 20 * 1024 * 1024;
+const MAX_UNPACKED_SIZE = 100 * 1024 * 1024;
+
+/**
+ * 创建 GitHub Releases 更新日志来源
+ * @param {Object} options - 来源选项
+ * @param {string} options.apiUrl - GitHub API 地址，默认为 https://api.github.com
+ * @param {string} options.token - GitHub token，默认读取环境变量 GITHUB_TOKEN
+ * @param {number} options.timeout - 请求超时时间（毫秒）
+ * @returns {Object} - { name, getReleases(packument, from, to) }
+ */
+export function createGithubReleasesSource(options = {}) {
+  const apiUrl = (options.apiUrl || DEFAULT_GITHUB_API).replace(/\/+$/, '');
+  const token = options.token || process.env.GITHUB_TOKEN || null;
+  const headers = { Accept: 'application/vnd.github+json' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  /**
+   * 获取两个版本之间（不含 from，包含 to）的 release
+   * @param {Object} packument - 完整的packument
+   * @param {string} from - 当前版本
+   * @param {string} to - 目标版本
+   * @returns {Promise<Array<Object>|null>} - [{ version, url, body }]，不是 GitHub 仓库时为 null
+   */
+  async function getReleases(packument, from, to) {
+    const repository = parseRepository(packument.repository);
+    if (!repository) {
+      return null;
+    }
+
+    const releases = [];
+    for (let page = 1; page <= MAX_RELEASE_PAGES; page++) {
+      let response;
+      try {
+        response = await axios.get(`${apiUrl}/repos/${repository.owner}/${repository.repo}/releases`, {
+          headers,
+          timeout: options.timeout,
+          params: { per_page: RELEASES_PER_PAGE, page }
+        });
+      } catch (error) {
+        const status = error.response ? error.response.status : null;
+        if (status === 404) {
+          return null;
+        }
+        throw new Error(`获取 ${repository.owner}/${repository.repo} 的 GitHub Releases 失败: ${error.message}`);
+      }
+
+      releases.push(...response.data);
+      // release 按时间从新到旧排列，已经早于当前版本时不再翻页（monorepo 中其他包的 tag 不算）
+      const versions = response.data
+        .filter(release => isPackageTag(release.tag_name, packument.name) || !String(release.tag_name).includes('@'))
+        .map(release => parseTagVersion(release.tag_name))
+        .filter(Boolean);
+      if (response.data.length < RELEASES_PER_PAGE || versions.some(version => semver.lte(version, from))) {
+        break;
+      }
+    }
+
+    // monorepo 的 tag 通常带有包名（如 react-router@6.0.0），存在时只使用这些 tag，
+    // 否则只使用不带包名的 tag，其他包的 tag 不能算作这个包的版本
+    const scoped = releases.filter(release => isPackageTag(release.tag_name, packument.name));
+    return (scoped.length > 0 ? scoped : releases.filter(release => !String(release.tag_name).includes('@')))
+      .filter(release => !release.draft)
+      .map(release => ({
+        version: parseTagVersion(release.tag_name),
+        url: release.html_url || null,
+        body: release.body || ''
+      }))
+      .filter(release => release.version && isSkippedVersion(release.version, from, to));
+  }
+
+  return { name: 'github', getReleases };
+}
+
+/**
+ * 创建 tarball 中 CHANGELOG.md 的更新日志来源
+ * 下载目标版本的tarball，从其中的更新日志文件里找到两个版本之间的章节。
+ * 同时处理的tarball数量受并发数限制，下载和解压的大小也有上限，避免一次把过多的内容读入内存
+ * @param {Object} options - 来源选项
+ * @param {Object} options.registry - registry客户端
+ * @param {number} options.concurrency - 同时处理的tarball数量
+ * @param {number} options.maxTarballSize - tarball 的最大下载字节数
+ * @param {number} options.maxUnpackedSize - tarball 解压后的最大字节数
+ * @returns {Object} - { name, getReleases(packument, from, to) }
+ */
+export function createTarballChangelogSource(options = {}) {
+  const { registry, maxTarballSize = MAX_TARBALL_SIZE, maxUnpackedSize = MAX_UNPACKED_SIZE } = options;
+  const limit = createLimiter(Number(options.concurrency) || DEFAULT_CONCURRENCY);
+
+  function getReleases(packument, from, to) {
+    const versionInfo = packument.versions && packument.versions[to];
+    const tarballUrl = versionInfo && versionInfo.dist ? versionInfo.dist.tarball : null;
+    if (!tarballUrl) {
+      return Promise.resolve(null);
+    }
+
+    return limit(async () => {
+      const tarball = await registry.getTarball(packument.name, tarballUrl, { maxSize: maxTarballSize });
+      if (!tarball) {
+        return null;
+      }
+
+      let archive;
+      try {
+        archive = await gunzip(tarball, { maxOutputLength: maxUnpackedSize });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          return null;
+        }
+        throw error;
+      }
+
+      const content = findTarEntry(archive, name => CHANGELOG_FILE.test(name));
+      if (content === null) {
+        return null;
+      }
+
+      return parseChangelog(content)
+        .filter(section => isSkippedVersion(section.version, from, to))
+        .map(section => ({ version: section.version, url: null, body: section.body }));
+    });
+  }
+
+  return { name: 'tarball', getReleases };
+}
+
+/**
+ * 按名称创建更新日志来源
+ * @param {Array<string>} names - 来源名称：github、tarball
+ * @param {Object} options - 来源选项
+ * @param {Object} options.registry - registry客户端
+ * @param {string} options.githubApi - GitHub API 地址
+ * @param {number} options.timeout - 请求超时时间（毫秒）
+ * @param {number} options.concurrency - 同时处理的tarball数量
+ * @returns {Array<Object>} - 更新日志来源
+ */
+export function createChangelogSources(names = CHANGELOG_SOURCES, options = {}) {
+  return names.map(name => {
+    if (name === 'github') {
+      return createGithubReleasesSource({ apiUrl: options.githubApi, timeout: options.timeout });
+    }
+    if (name === 'tarball') {
+      return createTarballChangelogSource({ registry: options.registry, concurrency: options.concurrency });
+    }
+    throw new Error(`未知的更新日志来源: ${name}，可选值为 ${CHANGELOG_SOURCES.join(', ')}`);
+  });
+}
+
+/**
+ * 创建更新日志客户端
+ * 依次尝试每个来源，使用第一个找到了更新说明的来源
+ * @param {Object} options - 客户端选项
+ * @param {Object} options.registry - registry客户端，用于获取完整的packument和下载tarball
+ * @param {Array<Object>} options.sources - 更新日志来源，默认为 GitHub Releases 和 tarball
+ * @returns {Object} - { getChangelog(name, from, to) }
+ */
+export function createChangelogClient(options = {}) {
+  const { registry } = options;
+  const sources = options.sources || createChangelogSources(CHANGELOG_SOURCES, { registry });
+  const memo = new Map();
+
+  /**
+   * 获取两个版本之间的更新日志
+   * @param {string} name - 包名
+   * @param {string} from - 当前版本
+   * @param {string} to - 目标版本
+   * @returns {Promise<Object|null>} - { source, releases: [{ version, url, breaking }], errors }，没有找到时为 null
+   */
+  function getChangelog(name, from, to) {
+    const key = `${name}@${from}..${to}`;
+    if (!memo.has(key)) {
+      memo.set(key, fetchChangelog(name, from, to));
+    }
+    return memo.get(key);
+  }
+
+  async function fetchChangelog(name, from, to) {
+    const packument = await registry.getPackageInfo(name, { full: true });
+    const errors = [];
+
+    for (const source of sources) {
+      let releases;
+      try {
+        releases = await source.getReleases(packument, from, to);
+      } catch (error) {
+        errors.push(error.message);
+        continue;
+      }
+      if (!releases || releases.length === 0) {
+        continue;
+      }
+
+      return {
+        source: source.name,
+        releases: releases
+          .sort((a, b) => semver.rcompare(a.version, b.version))
+          .map(release => ({
+            version: release.version,
+            url: release.url,
+            breaking: extractBreakingChanges(release.body)
+          })),
+        errors
+      };
+    }
+
+    return errors.length > 0 ? { source: null, releases: [], errors } : null;
+  }
+
+  return { getChangelog };
+}
+
+/**
+ * 为主版本升级和有问题的升级附加更新日志
+ * @param {Object} results - 兼容性分析结果（工作区项目会处理每个工作区）
+ * @param {Object} client - createChangelogClient 创建的客户端
+ * @param {Object} reporter - 进度报告器（见 createReporter），默认不输出
+ * @returns {Promise<void>}
+ */
+export async function addChangelogs(results, client, reporter = createReporter()) {
+  const upgrades = (results.workspaces ? results.workspaces.map(workspace => workspace.results) : [results])
+    .flatMap(item => Object.entries(item.upgradeAnalysis || {}))
+    .filter(([, info]) => !info.canUpgrade || getUpgradeLevel(info.currentVersion, info.latestVersion) === 'major');
+
+  const progress = reporter.progress('changelog', '获取更新日志', upgrades.length);
+  await Promise.all(upgrades.map(async ([name, info]) => {
+    try {
+      info.changelog = await client.getChangelog(name, info.currentVersion, info.latestVersion);
+      progress.tick(true);
+    } catch (error) {
+      info.changelog = { source: null, releases: [], errors: [error.message] };
+      progress.tick(false);
+    }
+  }));
+  progress.stop();
+}
+
+/**
+ * 从更新说明中提取不兼容变更
+ * 包括标题含有 breaking 的章节中的条目，以及以 BREAKING CHANGE 开头的条目
+ * @param {string} markdown - 更新说明
+ * @returns {Array<string>} - 不兼容变更
+ */
+export function extractBreakingChanges(markdown) {
+  const items = [];
+  let sectionLevel = null;
+  let current = null;
+
+  const flush = () => {
+    if (current) {
+      const text = current.replace(/\s+/g, ' ').trim();
+      if (text) {
+        items.push(text.length > MAX_ITEM_LENGTH ? `${text.slice(0, MAX_ITEM_LENGTH)}…` : text);
+      }
+      current = null;
+    }
+  };
+
+  for (const line of String(markdown || '').split(/\r?\n/)) {
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      flush();
+      const level = heading[1].length;
+      if (/breaking/i.test(heading[2])) {
+        sectionLevel = level;
+      } else if (sectionLevel !== null && level <= sectionLevel) {
+        sectionLevel = null;
+      }
+      continue;
+    }
+
+    const bullet = line.match(/^\s*(?:[-*+]|\d+\.)\s+(.*)$/);
+
+    if (sectionLevel !== null) {
+      if (bullet) {
+        flush();
+        current = bullet[1];
+      } else if (line.trim() && current !== null && /^\s/.test(line)) {
+        // 缩进的续行属于上一个条目
+        current += ` ${line.trim()}`;
+      } else if (line.trim()) {
+        flush();
+        current = line.trim();
+      } else {
+        flush();
+      }
+      continue;
+    }
+
+    // 其他位置以 BREAKING CHANGE:、**Breaking:**、[BREAKING] 或 💥 开头的条目
+    const marked = line.match(BREAKING_MARKER);
+    if (marked) {
+      flush();
+      current = marked[1];
+      flush();
+    }
+  }
+
+  flush();
+  return [...new Set(items)];
+}
+
+/**
+ * 按版本拆分 CHANGELOG.md
+ * 标题中含有版本号（如 ## [6.0.0] - 2021-11-03、# v6.0.0）的章节视为该版本的更新说明
+ * @param {string} markdown - 更新日志内容
+ * @returns {Array<Object>} - [{ version, body }]
+ */
+export function parseChangelog(markdown) {
+  const sections = [];
+  let current = null;
+
+  for (const line of String(markdown).split(/\r?\n/)) {
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const version = heading ? heading[2].match(/\bv?(\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?)\b/) : null;
+
+    if (version && semver.valid(version[1]) && (!current || heading[1].length <= current.level)) {
+      current = { version: version[1], level: heading[1].length, lines: [] };
+      sections.push(current);
+      continue;
+    }
+
+    if (current && heading && heading[1].length < current.level) {
+      current = null;
+      continue;
+    }
+
+    if (current) {
+      current.lines.push(line);
+    }
+  }
+
+  return sections.map(section => ({ version: section.version, body: section.lines.join('\n').trim() }));
+}
+
+/**
+ * 解析 packument 中的 repository 字段
+ * 支持 github:owner/repo、owner/repo 简写以及 https、git+ssh 等地址
+ * @param {string|Object} repository - repository 字段
+ * @returns {Object|null} - { owner, repo }，不是 GitHub 仓库时为 null
+ */
+export function parseRepository(repository) {
+  const url = typeof repository === 'string' ? repository : repository && repository.url;
+  if (!url) {
+    return null;
+  }
+
+  const shorthand = url.match(/^(?:github:)?([\w.-]+)\/([\w.-]+)$/);
+  const full = url.match(/github\.com[/:]([\w.-]+)\/([\w.-]+?)(?:\.git)?(?:[#/].*)?$/);
+  const match = shorthand || full;
+  return match ? { owner: match[1], repo: match[2].replace(/\.git$/, '') } : null;
+}
+
+/**
+ * 从 tag 中解析版本号，如 v6.0.0、react-router@6.0.0
+ * @param {string} tag - tag 名
+ * @returns {string|null} - 版本号
+ */
+function parseTagVersion(tag) {
+  const match = String(tag || '').match(/(\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?)$/);
+  return match && semver.valid(match[1]) ? match[1] : null;
+}
+
+/**
+ * 判断 tag 是否是这个包的版本 tag，如 react-router@6.0.0、react-router@v6.0.0
+ * 包名必须完全一致，react-router@6.0.0 不是 router 的 tag
+ * @param {string} tag - tag 名
+ * @param {string} name - 包名
+ * @returns {boolean}
+ */
+function isPackageTag(tag, name) {
+  const prefix = `${name}@`;
+  return String(tag || '').startsWith(prefix) && semver.valid(tag.slice(prefix.length)) !== null;
+}
+
+/**
+ * 判断版本是否是升级时跳过的版本（不含当前版本，包含目标版本）
+ * 目标版本不是预发布版本时，忽略其间的预发布版本
+ */
+function isSkippedVersion(version, from, to) {
+  return semver.gt(version, from) && semver.lte(version, to) &&
+    (!semver.prerelease(version) || version === to);
+}
+
+/**
+ * 从 tar 包中读取第一个匹配的文件
+ * @param {Buffer} buffer - 解压后的 tar 内容
+ * @param {Function} matches - 判断文件名是否匹配的函数
+ * @returns {string|null} - 文件内容
+ */
+function findTarEntry(buffer, matches) {
+  let offset = 0;
+  let longName = null;
+
+  while (offset + 512 <= buffer.length) {
+    const header = buffer.subarray(offset, offset + 512);
+    if (header.every(byte => byte === 0)) {
+      break;
+    }
+
+    const readString = (start, length) => header.subarray(start, start + length).toString('utf-8').replace(/\0.*$/s, '');
+    const size = parseInt(readString(124, 12).trim() || '0', 8);
+    const type = readString(156, 1);
+    const prefix = readString(345, 155);
+    const name = longName || (prefix ? `${prefix}/${readString(0, 100)}` : readString(0, 100));
+    const dataStart = offset + 512;
+    const data = buffer.subarray(dataStart, dataStart + size);
+
+    longName = null;
+    if (type === 'L') {
+      // GNU 长文件名，下一个条目使用这里的名称
+      longName = data.toString('utf-8').replace(/\0.*$/s, '');
+    } else if ((type === '0' || type === '') && matches(name)) {
+      return data.toString('utf-8');
+    }
+
+    offset = dataStart + Math.ceil(size / 512) * 512;
+  }
+
+  return null;
+}
@@ -1,77 +1,148 @@
 import semver from 'semver';
-import chalk from 'chalk';
-import { getPackageInfo } from './analyzer.js';
+import { collectDependencies, DEFAULT_SCOPE } from './analyzer.js';
+import { getDefaultRegistryClient } from './registry.js';
+import { createReporter } from './progress.js';
+import { isIgnored, isPairIgnored, getPin, DEFAULT_SEVERITY } from './config.js';
+import { buildDependencyTree, checkTreePeerDependencies } from './tree.js';
+import { loadRules, findKnownIssue } from './rules.js';
+import { solveVersions } from './solver.js';
+import { supportsNode, getNodeSupport, getNodeEngines, findNewestSupportedVersion } from './engines.js';
+import { DEFAULT_TARGET, UPGRADE_LEVELS, listUpgradeVersions, resolveTargetVersion, getUpgradeLevel } from './targets.js';
+import { findDeprecations, findAdvisories, applySecurityFixes } from './advisories.js';
+import { createPeerIndex } from './peer-index.js';
+import { findDuplicates } from './duplicates.js';
 
 /**
  * 检查依赖兼容性
  * @param {Object} projectInfo - 项目信息
- * @param {boolean} deep - 是否深度分析
+ * @param {Object} options - 分析选项
+ * @param {boolean} options.deep - 是否深度分析
+ * @param {Array<string>} options.scope - 需要分析的依赖分组（prod、dev、peer、optional）
+ * @param {Object} options.registry - registry客户端
+ * @param {Object} options.config - 项目配置（忽略的包和依赖对、版本上限、严重程度）
+ * @param {Array<Object>} options.rules - 已知兼容性问题规则，默认只使用内置规则
+ * @param {string} options.target - 升级目标：patch、minor、major、latest 或 dist-tag
+ * @param {boolean} options.prerelease - 升级目标是否包含预发布版本
+ * @param {boolean} options.audit - 是否通过registry查询影响当前版本的安全公告
+ * @param {Object} options.reporter - 进度报告器（见 createReporter），默认不输出
  * @returns {Promise<Object>} - 兼容性分析结果
  */
-export async function checkCompatibility(projectInfo, deep = false) {
-  const { dependencies, latestVersions } = projectInfo;
+export async function checkCompatibility(projectInfo, options = {}) {
+  const {
+    deep = false,
+    scope = DEFAULT_SCOPE,
+    registry = getDefaultRegistryClient(),
+    config = null,
+    target = DEFAULT_TARGET,
+    prerelease = false,
+    audit = true,
+    reporter = createReporter()
+  } = options;
+  const rules = options.rules || (await loadRules()).rules;
+  const { latestVersions, installedVersions = {}, nodeRuntime = null } = projectInfo;
   const compatibilityResults = {
     compatible: [],
     incompatible: [],
     unknown: [],
-    recommendations: {}
+    recommendations: {},
+    project: {
+      name: projectInfo.name || null,
+      version: projectInfo.version || null,
+      packageJsonPath: projectInfo.packageJsonPath || null
+    },
+    scope,
+    config: config && config.path ? { path: config.path } : null,
+    severity: config ? config.severity : { ...DEFAULT_SEVERITY },
+    lockfile: projectInfo.lockfile || null,
+    node: nodeRuntime,
+    rangeFallbacks: [],
+    currentVersions: {}
   };
   
-  // 获取所有依赖的详细信息
-  const dependencyDetails = {};
-  for (const [dep, version] of Object.entries(dependencies)) {
-    try {
-      const packageInfo = await getPackageInfo(dep);
-      //如：
-      // {
-      //   name: 'axios',
-      //   version: '1.2.3',
-      //   description: 'Axios is a promise-based HTTP client for the browser and node.js.',
-      //   keywords: ['http', 'promise', 'client'],
-      //   repository: {
-      //     type: 'git',   // 仓库类型
-      //     url: '// 仓库类型
-      //     url: 'URL_ADDRESS.com/axios/axios.git'  // 仓库URL
-      // // 仓库类型
-      //     url: 'URL_ADDRESS.com/axios/axios.git'  // 仓库URL
-      //   },
-      //   homepage: 'URL_ADDRESS   homepage: 'https://github.com/axios/axios#readme',
-      //   bugs: {  // 问题报告
-      //     url: 'URL_ADDRESS   bugs: {   // 问题报告  
-      dependencyDetails[dep] = packageInfo;
-      process.stdout.write(chalk.green('.'));
-    } catch (error) {
-      process.stdout.write(chalk.red('x'));
+  // 按 --scope 收集需要分析的依赖，并记录每个依赖所属的分组
+  const selected = collectDependencies(projectInfo, scope);
+  const dependencies = {};
+  const dependencyGroups = {};
+  for (const [dep, { range, groups }] of Object.entries(selected)) {
+    // 配置中忽略的包不参与分析
+    if (isIgnored(config, dep)) continue;
+    
+    dependencies[dep] = range;
+    dependencyGroups[dep] = groups;
+  }
+  
+  // 确定每个依赖的当前版本：优先使用锁文件或 node_modules 中的实际安装版本
+  const currentVersions = compatibilityResults.currentVersions;
+  for (const [dep, range] of Object.entries(dependencies)) {
+    const installed = installedVersions[dep];
+    if (!installed) {
+      currentVersions[dep] = cleanVersion(range);
+      continue;
+    }
+    
+    if (installed.source === 'range') {
+      compatibilityResults.rangeFallbacks.push({
+        name: dep,
+        range,
+        version: installed.version
+      });
+    }
+    
+    if (installed.version) {
+      currentVersions[dep] = installed.version;
+    } else {
       compatibilityResults.unknown.push({
         name: dep,
-        reason: `无法获取包信息: ${error.message}`
+        reason: `无法根据版本范围 ${range} 确定当前版本，请先安装依赖`
       });
     }
   }
   
-  console.log('\n');
-  
-  // 分析依赖之间的兼容性
-  const dependencyPairs = [];
-  const depNames = Object.keys(dependencies);
+  // 获取所有依赖的详细信息（packument），同一个包在本次运行中只会请求一次
+  const progress = reporter.progress('package-details', '获取依赖详情', Object.keys(dependencies).length);
+  const { packages: dependencyDetails, errors } = await registry.getPackages(
+    Object.keys(dependencies),
+    (name, error) => progress.tick(!error)
+  );
+  progress.stop();
+  
+  for (const [dep, error] of Object.entries(errors)) {
+    compatibilityResults.unknown.push({
+      name: dep,
+      reason: `无法获取包信息: ${error.message}`
+    });
+  }
   
-  // 生成所有依赖对
-  // 例如，[['axios', 'chalk'], ['axios', 'inquire'], ...]
-  for (let i = 0; i < depNames.length; i++) {
-    for (let j = i + 1; j < depNames.length; j++) {
-      dependencyPairs.push([depNames[i], depNames[j]]);
-    }
+  // 检查当前版本声明的 engines.node 是否支持项目使用的 Node 版本
+  if (nodeRuntime) {
+    compatibilityResults.engineMismatches = checkEngines(currentVersions, dependencyDetails, nodeRuntime);
   }
   
+  // 分析依赖之间的兼容性：只检查通过peer要求或已知问题规则关联的依赖对
+  const depNames = Object.keys(currentVersions);
+  const peerIndex = createPeerIndex(
+    depNames,
+    dep => getVersionPeers(dependencyDetails[dep], currentVersions[dep]),
+    rules,
+    (dep1, dep2) => isPairIgnored(config, dep1, dep2)
+  );
+  compatibilityResults.unconstrained = depNames.filter(dep => !peerIndex.isConstrained(dep));
+  
   // 检查每对依赖的兼容性
-  for (const [dep1, dep2] of dependencyPairs) {
-    // 两两检测兼容性如：axios@1.2.3 和 chalk@4.2.0
+  for (const [dep1, dep2] of peerIndex.pairs) {
+    // 检测有约束的依赖对，如 react-dom@18.2.0 和 react@18.2.0
     const result = await checkPairCompatibility(
-      dep1, dependencies[dep1], 
-      dep2, dependencies[dep2],
+      dep1, currentVersions[dep1], 
+      dep2, currentVersions[dep2],
       dependencyDetails,
-      latestVersions
+      latestVersions,
+      config,
+      rules
     );
+    result.groups = {
+      [dep1]: dependencyGroups[dep1],
+      [dep2]: dependencyGroups[dep2]
+    };
     
     if (result.compatible) {
       compatibilityResults.compatible.push(result);
@@ -100,45 +171,303 @@ export async function checkCompatibility(projectInfo, deep = false) {
     }
   }
   
-  // 检查升级到最新版本的兼容性
+  // 同时考虑所有依赖之间的peer要求和已知问题规则，求解一组统一的推荐版本
+  compatibilityResults.solution = solveVersions(currentVersions, dependencyDetails, {
+    pins: config ? config.pins : {},
+    ignorePair: (dep1, dep2) => isPairIgnored(config, dep1, dep2),
+    nodeRange: nodeRuntime ? nodeRuntime.range : null,
+    rules
+  });
+  
+  // 检查升级到目标版本（默认为 latest）的兼容性
   if (latestVersions) {
     compatibilityResults.upgradeAnalysis = {};
+    compatibilityResults.target = target;
     
-    for (const [dep, versionInfo] of Object.entries(latestVersions)) {
-      if (semver.gt(versionInfo.latest, versionInfo.current)) {
-        const upgradeIssues = [];
+    // 升级这个依赖到某个版本是否会与其他依赖冲突：只需要检查新版本有peer要求的依赖和对它有peer要求的依赖
+    const findUpgradeIssues = (dep, version) => {
+      const related = new Set([
+        ...Object.keys(getVersionPeers(dependencyDetails[dep], version) || {}),
+        ...peerIndex.dependentsOf(dep)
+      ]);
+      const upgradeIssues = [];
+      for (const otherDep of depNames) {
+        if (otherDep === dep || !related.has(otherDep) || isPairIgnored(config, dep, otherDep)) continue;
         
-        // 检查升级这个依赖是否会与其他依赖冲突
-        for (const otherDep of Object.keys(dependencies)) {
-          if (otherDep === dep) continue;
-          
-          const result = await checkVersionCompatibility(
-            dep, versionInfo.latest,
-            otherDep, dependencies[otherDep],
-            dependencyDetails
-          );
-          
-          if (!result.compatible) {
-            upgradeIssues.push({
-              with: otherDep,
-              reason: result.reason
-            });
-          }
-        }
+        const result = checkVersionCompatibility(
+          dep, version,
+          otherDep, currentVersions[otherDep],
+          dependencyDetails
+        );
         
-        compatibilityResults.upgradeAnalysis[dep] = {
-          currentVersion: versionInfo.current,
-          latestVersion: versionInfo.latest,
-          canUpgrade: upgradeIssues.length === 0,
-          issues: upgradeIssues
-        };
+        if (!result.compatible) {
+          upgradeIssues.push({
+            with: otherDep,
+            requirement: result.requirement,
+            reason: result.reason
+          });
+        }
+      }
+      return upgradeIssues;
+    };
+    
+    for (const [dep, versionInfo] of Object.entries(latestVersions)) {
+      // 无法确定当前版本（如 latest、git 地址）或被忽略的依赖不参与升级分析
+      if (!semver.valid(versionInfo.current) || !dependencies[dep]) continue;
+      
+      // 配置了版本上限时，只考虑上限以内的版本
+      const pin = getPin(config, dep);
+      const versionOptions = { prerelease, pin };
+      const targetVersion = resolveTargetVersion(dependencyDetails[dep], versionInfo.current, target, versionOptions);
+      if (!targetVersion) continue;
+      
+      const upgradeIssues = findUpgradeIssues(dep, targetVersion);
+      const unpinned = pin ? resolveTargetVersion(dependencyDetails[dep], versionInfo.current, target, { prerelease }) : targetVersion;
+      
+      // 目标版本不支持项目使用的 Node 版本时，升级被阻止，并给出仍然支持的最新版本
+      const blocked = nodeRuntime ? checkUpgradeEngines(dep, targetVersion, dependencyDetails[dep], nodeRuntime) : null;
+      const nodeSupportedVersion = blocked
+        ? findNewestSupportedVersion(dependencyDetails[dep], nodeRuntime.range, { max: targetVersion, pin })
+        : null;
+      
+      compatibilityResults.upgradeAnalysis[dep] = {
+        groups: dependencyGroups[dep],
+        currentVersion: versionInfo.current,
+        latestVersion: targetVersion,
+        pinned: pin && targetVersion !== unpinned ? pin : null,
+        canUpgrade: upgradeIssues.length === 0 && !blocked,
+        blocked,
+        nodeSupportedVersion: nodeSupportedVersion && semver.gt(nodeSupportedVersion, versionInfo.current)
+          ? nodeSupportedVersion
+          : null,
+        updates: findCompatibleUpdates(dep, versionInfo.current, dependencyDetails[dep], versionOptions, version =>
+          findUpgradeIssues(dep, version).length === 0 &&
+          (!nodeRuntime || supportsNode(dependencyDetails[dep].versions[version], nodeRuntime.range))
+        ),
+        issues: upgradeIssues
+      };
+    }
+  }
+  
+  // 检查项目自身声明的peerDependencies范围是否被实际安装的版本满足
+  if (scope.includes('peer')) {
+    compatibilityResults.peerViolations = checkOwnPeerDependencies(
+      projectInfo.peerDependencies || {},
+      installedVersions
+    );
+  }
+  
+  // 深度分析：遍历完整的传递依赖树，检查其中所有的peerDependencies
+  if (deep) {
+    reporter.stage('dependency-tree', '正在解析传递依赖树...');
+
+    const tree = await buildDependencyTree(
+      currentVersions,
+      projectInfo.name || 'app',
+      dependencyDetails,
+      registry.getPackageInfo,
+      reporter
+    );
+    compatibilityResults.deepConflicts = checkTreePeerDependencies(tree, dependencyDetails);
+  }
+  
+  // 锁文件中安装了多个版本的包，单例包（如 react）的多份副本会导致运行时错误
+  if (projectInfo.installedPackages) {
+    compatibilityResults.duplicates = await findDuplicates(projectInfo.installedPackages, { registry, config, reporter });
+  }
+  
+  // 当前版本是否已被弃用、是否受安全公告影响
+  compatibilityResults.deprecations = findDeprecations(currentVersions, dependencyDetails);
+  if (audit) {
+    try {
+      compatibilityResults.advisories = await findAdvisories(currentVersions, dependencyDetails, registry);
+    } catch (error) {
+      compatibilityResults.auditError = error.message;
+      // registry 不支持安全公告接口时只给出提示，不作为无法确定的问题
+      if (error.unsupported) {
+        compatibilityResults.auditUnsupported = true;
+        reporter.warn(error.message);
       }
     }
   }
   
+  applySeverityFilter(compatibilityResults);
+  applySecurityFixes(compatibilityResults, dependencyDetails);
+  
   return compatibilityResults;
 }
 
+/**
+ * 移除严重程度配置为 off 的问题
+ * @param {Object} results - 兼容性分析结果
+ */
+function applySeverityFilter(results) {
+  const { severity } = results;
+  
+  if (severity.incompatible === 'off') {
+    results.incompatible = [];
+  }
+  if (severity['transitive-conflict'] === 'off' && results.deepConflicts) {
+    results.deepConflicts = results.deepConflicts.filter(item => item.type === 'missing-peer');
+  }
+  if (severity['missing-peer'] === 'off' && results.deepConflicts) {
+    results.deepConflicts = results.deepConflicts.filter(item => item.type !== 'missing-peer');
+  }
+  if (severity['peer-violation'] === 'off' && results.peerViolations) {
+    results.peerViolations = [];
+  }
+  if (severity['engine-mismatch'] === 'off' && results.engineMismatches) {
+    results.engineMismatches = [];
+  }
+  if (severity.unknown === 'off') {
+    results.unknown = [];
+  }
+  if (severity.deprecated === 'off') {
+    results.deprecations = [];
+  }
+  if (severity.vulnerability === 'off' && results.advisories) {
+    results.advisories = [];
+  }
+  if (severity.duplicate === 'off' && results.duplicates) {
+    results.duplicates = [];
+  }
+  if (severity['upgrade-risk'] === 'off' && results.upgradeAnalysis) {
+    for (const [dep, info] of Object.entries(results.upgradeAnalysis)) {
+      if (!info.canUpgrade) {
+        delete results.upgradeAnalysis[dep];
+      }
+    }
+  }
+}
+
+/**
+ * 分别查找补丁、次版本和主版本中与其他依赖兼容的最新版本
+ * 次版本和主版本只检查每个 major.minor 的最高补丁版本，peer要求几乎不会在补丁版本之间变化
+ * @param {string} dep - 依赖名称
+ * @param {string} current - 当前版本
+ * @param {Object} packageDetails - 包详细信息
+ * @param {Object} versionOptions - 版本选项 { prerelease, pin }
+ * @param {Function} isCompatible - 判断版本是否兼容的函数
+ * @returns {Object} - { patch, minor, major }，没有兼容的版本时为 null
+ */
+function findCompatibleUpdates(dep, current, packageDetails, versionOptions, isCompatible) {
+  const updates = { patch: null, minor: null, major: null };
+  const checkedMinors = new Set();
+  
+  for (const version of listUpgradeVersions(packageDetails, current, versionOptions)) {
+    const level = getUpgradeLevel(current, version);
+    if (updates[level]) continue;
+    
+    const minor = `${semver.major(version)}.${semver.minor(version)}`;
+    if (level !== 'patch' && checkedMinors.has(minor)) continue;
+    checkedMinors.add(minor);
+    
+    if (isCompatible(version)) {
+      updates[level] = version;
+      if (UPGRADE_LEVELS.every(item => updates[item])) break;
+    }
+  }
+  
+  return updates;
+}
+
+/**
+ * 检查依赖的当前版本是否支持项目使用的 Node 版本
+ * 只支持项目 Node 版本范围中的部分版本时（如 .nvmrc 为 16，依赖需要 >=16.14）标记为 partial，作为警告列出
+ * @param {Object} currentVersions - 当前版本
+ * @param {Object} dependencyDetails - 依赖详细信息
+ * @param {Object} nodeRuntime - 项目使用的 Node 版本 { range, source }
+ * @returns {Array<Object>} - 不支持的依赖 [{ name, version, engines, partial, reason }]
+ */
+function checkEngines(currentVersions, dependencyDetails, nodeRuntime) {
+  const mismatches = [];
+  
+  for (const [dep, version] of Object.entries(currentVersions)) {
+    const versionInfo = dependencyDetails[dep] && dependencyDetails[dep].versions[version];
+    const support = versionInfo ? getNodeSupport(versionInfo, nodeRuntime.range) : 'full';
+    if (support === 'full') {
+      continue;
+    }
+    
+    const engines = getNodeEngines(versionInfo);
+    mismatches.push({
+      name: dep,
+      version,
+      engines,
+      partial: support === 'partial',
+      reason: support === 'partial'
+        ? `${dep}@${version} 需要 Node ${engines}，项目使用的 Node ${nodeRuntime.range}（来自 ${nodeRuntime.source}）中只有部分版本满足要求`
+        : `${dep}@${version} 需要 Node ${engines}，但项目使用的是 Node ${nodeRuntime.range}（来自 ${nodeRuntime.source}）`
+    });
+  }
+  
+  return mismatches;
+}
+
+/**
+ * 检查升级的目标版本是否支持项目使用的 Node 版本
+ * 与当前版本不同，目标版本只支持项目 Node 版本范围中的部分版本时同样阻止升级
+ * @param {string} dep - 依赖名称
+ * @param {string} target - 目标版本
+ * @param {Object} packageDetails - 包详细信息
+ * @param {Object} nodeRuntime - 项目使用的 Node 版本 { range, source }
+ * @returns {Object|null} - 不完全支持时为 { engines, node, partial, reason }
+ */
+function checkUpgradeEngines(dep, target, packageDetails, nodeRuntime) {
+  const versionInfo = packageDetails && packageDetails.versions[target];
+  const support = versionInfo ? getNodeSupport(versionInfo, nodeRuntime.range) : 'full';
+  if (support === 'full') {
+    return null;
+  }
+  
+  const engines = getNodeEngines(versionInfo);
+  return {
+    engines,
+    node: nodeRuntime.range,
+    partial: support === 'partial',
+    reason: support === 'partial'
+      ? `${dep}@${target} 需要 Node ${engines}，项目使用的 Node ${nodeRuntime.range}（来自 ${nodeRuntime.source}）中只有部分版本满足要求`
+      : `${dep}@${target} 需要 Node ${engines}，但项目使用的是 Node ${nodeRuntime.range}（来自 ${nodeRuntime.source}）`
+  };
+}
+
+/**
+ * 检查项目自身的peerDependencies范围
+ * @param {Object} peerDependencies - 项目声明的peerDependencies
+ * @param {Object} installedVersions - 实际安装的版本
+ * @returns {Array<Object>} - 不满足范围的依赖
+ */
+function checkOwnPeerDependencies(peerDependencies, installedVersions) {
+  const violations = [];
+  
+  for (const [dep, range] of Object.entries(peerDependencies)) {
+    const installed = installedVersions[dep];
+    
+    // 只有确实解析到安装版本时才能判断，版本范围估算的结果必然满足自身范围
+    if (!installed || !installed.version || installed.source === 'range') {
+      continue;
+    }
+    
+    let satisfied = true;
+    try {
+      satisfied = semver.satisfies(installed.version, range, { includePrerelease: true });
+    } catch (e) {
+      // 无法解析的范围（如 workspace:*）不做判断
+    }
+    
+    if (!satisfied) {
+      violations.push({
+        name: dep,
+        range,
+        version: installed.version,
+        reason: `项目声明 peerDependencies ${dep}@${range}，但实际解析到的版本是 ${installed.version}`
+      });
+    }
+  }
+  
+  return violations;
+}
+
 /**
  * 检查一对依赖的兼容性
  * @param {string} dep1 - 依赖1名称
@@ -147,16 +476,22 @@ export async function checkCompatibility(projectInfo, deep = false) {
  * @param {string} version2 - 依赖2版本
  * @param {Object} dependencyDetails - 依赖详细信息
  * @param {Object} latestVersions - 最新版本信息
+ * @param {Object} config - 项目配置，推荐版本不会超过其中的版本上限
+ * @param {Array<Object>} rules - 已知兼容性问题规则
  * @returns {Promise<Object>} - 兼容性结果
  */
-async function checkPairCompatibility(dep1, version1, dep2, version2, dependencyDetails, latestVersions) {
+async function checkPairCompatibility(dep1, version1, dep2, version2, dependencyDetails, latestVersions, config = null, rules = []) {
   // 清理版本号
-  const cleanVersion1 = version1.replace(/[^\d.]/g, '');
-  const cleanVersion2 = version2.replace(/[^\d.]/g, '');
+  const cleanVersion1 = cleanVersion(version1);
+  const cleanVersion2 = cleanVersion(version2);
   
   // 基本结果对象
   const result = {
     pair: `${dep1}@${cleanVersion1} 和 ${dep2}@${cleanVersion2}`,
+    packages: [
+      { name: dep1, version: cleanVersion1 },
+      { name: dep2, version: cleanVersion2 }
+    ],
     compatible: true
   };
   
@@ -166,6 +501,7 @@ async function checkPairCompatibility(dep1, version1, dep2, version2, dependency
   
   if (!details1 || !details2) {
     result.compatible = false;
+    result.type = 'missing-metadata';
     result.reason = '无法获取完整的依赖信息';
     return result;
   }
@@ -176,6 +512,7 @@ async function checkPairCompatibility(dep1, version1, dep2, version2, dependency
   
   if (!version1Info || !version2Info) {
     result.compatible = false;
+    result.type = 'missing-metadata';
     result.reason = '无法获取特定版本的依赖信息';
     return result;
   }
@@ -189,10 +526,12 @@ async function checkPairCompatibility(dep1, version1, dep2, version2, dependency
     const requirement = peerDeps2[dep1];
     if (!semver.satisfies(cleanVersion1, requirement)) {
       result.compatible = false;
+      result.type = 'peer-dependency';
+      result.requirement = { dependent: dep2, dependency: dep1, range: requirement, version: cleanVersion1 };
       result.reason = `${dep2} 需要 ${dep1}@${requirement}，但当前版本是 ${cleanVersion1}`;
       
       // 尝试找到兼容的版本
-      const compatibleVersion = findCompatibleVersion(details1, requirement);
+      const compatibleVersion = findCompatibleVersion(details1, requirement, getPin(config, dep1));
       if (compatibleVersion) {
         result.recommendation = {
           [dep1]: compatibleVersion,
@@ -209,10 +548,12 @@ async function checkPairCompatibility(dep1, version1, dep2, version2, dependency
     const requirement = peerDeps1[dep2];
     if (!semver.satisfies(cleanVersion2, requirement)) {
       result.compatible = false;
+      result.type = 'peer-dependency';
+      result.requirement = { dependent: dep1, dependency: dep2, range: requirement, version: cleanVersion2 };
       result.reason = `${dep1} 需要 ${dep2}@${requirement}，但当前版本是 ${cleanVersion2}`;
       
       // 尝试找到兼容的版本
-      const compatibleVersion = findCompatibleVersion(details2, requirement);
+      const compatibleVersion = findCompatibleVersion(details2, requirement, getPin(config, dep2));
       if (compatibleVersion) {
         result.recommendation = {
           [dep1]: cleanVersion1,
@@ -224,12 +565,22 @@ async function checkPairCompatibility(dep1, version1, dep2, version2, dependency
     }
   }
   
-  // 检查已知的兼容性问题数据库
-  const knownIssue = checkKnownCompatibilityIssues(dep1, cleanVersion1, dep2, cleanVersion2);
+  // 检查已知的兼容性问题规则
+  const knownIssue = findKnownIssue(rules, dep1, cleanVersion1, dep2, cleanVersion2);
   if (knownIssue) {
     result.compatible = false;
+    result.type = 'known-issue';
     result.reason = knownIssue.reason;
-    result.recommendation = knownIssue.recommendation;
+    result.rule = {
+      id: knownIssue.rule.id,
+      url: knownIssue.rule.url || null,
+      source: knownIssue.rule.source || null
+    };
+    // 规则给出的是推荐范围，解析为满足范围（和版本上限）的最高版本
+    result.recommendation = {};
+    for (const [dep, range] of Object.entries(knownIssue.recommend)) {
+      result.recommendation[dep] = findCompatibleVersion(dependencyDetails[dep], range, getPin(config, dep)) || range;
+    }
     return result;
   }
   
@@ -245,10 +596,10 @@ async function checkPairCompatibility(dep1, version1, dep2, version2, dependency
  * @param {Object} dependencyDetails - 依赖详细信息
  * @returns {Object} - 兼容性结果
  */
-function checkVersionCompatibility(dep1, version1, dep2, version2, dependencyDetails) {
+export function checkVersionCompatibility(dep1, version1, dep2, version2, dependencyDetails) {
   // 清理版本号
-  const cleanVersion1 = version1.replace(/[^\d.]/g, '');
-  const cleanVersion2 = version2.replace(/[^\d.]/g, '');
+  const cleanVersion1 = cleanVersion(version1);
+  const cleanVersion2 = cleanVersion(version2);
   
   const result = {
     compatible: true
@@ -279,6 +630,7 @@ function checkVersionCompatibility(dep1, version1, dep2, version2, dependencyDet
     const requirement = peerDeps2[dep1];
     if (!semver.satisfies(cleanVersion1, requirement)) {
       result.compatible = false;
+      result.requirement = { dependent: dep2, dependency: dep1, range: requirement, version: cleanVersion1 };
       result.reason = `${dep2} 需要 ${dep1}@${requirement}，但计划升级到 ${cleanVersion1}`;
       return result;
     }
@@ -289,6 +641,8 @@ function checkVersionCompatibility(dep1, version1, dep2, version2, dependencyDet
     const requirement = peerDeps1[dep2];
     if (!semver.satisfies(cleanVersion2, requirement)) {
       result.compatible = false;
+      result.type = 'peer-dependency';
+      result.requirement = { dependent: dep1, dependency: dep2, range: requirement, version: cleanVersion2 };
       result.reason = `${dep1} 需要 ${dep2}@${requirement}，但当前版本是 ${cleanVersion2}`;
       return result;
     }
@@ -297,6 +651,30 @@ function checkVersionCompatibility(dep1, version1, dep2, version2, dependencyDet
   return result;
 }
 
+/**
+ * 获取包的某个版本声明的peerDependencies，找不到该版本时使用最接近的版本
+ * @param {Object} packageDetails - 包详细信息
+ * @param {string} version - 版本
+ * @returns {Object|null} - peerDependencies，无法获取版本信息时为 null
+ */
+export function getVersionPeers(packageDetails, version) {
+  if (!packageDetails || !packageDetails.versions) {
+    return null;
+  }
+  const cleaned = cleanVersion(version);
+  const versionInfo = packageDetails.versions[cleaned] || findClosestVersion(packageDetails, cleaned);
+  return versionInfo ? versionInfo.peerDependencies || {} : null;
+}
+
+/**
+ * 清理版本号中的特殊字符(^, ~, >=等)，合法的semver版本（包括预发布版本）保持不变
+ * @param {string} version - 版本号或版本范围
+ * @returns {string} - 清理后的版本号
+ */
+function cleanVersion(version) {
+  return semver.valid(version) || version.replace(/[^\d.]/g, '');
+}
+
 /**
  * 查找最接近的版本信息
  * @param {Object} packageDetails - 包详细信息
@@ -333,9 +711,10 @@ function findClosestVersion(packageDetails, version) {
  * 查找兼容的版本
  * @param {Object} packageDetails - 包详细信息
  * @param {string} requirement - 版本要求
+ * @param {string} pin - 版本上限，推荐的版本同时需要满足该范围
  * @returns {string|null} - 兼容版本
  */
-function findCompatibleVersion(packageDetails, requirement) {
+function findCompatibleVersion(packageDetails, requirement, pin = null) {
   if (!packageDetails || !packageDetails.versions) {
     return null;
   }
@@ -345,7 +724,7 @@ function findCompatibleVersion(packageDetails, requirement) {
   
   for (const v of versions) {
     try {
-      if (semver.valid(v) && semver.satisfies(v, requirement)) {
+      if (semver.valid(v) && semver.satisfies(v, requirement) && (!pin || semver.satisfies(v, pin))) {
         compatibleVersions.push(v);
       }
     } catch (e) {
@@ -357,82 +736,3 @@ function findCompatibleVersion(packageDetails, requirement) {
   return compatibleVersions.length > 0 ? 
     compatibleVersions.sort(semver.compare).pop() : null;
 }
-
-/**
- * 检查已知的兼容性问题
- * @param {string} dep1 - 依赖1名称
- * @param {string} version1 - 依赖1版本
- * @param {string} dep2 - 依赖2名称
- * @param {string} version2 - 依赖2版本
- * @returns {Object|null} - 兼容性问题
- */
-function checkKnownCompatibilityIssues(dep1, version1, dep2, version2) {
-  // 这里可以维护一个已知兼容性问题的数据库
-  // 示例数据结构
-  const knownIssues = [
-    {
-      packages: ['react', 'react-dom'],
-      condition: (v1, v2) => {
-        // 检查react和react-dom版本是否匹配
-        return semver.major(v1) !== semver.major(v2) || 
-               semver.minor(v1) !== semver.minor(v2);
-      },
-      reason: 'React和React DOM的版本必须完全匹配',
-      getRecommendation: (v1, v2) => {
-        // 推荐使用较新的版本
-        const newer = semver.gt(v1, v2) ? v1 : v2;
-        return {
-          'react': newer,
-          'react-dom': newer
-        };
-      }
-    },
-    {
-      packages: ['eslint', 'eslint-plugin-react'],
-      condition: (eslintVersion, pluginVersion) => {
-        if (semver.gte(eslintVersion, '8.0.0') && semver.lt(pluginVersion, '7.28.0')) {
-          return true;
-        }
-        return false;
-      },
-      reason: 'ESLint 8.x 需要 eslint-plugin-react 7.28.0 或更高版本',
-      getRecommendation: (eslintVersion, pluginVersion) => {
-        if (semver.gte(eslintVersion, '8.0.0')) {
-          return {
-            'eslint': eslintVersion,
-            'eslint-plugin-react': '7.28.0'
-          };
-        } else {
-          return {
-            'eslint': eslintVersion,
-            'eslint-plugin-react': pluginVersion
-          };
-        }
-      }
-    }
-    // 可以添加更多已知的兼容性问题
-  ];
-  
-  // 检查是否匹配任何已知问题
-  for (const issue of knownIssues) {
-    const [pkg1, pkg2] = issue.packages;
-    
-    if ((dep1 === pkg1 && dep2 === pkg2) || (dep1 === pkg2 && dep2 === pkg1)) {
-      const v1 = dep1 === pkg1 ? version1 : version2;
-      const v2 = dep1 === pkg1 ? version2 : version1;
-      
-      if (issue.condition(v1, v2)) {
-        const recommendation = issue.getRecommendation(v1, v2);
-        return {
-          reason: issue.reason,
-          recommendation: {
-            [dep1]: dep1 === pkg1 ? recommendation[pkg1] : recommendation[pkg2],
-            [dep2]: dep2 === pkg1 ? recommendation[pkg1] : recommendation[pkg2]
-          }
-        };
-      }
-    }
-  }
-  
-  return null;
-}
\ No newline at end of file
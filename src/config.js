@@ -0,0 +1,213 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import semver from 'semver';
+import { parseYaml } from './yaml.js';
+
+// 按优先级排列的配置文件，都不存在时读取 package.json 中的 upgradeLens 字段
+export const CONFIG_FILES = ['.upgradelensrc', '.upgradelensrc.json', 'upgrade-lens.config.js', 'upgrade-lens.config.mjs'];
+
+// 各类问题的默认严重程度
+export const DEFAULT_SEVERITY = {
+  incompatible: 'error',
+  'transitive-conflict': 'error',
+  'missing-peer': 'info',
+  'peer-violation': 'error',
+  'upgrade-risk': 'warning',
+  unknown: 'warning',
+  'version-drift': 'warning',
+  'workspace-link': 'error',
+  'engine-mismatch': 'warning',
+  deprecated: 'warning',
+  vulnerability: 'error',
+  duplicate: 'error'
+};
+
+export const SEVERITY_LEVELS = ['error', 'warning', 'info', 'off'];
+
+/**
+ * 加载项目的配置文件
+ * @param {string} projectPath - 项目路径
+ * @returns {Promise<Object>} - { path, ignore, ignorePairs, pins, severity, rules, singletons, options }，没有配置文件时 path 为 null
+ */
+export async function loadConfig(projectPath) {
+  for (const file of CONFIG_FILES) {
+    const configPath = path.join(projectPath, file);
+    let raw;
+
+    try {
+      await fs.access(configPath);
+    } catch (error) {
+      continue;
+    }
+
+    try {
+      if (file.endsWith('.js') || file.endsWith('.mjs')) {
+        const module = await import(pathToFileURL(path.resolve(configPath)).href);
+        raw = module.default || module;
+      } else {
+        const content = await fs.readFile(configPath, 'utf-8');
+        raw = parseRcContent(content);
+      }
+    } catch (error) {
+      throw new Error(`读取配置文件 ${configPath} 失败: ${error.message}`);
+    }
+
+    return normalizeConfig(raw, configPath);
+  }
+
+  try {
+    const packageJsonPath = path.join(projectPath, 'package.json');
+    const packageJson = JSON.parse(await fs.readFile(packageJsonPath, 'utf-8'));
+    if (packageJson.upgradeLens) {
+      return normalizeConfig(packageJson.upgradeLens, `${packageJsonPath}#upgradeLens`);
+    }
+  } catch (error) {
+    // package.json 的错误由 analyzeProject 报告
+  }
+
+  return normalizeConfig({}, null);
+}
+
+/**
+ * 解析 .upgradelensrc，支持JSON和YAML两种写法
+ * @param {string} content - 文件内容
+ * @returns {Object} - 配置
+ */
+function parseRcContent(content) {
+  const trimmed = content.trim();
+  if (!trimmed) {
+    return {};
+  }
+  return trimmed.startsWith('{') ? JSON.parse(trimmed) : parseYaml(trimmed);
+}
+
+/**
+ * 校验并规范化配置
+ * @param {Object} raw - 原始配置
+ * @param {string|null} configPath - 配置文件路径
+ * @returns {Object} - 规范化后的配置
+ */
+function normalizeConfig(raw, configPath) {
+  const fail = message => {
+    throw new Error(`配置文件 ${configPath} 格式错误: ${message}`);
+  };
+
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    fail('配置必须是一个对象');
+  }
+
+  const ignore = raw.ignore || [];
+  if (!Array.isArray(ignore) || ignore.some(item => typeof item !== 'string')) {
+    fail('ignore 必须是包名数组');
+  }
+
+  const ignorePairs = raw.ignorePairs || [];
+  if (!Array.isArray(ignorePairs) || ignorePairs.some(pair => !Array.isArray(pair) || pair.length !== 2)) {
+    fail('ignorePairs 必须是 [包名, 包名] 形式的数组');
+  }
+
+  const pins = raw.pins || {};
+  for (const [name, range] of Object.entries(pins)) {
+    if (!semver.validRange(range)) {
+      fail(`pins.${name} 不是合法的版本范围: ${range}`);
+    }
+  }
+
+  const severity = { ...DEFAULT_SEVERITY };
+  for (const [type, level] of Object.entries(raw.severity || {})) {
+    if (!DEFAULT_SEVERITY[type]) {
+      fail(`未知的问题类型 severity.${type}，可选值为 ${Object.keys(DEFAULT_SEVERITY).join(', ')}`);
+    }
+    if (!SEVERITY_LEVELS.includes(level)) {
+      fail(`severity.${type} 的值必须是 ${SEVERITY_LEVELS.join(', ')} 之一`);
+    }
+    severity[type] = level;
+  }
+
+  const rules = raw.rules || [];
+  if (!Array.isArray(rules) || rules.some(item => typeof item !== 'string')) {
+    fail('rules 必须是规则文件路径或规则包名组成的数组');
+  }
+
+  const singletons = raw.singletons || [];
+  if (!Array.isArray(singletons) || singletons.some(item => typeof item !== 'string')) {
+    fail('singletons 必须是包名数组');
+  }
+
+  const options = raw.options || {};
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    fail('options 必须是一个对象');
+  }
+
+  return { path: configPath, ignore, ignorePairs, pins, severity, rules, singletons, options };
+}
+
+/**
+ * 判断包是否被忽略，支持 @types/* 形式的通配符
+ * @param {Object} config - 配置
+ * @param {string} name - 包名
+ * @returns {boolean}
+ */
+export function isIgnored(config, name) {
+  return Boolean(config) && config.ignore.some(pattern => matchPattern(pattern, name));
+}
+
+/**
+ * 判断依赖对是否被忽略
+ * @param {Object} config - 配置
+ * @param {string} dep1 - 依赖1
+ * @param {string} dep2 - 依赖2
+ * @returns {boolean}
+ */
+export function isPairIgnored(config, dep1, dep2) {
+  return Boolean(config) && config.ignorePairs.some(([a, b]) =>
+    (matchPattern(a, dep1) && matchPattern(b, dep2)) || (matchPattern(a, dep2) && matchPattern(b, dep1))
+  );
+}
+
+/**
+ * 获取包的版本上限（「不要升级超过」的范围）
+ * @param {Object} config - 配置
+ * @param {string} name - 包名
+ * @returns {string|null} - 版本范围
+ */
+export function getPin(config, name) {
+  return config && config.pins[name] ? config.pins[name] : null;
+}
+
+/**
+ * 将配置中的默认选项合并到命令行选项，命令行中显式指定的选项优先
+ * @param {Object} options - 命令行选项
+ * @param {Object} config - 配置
+ * @param {Function} getSource - 获取选项来源的函数，返回 'cli' 表示命令行中显式指定
+ * @returns {Object} - 合并后的选项
+ */
+export function mergeOptions(options, config, getSource) {
+  const merged = { ...options };
+  for (const [key, value] of Object.entries(config.options)) {
+    if (getSource(key) !== 'cli') {
+      merged[key] = Array.isArray(value) ? value.join(',') : value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * 合并配置文件和命令行中指定的规则来源
+ * @param {Object} config - 配置
+ * @param {string|Array<string>} rules - 命令行中的规则来源，逗号分隔或数组
+ * @returns {Array<string>} - 规则来源
+ */
+export function getRuleSources(config, rules) {
+  const extra = Array.isArray(rules) ? rules : (rules || '').split(',');
+  return [...config.rules, ...extra.map(item => item.trim()).filter(Boolean)];
+}
+
+function matchPattern(pattern, name) {
+  if (!pattern.includes('*')) {
+    return pattern === name;
+  }
+  const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&')).join('.*')}$`);
+  return regex.test(name);
+}
@@ -0,0 +1,170 @@
+import chalk from 'chalk';
+
+// 依赖版本变化的显示文字
+const VERSION_CHANGE_LABELS = {
+  added: '新增',
+  removed: '移除',
+  upgrade: '升级',
+  downgrade: '降级'
+};
+
+// 工作区新增或删除时的提示
+const PROJECT_STATUS_LABELS = {
+  added: '新增的工作区',
+  removed: '删除的工作区'
+};
+
+/**
+ * 在控制台输出两个版本之间依赖健康状况的变化
+ * @param {Object} result - diff 的结果
+ */
+export function printDiffReport(result) {
+  console.log(chalk.blue(`\n🔀 依赖变化: ${result.base.label} → ${result.head.label}`));
+  console.log(chalk.blue('===================='));
+
+  if (!result.changed) {
+    console.log(chalk.green('\n✅ 依赖的兼容性没有变化'));
+    return;
+  }
+
+  for (const project of result.projects) {
+    if (project.name !== null) {
+      const status = PROJECT_STATUS_LABELS[project.status];
+      console.log(chalk.magenta(`\n📦 ${project.name}${status ? ` (${status})` : ''}`));
+    }
+
+    const { incompatible, versions, upgradeRisks } = project;
+    if (incompatible.added.length > 0) {
+      console.log(chalk.red(`\n❌ 新增的不兼容依赖: ${incompatible.added.length}`));
+      incompatible.added.forEach(item => console.log(chalk.red(`  • ${formatPair(item)}: ${item.message}`)));
+    }
+    if (incompatible.resolved.length > 0) {
+      console.log(chalk.green(`\n✅ 已解决的不兼容依赖: ${incompatible.resolved.length}`));
+      incompatible.resolved.forEach(item => console.log(chalk.green(`  • ${formatPair(item)}: ${item.message}`)));
+    }
+    if (versions.length > 0) {
+      console.log(chalk.yellow(`\n🔄 版本变化: ${versions.length}`));
+      versions.forEach(item => console.log(`  • ${item.name}: ${formatVersionChange(item)}`));
+    }
+    if (upgradeRisks.added.length > 0) {
+      console.log(chalk.yellow(`\n⚠️ 新增的升级风险: ${upgradeRisks.added.length}`));
+      upgradeRisks.added.forEach(item => {
+        console.log(chalk.yellow(`  • ${item.name}: ${item.current} → ${item.latest}`));
+        formatRiskReasons(item).forEach(reason => console.log(chalk.gray(`    - ${reason}`)));
+      });
+    }
+    if (upgradeRisks.resolved.length > 0) {
+      console.log(chalk.green(`\n✅ 已消除的升级风险: ${upgradeRisks.resolved.length}`));
+      upgradeRisks.resolved.forEach(item => console.log(chalk.green(`  • ${item.name}: ${item.current} → ${item.latest}`)));
+    }
+  }
+}
+
+/**
+ * 生成 Markdown 格式的变化报告，可以直接作为 PR 评论
+ * @param {Object} result - diff 的结果
+ * @returns {string} - Markdown 内容
+ */
+export function generateDiffMarkdown(result) {
+  let markdown = `## 🔀 依赖兼容性变化\n\n`;
+  markdown += `\`${result.base.label}\` → \`${result.head.label}\`\n\n`;
+
+  if (!result.changed) {
+    markdown += '✅ 依赖的兼容性没有变化\n';
+    return markdown;
+  }
+
+  const totals = result.projects.reduce((sum, project) => ({
+    added: sum.added + project.incompatible.added.length,
+    resolved: sum.resolved + project.incompatible.resolved.length,
+    risks: sum.risks + project.upgradeRisks.added.length
+  }), { added: 0, resolved: 0, risks: 0 });
+  markdown += `| 新增不兼容 | 已解决不兼容 | 新增升级风险 |\n`;
+  markdown += `| --- | --- | --- |\n`;
+  markdown += `| ${totals.added} | ${totals.resolved} | ${totals.risks} |\n\n`;
+
+  for (const project of result.projects) {
+    const heading = project.name === null ? '###' : '####';
+    if (project.name !== null) {
+      const status = PROJECT_STATUS_LABELS[project.status];
+      markdown += `### 📦 ${project.name}${status ? `（${status}）` : ''}\n\n`;
+    }
+
+    const { incompatible, versions, upgradeRisks } = project;
+    if (incompatible.added.length > 0) {
+      markdown += `${heading} ❌ 新增的不兼容依赖\n\n`;
+      incompatible.added.forEach(item => {
+        markdown += `- **${formatPair(item)}**: ${item.message}\n`;
+      });
+      markdown += '\n';
+    }
+    if (incompatible.resolved.length > 0) {
+      markdown += `${heading} ✅ 已解决的不兼容依赖\n\n`;
+      incompatible.resolved.forEach(item => {
+        markdown += `- ~~${formatPair(item)}~~: ${item.message}\n`;
+      });
+      markdown += '\n';
+    }
+    if (upgradeRisks.added.length > 0) {
+      markdown += `${heading} ⚠️ 新增的升级风险\n\n`;
+      upgradeRisks.added.forEach(item => {
+        markdown += `- **${item.name}**: ${item.current} → ${item.latest}\n`;
+        formatRiskReasons(item).forEach(reason => {
+          markdown += `  - ${reason}\n`;
+        });
+      });
+      markdown += '\n';
+    }
+    if (upgradeRisks.resolved.length > 0) {
+      markdown += `${heading} ✅ 已消除的升级风险\n\n`;
+      upgradeRisks.resolved.forEach(item => {
+        markdown += `- ${item.name}: ${item.current} → ${item.latest}\n`;
+      });
+      markdown += '\n';
+    }
+    if (versions.length > 0) {
+      markdown += `<details>\n<summary>🔄 版本变化（${versions.length}）</summary>\n\n`;
+      markdown += `| 依赖 | 变化 |\n| --- | --- |\n`;
+      versions.forEach(item => {
+        markdown += `| ${item.name} | ${formatVersionChange(item)} |\n`;
+      });
+      markdown += `\n</details>\n\n`;
+    }
+  }
+
+  return markdown;
+}
+
+/**
+ * 格式化不兼容的依赖对
+ * @param {Object} item - 不兼容的依赖对
+ * @returns {string} - 如 react@17.0.2 + react-dom@16.14.0
+ */
+function formatPair(item) {
+  return item.packages.map(pkg => `${pkg.name}@${pkg.version}`).join(' + ');
+}
+
+/**
+ * 格式化依赖版本的变化
+ * @param {Object} item - { from, to, change }
+ * @returns {string}
+ */
+function formatVersionChange(item) {
+  const label = VERSION_CHANGE_LABELS[item.change];
+  if (item.change === 'added') return `${label} ${item.to}`;
+  if (item.change === 'removed') return `${label}（原为 ${item.from}）`;
+  return `${item.from} → ${item.to}（${label}）`;
+}
+
+/**
+ * 升级风险的原因
+ * @param {Object} item - 升级分析
+ * @returns {Array<string>}
+ */
+function formatRiskReasons(item) {
+  const reasons = item.issues.map(issue => issue.message);
+  if (item.blocked) {
+    reasons.push(item.blocked.message);
+  }
+  return reasons;
+}
@@ -0,0 +1,224 @@
+import fs from 'fs/promises';
+import path from 'path';
+import semver from 'semver';
+import { isGitRevision } from './git.js';
+import { JSON_SCHEMA_VERSION } from './json-report.js';
+
+/**
+ * 判断比较的输入是什么：目录、保存的 JSON 报告，还是 git 版本
+ * @param {string|null} spec - 输入，未指定时为项目路径（当前工作区）
+ * @param {string} projectPath - 项目路径，git 版本从该路径所在的仓库中读取
+ * @returns {Promise<Object>} - { type: 'path' | 'json' | 'git', label, path, ref }
+ */
+export async function resolveDiffInput(spec, projectPath) {
+  if (!spec) {
+    return { type: 'path', label: '当前工作区', path: projectPath };
+  }
+
+  const resolved = path.resolve(spec);
+  let stats = null;
+  try {
+    stats = await fs.stat(resolved);
+  } catch (error) {
+    // 不是文件或目录，按 git 版本处理
+  }
+
+  if (stats && stats.isDirectory()) {
+    return { type: 'path', label: spec, path: resolved };
+  }
+  if (stats && stats.isFile()) {
+    return { type: 'json', label: path.basename(spec), path: resolved };
+  }
+  if (await isGitRevision(projectPath, spec)) {
+    return { type: 'git', label: spec, ref: spec };
+  }
+  throw new Error(`无法识别的比较对象: ${spec}，需要是项目目录、JSON 报告文件或 git 版本`);
+}
+
+/**
+ * 读取 upgrade-lens -f json 保存的报告
+ * @param {string} filePath - 文件路径
+ * @returns {Promise<Object>} - JSON 报告
+ */
+export async function readJsonReport(filePath) {
+  let report;
+  try {
+    report = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`读取 JSON 报告 ${filePath} 失败: ${error.message}`);
+  }
+  if (report.schemaVersion !== JSON_SCHEMA_VERSION) {
+    throw new Error(`${filePath} 不是受支持的 JSON 报告（schemaVersion 需要为 ${JSON_SCHEMA_VERSION}）`);
+  }
+  return report;
+}
+
+/**
+ * 比较两份 JSON 报告，只保留发生变化的内容
+ * 工作区项目按工作区名称逐个比较
+ * @param {Object} base - 基准报告
+ * @param {Object} head - 比较的报告
+ * @returns {Object} - { projects: [{ name, status, incompatible, versions, upgradeRisks }], changed }
+ */
+export function diffReports(base, head) {
+  const baseProjects = listProjects(base);
+  const headProjects = listProjects(head);
+  const names = [...new Set([...baseProjects.keys(), ...headProjects.keys()])];
+
+  const projects = names.map(name => {
+    const before = baseProjects.get(name);
+    const after = headProjects.get(name);
+    const status = !before ? 'added' : !after ? 'removed' : 'changed';
+    return { name, status, ...diffProject(before || EMPTY_PROJECT, after || EMPTY_PROJECT) };
+  }).filter(project =>
+    project.status !== 'changed' ||
+    project.incompatible.added.length + project.incompatible.resolved.length > 0 ||
+    project.versions.length > 0 ||
+    project.upgradeRisks.added.length + project.upgradeRisks.resolved.length > 0
+  );
+
+  return { projects, changed: projects.length > 0 };
+}
+
+// 工作区新增或删除时，另一边视为没有任何依赖
+const EMPTY_PROJECT = { incompatible: [], upgrades: [], compatible: [], currentVersions: {} };
+
+/**
+ * 列出报告中的项目，单个项目的名称为 null
+ * @param {Object} report - JSON 报告
+ * @returns {Map<string|null, Object>}
+ */
+function listProjects(report) {
+  if (report.workspaces) {
+    return new Map(report.workspaces.map(workspace => [workspace.name, workspace]));
+  }
+  return new Map([[null, report]]);
+}
+
+/**
+ * 比较单个项目的不兼容依赖对、依赖版本和升级风险
+ * @param {Object} base - 基准报告
+ * @param {Object} head - 比较的报告
+ * @returns {Object} - { incompatible: { added, resolved }, versions, upgradeRisks: { added, resolved } }
+ */
+function diffProject(base, head) {
+  const baseIncompatible = new Map(base.incompatible.map(item => [incompatibleKey(item), item]));
+  const headIncompatible = new Map(head.incompatible.map(item => [incompatibleKey(item), item]));
+
+  const baseRisks = new Set(base.upgrades.flatMap(listRiskKeys));
+  const headRisks = new Set(head.upgrades.flatMap(listRiskKeys));
+
+  return {
+    incompatible: {
+      added: [...headIncompatible].filter(([key]) => !baseIncompatible.has(key)).map(([, item]) => item),
+      resolved: [...baseIncompatible].filter(([key]) => !headIncompatible.has(key)).map(([, item]) => item)
+    },
+    versions: diffVersions(getCurrentVersions(base), getCurrentVersions(head)),
+    upgradeRisks: {
+      added: filterRisks(head.upgrades, key => !baseRisks.has(key)),
+      resolved: filterRisks(base.upgrades, key => !headRisks.has(key))
+    }
+  };
+}
+
+/**
+ * 不兼容依赖对的标识：同一对依赖之间同样的要求只要还未满足，版本变化也视为同一个问题
+ * @param {Object} item - 不兼容的依赖对
+ * @returns {string}
+ */
+function incompatibleKey(item) {
+  const names = item.packages.map(pkg => pkg.name).sort().join('+');
+  const detail = item.requirement
+    ? `${item.requirement.dependent}>${item.requirement.dependency}@${item.requirement.range}`
+    : item.type;
+  return `${names}:${detail}`;
+}
+
+/**
+ * 升级风险的标识：升级到同一个目标版本时与同一个依赖冲突（或被同样的 Node 版本要求阻止）视为同一个风险
+ * 同一个依赖的每个冲突单独比较，其中一个冲突消失时不会影响其余冲突
+ * @param {Object} item - 升级分析
+ * @param {Object|null} issue - 冲突，为 null 时表示被 Node 版本阻止
+ * @returns {string}
+ */
+function riskKey(item, issue) {
+  return `${item.name}@${item.latest}:${issue ? issue.with : `node:${item.blocked.engines}`}`;
+}
+
+/**
+ * 列出升级分析中每个风险的标识
+ * @param {Object} item - 升级分析
+ * @returns {Array<string>}
+ */
+function listRiskKeys(item) {
+  const keys = item.issues.map(issue => riskKey(item, issue));
+  if (item.blocked) {
+    keys.push(riskKey(item, null));
+  }
+  return keys;
+}
+
+/**
+ * 只保留满足条件的风险，没有剩余风险的依赖不会出现在结果中
+ * @param {Array<Object>} upgrades - 升级分析
+ * @param {Function} keep - (key) => boolean
+ * @returns {Array<Object>} - 结构与升级分析相同，issues 和 blocked 只包含保留的风险
+ */
+function filterRisks(upgrades, keep) {
+  return upgrades.map(item => ({
+    ...item,
+    issues: item.issues.filter(issue => keep(riskKey(item, issue))),
+    blocked: item.blocked && keep(riskKey(item, null)) ? item.blocked : null
+  })).filter(item => item.issues.length > 0 || item.blocked);
+}
+
+/**
+ * 获取报告中每个依赖的当前版本
+ * 较早的报告没有 currentVersions 字段，从升级分析和依赖对中收集
+ * @param {Object} report - JSON 报告
+ * @returns {Object} - { 包名: 版本 }
+ */
+function getCurrentVersions(report) {
+  if (report.currentVersions) {
+    return report.currentVersions;
+  }
+
+  const versions = {};
+  for (const item of [...report.compatible, ...report.incompatible]) {
+    item.packages.forEach(pkg => {
+      if (pkg.version) versions[pkg.name] = pkg.version;
+    });
+  }
+  report.upgrades.forEach(item => {
+    versions[item.name] = item.current;
+  });
+  return versions;
+}
+
+/**
+ * 比较两组依赖版本
+ * @param {Object} base - 基准版本
+ * @param {Object} head - 比较的版本
+ * @returns {Array<Object>} - [{ name, from, to, change }]，change 为 added、removed、upgrade 或 downgrade
+ */
+function diffVersions(base, head) {
+  const names = [...new Set([...Object.keys(base), ...Object.keys(head)])].sort();
+  const changes = [];
+
+  for (const name of names) {
+    const from = base[name] || null;
+    const to = head[name] || null;
+    if (from === to) continue;
+
+    let change;
+    if (!from) {
+      change = 'added';
+    } else if (!to) {
+      change = 'removed';
+    } else {
+      change = semver.valid(from) && semver.valid(to) && semver.lt(to, from) ? 'downgrade' : 'upgrade';
+    }
+    changes.push({ name, from, to, change });
+  }
+  return changes;
+}
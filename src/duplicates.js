@@ -0,0 +1,144 @@
+import semver from 'semver';
+import { isIgnored } from './config.js';
+import { getDefaultRegistryClient } from './registry.js';
+import { createReporter } from './progress.js';
+
+// 依赖树中只能存在一份的包：每份副本各自持有 context、hook 状态或模块级的注册表，
+// 两份副本之间的对象互相无法识别（如 Invalid hook call、instanceof 检查失败）
+export const SINGLETON_PACKAGES = [
+  'react',
+  'react-dom',
+  'react-native',
+  'preact',
+  'vue',
+  '@angular/core',
+  'svelte',
+  'solid-js',
+  'graphql',
+  'styled-components',
+  '@emotion/react',
+  'react-router',
+  'react-router-dom',
+  'react-redux',
+  'mobx',
+  '@apollo/client',
+  'yjs'
+];
+
+/**
+ * 查找锁文件中安装了多个版本的包
+ * 每个版本列出把它引入的依赖方，并给出能同时满足所有依赖方的版本（优先使用已经安装的版本）
+ * @param {Object} installed - listInstalledPackages 的结果 { 包名: { 版本: [{ name, version, range }] } }
+ * @param {Object} options - 选项
+ * @param {Object} options.registry - registry客户端，用于获取可选的版本和依赖方声明的版本范围
+ * @param {Object} options.config - 项目配置（忽略的包、额外的单例包）
+ * @param {Object} options.reporter - 进度报告器（见 createReporter），默认不输出
+ * @returns {Promise<Array<Object>>} - [{ name, singleton, versions: [{ version, dependents }], dedupeVersion, reason }]，单例包排在前面
+ */
+export async function findDuplicates(installed, options = {}) {
+  const { registry = getDefaultRegistryClient(), config = null, reporter = createReporter() } = options;
+  const singletons = new Set([...SINGLETON_PACKAGES, ...(config ? config.singletons : [])]);
+  const duplicated = Object.keys(installed)
+    .filter(name => Object.keys(installed[name]).length > 1 && !isIgnored(config, name))
+    .sort();
+  if (duplicated.length === 0) {
+    return [];
+  }
+
+  // pnpm 锁文件没有记录包的依赖范围，需要从依赖方的元数据中读取
+  const dependentNames = duplicated.flatMap(name =>
+    Object.values(installed[name]).flat()
+      .filter(dependent => dependent.version && !dependent.range)
+      .map(dependent => dependent.name)
+  );
+  const names = [...new Set([...duplicated, ...dependentNames])];
+  const progress = reporter.progress('duplicates', '获取重复依赖的信息', names.length);
+  const { packages } = await registry.getPackages(names, (name, error) => progress.tick(!error));
+  progress.stop();
+
+  return duplicated.map(name => {
+    const versions = Object.keys(installed[name]).sort(semver.compare).map(version => ({
+      version,
+      dependents: installed[name][version].map(dependent => ({
+        ...dependent,
+        range: dependent.range || getDeclaredRange(packages[dependent.name], dependent.version, name)
+      }))
+    }));
+    const singleton = singletons.has(name);
+    const list = versions.map(item => item.version).join('、');
+
+    return {
+      name,
+      singleton,
+      versions,
+      dedupeVersion: findDedupeVersion(packages[name], versions),
+      reason: singleton
+        ? `${name} 安装了 ${versions.length} 个版本（${list}），它在项目中只能存在一份，多份副本之间无法共享 hook、context 等状态`
+        : `${name} 安装了 ${versions.length} 个版本（${list}）`
+    };
+  }).sort((a, b) => Number(b.singleton) - Number(a.singleton) || a.name.localeCompare(b.name));
+}
+
+/**
+ * 描述如何把重复安装的版本合并为一个
+ * @param {Object} item - 重复安装的包
+ * @returns {string}
+ */
+export function describeDedupe(item) {
+  return item.dedupeVersion
+    ? `统一为 ${item.dedupeVersion} 可以满足所有依赖方`
+    : '没有能同时满足所有依赖方的版本，需要先升级或替换其中的依赖方';
+}
+
+/**
+ * 查找能同时满足所有依赖方版本范围的版本，优先选择已经安装的版本，其次是registry中的版本
+ * @param {Object} packageDetails - 包详细信息，获取失败时只考虑已经安装的版本
+ * @param {Array<Object>} versions - 安装的版本 [{ version, dependents }]
+ * @returns {string|null} - 版本，不存在时为 null
+ */
+function findDedupeVersion(packageDetails, versions) {
+  const ranges = versions
+    .flatMap(item => item.dependents.map(dependent => normalizeRange(dependent.range)))
+    .filter(Boolean);
+  const satisfiesAll = version => ranges.every(range => semver.satisfies(version, range));
+
+  const installed = versions.map(item => item.version).sort(semver.rcompare);
+  const published = Object.keys((packageDetails && packageDetails.versions) || {})
+    .filter(version => semver.valid(version))
+    .sort(semver.rcompare);
+
+  return installed.find(satisfiesAll) || published.find(satisfiesAll) || null;
+}
+
+/**
+ * 从依赖方某个版本的元数据中读取它对包声明的版本范围
+ * @param {Object} packageDetails - 依赖方的包详细信息
+ * @param {string} version - 依赖方的版本
+ * @param {string} name - 被依赖的包名
+ * @returns {string|null} - 版本范围
+ */
+function getDeclaredRange(packageDetails, version, name) {
+  const manifest = packageDetails && packageDetails.versions && packageDetails.versions[version];
+  if (!manifest) {
+    return null;
+  }
+  for (const field of ['dependencies', 'optionalDependencies', 'peerDependencies']) {
+    if (manifest[field] && manifest[field][name]) {
+      return manifest[field][name];
+    }
+  }
+  return null;
+}
+
+/**
+ * 把依赖声明转换为可比较的版本范围：npm:别名@范围 取范围部分，workspace:、git 地址等无法比较的返回 null
+ * @param {string|null} range - 依赖声明
+ * @returns {string|null} - 版本范围
+ */
+function normalizeRange(range) {
+  if (!range) {
+    return null;
+  }
+  const spec = range.startsWith('npm:') ? range.slice(range.lastIndexOf('@') + 1) : range;
+  return semver.validRange(spec) ? spec : null;
+}
@@ -0,0 +1,164 @@
+import fs from 'fs/promises';
+import path from 'path';
+import semver from 'semver';
+
+// 按优先级排列的 Node 版本文件，文件中指定的是实际部署使用的版本，优先于 engines 字段
+export const NODE_VERSION_FILES = ['.nvmrc', '.node-version'];
+
+// nvm 的 LTS 代号与主版本的对应关系
+const LTS_CODENAMES = {
+  argon: 4,
+  boron: 6,
+  carbon: 8,
+  dubnium: 10,
+  erbium: 12,
+  fermium: 14,
+  gallium: 16,
+  hydrogen: 18,
+  iron: 20,
+  jod: 22
+};
+
+/**
+ * 确定项目使用的 Node 版本
+ * 依次使用 --node 参数、.nvmrc、.node-version 和 package.json 的 engines.node
+ * @param {string} projectPath - 项目路径
+ * @param {Object} packageJson - 项目的 package.json
+ * @param {string} node - --node 指定的版本
+ * @returns {Promise<Object|null>} - { range, source }，无法确定时为 null
+ */
+export async function resolveNodeRuntime(projectPath, packageJson = {}, node = null) {
+  if (node) {
+    const range = parseNodeVersion(node);
+    if (!range) {
+      throw new Error(`无效的 Node 版本: ${node}`);
+    }
+    return { range, source: '--node' };
+  }
+
+  for (const file of NODE_VERSION_FILES) {
+    let content;
+    try {
+      content = await fs.readFile(path.join(projectPath, file), 'utf-8');
+    } catch (error) {
+      continue;
+    }
+
+    // lts/*、node 等需要联网才能解析的别名无法确定版本，继续尝试其他来源
+    const range = parseNodeVersion(content.split(/\r?\n/)[0]);
+    if (range) {
+      return { range, source: file };
+    }
+  }
+
+  const engines = packageJson.engines && packageJson.engines.node;
+  if (engines && semver.validRange(engines)) {
+    return { range: engines, source: 'package.json engines' };
+  }
+
+  return null;
+}
+
+/**
+ * 解析 .nvmrc 等文件中的 Node 版本
+ * 只写了主版本或次版本时（16、v16.20）转换为对应的版本区间，如 >=16.0.0 <17.0.0；lts/gallium 转换为对应主版本的区间
+ * @param {string} text - 版本文本
+ * @returns {string|null} - 版本范围
+ */
+function parseNodeVersion(text) {
+  const value = String(text).trim().replace(/^v(?=\d)/, '');
+  const codename = value.match(/^lts\/([a-z]+)$/i);
+  if (codename) {
+    const major = LTS_CODENAMES[codename[1].toLowerCase()];
+    return major ? toVersionInterval(major) : null;
+  }
+
+  const partial = value.match(/^(\d+)(?:\.(\d+))?$/);
+  if (partial) {
+    return toVersionInterval(Number(partial[1]), partial[2] === undefined ? null : Number(partial[2]));
+  }
+
+  return semver.validRange(value) ? value : null;
+}
+
+/**
+ * 生成主版本或次版本对应的版本区间
+ * @param {number} major - 主版本
+ * @param {number|null} minor - 次版本
+ * @returns {string} - 版本范围
+ */
+function toVersionInterval(major, minor = null) {
+  return minor === null
+    ? `>=${major}.0.0 <${major + 1}.0.0`
+    : `>=${major}.${minor}.0 <${major}.${minor + 1}.0`;
+}
+
+/**
+ * 判断包的某个版本对项目使用的 Node 版本的支持程度
+ * 项目使用的 Node 版本是一个范围时，范围内的每个版本都被支持为 full，只有部分版本被支持为 partial
+ * @param {Object} versionInfo - 包的版本信息
+ * @param {string} nodeRange - 项目使用的 Node 版本范围
+ * @returns {string} - full、partial 或 none；没有声明 engines.node 或无法解析时为 full
+ */
+export function getNodeSupport(versionInfo, nodeRange) {
+  const engines = getNodeEngines(versionInfo);
+  if (!engines || !nodeRange) {
+    return 'full';
+  }
+
+  try {
+    if (semver.subset(nodeRange, engines, { includePrerelease: true })) {
+      return 'full';
+    }
+    return semver.intersects(nodeRange, engines, { includePrerelease: true }) ? 'partial' : 'none';
+  } catch (error) {
+    return 'full';
+  }
+}
+
+/**
+ * 判断包的某个版本是否支持项目使用的 Node 版本
+ * 项目使用的 Node 版本是一个范围时，要求范围内的每个版本都被支持，只支持部分版本时不能作为升级目标或推荐版本
+ * @param {Object} versionInfo - 包的版本信息
+ * @param {string} nodeRange - 项目使用的 Node 版本范围
+ * @returns {boolean} - 没有声明 engines.node 或无法解析时视为支持
+ */
+export function supportsNode(versionInfo, nodeRange) {
+  return getNodeSupport(versionInfo, nodeRange) === 'full';
+}
+
+/**
+ * 获取包的版本声明的 engines.node
+ * @param {Object} versionInfo - 包的版本信息
+ * @returns {string|null} - 合法的版本范围
+ */
+export function getNodeEngines(versionInfo) {
+  const engines = versionInfo && versionInfo.engines;
+  // 一些旧包把 engines 写成了数组，无法判断
+  const range = engines && typeof engines === 'object' && !Array.isArray(engines) ? engines.node : null;
+  return typeof range === 'string' && semver.validRange(range) ? range : null;
+}
+
+/**
+ * 查找支持项目 Node 版本的最新版本
+ * @param {Object} packageDetails - 包详细信息
+ * @param {string} nodeRange - 项目使用的 Node 版本范围
+ * @param {Object} options - 查找选项
+ * @param {string} options.max - 不超过该版本
+ * @param {string} options.pin - 版本上限
+ * @returns {string|null} - 版本
+ */
+export function findNewestSupportedVersion(packageDetails, nodeRange, options = {}) {
+  const { max = null, pin = null } = options;
+  if (!packageDetails || !packageDetails.versions) {
+    return null;
+  }
+
+  const versions = Object.keys(packageDetails.versions)
+    .filter(version => semver.valid(version) && !semver.prerelease(version))
+    .filter(version => !max || semver.lte(version, max))
+    .filter(version => !pin || semver.satisfies(version, pin))
+    .sort(semver.rcompare);
+
+  return versions.find(version => supportsNode(packageDetails.versions[version], nodeRange)) || null;
+}
@@ -0,0 +1,236 @@
+import fs from 'fs/promises';
+import { describeAdvisoryFix } from './advisories.js';
+
+// 问题类别按严重程度从高到低排列，同时命中多个类别时使用最严重类别的退出码
+export const FAIL_ON_CATEGORIES = ['security', 'incompatible', 'upgrade-risk', 'unknown'];
+
+// 作为阈值的类别，--fail-on 指定的类别及更严重的类别都会导致失败；
+// security 不在其中，只有在 --fail-on 中明确指定时才会导致失败
+const THRESHOLD_CATEGORIES = ['incompatible', 'upgrade-risk', 'unknown'];
+
+// 每个类别对应的退出码，同时命中多个类别时使用最严重类别的退出码
+export const EXIT_CODES = {
+  ok: 0,
+  error: 1,
+  incompatible: 2,
+  'upgrade-risk': 3,
+  unknown: 4,
+  security: 5
+};
+
+const BASELINE_VERSION = 1;
+
+/**
+ * 从分析结果中收集所有问题
+ * 问题的 id 只包含包名和版本要求，不包含当前安装的版本，这样版本小幅变化时基线仍然有效
+ * @param {Object} results - 兼容性分析结果
+ * @returns {Array<Object>} - [{ id, category, type, severity, message }]
+ */
+export function collectFindings(results) {
+  // 工作区项目：汇总每个工作区的问题，id 以工作区名开头
+  if (results.workspaces) {
+    const findings = results.workspaces.flatMap(workspace =>
+      collectFindings(workspace.results).map(finding => ({
+        ...finding,
+        id: `${workspace.name}:${finding.id}`,
+        message: `[${workspace.name}] ${finding.message}`
+      }))
+    );
+    const severity = results.severity || {};
+    
+    // 版本范围不一致但有交集时只在报告中提示，互相冲突时才作为问题
+    results.versionDrift.filter(item => item.conflicting).forEach(item => {
+      findings.push({
+        id: `version-drift:${item.name}:${[...new Set(item.declarations.map(declaration => declaration.range))].sort().join('|')}`,
+        category: 'incompatible',
+        type: 'version-drift',
+        severity: severity['version-drift'] || 'warning',
+        message: item.reason
+      });
+    });
+    results.workspaceLinks.forEach(item => {
+      findings.push({
+        id: `workspace-link:${item.workspace}>${item.dependency}${item.peer ? `>${item.peer}` : ''}@${item.range}`,
+        category: 'incompatible',
+        type: 'workspace-link',
+        severity: severity['workspace-link'] || 'error',
+        message: item.reason
+      });
+    });
+    // 重复安装的版本只有单例包才作为问题，其余的只在报告中提示
+    (results.duplicates || []).filter(item => item.singleton).forEach(item => {
+      findings.push({
+        id: `duplicate:${item.name}`,
+        category: 'incompatible',
+        type: 'duplicate',
+        severity: severity.duplicate || 'error',
+        message: item.reason
+      });
+    });
+    return findings;
+  }
+  
+  const findings = [];
+  const severity = results.severity || {};
+  const add = (id, category, type, message) => findings.push({
+    id,
+    category,
+    type,
+    severity: severity[type] || 'error',
+    message
+  });
+
+  results.incompatible.forEach(item => {
+    const names = (item.packages || []).map(pkg => pkg.name).sort().join('+');
+    const detail = item.requirement
+      ? `${item.requirement.dependent}>${item.requirement.dependency}@${item.requirement.range}`
+      : item.type || 'unknown';
+    add(`incompatible:${names}:${detail}`, 'incompatible', 'incompatible', item.reason);
+  });
+
+  (results.deepConflicts || []).forEach(item => {
+    const type = item.type === 'missing-peer' ? 'missing-peer' : 'transitive-conflict';
+    add(`transitive:${item.path.join('>')}:${item.peer}@${item.requirement}`, 'incompatible', type, item.reason);
+  });
+
+  (results.peerViolations || []).forEach(item => {
+    add(`peer-range:${item.name}@${item.range}`, 'incompatible', 'peer-violation', item.reason);
+  });
+
+  (results.engineMismatches || []).forEach(item => {
+    add(`engines:${item.name}@${item.engines}`, 'incompatible', 'engine-mismatch', item.reason);
+    // 只支持项目部分 Node 版本的依赖只是警告，不会导致检查失败
+    if (item.partial) {
+      findings[findings.length - 1].severity = 'info';
+    }
+  });
+
+  (results.duplicates || []).filter(item => item.singleton).forEach(item => {
+    add(`duplicate:${item.name}`, 'incompatible', 'duplicate', item.reason);
+  });
+
+  (results.advisories || []).forEach(item => {
+    add(`advisory:${item.name}:${item.id}`, 'security', 'vulnerability', `${item.reason}（${describeAdvisoryFix(item)}）`);
+  });
+
+  (results.deprecations || []).forEach(item => {
+    add(`deprecated:${item.name}`, 'upgrade-risk', 'deprecated', item.reason);
+  });
+
+  Object.entries(results.upgradeAnalysis || {}).forEach(([name, info]) => {
+    if (info.blocked) {
+      add(`upgrade-blocked:${name}:node@${info.blocked.node}`, 'upgrade-risk', 'upgrade-risk', info.blocked.reason);
+    }
+    info.issues.forEach(issue => {
+      add(`upgrade-risk:${name}>${issue.with}`, 'upgrade-risk', 'upgrade-risk', `${name} → ${info.latestVersion}: ${issue.reason}`);
+    });
+  });
+
+  results.unknown.forEach(item => {
+    add(`unknown:${item.name}`, 'unknown', 'unknown', `${item.name}: ${item.reason}`);
+  });
+
+  if (results.auditError && !results.auditUnsupported) {
+    add('unknown:audit', 'unknown', 'unknown', results.auditError);
+  }
+
+  // 同一个问题只保留一次
+  const seen = new Set();
+  return findings.filter(finding => {
+    if (seen.has(finding.id)) {
+      return false;
+    }
+    seen.add(finding.id);
+    return true;
+  });
+}
+
+/**
+ * 读取基线文件
+ * @param {string} baselinePath - 基线文件路径
+ * @returns {Promise<Set<string>>} - 已接受问题的 id 集合，文件不存在时为空集合
+ */
+export async function readBaseline(baselinePath) {
+  let content;
+  try {
+    content = await fs.readFile(baselinePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return new Set();
+    }
+    throw new Error(`读取基线文件失败: ${error.message}`);
+  }
+
+  try {
+    const baseline = JSON.parse(content);
+    return new Set((baseline.findings || []).map(finding => finding.id));
+  } catch (error) {
+    throw new Error(`基线文件 ${baselinePath} 格式错误: ${error.message}`);
+  }
+}
+
+/**
+ * 将当前的问题写入基线文件
+ * @param {string} baselinePath - 基线文件路径
+ * @param {Array<Object>} findings - 问题列表
+ * @returns {Promise<void>}
+ */
+export async function writeBaseline(baselinePath, findings) {
+  const baseline = {
+    version: BASELINE_VERSION,
+    generatedAt: new Date().toISOString(),
+    findings: [...findings].sort((a, b) => a.id.localeCompare(b.id))
+  };
+  await fs.writeFile(baselinePath, `${JSON.stringify(baseline, null, 2)}\n`, 'utf-8');
+}
+
+/**
+ * 解析 --fail-on，得到会导致检查失败的类别
+ * @param {string|Array<string>} failOn - 逗号分隔的类别，如 incompatible,security
+ * @returns {Array<string>} - 会导致失败的类别，按严重程度从高到低排列
+ */
+export function parseFailOn(failOn) {
+  const categories = (Array.isArray(failOn) ? failOn : String(failOn).split(','))
+    .map(category => category.trim())
+    .filter(Boolean);
+  if (categories.length === 0) {
+    throw new Error(`请指定 --fail-on 类别，可选值为 ${FAIL_ON_CATEGORIES.join(', ')}`);
+  }
+  for (const category of categories) {
+    if (!FAIL_ON_CATEGORIES.includes(category)) {
+      throw new Error(`未知的 --fail-on 类别: ${category}，可选值为 ${FAIL_ON_CATEGORIES.join(', ')}`);
+    }
+  }
+
+  const thresholdIndex = Math.max(...categories.map(category => THRESHOLD_CATEGORIES.indexOf(category)));
+  return FAIL_ON_CATEGORIES.filter(category => (category === 'security'
+    ? categories.includes('security')
+    : THRESHOLD_CATEGORIES.indexOf(category) <= thresholdIndex));
+}
+
+/**
+ * 根据阈值和基线判断CI检查是否通过
+ * 严重程度配置为 info 的问题只会出现在报告中，不会导致检查失败
+ * @param {Array<Object>} findings - 问题列表
+ * @param {string|Array<string>} failOn - 失败阈值：incompatible、upgrade-risk、unknown，以及需要明确指定的 security，可以用逗号组合
+ * @param {Set<string>} baseline - 已接受问题的 id 集合
+ * @returns {Object} - { exitCode, failedCategories, newFindings, acceptedCount }
+ */
+export function evaluateGate(findings, failOn, baseline = new Set()) {
+  const failingCategories = parseFailOn(failOn);
+  const newFindings = findings.filter(finding =>
+    failingCategories.includes(finding.category) &&
+    finding.severity !== 'info' &&
+    !baseline.has(finding.id)
+  );
+  const failedCategories = failingCategories.filter(category =>
+    newFindings.some(finding => finding.category === category)
+  );
+
+  return {
+    exitCode: failedCategories.length > 0 ? EXIT_CODES[failedCategories[0]] : EXIT_CODES.ok,
+    failedCategories,
+    newFindings,
+    acceptedCount: findings.filter(finding => baseline.has(finding.id)).length
+  };
+}
@@ -0,0 +1,107 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { CONFIG_FILES } from './config.js';
+import { LOCKFILES } from './lockfile.js';
+import { NODE_VERSION_FILES } from './engines.js';
+
+// 分析某个 git 版本时需要从仓库中读取的文件（不存在的文件会被跳过）
+const PROJECT_FILES = [
+  'package.json',
+  '.npmrc',
+  'pnpm-workspace.yaml',
+  ...LOCKFILES.map(({ file }) => file),
+  ...NODE_VERSION_FILES,
+  ...CONFIG_FILES
+];
+
+// git show 输出的最大长度，大型锁文件可能有几十 MB
+const MAX_BUFFER = 256 * 1024 * 1024;
+
+/**
+ * 在目录中运行 git 命令
+ * @param {string} cwd - 工作目录
+ * @param {Array<string>} args - 参数
+ * @returns {Promise<string>} - 标准输出
+ */
+function git(cwd, args) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, maxBuffer: MAX_BUFFER, encoding: 'utf8' }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error((stderr || error.message).trim()));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+/**
+ * 判断是否为仓库中存在的 git 版本（分支、标签或提交）
+ * @param {string} cwd - 仓库中的目录
+ * @param {string} ref - 版本
+ * @returns {Promise<boolean>}
+ */
+export async function isGitRevision(cwd, ref) {
+  try {
+    await git(cwd, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 通过 git show 读取某个版本中的文件
+ * @param {string} cwd - 仓库中的目录，文件路径相对于该目录
+ * @param {string} ref - 版本
+ * @param {string} file - 文件路径
+ * @returns {Promise<string|null>} - 文件内容，该版本中不存在时为 null
+ */
+export async function readGitFile(cwd, ref, file) {
+  try {
+    return await git(cwd, ['show', `${ref}:./${file.split(path.sep).join('/')}`]);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 把某个 git 版本中分析所需的文件（package.json、锁文件、配置文件等）写入临时目录
+ * 工作区项目会同时读取所有子目录中的 package.json，不需要检出整个版本
+ * @param {string} projectPath - 项目路径（位于 git 仓库中）
+ * @param {string} ref - 版本
+ * @returns {Promise<string>} - 临时目录，使用完毕后由调用方删除
+ */
+export async function extractGitRevision(projectPath, ref) {
+  const packageJson = await readGitFile(projectPath, ref, 'package.json');
+  if (packageJson === null) {
+    throw new Error(`版本 ${ref} 中找不到 ${path.join(projectPath, 'package.json')}`);
+  }
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'upgrade-lens-'));
+  try {
+    const files = [...PROJECT_FILES];
+    const workspaceManifest = await readGitFile(projectPath, ref, 'pnpm-workspace.yaml');
+    if (workspaceManifest !== null || JSON.parse(packageJson).workspaces) {
+      const listed = await git(projectPath, ['ls-tree', '-r', '--name-only', ref]);
+      files.push(...listed.split('\n').filter(file =>
+        file.endsWith('/package.json') && !file.split('/').includes('node_modules')
+      ));
+    }
+
+    for (const file of files) {
+      const content = await readGitFile(projectPath, ref, file);
+      if (content === null) continue;
+
+      const target = path.join(dir, file);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, content, 'utf-8');
+    }
+    return dir;
+  } catch (error) {
+    await fs.rm(dir, { recursive: true, force: true });
+    throw error;
+  }
+}
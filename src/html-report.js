@@ -0,0 +1,501 @@
+import { toJsonReport } from './json-report.js';
+
+// 页面样式，所有资源都内联在报告中，不依赖网络
+const STYLES = `
+* { box-sizing: border-box; }
+body { margin: 0; font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", "PingFang SC", "Microsoft YaHei", sans-serif; color: #1f2328; background: #f6f8fa; }
+header { padding: 16px 24px; background: #24292f; color: #fff; }
+header h1 { margin: 0; font-size: 20px; }
+header .meta { color: #b6bec7; font-size: 12px; }
+main { padding: 16px 24px; }
+.summary { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 16px; }
+.summary .card { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 8px 12px; min-width: 110px; }
+.summary .card b { display: block; font-size: 20px; }
+.layout { display: grid; grid-template-columns: minmax(0, 2fr) minmax(280px, 1fr); gap: 16px; }
+.panel { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 12px; margin-bottom: 16px; }
+.panel h2 { margin: 0 0 8px; font-size: 16px; }
+.toolbar { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; margin-bottom: 8px; }
+.toolbar input[type=search] { flex: 1; min-width: 160px; padding: 4px 8px; border: 1px solid #d0d7de; border-radius: 6px; }
+.toolbar select { padding: 4px; border: 1px solid #d0d7de; border-radius: 6px; }
+#graph { width: 100%; height: 480px; border: 1px solid #eaeef2; border-radius: 6px; background: #fbfcfd; cursor: grab; }
+#graph line { stroke: #afb8c1; stroke-width: 1.5; }
+#graph line.conflict { stroke: #cf222e; stroke-width: 3; }
+#graph circle { stroke: #fff; stroke-width: 2; cursor: pointer; }
+#graph circle.selected { stroke: #0969da; stroke-width: 4; }
+#graph text { font-size: 11px; fill: #1f2328; pointer-events: none; }
+.legend { display: flex; flex-wrap: wrap; gap: 12px; font-size: 12px; color: #57606a; margin-top: 6px; }
+.legend i { display: inline-block; width: 10px; height: 10px; border-radius: 50%; margin-right: 4px; vertical-align: -1px; }
+table { width: 100%; border-collapse: collapse; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eaeef2; vertical-align: top; }
+th { background: #f6f8fa; font-weight: 600; }
+tbody tr { cursor: pointer; }
+tbody tr:hover { background: #f3f8ff; }
+.tag { display: inline-block; padding: 0 6px; border-radius: 10px; font-size: 12px; white-space: nowrap; }
+.tag.incompatible { background: #ffebe9; color: #cf222e; }
+.tag.unknown { background: #eaeef2; color: #57606a; }
+.tag.upgrade { background: #dafbe1; color: #1a7f37; }
+.tag.upgrade-risk { background: #fff8c5; color: #9a6700; }
+.empty { color: #57606a; }
+#details dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 12px; margin: 0 0 8px; }
+#details dt { color: #57606a; }
+#details dd { margin: 0; word-break: break-all; }
+#details h3 { margin: 12px 0 4px; font-size: 14px; }
+#details ul { margin: 0; padding-left: 18px; }
+a { color: #0969da; }
+@media (max-width: 900px) { .layout { grid-template-columns: 1fr; } }
+`;
+
+// 页面脚本：从内嵌的 JSON 报告渲染依赖图、表格和详情面板
+const SCRIPT = `
+(function () {
+  var report = JSON.parse(document.getElementById('report-data').textContent);
+  var COLORS = { conflict: '#cf222e', risk: '#bf8700', vulnerable: '#8250df', upgrade: '#1a7f37', ok: '#8c959f' };
+  var SECTION_LABELS = { incompatible: '不兼容', unknown: '无法确定', upgrade: '可以升级', 'upgrade-risk': '升级有风险' };
+  var current = null;
+  var selected = null;
+  var simulation = null;
+
+  function el(tag, attrs, children) {
+    var node = attrs && attrs.svg ? document.createElementNS('http://www.w3.org/2000/svg', tag) : document.createElement(tag);
+    Object.keys(attrs || {}).forEach(function (key) {
+      if (key === 'svg') return;
+      if (key === 'text') node.textContent = attrs[key];
+      else if (key === 'className') node.setAttribute('class', attrs[key]);
+      else if (key.indexOf('on') === 0) node.addEventListener(key.slice(2), attrs[key]);
+      else node.setAttribute(key, attrs[key]);
+    });
+    (children || []).forEach(function (child) {
+      node.appendChild(typeof child === 'string' ? document.createTextNode(child) : child);
+    });
+    return node;
+  }
+
+  // 汇总每个依赖的版本和状态，作为图的节点和详情面板的数据
+  function buildPackages(data) {
+    var packages = {};
+    function get(name) {
+      if (!packages[name]) {
+        packages[name] = { name: name, groups: [], current: null, latest: null, recommended: [], upgrade: null, issues: [], unknown: null, advisories: [], deprecation: null, constrained: false };
+      }
+      return packages[name];
+    }
+    function addPair(item) {
+      item.packages.forEach(function (pkg) {
+        var info = get(pkg.name);
+        info.constrained = item.packages.length > 1 || info.constrained;
+        if (pkg.version && !info.current) info.current = pkg.version;
+        pkg.groups.forEach(function (group) { if (info.groups.indexOf(group) === -1) info.groups.push(group); });
+      });
+    }
+    data.compatible.forEach(addPair);
+    data.incompatible.forEach(function (item) {
+      addPair(item);
+      item.packages.forEach(function (pkg) { get(pkg.name).issues.push(item.message); });
+    });
+    data.upgrades.forEach(function (item) {
+      var info = get(item.name);
+      info.upgrade = item;
+      info.current = item.current;
+      info.latest = item.latest;
+      if (item.groups.length > 0) info.groups = item.groups;
+    });
+    data.unknown.forEach(function (item) { get(item.name).unknown = item.message; });
+    (data.unconstrained || []).forEach(function (name) { get(name); });
+    Object.keys(data.recommendations || {}).forEach(function (name) {
+      data.recommendations[name].forEach(function (item) {
+        get(name).recommended.push(item.version + '（与 ' + item.with + ' 兼容）');
+      });
+    });
+    if (data.solution) {
+      data.solution.changes.forEach(function (change) {
+        get(change.name).recommended.unshift(change.to + '（统一推荐组合' + (change.downgrade ? '，降级' : '') + '）');
+      });
+    }
+    data.advisories.forEach(function (item) { get(item.name).advisories.push(item); });
+    data.deprecations.forEach(function (item) { get(item.name).deprecation = item; });
+
+    Object.keys(packages).forEach(function (name) {
+      var info = packages[name];
+      if (info.issues.length > 0 || info.unknown) info.status = 'conflict';
+      else if (info.advisories.length > 0) info.status = 'vulnerable';
+      else if (info.upgrade && !info.upgrade.canUpgrade) info.status = 'risk';
+      else if (info.upgrade && info.upgrade.latest !== info.upgrade.current) info.status = 'upgrade';
+      else info.status = 'ok';
+    });
+    return packages;
+  }
+
+  function buildEdges(data) {
+    var edges = {};
+    function add(item, conflict) {
+      if (item.packages.length < 2) return;
+      var key = item.packages.map(function (pkg) { return pkg.name; }).sort().join(' ');
+      var edge = edges[key] || (edges[key] = { source: item.packages[0].name, target: item.packages[1].name, conflict: false, messages: [] });
+      edge.conflict = edge.conflict || conflict;
+      if (item.message) edge.messages.push(item.message);
+    }
+    data.compatible.forEach(function (item) { add(item, false); });
+    data.incompatible.forEach(function (item) { add(item, true); });
+    return Object.keys(edges).map(function (key) { return edges[key]; });
+  }
+
+  function renderSummary(data) {
+    var container = document.getElementById('summary');
+    container.textContent = '';
+    [
+      ['不兼容', data.summary.incompatible],
+      ['无法确定', data.summary.unknown],
+      ['可以升级', data.summary.upgradable],
+      ['升级有风险', data.summary.upgradeRisks],
+      ['安全漏洞', data.summary.vulnerabilities],
+      ['已弃用', data.summary.deprecated],
+      ['没有约束', data.summary.unconstrained]
+    ].forEach(function (item) {
+      container.appendChild(el('div', { className: 'card' }, [el('b', { text: String(item[1]) }), item[0]]));
+    });
+  }
+
+  // 力导向布局：节点之间互相排斥，边把相连的节点拉近，所有节点受到指向中心的引力
+  function renderGraph(packages, edges) {
+    var svg = document.getElementById('graph');
+    var showAll = document.getElementById('show-unconstrained').checked;
+    if (simulation) cancelAnimationFrame(simulation);
+    svg.textContent = '';
+
+    var width = svg.clientWidth || 800;
+    var height = svg.clientHeight || 480;
+    var nodes = Object.keys(packages)
+      .filter(function (name) { return showAll || packages[name].constrained || packages[name].status === 'conflict'; })
+      .map(function (name, index, list) {
+        var angle = 2 * Math.PI * index / list.length;
+        return { name: name, x: width / 2 + Math.cos(angle) * width / 4, y: height / 2 + Math.sin(angle) * height / 4 };
+      });
+    var byName = {};
+    nodes.forEach(function (node) { byName[node.name] = node; });
+    var links = edges.filter(function (edge) { return byName[edge.source] && byName[edge.target]; });
+
+    if (nodes.length === 0) {
+      svg.appendChild(el('text', { svg: true, x: 16, y: 24, text: '没有存在约束的依赖' }));
+      return;
+    }
+
+    var lines = links.map(function (edge) {
+      var line = el('line', { svg: true, className: edge.conflict ? 'conflict' : '' }, [el('title', { svg: true, text: edge.messages.join('\\n') || edge.source + ' ↔ ' + edge.target })]);
+      svg.appendChild(line);
+      return line;
+    });
+    var dragging = null;
+    var circles = nodes.map(function (node) {
+      var info = packages[node.name];
+      var group = el('g', { svg: true });
+      var circle = el('circle', {
+        svg: true,
+        r: info.status === 'conflict' ? 9 : 7,
+        fill: COLORS[info.status],
+        'data-name': node.name,
+        onmousedown: function (event) { dragging = node; event.preventDefault(); },
+        onclick: function () { select(node.name); }
+      }, [el('title', { svg: true, text: node.name + (info.current ? '@' + info.current : '') })]);
+      var label = el('text', { svg: true, dx: 11, dy: 4, text: node.name });
+      group.appendChild(circle);
+      group.appendChild(label);
+      svg.appendChild(group);
+      node.circle = circle;
+      node.label = label;
+      return circle;
+    });
+    svg.onmousemove = function (event) {
+      if (!dragging) return;
+      var rect = svg.getBoundingClientRect();
+      dragging.x = event.clientX - rect.left;
+      dragging.y = event.clientY - rect.top;
+      draw();
+    };
+    svg.onmouseup = svg.onmouseleave = function () { dragging = null; };
+
+    function draw() {
+      links.forEach(function (edge, index) {
+        var source = byName[edge.source];
+        var target = byName[edge.target];
+        lines[index].setAttribute('x1', source.x);
+        lines[index].setAttribute('y1', source.y);
+        lines[index].setAttribute('x2', target.x);
+        lines[index].setAttribute('y2', target.y);
+      });
+      nodes.forEach(function (node) {
+        node.circle.setAttribute('cx', node.x);
+        node.circle.setAttribute('cy', node.y);
+        node.label.setAttribute('x', node.x);
+        node.label.setAttribute('y', node.y);
+      });
+      highlight();
+    }
+
+    // Fruchterman-Reingold：理想边长为 k，每一步的位移不超过逐渐降低的温度
+    var k = Math.sqrt(width * height / nodes.length) * 0.3;
+    var temperature = width / 10;
+    function step() {
+      nodes.forEach(function (node) { node.dx = 0; node.dy = 0; });
+      for (var i = 0; i < nodes.length; i++) {
+        for (var j = i + 1; j < nodes.length; j++) {
+          var dx = nodes[i].x - nodes[j].x || 0.01;
+          var dy = nodes[i].y - nodes[j].y || 0.01;
+          var distance = Math.sqrt(dx * dx + dy * dy);
+          var force = k * k / distance / distance;
+          nodes[i].dx += dx * force; nodes[i].dy += dy * force;
+          nodes[j].dx -= dx * force; nodes[j].dy -= dy * force;
+        }
+      }
+      links.forEach(function (edge) {
+        var source = byName[edge.source];
+        var target = byName[edge.target];
+        var dx = source.x - target.x;
+        var dy = source.y - target.y;
+        var distance = Math.sqrt(dx * dx + dy * dy) || 0.01;
+        var force = distance / k;
+        source.dx -= dx * force; source.dy -= dy * force;
+        target.dx += dx * force; target.dy += dy * force;
+      });
+      nodes.forEach(function (node) {
+        if (node === dragging) return;
+        node.dx += (width / 2 - node.x) * 0.3;
+        node.dy += (height / 2 - node.y) * 0.3;
+        var length = Math.sqrt(node.dx * node.dx + node.dy * node.dy) || 1;
+        var move = Math.min(length, temperature) / length;
+        node.x = Math.min(width - 10, Math.max(10, node.x + node.dx * move));
+        node.y = Math.min(height - 10, Math.max(10, node.y + node.dy * move));
+      });
+      draw();
+      temperature *= 0.97;
+      if (temperature > 0.5) simulation = requestAnimationFrame(step);
+    }
+    step();
+  }
+
+  function highlight() {
+    Array.prototype.forEach.call(document.querySelectorAll('#graph circle'), function (circle) {
+      circle.setAttribute('class', circle.getAttribute('data-name') === selected ? 'selected' : '');
+    });
+  }
+
+  function buildRows(data) {
+    var rows = [];
+    data.incompatible.forEach(function (item) {
+      rows.push({ section: 'incompatible', names: item.packages.map(function (pkg) { return pkg.name; }), message: item.message + (item.recommendation ? '（建议: ' + item.recommendation + '）' : '') });
+    });
+    data.unknown.forEach(function (item) {
+      rows.push({ section: 'unknown', names: [item.name], message: item.message });
+    });
+    data.upgrades.forEach(function (item) {
+      var message = item.current + ' → ' + item.latest;
+      if (item.blocked) message += '；' + item.blocked.message;
+      item.issues.forEach(function (issue) { message += '；' + issue.message; });
+      rows.push({ section: item.canUpgrade ? 'upgrade' : 'upgrade-risk', names: [item.name], message: message });
+    });
+    return rows;
+  }
+
+  function renderTable(rows) {
+    var query = document.getElementById('filter').value.trim().toLowerCase();
+    var section = document.getElementById('section').value;
+    var tbody = document.getElementById('rows');
+    tbody.textContent = '';
+    var visible = rows.filter(function (row) {
+      return (!section || row.section === section) &&
+        (!query || row.names.join(' ').toLowerCase().indexOf(query) !== -1 || row.message.toLowerCase().indexOf(query) !== -1);
+    });
+    visible.forEach(function (row) {
+      tbody.appendChild(el('tr', { onclick: function () { select(row.names[0]); } }, [
+        el('td', {}, [el('span', { className: 'tag ' + row.section, text: SECTION_LABELS[row.section] })]),
+        el('td', { text: row.names.join(' + ') }),
+        el('td', { text: row.message })
+      ]));
+    });
+    if (visible.length === 0) {
+      tbody.appendChild(el('tr', {}, [el('td', { colspan: 3, className: 'empty', text: '没有匹配的结果' })]));
+    }
+  }
+
+  function list(title, items) {
+    if (items.length === 0) return [];
+    return [el('h3', { text: title }), el('ul', {}, items.map(function (item) {
+      return el('li', {}, [item]);
+    }))];
+  }
+
+  function select(name) {
+    selected = name;
+    highlight();
+    var info = current.packages[name];
+    var container = document.getElementById('details');
+    container.textContent = '';
+    if (!info) {
+      container.appendChild(el('p', { className: 'empty', text: '点击图中的节点或表格中的行查看依赖详情' }));
+      return;
+    }
+    var upgrade = info.upgrade;
+    var updates = upgrade ? ['patch', 'minor', 'major'].filter(function (level) { return upgrade.updates[level]; })
+      .map(function (level) { return level + ' ' + upgrade.updates[level]; }).join('，') : '';
+    var fields = [
+      ['分组', info.groups.join(', ') || '-'],
+      ['当前版本', info.current || '-'],
+      ['目标版本', info.latest || '-'],
+      ['推荐版本', info.recommended.length > 0 ? info.recommended.join('；') : (upgrade && upgrade.canUpgrade ? upgrade.latest : '-')],
+      ['兼容的更新', updates || '-'],
+      ['状态', { conflict: '存在兼容性问题', vulnerable: '受安全公告影响', risk: '升级有风险', upgrade: '可以安全升级', ok: '没有问题' }[info.status]]
+    ];
+    var dl = el('dl');
+    fields.forEach(function (field) {
+      dl.appendChild(el('dt', { text: field[0] }));
+      dl.appendChild(el('dd', { text: field[1] }));
+    });
+    container.appendChild(el('h2', { text: name }));
+    container.appendChild(dl);
+
+    var problems = info.issues.slice();
+    if (info.unknown) problems.push(info.unknown);
+    if (upgrade && upgrade.blocked) problems.push(upgrade.blocked.message);
+    list('兼容性问题', problems).forEach(function (node) { container.appendChild(node); });
+    list('升级可能导致的问题', upgrade ? upgrade.issues.map(function (issue) { return issue.message; }) : [])
+      .forEach(function (node) { container.appendChild(node); });
+    list('安全公告', info.advisories.map(function (item) {
+      var text = '[' + item.severity + '] ' + item.title + (item.fixedIn ? '（' + item.fixedIn + ' 起已修复）' : '（暂无修复版本）');
+      return item.url ? el('a', { href: item.url, target: '_blank', rel: 'noopener', text: text }) : text;
+    })).forEach(function (node) { container.appendChild(node); });
+    if (info.deprecation) {
+      list('弃用', [info.deprecation.message || '该版本已被弃用']).forEach(function (node) { container.appendChild(node); });
+    }
+    if (upgrade && upgrade.changelog) {
+      var breaking = [];
+      upgrade.changelog.releases.forEach(function (release) {
+        release.breaking.forEach(function (item) { breaking.push(release.version + ': ' + item); });
+      });
+      list('不兼容变更', breaking).forEach(function (node) { container.appendChild(node); });
+    }
+  }
+
+  function show(data) {
+    current = { data: data, packages: buildPackages(data), edges: buildEdges(data), rows: buildRows(data) };
+    renderSummary(data);
+    renderGraph(current.packages, current.edges);
+    renderTable(current.rows);
+    select(null);
+  }
+
+  var title = report.project && report.project.name ? report.project.name : '项目';
+  document.getElementById('meta').textContent = title + ' · ' + (report.tool.name + ' ' + (report.tool.version || '')).trim() + ' · ' + report.generatedAt;
+  document.getElementById('filter').addEventListener('input', function () { renderTable(current.rows); });
+  document.getElementById('section').addEventListener('change', function () { renderTable(current.rows); });
+  document.getElementById('show-unconstrained').addEventListener('change', function () { renderGraph(current.packages, current.edges); });
+
+  var picker = document.getElementById('workspace');
+  if (report.workspaces) {
+    report.workspaces.forEach(function (workspace, index) {
+      picker.appendChild(el('option', { value: String(index), text: workspace.name + ' (' + workspace.path + ')' }));
+    });
+    picker.addEventListener('change', function () { show(report.workspaces[Number(picker.value)]); });
+    if (report.workspaces.length > 0) show(report.workspaces[0]);
+  } else {
+    picker.parentNode.parentNode.removeChild(picker.parentNode);
+    show(report);
+  }
+})();
+`;
+
+/**
+ * 将兼容性分析结果转换为可以离线查看的 HTML 报告
+ * 报告数据与 JSON 报告相同，内嵌在页面中，由页面脚本渲染依赖图、可过滤的结果表格和依赖详情
+ * @param {Object} results - 兼容性分析结果
+ * @param {Object} tool - 工具信息 { name, version }
+ * @returns {string} - HTML 内容
+ */
+export function toHtmlReport(results, tool = {}) {
+  const report = toJsonReport(results, tool);
+  const title = `UpgradeLens 依赖兼容性报告${report.project && report.project.name ? ` - ${report.project.name}` : ''}`;
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>🔍 ${escapeHtml(title)}</h1>
+  <div class="meta" id="meta"></div>
+</header>
+<main>
+  <div class="toolbar"><select id="workspace" aria-label="工作区"></select></div>
+  <div class="summary" id="summary"></div>
+  <div class="layout">
+    <div>
+      <section class="panel">
+        <h2>依赖关系图</h2>
+        <div class="toolbar">
+          <label><input type="checkbox" id="show-unconstrained"> 显示没有约束的依赖</label>
+        </div>
+        <svg id="graph" role="img" aria-label="依赖之间的 peer 约束"></svg>
+        <div class="legend">
+          <span><i style="background:#cf222e"></i>存在兼容性问题</span>
+          <span><i style="background:#8250df"></i>受安全公告影响</span>
+          <span><i style="background:#bf8700"></i>升级有风险</span>
+          <span><i style="background:#1a7f37"></i>可以安全升级</span>
+          <span><i style="background:#8c959f"></i>没有问题</span>
+          <span>红色的边表示不兼容的依赖对</span>
+        </div>
+      </section>
+      <section class="panel">
+        <h2>检查结果</h2>
+        <div class="toolbar">
+          <input type="search" id="filter" placeholder="按依赖名或说明过滤">
+          <select id="section" aria-label="分类">
+            <option value="">全部</option>
+            <option value="incompatible">不兼容</option>
+            <option value="unknown">无法确定</option>
+            <option value="upgrade">可以升级</option>
+            <option value="upgrade-risk">升级有风险</option>
+          </select>
+        </div>
+        <table>
+          <thead><tr><th>分类</th><th>依赖</th><th>说明</th></tr></thead>
+          <tbody id="rows"></tbody>
+        </table>
+      </section>
+    </div>
+    <aside class="panel" id="details"></aside>
+  </div>
+</main>
+<script type="application/json" id="report-data">${serializeForScript(report)}</script>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * 转义 HTML 特殊字符
+ * @param {string} text - 文本
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 将数据序列化为可以安全嵌入 <script> 标签的 JSON
+ * 包名和更新日志等内容来自registry，不能让其中的 </script> 提前结束标签
+ * @param {Object} data - 数据
+ * @returns {string}
+ */
+function serializeForScript(data) {
+  return JSON.stringify(data)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
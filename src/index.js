@@ -2,13 +2,24 @@
 
 import { Command } from 'commander';
 import chalk from 'chalk';
-import inquirer from 'inquirer';
-import { analyzeProject } from './analyzer.js';
-import { checkCompatibility } from './compatibility.js';
-import { generateReport } from './report.js';
+import { analyze, simulate, diff, init, DEFAULT_OPTIONS } from './api.js';
+import { analyzeProject, parseScope, collectDependencies } from './analyzer.js';
+import { generateReport, REPORT_FORMATS } from './report.js';
+import { createRegistryClient, createRegistryFromOptions } from './registry.js';
+import { createProgress, createReporter, createConsoleListener } from './progress.js';
+import { buildDependencyTree } from './tree.js';
+import { loadConfig, mergeOptions, getRuleSources, isPairIgnored } from './config.js';
+import { UPGRADE_LEVELS } from './targets.js';
+import { CHANGELOG_SOURCES } from './changelog.js';
+import { buildUpgradePlan, applyUpgradePlan, runPackageManager } from './apply.js';
+import { runUpgradeWizard } from './wizard.js';
+import { printDiffReport, generateDiffMarkdown } from './diff-report.js';
+import { writeInitPackageJson } from './init.js';
+import { loadRules, resolveRuleSource, readRuleFile, validateRules, BUILTIN_RULES_PATH } from './rules.js';
+import { collectFindings, readBaseline, writeBaseline, evaluateGate, FAIL_ON_CATEGORIES, EXIT_CODES } from './gate.js';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, resolve } from 'path';
+import { dirname, resolve, join, relative, sep } from 'path';
 
 // 获取当前文件的目录
 const __filename = fileURLToPath(import.meta.url);
@@ -20,64 +31,627 @@ const { version } = packageJson;
 
 const program = new Command();
 
-program
-  .name('upgrade-lens')
-  .description('前端项目依赖版本兼容性检测工具')
-  .version(version)
-  .option('-p, --path <path>', '指定项目路径', process.cwd())
-  .option('-d, --deep', '深度分析依赖关系', false)
-  .option('-i, --interactive', '交互式分析模式', false)
+// 默认的基线文件，提交到仓库后CI只会因为新增的问题失败
+const DEFAULT_BASELINE_FILE = '.upgrade-lens-baseline.json';
+
+// diff 命令支持的输出格式
+const DIFF_FORMATS = ['text', 'markdown', 'json'];
+
+// check、init 命令支持的输出格式
+const SIMPLE_FORMATS = ['text', 'json'];
+
+/**
+ * 添加分析项目依赖所需的公共选项
+ * @param {Command} command - 命令
+ * @returns {Command}
+ */
+function addAnalysisOptions(command) {
+  return command
+    .option('-p, --path <path>', '指定项目路径', process.cwd())
+    .option('-d, --deep', '深度分析依赖关系', false)
+    .option('-s, --scope <groups>', '要分析的依赖分组，逗号分隔: prod,dev,peer,optional', DEFAULT_OPTIONS.scope)
+    .option('--registry <url>', '覆盖 .npmrc 中的默认registry地址')
+    .option('--concurrency <n>', '同时请求registry的最大数量', DEFAULT_OPTIONS.concurrency)
+    .option('--timeout <ms>', '单个registry请求的超时时间（毫秒）', DEFAULT_OPTIONS.timeout)
+    .option('--offline', '离线模式，只使用缓存中的registry元数据', false)
+    .option('--cache-dir <dir>', '元数据缓存目录')
+    .option('--cache-ttl <minutes>', '缓存有效期（分钟），过期后通过ETag重新验证', DEFAULT_OPTIONS.cacheTtl)
+    .option('--no-cache', '不使用磁盘缓存')
+    .option('--rules <sources>', '额外的已知问题规则，逗号分隔的规则文件路径或npm规则包名')
+    .option('--no-workspaces', '不分析工作区，只分析项目路径下的 package.json')
+    .option('--node <version>', '项目使用的 Node 版本（默认读取 .nvmrc、.node-version 或 package.json 的 engines.node）')
+    .option('--target <target>', `升级目标: ${UPGRADE_LEVELS.join('|')}|latest|<dist-tag>`, DEFAULT_OPTIONS.target)
+    .option('--prerelease', '升级目标包含预发布版本', false)
+    .option('--no-audit', '不查询影响当前版本的安全公告')
+    .option('--advisory-url <url>', '覆盖批量安全公告接口的地址（默认为 registry 的 /-/npm/v1/security/advisories/bulk）');
+}
+
+/**
+ * 读取项目配置文件，并与命令行选项合并，命令行中显式指定的选项优先
+ * @param {Object} cliOptions - 命令行选项
+ * @param {Command} command - 命令
+ * @returns {Promise<Object>} - { config, options }
+ */
+async function loadOptions(cliOptions, command) {
+  try {
+    const config = await loadConfig(cliOptions.path);
+    const options = mergeOptions(cliOptions, config, key => command.getOptionValueSource(key));
+    return { config, options };
+  } catch (error) {
+    console.error(chalk.red('\n❌ 读取配置出错:'), error.message);
+    process.exit(EXIT_CODES.error);
+  }
+}
+
+/**
+ * 检查输出格式，不支持时退出
+ * @param {string} format - 输出格式
+ * @param {string[]} formats - 命令支持的格式
+ */
+function checkFormat(format, formats) {
+  if (!formats.includes(format)) {
+    console.error(chalk.red(`\n❌ 不支持的输出格式: ${format}，可选: ${formats.join('|')}`));
+    process.exit(EXIT_CODES.error);
+  }
+}
+
+/**
+ * 选择过程信息的输出函数
+ * JSON/SARIF/Markdown 等格式输出到标准输出时，过程信息写到标准错误，保证标准输出可以直接被解析
+ * @param {Object} options - 合并后的选项（format、output）
+ * @returns {Function} - console.log 或 console.error
+ */
+function selectLogger(options) {
+  return options.format !== 'text' && !options.output ? console.error : console.log;
+}
+
+/**
+ * 运行分析，过程信息输出到控制台
+ * @param {Object} options - 合并后的选项
+ * @param {Function} log - 过程信息的输出函数
+ * @returns {Promise<Object>} - 兼容性分析结果
+ */
+async function runAnalysis(options, log = console.log) {
+  return analyze({ ...options, onEvent: createConsoleListener(process.stderr, log) });
+}
+
+/**
+ * 输出模拟升级的结果
+ * @param {Object} result - simulate 的结果
+ */
+function printSimulation(result) {
+  console.log(chalk.blue('\n🔮 升级模拟'));
+  console.log(chalk.blue('=========='));
+  
+  console.log(chalk.yellow('\n🎯 升级目标:'));
+  result.targets.forEach(target => {
+    console.log(`  • ${target.name}: ${target.from ? `${target.from} → ${target.to}` : `新增 ${target.to}`}`);
+  });
+  
+  if (result.moves.length > 0) {
+    console.log(chalk.yellow(`\n🔗 需要一起变动的依赖: ${result.moves.length}`));
+    result.moves.forEach(move => {
+      const label = move.downgrade ? chalk.yellow(' (降级)') : '';
+      console.log(`  • ${move.name}: ${move.from} → ${move.to}${label}`);
+      const bound = move.downgrade ? '低于当前版本的最高版本' : '最低版本';
+      console.log(chalk.gray(`    ${move.reason}，${move.to} 是与 ${move.requiredBy} 兼容的${bound}`));
+    });
+  }
+  
+  if (result.blockers.length > 0) {
+    console.log(chalk.red(`\n⛔ 阻止这次升级的依赖: ${result.blockers.length}`));
+    result.blockers.forEach(blocker => {
+      console.log(chalk.red(`  • ${blocker.name}@${blocker.version}: ${blocker.reason}`));
+    });
+    console.log(chalk.red('\n❌ 无法完成这次升级，需要先替换或移除阻止升级的依赖'));
+  } else if (result.moves.length > 0) {
+    console.log(chalk.green(`\n✅ 可以升级，需要同时变动 ${result.moves.length} 个依赖`));
+  } else {
+    console.log(chalk.green('\n✅ 可以直接升级，不需要变动其他依赖'));
+  }
+}
+
+/**
+ * 输出为新项目选择的版本
+ * @param {Object} result - init 的结果
+ */
+function printInitResult(result) {
+  console.log(chalk.blue('\n🌱 新项目依赖'));
+  console.log(chalk.blue('============'));
+  
+  if (!result.satisfiable) {
+    if (result.conflicts.length > 0) {
+      console.log(chalk.red('\n❌ 不存在同时满足所有要求的版本组合，冲突的约束:'));
+      result.conflicts.forEach(conflict => console.log(chalk.red(`  • ${conflict.reason}`)));
+    } else {
+      console.log(chalk.red('\n❌ 搜索超出上限，没有找到同时满足所有要求的版本组合，请为部分依赖指定版本范围后重试'));
+    }
+    const ranged = result.packages.filter(pkg => pkg.range && pkg.range !== 'latest');
+    if (ranged.length > 0) {
+      console.log(chalk.gray(`  指定的版本: ${ranged.map(pkg => `${pkg.name}@${pkg.range}`).join('、')}`));
+    }
+    return;
+  }
+  
+  console.log(chalk.yellow('\n📦 选择的版本:'));
+  result.packages.forEach(pkg => {
+    const notes = [];
+    if (pkg.requiredBy) {
+      notes.push(`${pkg.requiredBy.join('、')} 的 peer 依赖`);
+    }
+    if (pkg.version !== pkg.newest) {
+      notes.push(`为了与其他依赖兼容，没有使用 ${pkg.newest}`);
+    }
+    console.log(`  • ${pkg.name}: ${pkg.version}${notes.length > 0 ? chalk.gray(` (${notes.join('；')})`) : ''}`);
+  });
+  
+  if (!result.exhaustive) {
+    console.log(chalk.yellow('\n⚠️ 搜索超出上限，这可能不是最新的版本组合'));
+  }
+  
+  console.log(chalk.green('\n📋 dependencies:'));
+  console.log(`"dependencies": ${JSON.stringify(result.dependencies, null, 2)}`);
+}
+
+/**
+ * 将推荐版本写回 package.json，并按需运行包管理器刷新锁文件
+ * 工作区项目会分别修改每个工作区的 package.json，最后在根目录运行一次包管理器
+ * 可以安全升级的依赖会与计划中的其他版本重新检查peer要求和已知问题规则
+ * @param {Object} results - 兼容性分析结果
+ * @param {Object} options - 合并后的选项
+ * @param {Object} config - 项目配置（忽略的依赖对、规则来源）
+ * @param {Function} log - 输出函数
+ * @returns {Promise<void>}
+ */
+async function applyRecommendations(results, options, config, log = console.log) {
+  const targets = results.workspaces
+    ? results.workspaces.map(workspace => ({ label: workspace.name, results: workspace.results }))
+    : [{ label: null, results }];
+  let needsInstall = false;
+  const registry = await createRegistryFromOptions(options);
+  const { rules } = await loadRules(options.path, getRuleSources(config, options.rules));
+  
+  log(chalk.blue(`\n🛠️ ${options.dryRun ? '将要应用' : '应用'}推荐版本`));
+  log(chalk.blue('=============='));
+  
+  for (const target of targets) {
+    if (target.label) {
+      log(chalk.magenta(`\n📦 ${target.label}`));
+    }
+    
+    // 分析时已经获取过这些包，启用缓存时直接从缓存读取
+    const { packages: dependencyDetails } = await registry.getPackages(Object.keys(target.results.currentVersions));
+    const { plan, skipped: conflicting } = buildUpgradePlan(target.results, {
+      upgrades: options.upgrades,
+      dependencyDetails,
+      ignorePair: (dep1, dep2) => isPairIgnored(config, dep1, dep2),
+      rules
+    });
+    if (target.results.solution && !target.results.solution.satisfiable) {
+      log(chalk.yellow('不存在同时满足所有peer要求和已知问题规则的版本组合，冲突需要手动处理'));
+    }
+    conflicting.forEach(item => {
+      log(chalk.gray(`  • 不升级 ${item.name} 到 ${item.to}: ${item.reason}`));
+    });
+    if (plan.length === 0) {
+      log(chalk.green('没有需要修改的依赖'));
+      continue;
+    }
+    
+    const packageJsonPath = target.results.project.packageJsonPath;
+    const { changes, skipped, diff, written } = await applyUpgradePlan(packageJsonPath, plan, {
+      dryRun: options.dryRun
+    });
+    
+    changes.forEach(change => {
+      log(chalk.green(`  • ${change.name} [${change.group}]: ${change.from} → ${change.to}`));
+    });
+    skipped.forEach(item => {
+      log(chalk.gray(`  • 跳过 ${item.name}: ${item.reason}`));
+    });
+    
+    if (options.dryRun) {
+      if (diff) {
+        log(`\n${diff.replace(/(a|b)\/package\.json/g, `$1/${relative(options.path, packageJsonPath).split(sep).join('/')}`)}`);
+      }
+      continue;
+    }
+    
+    if (written) {
+      log(chalk.green(`✅ 已更新 ${packageJsonPath}`));
+    }
+    needsInstall = needsInstall || written || skipped.some(item => item.lockfileOnly);
+  }
+  
+  if (options.install && !options.dryRun && needsInstall) {
+    const packageManager = results.lockfile ? results.lockfile.type : 'npm';
+    log(chalk.yellow(`\n📦 正在运行 ${packageManager} install 刷新锁文件...`));
+    await runPackageManager(options.path, packageManager);
+  }
+}
+
+addAnalysisOptions(
+  program
+    .name('upgrade-lens')
+    .description('前端项目依赖版本兼容性检测工具')
+    .version(version)
+    .enablePositionalOptions()
+)
+  .option('-i, --interactive', '交互式升级向导：逐个选择依赖的目标版本，查看冲突并制定升级计划', false)
   .option('-o, --output <file>', '输出报告到文件')
-  .action(async (options) => {
-    console.log(chalk.blue('==================================='));
-    console.log(chalk.blue('🔍 UpgradeLens - 依赖兼容性检测工具'));
-    console.log(chalk.blue('==================================='));
+  .option('-f, --format <format>', `报告格式: ${REPORT_FORMATS.join('|')}`, 'text')
+  .option('--ci', 'CI模式：禁用交互和颜色，发现问题时以非零退出码退出', false)
+  .option('--fail-on <categories>', `达到该类别时检查失败，逗号分隔: ${FAIL_ON_CATEGORIES.join('|')}（--ci 时默认为 incompatible，security 需要明确指定）`)
+  .option('--baseline <file>', `已接受问题的基线文件（默认: <项目路径>/${DEFAULT_BASELINE_FILE}）`)
+  .option('--update-baseline', '将当前所有问题写入基线文件', false)
+  .option('--fix', '分析完成后将推荐版本写回 package.json', false)
+  .option('--dry-run', '与 --fix 一起使用：只显示 package.json 的差异，不写入文件', false)
+  .option('--install', '与 --fix 一起使用：修改后运行包管理器刷新锁文件', false)
+  .option('--no-upgrades', '与 --fix 一起使用：只修复问题，不升级可以安全升级的依赖')
+  .option('--changelog', '获取主版本升级和有问题的升级的更新日志，提取其中的不兼容变更', false)
+  .option('--changelog-source <sources>', `更新日志来源，按顺序尝试: ${CHANGELOG_SOURCES.join(',')}`, DEFAULT_OPTIONS.changelogSource)
+  .option('--github-api <url>', 'GitHub API 地址（使用环境变量 GITHUB_TOKEN 认证）', DEFAULT_OPTIONS.githubApi)
+  .action(async (cliOptions, command) => {
+    const { config, options } = await loadOptions(cliOptions, command);
+    
+    if (options.ci) {
+      chalk.level = 0;
+      if (options.interactive) {
+        console.error('CI模式下不支持交互式分析，已忽略 --interactive');
+        options.interactive = false;
+      }
+    }
+    
+    checkFormat(options.format, REPORT_FORMATS);
+    const log = selectLogger(options);
+    
+    log(chalk.blue('==================================='));
+    log(chalk.blue('🔍 UpgradeLens - 依赖兼容性检测工具'));
+    log(chalk.blue('==================================='));
     
     try {
-      // 分析项目依赖
-      console.log(chalk.yellow('\n📦 正在分析项目依赖...'))
-      const projectInfo = await analyzeProject(options.path);
+      const compatibilityResults = await runAnalysis(options, log);
       
-      // 交互式模式
+      // 交互式模式：在分析结果的基础上制定升级计划，不生成报告
       if (options.interactive) {
-        const answers = await inquirer.prompt([
-          {
-            type: 'checkbox',
-            name: 'dependencies',
-            message: '选择要检查兼容性的依赖:',
-            choices: Object.keys(projectInfo.dependencies).map(dep => ({
-              name: `${dep} (${projectInfo.dependencies[dep]})`,
-              value: dep
-            }))
-          }
-        ]);
+        log(chalk.yellow('\n🧭 升级向导'));
+        await runUpgradeWizard(compatibilityResults, {
+          registry: await createRegistryFromOptions(options),
+          config,
+          rules: (await loadRules(options.path, getRuleSources(config, options.rules))).rules,
+          prerelease: options.prerelease,
+          path: options.path
+        });
+        return;
+      }
+      
+      // 生成报告
+      log(chalk.yellow('\n📊 正在生成兼容性报告...'))
+      await generateReport(compatibilityResults, {
+        output: options.output,
+        format: options.format,
+        tool: { name: packageJson.name, version }
+      });
+      
+      log(chalk.green('\n✅ 分析完成!'));
+      
+      if (options.fix) {
+        await applyRecommendations(compatibilityResults, options, config, log);
+      }
+      
+      // CI检查：根据阈值和基线决定退出码
+      const baselinePath = options.baseline || join(options.path, DEFAULT_BASELINE_FILE);
+      const findings = collectFindings(compatibilityResults);
+      
+      if (options.updateBaseline) {
+        await writeBaseline(baselinePath, findings);
+        log(chalk.green(`\n📌 已将 ${findings.length} 个问题写入基线文件: ${baselinePath}`));
+      } else if (options.ci || options.failOn) {
+        const gate = evaluateGate(findings, options.failOn || 'incompatible', await readBaseline(baselinePath));
         
-        if (answers.dependencies.length === 0) {
-          console.log(chalk.yellow('未选择任何依赖，分析已取消'));
-          return;
+        log(chalk.blue('\n🚦 CI 检查'));
+        log(chalk.blue('=========='));
+        if (gate.acceptedCount > 0) {
+          log(chalk.gray(`基线中已接受的问题: ${gate.acceptedCount}`));
         }
         
-        // 过滤选中的依赖
-        const filteredDeps = {};
-        answers.dependencies.forEach(dep => {
-          filteredDeps[dep] = projectInfo.dependencies[dep];
-        });
-        projectInfo.dependencies = filteredDeps;
+        if (gate.exitCode === EXIT_CODES.ok) {
+          log(chalk.green('未发现新的问题，检查通过'));
+        } else {
+          log(chalk.red(`发现 ${gate.newFindings.length} 个新的问题 (${gate.failedCategories.join(', ')})，退出码 ${gate.exitCode}`));
+          gate.newFindings.forEach(finding => {
+            log(chalk.red(`  • [${finding.category}] ${finding.message}`));
+          });
+        }
+        process.exitCode = gate.exitCode;
+      }
+    } catch (error) {
+      console.error(chalk.red('\n❌ 分析过程中出错:'), error.message);
+      process.exit(EXIT_CODES.error);
+    }
+  });
+
+// 应用推荐版本
+addAnalysisOptions(
+  program
+    .command('apply')
+    .description('分析项目依赖，并将推荐版本写回 package.json')
+)
+  .option('--dry-run', '只显示 package.json 的差异，不写入文件', false)
+  .option('--install', '修改后运行包管理器刷新锁文件', false)
+  .option('--no-upgrades', '只修复问题，不升级可以安全升级的依赖')
+  .action(async (cliOptions, command) => {
+    const { config, options } = await loadOptions(cliOptions, command);
+    
+    try {
+      const results = await runAnalysis(options);
+      await applyRecommendations(results, options, config);
+    } catch (error) {
+      console.error(chalk.red('\n❌ 应用推荐版本出错:'), error.message);
+      process.exit(EXIT_CODES.error);
+    }
+  });
+
+// 模拟升级
+addAnalysisOptions(
+  program
+    .command('check <targets...>')
+    .description('模拟把依赖升级到指定版本（如 react@18 next@14），列出需要一起升级的依赖和阻止升级的依赖')
+)
+  .option('-f, --format <format>', `输出格式: ${SIMPLE_FORMATS.join('|')}`, 'text')
+  .action(async (targets, cliOptions, command) => {
+    const { options } = await loadOptions(cliOptions, command);
+    checkFormat(options.format, SIMPLE_FORMATS);
+    const log = selectLogger(options);
+    
+    try {
+      const result = await simulate(targets, { ...options, onEvent: createConsoleListener(process.stderr, log) });
+      if (options.format === 'json') {
+        process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+      } else {
+        printSimulation(result);
+      }
+      if (result.blockers.length > 0) {
+        process.exitCode = EXIT_CODES.incompatible;
+      }
+    } catch (error) {
+      console.error(chalk.red('\n❌ 模拟升级出错:'), error.message);
+      process.exit(EXIT_CODES.error);
+    }
+  });
+
+// 为新项目选择版本
+addAnalysisOptions(
+  program
+    .command('init')
+    .description('为新项目选择一组相互兼容的最新版本（如 --with react,react-router,antd），输出 dependencies 或生成 package.json')
+)
+  .option('-w, --with <packages>', '依赖列表，逗号分隔，可以指定版本范围、具体版本或 dist-tag，如 react@18,react-router,antd')
+  .option('--write', '把依赖写入项目路径下的 package.json，不存在时生成新的 package.json', false)
+  .option('-E, --exact', '使用精确版本，而不是 ^版本', false)
+  .option('-f, --format <format>', `输出格式: ${SIMPLE_FORMATS.join('|')}`, 'text')
+  .action(async (cliOptions, command) => {
+    const { options } = await loadOptions(cliOptions, command);
+    checkFormat(options.format, SIMPLE_FORMATS);
+    const log = selectLogger(options);
+    
+    try {
+      const result = await init(options.with, { ...options, onEvent: createConsoleListener(process.stderr, log) });
+      if (options.format === 'json') {
+        process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+      } else {
+        printInitResult(result);
       }
       
-      // 检查兼容性
-      console.log(chalk.yellow('\n🔍 正在检查依赖兼容性...'))
-      const compatibilityResults = await checkCompatibility(projectInfo, options.deep);
+      if (!result.satisfiable) {
+        process.exitCode = EXIT_CODES.incompatible;
+      } else if (options.write) {
+        const written = await writeInitPackageJson(options.path, result.dependencies);
+        log(chalk.green(`\n✅ 已${written.created ? '生成' : '更新'} ${written.path}`));
+      }
+    } catch (error) {
+      console.error(chalk.red('\n❌ 选择版本出错:'), error.message);
+      process.exit(EXIT_CODES.error);
+    }
+  });
+
+// 比较两个版本
+addAnalysisOptions(
+  program
+    .command('diff <base> [head]')
+    .description('比较两个版本的依赖健康状况（项目目录、git 版本或 -f json 保存的报告），只列出发生变化的内容；省略 head 时与当前工作区比较')
+)
+  .option('-f, --format <format>', '输出格式: text|markdown|json', 'text')
+  .option('-o, --output <file>', '输出到文件')
+  .action(async (base, head, cliOptions, command) => {
+    const { options } = await loadOptions(cliOptions, command);
+    checkFormat(options.format, DIFF_FORMATS);
+    const log = selectLogger(options);
+    
+    try {
+      const result = await diff(base, head || null, { ...options, onEvent: createConsoleListener(process.stderr, log) });
+      if (options.format === 'text') {
+        printDiffReport(result);
+      } else {
+        const content = options.format === 'json'
+          ? `${JSON.stringify(result, null, 2)}\n`
+          : generateDiffMarkdown(result);
+        if (options.output) {
+          await fs.promises.writeFile(options.output, content, 'utf-8');
+          log(chalk.green(`\n📄 比较结果已保存到: ${options.output}`));
+        } else {
+          process.stdout.write(content);
+        }
+      }
+      if (result.projects.some(project => project.incompatible.added.length > 0)) {
+        process.exitCode = EXIT_CODES.incompatible;
+      }
+    } catch (error) {
+      console.error(chalk.red('\n❌ 比较出错:'), error.message);
+      process.exit(EXIT_CODES.error);
+    }
+  });
+
+// 缓存管理
+const cacheCommand = program
+  .command('cache')
+  .description('管理registry元数据缓存');
+
+cacheCommand
+  .command('prime [packages...]')
+  .description('预先下载项目依赖（或指定包）的元数据到缓存，便于离线使用')
+  .option('-p, --path <path>', '指定项目路径', process.cwd())
+  .option('-s, --scope <groups>', '要缓存的依赖分组，逗号分隔: prod,dev,peer,optional', 'prod,dev,peer,optional')
+  .option('-d, --deep', '同时缓存传递依赖树中的所有包', false)
+  .option('--registry <url>', '覆盖 .npmrc 中的默认registry地址')
+  .option('--concurrency <n>', '同时请求registry的最大数量', DEFAULT_OPTIONS.concurrency)
+  .option('--cache-dir <dir>', '元数据缓存目录')
+  .action(async (packages, options) => {
+    try {
+      // ttl 为 0 时每个条目都会通过 ETag 重新验证，保证缓存是最新的
+      const registry = await createRegistryFromOptions({ ...options, cacheTtl: 0 });
       
-      // 生成报告
-      console.log(chalk.yellow('\n📊 正在生成兼容性报告...'))
-      await generateReport(compatibilityResults, options.output);
+      if (packages.length > 0) {
+        console.log(chalk.yellow(`\n📦 正在缓存 ${packages.length} 个包的元数据...`));
+        const progress = createProgress('缓存元数据', packages.length);
+        const { errors } = await registry.getPackages(packages, (name, error) => progress.tick(!error));
+        progress.stop();
+        Object.values(errors).forEach(error => console.error(chalk.red(error.message)));
+      } else {
+        const scope = parseScope(options.scope);
+        console.log(chalk.yellow('\n📦 正在缓存项目依赖的元数据...'));
+        const reporter = createReporter(createConsoleListener());
+        const projectInfo = await analyzeProject(options.path, { scope, registry, reporter });
+        
+        if (options.deep) {
+          console.log(chalk.blue('正在缓存传递依赖树...'));
+          const rootDependencies = {};
+          for (const dep of Object.keys(collectDependencies(projectInfo, scope))) {
+            const installed = projectInfo.installedVersions[dep];
+            if (installed && installed.version) {
+              rootDependencies[dep] = installed.version;
+            }
+          }
+          await buildDependencyTree(rootDependencies, projectInfo.name || 'app', {}, registry.getPackageInfo, reporter);
+        }
+      }
       
-      console.log(chalk.green('\n✅ 分析完成!'));
+      const stats = await registry.cache.stats();
+      console.log(chalk.green(`✅ 缓存完成，共 ${stats.entries} 个包，位于 ${stats.dir}`));
     } catch (error) {
-      console.error(chalk.red('\n❌ 分析过程中出错:'), error.message);
+      console.error(chalk.red('\n❌ 缓存过程中出错:'), error.message);
       process.exit(1);
     }
   });
 
+cacheCommand
+  .command('clear')
+  .description('清空元数据缓存')
+  .option('--cache-dir <dir>', '元数据缓存目录')
+  .action(async (options) => {
+    const registry = createRegistryClient({ cacheDir: options.cacheDir });
+    const count = await registry.cache.clear();
+    console.log(chalk.green(`✅ 已清除 ${count} 个缓存条目 (${registry.cache.dir})`));
+  });
+
+cacheCommand
+  .command('stats')
+  .description('查看元数据缓存统计信息')
+  .option('--cache-dir <dir>', '元数据缓存目录')
+  .option('--cache-ttl <minutes>', '缓存有效期（分钟）', DEFAULT_OPTIONS.cacheTtl)
+  .action(async (options) => {
+    const registry = createRegistryClient({ cacheDir: options.cacheDir, cacheTtl: options.cacheTtl });
+    const stats = await registry.cache.stats();
+    const formatTime = time => (time ? new Date(time).toLocaleString() : '-');
+    
+    console.log(chalk.blue('\n📦 元数据缓存'));
+    console.log(chalk.blue('=============='));
+    console.log(`  目录:     ${stats.dir}`);
+    console.log(`  条目数:   ${stats.entries}`);
+    console.log(`  已过期:   ${stats.stale}`);
+    console.log(`  总大小:   ${(stats.size / 1024 / 1024).toFixed(2)} MB`);
+    console.log(`  最早缓存: ${formatTime(stats.oldest)}`);
+    console.log(`  最近缓存: ${formatTime(stats.newest)}`);
+  });
+
+// 已知兼容性问题规则
+const rulesCommand = program
+  .command('rules')
+  .description('管理已知兼容性问题规则');
+
+rulesCommand
+  .command('list')
+  .description('列出当前生效的规则（内置规则、配置文件和 --rules 中的规则）')
+  .option('-p, --path <path>', '指定项目路径', process.cwd())
+  .option('--rules <sources>', '额外的规则文件路径或npm规则包名，逗号分隔')
+  .action(async (options) => {
+    try {
+      const config = await loadConfig(options.path);
+      const { rules, sources } = await loadRules(options.path, getRuleSources(config, options.rules));
+      
+      console.log(chalk.blue(`\n📚 已知兼容性问题规则: ${rules.length}`));
+      console.log(chalk.blue('=========================='));
+      for (const { source, path, count } of sources) {
+        console.log(chalk.gray(`来源 ${source === 'builtin' ? '内置' : source}: ${count} 条 (${path})`));
+      }
+      
+      rules.forEach(rule => {
+        console.log(chalk.green(`\n  • ${rule.id}`) + chalk.gray(` [${rule.source === 'builtin' ? '内置' : rule.source}]`));
+        console.log(`    包: ${rule.packages.join(' + ')}`);
+        if (rule.when) {
+          console.log(`    条件: ${Object.entries(rule.when).map(([name, range]) => `${name}@${range}`).join(' 且 ')}`);
+        }
+        if (rule.requireSame) {
+          console.log(`    版本需一致到: ${rule.requireSame}`);
+        }
+        console.log(`    原因: ${rule.reason}`);
+        if (rule.url) {
+          console.log(chalk.gray(`    参考: ${rule.url}`));
+        }
+      });
+    } catch (error) {
+      console.error(chalk.red('\n❌ 加载规则出错:'), error.message);
+      process.exit(1);
+    }
+  });
+
+rulesCommand
+  .command('validate [files...]')
+  .description('校验规则文件，未指定文件时校验内置规则和项目配置中的规则')
+  .option('-p, --path <path>', '指定项目路径', process.cwd())
+  .action(async (files, options) => {
+    let failed = false;
+    
+    try {
+      const sources = files.length > 0 ? files : getRuleSources(await loadConfig(options.path));
+      const filePaths = files.length > 0 ? [] : [BUILTIN_RULES_PATH];
+      for (const source of sources) {
+        filePaths.push(await resolveRuleSource(files.length > 0 ? process.cwd() : options.path, source));
+      }
+      
+      for (const filePath of filePaths) {
+        try {
+          const errors = validateRules(await readRuleFile(filePath));
+          if (errors.length === 0) {
+            console.log(chalk.green(`✅ ${filePath}`));
+          } else {
+            failed = true;
+            console.log(chalk.red(`❌ ${filePath}`));
+            errors.forEach(error => console.log(chalk.red(`  • ${error}`)));
+          }
+        } catch (error) {
+          failed = true;
+          console.log(chalk.red(`❌ ${error.message}`));
+        }
+      }
+    } catch (error) {
+      console.error(chalk.red('\n❌ 校验规则出错:'), error.message);
+      process.exit(1);
+    }
+    
+    if (failed) {
+      process.exitCode = 1;
+    }
+  });
+
 program.parse();
\ No newline at end of file
@@ -0,0 +1,274 @@
+import fs from 'fs/promises';
+import path from 'path';
+import semver from 'semver';
+import { parseTargetSpec } from './simulate.js';
+import { solveVersions } from './solver.js';
+import { supportsNode } from './engines.js';
+import { getPin, isIgnored, isPairIgnored } from './config.js';
+import { setJsonMembers } from './json-edit.js';
+import { getDefaultRegistryClient } from './registry.js';
+import { createReporter } from './progress.js';
+
+/**
+ * 解析 --with 参数中的依赖列表
+ * @param {string|Array<string>} specs - 逗号分隔的依赖，或依赖数组，如 react@18,react-router,antd
+ * @returns {Array<Object>} - [{ name, range }]，未指定版本时 range 为 latest
+ */
+export function parseInitSpecs(specs) {
+  const items = (Array.isArray(specs) ? specs : [specs || ''])
+    .flatMap(spec => spec.split(','))
+    .map(spec => spec.trim())
+    .filter(Boolean);
+
+  const targets = [];
+  for (const target of items.map(parseTargetSpec)) {
+    if (targets.some(item => item.name === target.name)) {
+      throw new Error(`依赖 ${target.name} 重复指定`);
+    }
+    targets.push(target);
+  }
+  return targets;
+}
+
+/**
+ * 为新项目选择一组相互兼容的版本
+ * 在每个依赖允许的版本中，求解满足彼此 peerDependencies 要求、且不命中已知问题规则的最新组合：
+ * 优先让尽可能多的依赖使用最新版本，其次让其余依赖尽量接近最新版本。
+ * 选中版本需要而列表中没有的 peer 依赖（可选的除外）会自动加入并一起求解
+ * @param {Array<Object>} targets - 依赖 [{ name, range }]，range 为 latest 时可以选择不高于 latest 的任意稳定版本
+ * @param {Object} options - 选项
+ * @param {Object} options.registry - registry客户端
+ * @param {Object} options.config - 项目配置（版本上限、忽略的包和依赖对）
+ * @param {Array<Object>} options.rules - 已知问题规则
+ * @param {string} options.nodeRange - 项目使用的 Node 版本范围，不支持该版本的版本会被排除
+ * @param {boolean} options.prerelease - 是否允许选择预发布版本
+ * @param {boolean} options.exact - dependencies 中使用精确版本，否则除明确指定的版本外使用 ^版本
+ * @param {Object} options.reporter - 进度报告器（见 createReporter），默认不输出
+ * @returns {Promise<Object>} - { satisfiable, exhaustive, packages, dependencies, conflicts }
+ */
+export async function selectVersions(targets, options = {}) {
+  const {
+    registry = getDefaultRegistryClient(),
+    config = null,
+    rules = [],
+    nodeRange = null,
+    prerelease = false,
+    exact = false,
+    reporter = createReporter()
+  } = options;
+
+  const requested = targets.map(target => ({ ...target, requiredBy: null }));
+  const details = {};
+  const allowed = {};
+  const fixed = new Set();
+  const unavailable = new Set();
+
+  // 每一轮求解后检查选中版本的 peer 依赖，有新的依赖加入时重新求解
+  for (;;) {
+    const pending = requested.filter(target => !details[target.name]);
+    const progress = reporter.progress('init', '获取依赖信息', pending.length);
+    const { packages, errors } = await registry.getPackages(pending.map(target => target.name), (name, error) => progress.tick(!error));
+    progress.stop();
+
+    for (const target of pending) {
+      if (errors[target.name]) {
+        if (!target.requiredBy) {
+          throw new Error(`无法获取 ${target.name} 的信息: ${errors[target.name].message}`);
+        }
+        // 自动加入的 peer 依赖获取失败时不参与求解，由使用者自行添加
+        reporter.warn(`无法获取 ${target.name} 的信息，未加入 dependencies: ${errors[target.name].message}`);
+        requested.splice(requested.indexOf(target), 1);
+        unavailable.add(target.name);
+        continue;
+      }
+      details[target.name] = packages[target.name];
+      const { versions, explicit } = findAllowedVersions(packages[target.name], target, {
+        pin: getPin(config, target.name),
+        nodeRange,
+        prerelease
+      });
+      allowed[target.name] = versions;
+      if (explicit) {
+        fixed.add(target.name);
+      }
+    }
+
+    const names = requested.map(target => target.name);
+    const currentVersions = Object.fromEntries(names.map(name => [name, allowed[name][0]]));
+    const restricted = Object.fromEntries(names.map(name => [name, {
+      ...details[name],
+      versions: Object.fromEntries(allowed[name].map(version => [version, details[name].versions[version]]))
+    }]));
+
+    const solution = solveVersions(currentVersions, restricted, {
+      ignorePair: (dep1, dep2) => isPairIgnored(config, dep1, dep2),
+      rules
+    });
+    if (!solution.satisfiable) {
+      return {
+        satisfiable: false,
+        exhaustive: solution.exhaustive,
+        packages: describePackages(requested, details, allowed, null),
+        dependencies: null,
+        conflicts: solution.conflicts
+      };
+    }
+
+    const missing = findMissingPeers(solution.versions, details, names)
+      .filter(peer => !unavailable.has(peer.name) && !isIgnored(config, peer.name));
+    if (missing.length > 0) {
+      missing.forEach(peer => requested.push({ name: peer.name, range: 'latest', requiredBy: peer.requiredBy }));
+      continue;
+    }
+
+    const dependencies = Object.fromEntries([...names]
+      .sort((a, b) => a.localeCompare(b))
+      .map(name => [name, exact || fixed.has(name) ? solution.versions[name] : `^${solution.versions[name]}`]));
+
+    return {
+      satisfiable: true,
+      exhaustive: solution.exhaustive,
+      packages: describePackages(requested, details, allowed, solution.versions),
+      dependencies,
+      conflicts: []
+    };
+  }
+}
+
+/**
+ * 把 dependencies 写入项目路径下的 package.json
+ * 已有 package.json 时合并到其中的 dependencies（只修改这些依赖，文件的其余内容保持不变），否则生成新的 package.json
+ * @param {string} projectPath - 项目路径，不存在时会被创建
+ * @param {Object} dependencies - { 包名: 版本范围 }
+ * @returns {Promise<Object>} - { path, created }
+ */
+export async function writeInitPackageJson(projectPath, dependencies) {
+  const packageJsonPath = path.join(projectPath, 'package.json');
+  let content = null;
+  try {
+    content = await fs.readFile(packageJsonPath, 'utf-8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  if (content === null) {
+    const packageJson = {
+      name: toPackageName(path.basename(path.resolve(projectPath))),
+      version: '0.1.0',
+      private: true,
+      dependencies
+    };
+    await fs.mkdir(projectPath, { recursive: true });
+    await fs.writeFile(packageJsonPath, `${JSON.stringify(packageJson, null, 2)}\n`, 'utf-8');
+    return { path: packageJsonPath, created: true };
+  }
+
+  let newContent;
+  try {
+    JSON.parse(content);
+    newContent = setJsonMembers(content, 'dependencies', dependencies);
+  } catch (error) {
+    throw new Error(`解析 ${packageJsonPath} 失败: ${error.message}`);
+  }
+  await fs.writeFile(packageJsonPath, newContent, 'utf-8');
+  return { path: packageJsonPath, created: false };
+}
+
+/**
+ * 依赖允许选择的版本
+ * 未指定版本（latest）时为不高于 latest 的版本；指定具体版本或 dist-tag 时只有这一个版本；
+ * 另外排除已弃用的版本、不支持项目 Node 版本的版本、超出配置中版本上限的版本，以及未要求时的预发布版本
+ * @param {Object} packageDetails - 包详细信息
+ * @param {Object} target - { name, range }
+ * @param {Object} options - { pin, nodeRange, prerelease }
+ * @returns {Object} - { versions, explicit }，versions 从新到旧排列，explicit 表示明确指定了具体版本或 dist-tag
+ */
+function findAllowedVersions(packageDetails, target, options) {
+  const { name, range } = target;
+  const { pin, nodeRange, prerelease } = options;
+  const distTags = packageDetails['dist-tags'] || {};
+  const manifests = packageDetails.versions || {};
+
+  let matches;
+  if (range === 'latest' && distTags.latest) {
+    matches = version => semver.lte(version, distTags.latest);
+  } else if (distTags[range] || semver.valid(range)) {
+    const version = distTags[range] || semver.valid(range);
+    if (!manifests[version]) {
+      throw new Error(`${name} 没有版本 ${range}`);
+    }
+    // 明确指定的版本不受其他条件限制
+    return { versions: [version], explicit: true };
+  } else if (semver.validRange(range)) {
+    matches = version => semver.satisfies(version, range, { includePrerelease: prerelease });
+  } else {
+    throw new Error(`${name} 没有名为 ${range} 的 dist-tag`);
+  }
+
+  const versions = Object.keys(manifests)
+    .filter(version => semver.valid(version) && matches(version))
+    .filter(version => prerelease || !semver.prerelease(version))
+    .filter(version => !pin || semver.satisfies(version, pin))
+    .sort(semver.rcompare);
+  const usable = versions.filter(version => !manifests[version].deprecated && supportsNode(manifests[version], nodeRange));
+
+  if (usable.length === 0) {
+    const reason = versions.length > 0 ? '，满足条件的版本都已弃用或不支持项目的 Node 版本' : '';
+    throw new Error(`${name} 没有满足 ${range === 'latest' ? '要求' : range}${pin ? ` 和版本上限 ${pin}` : ''} 的版本${reason}`);
+  }
+  return { versions: usable, explicit: false };
+}
+
+/**
+ * 查找选中版本需要、但还没有加入的 peer 依赖，peerDependenciesMeta 中标记为可选的除外
+ * @param {Object} versions - 选中的版本 { 包名: 版本 }
+ * @param {Object} details - 依赖详细信息
+ * @param {Array<string>} names - 已经加入的依赖
+ * @returns {Array<Object>} - [{ name, requiredBy: Array<string> }]
+ */
+function findMissingPeers(versions, details, names) {
+  const missing = {};
+
+  for (const name of names) {
+    const manifest = details[name].versions[versions[name]] || {};
+    const meta = manifest.peerDependenciesMeta || {};
+    for (const peer of Object.keys(manifest.peerDependencies || {})) {
+      if (names.includes(peer) || (meta[peer] && meta[peer].optional)) continue;
+      missing[peer] = missing[peer] || [];
+      missing[peer].push(name);
+    }
+  }
+
+  return Object.entries(missing).map(([name, requiredBy]) => ({ name, requiredBy }));
+}
+
+/**
+ * 生成每个依赖的选择结果
+ * @param {Array<Object>} requested - 依赖 [{ name, range, requiredBy }]
+ * @param {Object} details - 依赖详细信息
+ * @param {Object} allowed - 每个依赖允许的版本
+ * @param {Object|null} versions - 选中的版本，无解时为 null
+ * @returns {Array<Object>} - [{ name, range, version, newest, latest, requiredBy }]
+ */
+function describePackages(requested, details, allowed, versions) {
+  return requested.map(({ name, range, requiredBy }) => ({
+    name,
+    range: requiredBy ? null : range,
+    version: versions ? versions[name] : null,
+    newest: allowed[name][0],
+    latest: (details[name]['dist-tags'] || {}).latest || null,
+    requiredBy
+  }));
+}
+
+/**
+ * 把目录名转换为合法的包名
+ * @param {string} dirName - 目录名
+ * @returns {string}
+ */
+function toPackageName(dirName) {
+  const name = dirName.toLowerCase().replace(/[^a-z0-9._~-]+/g, '-').replace(/^[._-]+|-+$/g, '');
+  return name || 'my-app';
+}
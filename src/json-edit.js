@@ -0,0 +1,186 @@
+/**
+ * 在 JSON 文本中设置顶层对象中某个对象字段的成员，如 package.json 的 dependencies 中的若干依赖
+ * 直接修改原文本而不是重新序列化，文件中其余的内容（单行的对象、缩进、换行符等）保持不变。
+ * 已存在的成员只替换值；新的成员插入到第一个排在它后面的成员之前（没有时追加到末尾），
+ * 分隔符和缩进沿用相邻的成员；字段不存在时在顶层对象末尾新增
+ * @param {string} text - JSON 文本
+ * @param {string} field - 顶层字段名，如 dependencies
+ * @param {Object} entries - { 键: 字符串值 }
+ * @returns {string} - 修改后的文本
+ */
+export function setJsonMembers(text, field, entries) {
+  let result = text;
+
+  for (const [key, value] of Object.entries(entries)) {
+    const root = parseObject(result, findRootStart(result));
+    const target = root.members.find(member => member.key === field);
+
+    if (!target) {
+      result = insertMember(result, root, field, stringifyNested(result, root, { [key]: value }), { append: true });
+      continue;
+    }
+    if (result[target.valueStart] !== '{') {
+      throw new Error(`${field} 不是一个对象`);
+    }
+
+    const object = parseObject(result, target.valueStart);
+    const existing = object.members.find(member => member.key === key);
+    result = existing
+      ? result.slice(0, existing.valueStart) + JSON.stringify(value) + result.slice(existing.valueEnd)
+      : insertMember(result, object, key, JSON.stringify(value));
+  }
+
+  return result;
+}
+
+/**
+ * 检测文本使用的缩进和换行符
+ * @param {string} text - JSON 文本
+ * @returns {Object} - { indent, eol }
+ */
+export function detectFormat(text) {
+  const indentMatch = text.match(/^[ \t]+(?=")/m);
+  return {
+    indent: indentMatch ? indentMatch[0] : '  ',
+    eol: text.includes('\r\n') ? '\r\n' : '\n'
+  };
+}
+
+/**
+ * 在对象中插入成员
+ * @param {string} text - JSON 文本
+ * @param {Object} object - parseObject 的结果
+ * @param {string} key - 键
+ * @param {string} valueText - 已序列化的值
+ * @param {Object} options - { append }，append 为 true 时总是追加到末尾，否则按键名排序插入
+ * @returns {string}
+ */
+function insertMember(text, object, key, valueText, options = {}) {
+  const { members } = object;
+  const colon = members.length > 0 ? text.slice(members[0].keyEnd, members[0].valueStart) : ': ';
+  const member = `${JSON.stringify(key)}${colon}${valueText}`;
+
+  // 空对象：按所在行的缩进展开为多行
+  if (members.length === 0) {
+    const { indent, eol } = detectFormat(text);
+    const lineIndent = getLineIndent(text, object.start);
+    return `${text.slice(0, object.start + 1)}${eol}${lineIndent}${indent}${member}${eol}${lineIndent}}${text.slice(object.end)}`;
+  }
+
+  const index = options.append ? -1 : members.findIndex(item => item.key.localeCompare(key) > 0);
+  if (index === -1) {
+    const last = members[members.length - 1];
+    const separator = text.slice(last.separatorEnd, last.keyStart);
+    return `${text.slice(0, last.valueEnd)},${separator}${member}${text.slice(last.valueEnd)}`;
+  }
+
+  const anchor = members[index];
+  const separator = text.slice(anchor.separatorEnd, anchor.keyStart);
+  return `${text.slice(0, anchor.keyStart)}${member},${separator}${text.slice(anchor.keyStart)}`;
+}
+
+/**
+ * 把新增的对象字段序列化为与所在位置缩进一致的多行文本
+ * @param {string} text - JSON 文本
+ * @param {Object} root - 顶层对象
+ * @param {Object} value - 字段的值
+ * @returns {string}
+ */
+function stringifyNested(text, root, value) {
+  const { indent, eol } = detectFormat(text);
+  const memberIndent = root.members.length > 0 ? getLineIndent(text, root.members[0].keyStart) : indent;
+  return JSON.stringify(value, null, indent).split('\n').join(`${eol}${memberIndent}`);
+}
+
+/**
+ * 解析对象的成员位置，不展开嵌套的值
+ * @param {string} text - JSON 文本
+ * @param {number} start - 左花括号的位置
+ * @returns {Object} - { start, end, members: [{ key, keyStart, keyEnd, valueStart, valueEnd, separatorEnd }] }，end 为右花括号的位置
+ */
+function parseObject(text, start) {
+  const members = [];
+  let i = skipWhitespace(text, start + 1);
+  // 成员之前的分隔符（左花括号或逗号）之后的位置，插入成员时用来复制换行和缩进
+  let separatorEnd = start + 1;
+
+  while (text[i] !== '}') {
+    if (text[i] !== '"') {
+      throw new Error(`JSON 格式错误: 位置 ${i} 处应为字符串`);
+    }
+    const keyStart = i;
+    const keyEnd = scanString(text, i);
+    const key = JSON.parse(text.slice(keyStart, keyEnd));
+
+    i = skipWhitespace(text, keyEnd);
+    if (text[i] !== ':') {
+      throw new Error(`JSON 格式错误: 位置 ${i} 处应为冒号`);
+    }
+    const valueStart = skipWhitespace(text, i + 1);
+    const valueEnd = scanValue(text, valueStart);
+    members.push({ key, keyStart, keyEnd, valueStart, valueEnd, separatorEnd });
+
+    i = skipWhitespace(text, valueEnd);
+    if (text[i] === ',') {
+      separatorEnd = i + 1;
+      i = skipWhitespace(text, i + 1);
+    } else if (text[i] !== '}') {
+      throw new Error(`JSON 格式错误: 位置 ${i} 处应为逗号或右花括号`);
+    }
+  }
+
+  return { start, end: i + 1, members };
+}
+
+function findRootStart(text) {
+  const start = skipWhitespace(text, text.charCodeAt(0) === 0xFEFF ? 1 : 0);
+  if (text[start] !== '{') {
+    throw new Error('JSON 格式错误: 顶层不是对象');
+  }
+  return start;
+}
+
+function skipWhitespace(text, i) {
+  while (i < text.length && /\s/.test(text[i])) i++;
+  return i;
+}
+
+// 返回字符串结束引号之后的位置
+function scanString(text, i) {
+  for (let j = i + 1; j < text.length; j++) {
+    if (text[j] === '\\') {
+      j++;
+    } else if (text[j] === '"') {
+      return j + 1;
+    }
+  }
+  throw new Error('JSON 格式错误: 字符串没有结束');
+}
+
+// 返回值结束之后的位置，对象和数组整体跳过
+function scanValue(text, i) {
+  if (text[i] === '"') {
+    return scanString(text, i);
+  }
+  if (text[i] === '{' || text[i] === '[') {
+    let depth = 0;
+    for (let j = i; j < text.length; j++) {
+      if (text[j] === '"') {
+        j = scanString(text, j) - 1;
+      } else if (text[j] === '{' || text[j] === '[') {
+        depth++;
+      } else if ((text[j] === '}' || text[j] === ']') && --depth === 0) {
+        return j + 1;
+      }
+    }
+    throw new Error('JSON 格式错误: 对象或数组没有结束');
+  }
+  let j = i;
+  while (j < text.length && !/[\s,}\]]/.test(text[j])) j++;
+  return j;
+}
+
+function getLineIndent(text, position) {
+  const lineStart = text.lastIndexOf('\n', position - 1) + 1;
+  return text.slice(lineStart).match(/^[ \t]*/)[0];
+}
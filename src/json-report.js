@@ -0,0 +1,249 @@
+import { sortBySecurityPriority } from './advisories.js';
+
+// JSON报告的结构版本，字段发生不兼容的变化时递增
+export const JSON_SCHEMA_VERSION = 1;
+
+/**
+ * 将兼容性分析结果转换为结构化的JSON报告
+ * 字段说明见 README 中的「JSON 报告格式」
+ * @param {Object} results - 兼容性分析结果
+ * @param {Object} tool - 工具信息 { name, version }
+ * @returns {Object} - JSON报告
+ */
+export function toJsonReport(results, tool = {}) {
+  if (results.workspaces) {
+    return toWorkspacesJsonReport(results, tool);
+  }
+  
+  const {
+    compatible,
+    incompatible,
+    unconstrained,
+    unknown,
+    recommendations,
+    upgradeAnalysis,
+    deepConflicts,
+    peerViolations,
+    rangeFallbacks,
+    solution,
+    project,
+    scope,
+    config,
+    severity,
+    lockfile,
+    node,
+    engineMismatches,
+    deprecations,
+    advisories,
+    auditError,
+    target,
+    currentVersions,
+    duplicates
+  } = results;
+
+  // 带有安全修复的升级排在前面
+  const upgrades = sortBySecurityPriority(Object.entries(upgradeAnalysis || {})).map(([name, info]) => ({
+    name,
+    groups: info.groups || [],
+    current: info.currentVersion,
+    latest: info.latestVersion,
+    canUpgrade: info.canUpgrade,
+    blocked: info.blocked
+      ? { engines: info.blocked.engines, node: info.blocked.node, message: info.blocked.reason }
+      : null,
+    nodeSupportedVersion: info.nodeSupportedVersion || null,
+    updates: info.updates || { patch: null, minor: null, major: null },
+    changelog: info.changelog || null,
+    security: info.security || null,
+    issues: info.issues.map(issue => ({
+      with: issue.with,
+      requirement: issue.requirement || null,
+      message: issue.reason
+    }))
+  }));
+
+  return {
+    schemaVersion: JSON_SCHEMA_VERSION,
+    tool: {
+      name: tool.name || 'upgrade-lens',
+      version: tool.version || null
+    },
+    generatedAt: new Date().toISOString(),
+    project: project || null,
+    scope: scope || [],
+    config: config || null,
+    severity: severity || {},
+    lockfile: lockfile || null,
+    node: node || null,
+    target: target || null,
+    currentVersions: currentVersions || {},
+    summary: {
+      compatible: compatible.length,
+      incompatible: incompatible.length,
+      unconstrained: unconstrained ? unconstrained.length : 0,
+      unknown: unknown.length,
+      upgradable: upgrades.filter(item => item.canUpgrade).length,
+      upgradeRisks: upgrades.filter(item => !item.canUpgrade).length,
+      transitiveConflicts: deepConflicts ? deepConflicts.filter(item => item.type !== 'missing-peer').length : 0,
+      missingPeers: deepConflicts ? deepConflicts.filter(item => item.type === 'missing-peer').length : 0,
+      peerViolations: peerViolations ? peerViolations.length : 0,
+      engineMismatches: engineMismatches ? engineMismatches.length : 0,
+      deprecated: deprecations ? deprecations.length : 0,
+      vulnerabilities: advisories ? advisories.length : 0,
+      duplicates: duplicates ? duplicates.length : 0,
+      singletonDuplicates: duplicates ? duplicates.filter(item => item.singleton).length : 0
+    },
+    incompatible: incompatible.map(item => ({
+      type: item.type || 'unknown',
+      packages: withGroups(item),
+      requirement: item.requirement || null,
+      recommendation: item.recommendation || null,
+      rule: item.rule || null,
+      message: item.reason
+    })),
+    compatible: compatible.map(item => ({
+      packages: withGroups(item)
+    })),
+    unconstrained: unconstrained || [],
+    unknown: unknown.map(item => ({
+      name: item.name,
+      message: item.reason
+    })),
+    upgrades,
+    recommendations: recommendations || {},
+    solution: solution || null,
+    transitiveConflicts: (deepConflicts || []).map(item => ({
+      type: item.type,
+      path: item.path,
+      package: item.package,
+      version: item.version,
+      peer: item.peer,
+      requirement: item.requirement,
+      resolvedVersion: item.resolvedVersion,
+      message: item.reason
+    })),
+    peerViolations: (peerViolations || []).map(item => ({
+      name: item.name,
+      range: item.range,
+      version: item.version,
+      message: item.reason
+    })),
+    engineMismatches: (engineMismatches || []).map(item => ({
+      name: item.name,
+      version: item.version,
+      engines: item.engines,
+      partial: Boolean(item.partial),
+      message: item.reason
+    })),
+    deprecations: (deprecations || []).map(item => ({
+      name: item.name,
+      version: item.version,
+      message: item.message,
+      target: item.target || null,
+      fixedByTarget: Boolean(item.fixedByTarget)
+    })),
+    advisories: (advisories || []).map(item => ({
+      id: item.id,
+      name: item.name,
+      version: item.version,
+      title: item.title,
+      severity: item.severity,
+      url: item.url,
+      vulnerableVersions: item.vulnerableVersions,
+      fixedIn: item.fixedIn,
+      target: item.target || null,
+      fixedByTarget: Boolean(item.fixedByTarget)
+    })),
+    duplicates: formatDuplicates(duplicates),
+    auditError: auditError || null,
+    rangeFallbacks: rangeFallbacks || []
+  };
+}
+
+/**
+ * 生成工作区项目的JSON报告，每个工作区的字段与单个项目的报告相同
+ * @param {Object} results - 工作区分析结果
+ * @param {Object} tool - 工具信息
+ * @returns {Object} - JSON报告
+ */
+function toWorkspacesJsonReport(results, tool) {
+  const { project, monorepo, scope, config, severity, lockfile, versionDrift, workspaceLinks, duplicates } = results;
+  const workspaces = results.workspaces.map(workspace => {
+    const report = toJsonReport(workspace.results, tool);
+    delete report.schemaVersion;
+    delete report.tool;
+    delete report.generatedAt;
+    return { name: workspace.name, path: workspace.path, ...report };
+  });
+  
+  const summary = {
+    workspaces: workspaces.length,
+    versionDrift: versionDrift.length,
+    conflictingVersionDrift: versionDrift.filter(item => item.conflicting).length,
+    workspaceLinks: workspaceLinks.length,
+    duplicates: duplicates ? duplicates.length : 0,
+    singletonDuplicates: duplicates ? duplicates.filter(item => item.singleton).length : 0
+  };
+  for (const key of ['compatible', 'incompatible', 'unconstrained', 'unknown', 'upgradable', 'upgradeRisks', 'transitiveConflicts', 'missingPeers', 'peerViolations', 'engineMismatches', 'deprecated', 'vulnerabilities']) {
+    summary[key] = workspaces.reduce((total, workspace) => total + workspace.summary[key], 0);
+  }
+  
+  return {
+    schemaVersion: JSON_SCHEMA_VERSION,
+    tool: {
+      name: tool.name || 'upgrade-lens',
+      version: tool.version || null
+    },
+    generatedAt: new Date().toISOString(),
+    project: project || null,
+    monorepo,
+    scope: scope || [],
+    config: config || null,
+    severity: severity || {},
+    lockfile: lockfile || null,
+    summary,
+    workspaces,
+    versionDrift: versionDrift.map(item => ({
+      name: item.name,
+      conflicting: item.conflicting,
+      declarations: item.declarations,
+      message: item.reason
+    })),
+    workspaceLinks: workspaceLinks.map(item => ({
+      workspace: item.workspace,
+      dependency: item.dependency,
+      peer: item.peer,
+      range: item.range,
+      version: item.version,
+      message: item.reason
+    })),
+    duplicates: formatDuplicates(duplicates)
+  };
+}
+
+/**
+ * 为依赖对中的每个包附加所属分组
+ * @param {Object} item - 依赖对检查结果
+ * @returns {Array<Object>} - [{ name, version, groups }]
+ */
+function withGroups(item) {
+  return (item.packages || []).map(pkg => ({
+    ...pkg,
+    groups: item.groups ? item.groups[pkg.name] || [] : []
+  }));
+}
+
+/**
+ * 转换安装了多个版本的依赖
+ * @param {Array<Object>} duplicates - 重复安装的包
+ * @returns {Array<Object>} - [{ name, singleton, versions: [{ version, dependents }], dedupeVersion, message }]
+ */
+function formatDuplicates(duplicates) {
+  return (duplicates || []).map(item => ({
+    name: item.name,
+    singleton: item.singleton,
+    versions: item.versions,
+    dedupeVersion: item.dedupeVersion,
+    message: item.reason
+  }));
+}
@@ -0,0 +1,465 @@
+import fs from 'fs/promises';
+import path from 'path';
+import semver from 'semver';
+import { parseYaml } from './yaml.js';
+
+// 按优先级排列的锁文件
+export const LOCKFILES = [
+  { file: 'package-lock.json', type: 'npm' },
+  { file: 'npm-shrinkwrap.json', type: 'npm' },
+  { file: 'pnpm-lock.yaml', type: 'pnpm' },
+  { file: 'yarn.lock', type: 'yarn' }
+];
+
+/**
+ * 读取项目中的锁文件
+ * @param {string} projectPath - 项目路径
+ * @returns {Promise<Object|null>} - 锁文件信息 { type, path, data }，不存在时返回null
+ */
+export async function readLockfile(projectPath) {
+  for (const { file, type } of LOCKFILES) {
+    const lockfilePath = path.join(projectPath, file);
+    let content;
+
+    try {
+      content = await fs.readFile(lockfilePath, 'utf-8');
+    } catch (error) {
+      continue;
+    }
+
+    try {
+      let data;
+      if (type === 'npm') {
+        data = JSON.parse(content);
+      } else if (type === 'pnpm') {
+        data = parseYaml(content);
+      } else {
+        data = parseYarnLock(content);
+      }
+      return { type, path: lockfilePath, data };
+    } catch (error) {
+      throw new Error(`解析锁文件 ${file} 失败: ${error.message}`);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 从锁文件中获取直接依赖的实际安装版本
+ * 分析工作区中的包时，lockfile.importer 为该包相对于锁文件所在目录的路径（如 packages/app）
+ * @param {Object} lockfile - readLockfile 返回的锁文件信息
+ * @param {string} name - 包名
+ * @param {string} range - package.json 中声明的版本范围
+ * @returns {string|null} - 实际版本
+ */
+export function getLockedVersion(lockfile, name, range) {
+  if (!lockfile) {
+    return null;
+  }
+
+  const { type, data, importer = '.' } = lockfile;
+  let version = null;
+
+  if (type === 'npm') {
+    // lockfileVersion 2/3 使用 packages，1 使用 dependencies；工作区中的包优先使用自己目录下的版本
+    const nested = importer !== '.' && data.packages && data.packages[`${importer}/node_modules/${name}`];
+    const entry = nested || (data.packages && data.packages[`node_modules/${name}`]) ||
+      (data.dependencies && data.dependencies[name]);
+    version = entry ? entry.version : null;
+  } else if (type === 'pnpm') {
+    version = getPnpmVersion(data, name, importer);
+  } else {
+    version = getYarnVersion(data, name, range);
+  }
+
+  return semver.valid(version) ? version : null;
+}
+
+/**
+ * 从pnpm锁文件中获取直接依赖版本
+ * @param {Object} data - 解析后的 pnpm-lock.yaml
+ * @param {string} name - 包名
+ * @param {string} importerPath - 工作区中的包相对于锁文件的路径，根项目为 .
+ * @returns {string|null} - 版本
+ */
+function getPnpmVersion(data, name, importerPath = '.') {
+  // lockfile v6+ 的根项目位于 importers['.']，v5 直接位于顶层
+  const importer = (data.importers && data.importers[importerPath]) || data;
+  const groups = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+  for (const group of groups) {
+    const entry = importer[group] && importer[group][name];
+    if (!entry) {
+      continue;
+    }
+
+    const version = typeof entry === 'object' ? entry.version : entry;
+    if (typeof version !== 'string') {
+      continue;
+    }
+
+    // 去掉peer依赖后缀：v5 为 17.0.2_react@17.0.2，v6+ 为 17.0.2(react@17.0.2)
+    return version.split('(')[0].split('_')[0];
+  }
+
+  return null;
+}
+
+/**
+ * 从yarn锁文件中获取依赖版本
+ * @param {Object} data - parseYarnLock 的解析结果
+ * @param {string} name - 包名
+ * @param {string} range - 版本范围
+ * @returns {string|null} - 版本
+ */
+function getYarnVersion(data, name, range) {
+  const exact = data[`${name}@${range}`] || data[`${name}@npm:${range}`];
+  if (exact) {
+    return exact.version;
+  }
+
+  // 范围写法不一致时，如果该包只锁定了一个版本也可以确定
+  const versions = new Set(
+    Object.values(data)
+      .filter(entry => entry.name === name)
+      .map(entry => entry.version)
+  );
+
+  return versions.size === 1 ? [...versions][0] : null;
+}
+
+/**
+ * 解析yarn.lock（同时支持 yarn v1 和 yarn berry 格式）
+ * @param {string} content - 锁文件内容
+ * @returns {Object} - { 'name@range': { name, version, dependencies } }
+ */
+export function parseYarnLock(content) {
+  const entries = {};
+  let current = null;
+  let inDependencies = false;
+
+  for (const line of content.split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith('#')) {
+      continue;
+    }
+
+    const indent = line.length - line.trimStart().length;
+    const text = line.trim();
+
+    // 顶层：一个或多个以逗号分隔的依赖声明
+    if (indent === 0) {
+      current = null;
+      inDependencies = false;
+
+      if (!text.endsWith(':') || text.startsWith('__metadata')) {
+        continue;
+      }
+
+      const specifiers = text.slice(0, -1).split(',').map(item => item.trim().replace(/^"|"$/g, ''));
+      const entry = { name: parseSpecifierName(specifiers[0]), version: null, dependencies: {} };
+      for (const specifier of specifiers) {
+        entries[specifier] = entry;
+      }
+      current = entry;
+      continue;
+    }
+
+    if (!current) {
+      continue;
+    }
+
+    const [key, ...rest] = text.split(/:?\s+/);
+    const value = rest.join(' ').replace(/^"|"$/g, '');
+
+    if (indent === 2) {
+      inDependencies = key === 'dependencies:' || key === 'dependencies';
+      if (key === 'version') {
+        current.version = value;
+      }
+    } else if (inDependencies) {
+      current.dependencies[key.replace(/^"|"$/g, '')] = value;
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * 从依赖声明中解析包名，如 @babel/core@^7.0.0 → @babel/core
+ * @param {string} specifier - 依赖声明
+ * @returns {string} - 包名
+ */
+function parseSpecifierName(specifier) {
+  const index = specifier.indexOf('@', 1);
+  return index === -1 ? specifier : specifier.slice(0, index);
+}
+
+/**
+ * 获取依赖的实际安装版本
+ * 依次尝试锁文件和 node_modules，都不存在时才使用 package.json 中的版本范围
+ * @param {string} projectPath - 项目路径
+ * @param {Object|null} lockfile - 锁文件信息
+ * @param {string} name - 包名
+ * @param {string} range - 版本范围
+ * @returns {Promise<Object>} - { version, source }，source 为 lockfile / node_modules / range
+ */
+export async function resolveInstalledVersion(projectPath, lockfile, name, range) {
+  const lockedVersion = getLockedVersion(lockfile, name, range);
+  if (lockedVersion) {
+    return { version: lockedVersion, source: 'lockfile' };
+  }
+
+  // 工作区中的包可能被提升到锁文件所在目录的 node_modules 中
+  const searchPaths = [projectPath];
+  if (lockfile && path.resolve(path.dirname(lockfile.path)) !== path.resolve(projectPath)) {
+    searchPaths.push(path.dirname(lockfile.path));
+  }
+
+  for (const searchPath of searchPaths) {
+    try {
+      const content = await fs.readFile(path.join(searchPath, 'node_modules', name, 'package.json'), 'utf-8');
+      const { version } = JSON.parse(content);
+      if (semver.valid(version)) {
+        return { version, source: 'node_modules' };
+      }
+    } catch (error) {
+      // 未安装，继续查找
+    }
+  }
+
+  // 只能根据版本范围估算，latest、workspace:*、git地址等无法确定版本
+  let version = null;
+  try {
+    const minVersion = semver.validRange(range) ? semver.minVersion(range) : null;
+    version = minVersion ? minVersion.version : null;
+  } catch (e) {
+    version = null;
+  }
+
+  return { version, source: 'range' };
+}
+
+/**
+ * 列出锁文件中安装的每个包的所有版本，以及每个版本被哪些包依赖
+ * npm lockfileVersion 1 和 yarn v1 没有记录项目自身的依赖，这时使用 importers 中声明的依赖
+ * @param {Object} lockfile - readLockfile 返回的锁文件信息
+ * @param {Array<Object>} importers - 项目和各个工作区 [{ name, path, dependencies: { 包名: 版本范围 } }]，path 相对于锁文件所在目录
+ * @returns {Object} - { 包名: { 版本: [{ name, version, range }] } }，依赖方是项目或工作区时 version 为 null，锁文件中没有版本范围时 range 为 null
+ */
+export function listInstalledPackages(lockfile, importers = []) {
+  const installed = {};
+  const add = (name, version, dependent = null) => {
+    if (!name || !semver.valid(version)) {
+      return;
+    }
+    const versions = installed[name] = installed[name] || {};
+    const dependents = versions[version] = versions[version] || [];
+    if (dependent && !dependents.some(item => item.name === dependent.name && item.version === dependent.version)) {
+      dependents.push(dependent);
+    }
+  };
+  const importerName = (importerPath, fallback) => {
+    const importer = importers.find(item => item.path === importerPath);
+    return importer ? importer.name : fallback || importerPath;
+  };
+
+  if (!lockfile) {
+    return installed;
+  }
+
+  const { type, data } = lockfile;
+  if (type === 'npm' && data.packages) {
+    listNpmPackages(data.packages, importerName, add);
+  } else if (type === 'npm') {
+    listNpmV1Packages(data.dependencies || {}, importers, add);
+  } else if (type === 'pnpm') {
+    listPnpmPackages(data, importerName, add);
+  } else {
+    listYarnPackages(data, importers, add);
+  }
+
+  return installed;
+}
+
+/**
+ * 列出 npm lockfileVersion 2/3 中的包：按 node_modules 的查找规则确定每个依赖使用的是哪一份
+ * @param {Object} packages - 锁文件中的 packages
+ * @param {Function} importerName - 根据路径获取项目或工作区的名称
+ * @param {Function} add - 记录安装的版本和依赖方
+ */
+function listNpmPackages(packages, importerName, add) {
+  const isInstalled = key => key.startsWith('node_modules/') || key.includes('/node_modules/');
+  const nameOf = key => packages[key].name || key.slice(key.lastIndexOf('node_modules/') + 'node_modules/'.length);
+
+  // 从依赖方所在目录开始逐级向上查找 node_modules
+  const resolveKey = (from, name) => {
+    let base = from;
+    for (;;) {
+      const candidate = base ? `${base}/node_modules/${name}` : `node_modules/${name}`;
+      if (packages[candidate]) {
+        return candidate;
+      }
+      if (!base) {
+        return null;
+      }
+      const index = base.lastIndexOf('/node_modules/');
+      base = index === -1 ? '' : base.slice(0, index);
+    }
+  };
+
+  for (const [key, entry] of Object.entries(packages)) {
+    if (entry.link) continue;
+
+    const installed = isInstalled(key);
+    if (installed) {
+      add(nameOf(key), entry.version);
+    }
+
+    const dependent = installed
+      ? { name: nameOf(key), version: entry.version }
+      : { name: importerName(key || '.', entry.name), version: null };
+    const declared = {
+      ...entry.peerDependencies,
+      ...entry.optionalDependencies,
+      ...(installed ? {} : entry.devDependencies),
+      ...entry.dependencies
+    };
+    for (const [dep, range] of Object.entries(declared)) {
+      const target = resolveKey(key, dep);
+      if (!target || packages[target].link) continue;
+      add(nameOf(target), packages[target].version, { ...dependent, range });
+    }
+  }
+}
+
+/**
+ * 列出 npm lockfileVersion 1 中的包：dependencies 嵌套表示安装位置，requires 记录每个包的依赖
+ * @param {Object} dependencies - 锁文件中的 dependencies
+ * @param {Array<Object>} importers - 项目声明的依赖
+ * @param {Function} add - 记录安装的版本和依赖方
+ */
+function listNpmV1Packages(dependencies, importers, add) {
+  const walk = (entries, ancestors) => {
+    for (const [name, entry] of Object.entries(entries)) {
+      add(name, entry.version);
+
+      const scopes = [entry.dependencies || {}, ...ancestors];
+      for (const [dep, range] of Object.entries(entry.requires || {})) {
+        const scope = scopes.find(item => item[dep]);
+        if (scope) {
+          add(dep, scope[dep].version, { name, version: entry.version, range });
+        }
+      }
+      walk(entry.dependencies || {}, scopes);
+    }
+  };
+  walk(dependencies, [dependencies]);
+
+  importers.filter(importer => importer.path === '.').forEach(importer => {
+    for (const [dep, range] of Object.entries(importer.dependencies)) {
+      if (dependencies[dep]) {
+        add(dep, dependencies[dep].version, { name: importer.name, version: null, range });
+      }
+    }
+  });
+}
+
+/**
+ * 列出 pnpm 锁文件中的包，支持 v5（/name/1.0.0_peer）、v6（/name@1.0.0(peer)）和 v9（name@1.0.0，依赖位于 snapshots）
+ * pnpm 锁文件中包的依赖只记录解析后的版本，没有版本范围
+ * @param {Object} data - 解析后的 pnpm-lock.yaml
+ * @param {Function} importerName - 根据路径获取项目或工作区的名称
+ * @param {Function} add - 记录安装的版本和依赖方
+ */
+function listPnpmPackages(data, importerName, add) {
+  const legacy = parseFloat(data.lockfileVersion) < 6;
+  const parseKey = key => {
+    const spec = key.replace(/^\//, '').split('(')[0];
+    const index = legacy ? spec.lastIndexOf('/') : spec.lastIndexOf('@');
+    if (index <= 0) {
+      return null;
+    }
+    return { name: spec.slice(0, index), version: spec.slice(index + 1).split('_')[0] };
+  };
+
+  // 依赖的版本可能带有peer后缀，别名依赖记录为完整的包标识，link: 和 file: 不是registry中的包
+  const resolveRef = (name, ref) => {
+    if (typeof ref !== 'string' || ref.startsWith('link:') || ref.startsWith('file:')) {
+      return null;
+    }
+    const version = ref.split('(')[0].split('_')[0];
+    return semver.valid(version) ? { name, version } : parseKey(ref);
+  };
+
+  for (const [key, entry] of Object.entries(data.snapshots || data.packages || {})) {
+    const pkg = parseKey(key);
+    if (!pkg) continue;
+    add(pkg.name, pkg.version);
+
+    const declared = { ...(entry && entry.optionalDependencies), ...(entry && entry.dependencies) };
+    for (const [dep, ref] of Object.entries(declared)) {
+      const target = resolveRef(dep, ref);
+      if (target) {
+        add(target.name, target.version, { name: pkg.name, version: pkg.version, range: null });
+      }
+    }
+  }
+
+  // lockfile v6+ 的项目和工作区位于 importers，v5 的单个项目直接位于顶层
+  for (const [importerPath, importer] of Object.entries(data.importers || { '.': data })) {
+    const name = importerName(importerPath);
+    for (const group of ['dependencies', 'devDependencies', 'optionalDependencies']) {
+      for (const [dep, value] of Object.entries(importer[group] || {})) {
+        const ref = value && typeof value === 'object' ? value.version : value;
+        const range = value && typeof value === 'object' ? value.specifier : (importer.specifiers || {})[dep];
+        const target = resolveRef(dep, ref);
+        if (target) {
+          add(target.name, target.version, { name, version: null, range: range || null });
+        }
+      }
+    }
+  }
+}
+
+/**
+ * 列出 yarn 锁文件中的包：依赖通过 包名@版本范围 找到对应的条目
+ * yarn berry 的锁文件包含工作区条目（包名@workspace:路径），yarn v1 使用 importers 中声明的依赖
+ * @param {Object} data - parseYarnLock 的解析结果
+ * @param {Array<Object>} importers - 项目和各个工作区声明的依赖
+ * @param {Function} add - 记录安装的版本和依赖方
+ */
+function listYarnPackages(data, importers, add) {
+  const resolveEntry = (name, range) => data[`${name}@${range}`] || data[`${name}@npm:${range}`] || null;
+  const workspaceEntries = new Set(
+    Object.entries(data)
+      .filter(([specifier]) => specifier.includes('@workspace:'))
+      .map(([, entry]) => entry)
+  );
+
+  for (const entry of new Set(Object.values(data))) {
+    const isWorkspace = workspaceEntries.has(entry);
+    if (!isWorkspace) {
+      add(entry.name, entry.version);
+    }
+
+    for (const [dep, range] of Object.entries(entry.dependencies)) {
+      const target = resolveEntry(dep, range);
+      if (target && !workspaceEntries.has(target)) {
+        add(target.name, target.version, { name: entry.name, version: isWorkspace ? null : entry.version, range });
+      }
+    }
+  }
+
+  if (workspaceEntries.size > 0) {
+    return;
+  }
+  importers.forEach(importer => {
+    for (const [dep, range] of Object.entries(importer.dependencies)) {
+      const target = resolveEntry(dep, range);
+      if (target) {
+        add(target.name, target.version, { name: importer.name, version: null, range });
+      }
+    }
+  });
+}
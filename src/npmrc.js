@@ -0,0 +1,167 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+
+export const DEFAULT_REGISTRY = 'https://registry.npmjs.org/';
+
+/**
+ * 读取npm配置
+ * 依次合并用户级 ~/.npmrc 和项目级 .npmrc，项目配置优先
+ * @param {string} projectPath - 项目路径
+ * @returns {Promise<Object>} - 合并后的配置 { key: value }
+ */
+export async function loadNpmConfig(projectPath) {
+  const userConfigPath = process.env.NPM_CONFIG_USERCONFIG ||
+    process.env.npm_config_userconfig ||
+    path.join(os.homedir(), '.npmrc');
+
+  const files = [userConfigPath];
+  if (projectPath) {
+    files.push(path.join(projectPath, '.npmrc'));
+  }
+
+  const config = {};
+  for (const file of files) {
+    try {
+      const content = await fs.readFile(file, 'utf-8');
+      Object.assign(config, parseNpmrc(content));
+    } catch (error) {
+      // 配置文件不存在时忽略
+    }
+  }
+
+  return config;
+}
+
+/**
+ * 解析.npmrc内容
+ * @param {string} content - 文件内容
+ * @returns {Object} - { key: value }
+ */
+export function parseNpmrc(content) {
+  const config = {};
+
+  for (const raw of content.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';')) {
+      continue;
+    }
+
+    const separator = line.indexOf('=');
+    if (separator === -1) {
+      continue;
+    }
+
+    const key = line.slice(0, separator).trim();
+    let value = line.slice(separator + 1).trim();
+    if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith('\'') && value.endsWith('\''))) {
+      value = value.slice(1, -1);
+    }
+
+    // 支持 ${NPM_TOKEN} 形式的环境变量
+    config[key] = value.replace(/\$\{([^}]+)\}/g, (match, name) => process.env[name] || '');
+  }
+
+  return config;
+}
+
+/**
+ * 获取包所在的registry地址
+ * 作用域包优先使用 @scope:registry 配置
+ * @param {Object} config - npm配置
+ * @param {string} packageName - 包名
+ * @param {string} override - 命令行指定的registry
+ * @returns {string} - 以 / 结尾的registry地址
+ */
+export function getRegistryForPackage(config, packageName, override) {
+  let registry = override || config.registry || DEFAULT_REGISTRY;
+
+  if (packageName.startsWith('@')) {
+    const scope = packageName.split('/')[0];
+    if (config[`${scope}:registry`]) {
+      registry = config[`${scope}:registry`];
+    }
+  }
+
+  return registry.endsWith('/') ? registry : `${registry}/`;
+}
+
+/**
+ * 生成packument的请求地址，作用域包中的 / 需要编码
+ * @param {string} registry - registry地址
+ * @param {string} packageName - 包名
+ * @returns {string} - 请求地址
+ */
+export function getPackumentUrl(registry, packageName) {
+  return `${registry}${packageName.replace('/', '%2f')}`;
+}
+
+/**
+ * 获取访问registry所需的认证头
+ * 按 //host/path/:_authToken 的形式逐级向上查找，与npm的规则一致
+ * @param {Object} config - npm配置
+ * @param {string} registry - registry地址
+ * @returns {string|null} - Authorization 请求头
+ */
+export function getAuthorization(config, registry) {
+  const url = new URL(registry);
+  let nerfDart = `//${url.host}${url.pathname}`;
+  if (!nerfDart.endsWith('/')) {
+    nerfDart += '/';
+  }
+
+  while (nerfDart.length > 2) {
+    if (config[`${nerfDart}:_authToken`]) {
+      return `Bearer ${config[`${nerfDart}:_authToken`]}`;
+    }
+    if (config[`${nerfDart}:_auth`]) {
+      return `Basic ${config[`${nerfDart}:_auth`]}`;
+    }
+    if (config[`${nerfDart}:username`] && config[`${nerfDart}:_password`]) {
+      const password = Buffer.from(config[`${nerfDart}:_password`], 'base64').toString('utf-8');
+      return `Basic ${Buffer.from(`${config[`${nerfDart}:username`]}:${password}`).toString('base64')}`;
+    }
+
+    // 去掉最后一级路径继续查找
+    const parent = nerfDart.slice(0, -1).lastIndexOf('/');
+    if (parent < 2) {
+      break;
+    }
+    nerfDart = nerfDart.slice(0, parent + 1);
+  }
+
+  // 未限定registry的旧式配置只用于默认registry
+  if (registry === getRegistryForPackage(config, '', null)) {
+    if (config._authToken) {
+      return `Bearer ${config._authToken}`;
+    }
+    if (config._auth) {
+      return `Basic ${config._auth}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 获取请求registry时使用的代理
+ * @param {Object} config - npm配置
+ * @param {string} url - 请求地址
+ * @returns {string|null} - 代理地址
+ */
+export function getProxyForUrl(config, url) {
+  const { protocol, hostname } = new URL(url);
+
+  const noProxy = (config.noproxy || config['no-proxy'] || process.env.NO_PROXY || process.env.no_proxy || '')
+    .split(',')
+    .map(host => host.trim())
+    .filter(Boolean);
+  if (noProxy.some(host => host === '*' || hostname === host.replace(/^\./, '') || hostname.endsWith(host.startsWith('.') ? host : `.${host}`))) {
+    return null;
+  }
+
+  if (protocol === 'https:') {
+    return config['https-proxy'] || config.proxy || process.env.HTTPS_PROXY || process.env.https_proxy || null;
+  }
+  return config.proxy || process.env.HTTP_PROXY || process.env.http_proxy || null;
+}
@@ -0,0 +1,71 @@
+/**
+ * 创建依赖之间的约束索引
+ * 只有通过 peerDependencies 或已知问题规则关联的两个依赖才可能不兼容，
+ * 兼容性检查只需要遍历索引中的依赖对，而不是所有依赖两两组合
+ * @param {Array<string>} names - 依赖名称，决定依赖对的顺序
+ * @param {Function} getPeers - 获取依赖当前版本声明的 peerDependencies (name) => Object|null
+ * @param {Array<Object>} rules - 已知兼容性问题规则
+ * @param {Function} ignorePair - 判断依赖对是否被忽略的函数
+ * @returns {Object} - { pairs, dependentsOf, isConstrained }
+ */
+export function createPeerIndex(names, getPeers, rules = [], ignorePair = () => false) {
+  const known = new Set(names);
+  // 依赖 → 对它有peer要求的依赖
+  const dependents = new Map(names.map(name => [name, new Set()]));
+  // 每个依赖关联的其他依赖（不区分方向）
+  const linked = new Map(names.map(name => [name, new Set()]));
+
+  const link = (dep1, dep2) => {
+    if (dep1 === dep2 || !known.has(dep1) || !known.has(dep2) || ignorePair(dep1, dep2)) {
+      return false;
+    }
+    linked.get(dep1).add(dep2);
+    linked.get(dep2).add(dep1);
+    return true;
+  };
+
+  for (const name of names) {
+    for (const peer of Object.keys(getPeers(name) || {})) {
+      if (link(name, peer)) {
+        dependents.get(peer).add(name);
+      }
+    }
+  }
+
+  for (const rule of rules) {
+    const [pkg1, pkg2] = rule.packages;
+    link(pkg1, pkg2);
+  }
+
+  // 按依赖在 names 中的顺序输出依赖对，与逐对检查时的顺序一致
+  const order = new Map(names.map((name, index) => [name, index]));
+  const pairs = [];
+  for (const name of names) {
+    [...linked.get(name)]
+      .filter(other => order.get(other) > order.get(name))
+      .sort((a, b) => order.get(a) - order.get(b))
+      .forEach(other => pairs.push([name, other]));
+  }
+
+  return {
+    pairs,
+
+    /**
+     * 获取当前版本对某个依赖有peer要求的依赖
+     * @param {string} name - 依赖名称
+     * @returns {Array<string>}
+     */
+    dependentsOf(name) {
+      return dependents.has(name) ? [...dependents.get(name)] : [];
+    },
+
+    /**
+     * 判断依赖是否与其他依赖存在约束
+     * @param {string} name - 依赖名称
+     * @returns {boolean}
+     */
+    isConstrained(name) {
+      return linked.has(name) && linked.get(name).size > 0;
+    }
+  };
+}
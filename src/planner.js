@@ -0,0 +1,207 @@
+import semver from 'semver';
+import { getVersionPeers } from './compatibility.js';
+import { getChannel, getUpgradeLevel } from './targets.js';
+import { findKnownIssue } from './rules.js';
+
+/**
+ * 创建升级计划：逐个修改依赖的版本，随时检查计划中的版本之间的peer冲突和已知问题，并支持撤销
+ * @param {Object} currentVersions - 当前版本 { 包名: 版本 }
+ * @param {Object} dependencyDetails - 依赖详细信息
+ * @param {Object} options - 选项
+ * @param {Object} options.pins - 版本上限 { 包名: 版本范围 }
+ * @param {Function} options.ignorePair - 判断依赖对是否被忽略的函数
+ * @param {Array<Object>} options.rules - 已知兼容性问题规则
+ * @param {boolean} options.prerelease - 可选的版本是否包含预发布版本
+ * @returns {Object} - { names, versionOf, listVersions, preview, set, undo, canUndo, conflicts, changes, toJSON }
+ */
+export function createUpgradePlanner(currentVersions, dependencyDetails, options = {}) {
+  const { pins = {}, ignorePair = () => false, rules = [], prerelease = false } = options;
+  const names = Object.keys(currentVersions).filter(name => semver.valid(currentVersions[name]));
+  const planned = Object.fromEntries(names.map(name => [name, currentVersions[name]]));
+  const history = [];
+
+  // 满足 range 的最新版本，同时遵守版本上限
+  const newestSatisfying = (name, accepts) => listVersions(name).find(accepts) || null;
+
+  /**
+   * 列出依赖可以选择的版本，从新到旧排列
+   * 默认不包含预发布版本，但包含当前版本所在通道的预发布版本
+   * @param {string} name - 依赖名称
+   * @returns {Array<string>}
+   */
+  function listVersions(name) {
+    const details = dependencyDetails[name];
+    if (!details || !details.versions) {
+      return [];
+    }
+    const channel = getChannel(currentVersions[name]);
+    const pin = pins[name];
+    return Object.keys(details.versions)
+      .filter(version => semver.valid(version))
+      .filter(version => !getChannel(version) || prerelease || getChannel(version) === channel)
+      .filter(version => !pin || version === currentVersions[name] || semver.satisfies(version, pin, { includePrerelease: true }))
+      .sort(semver.rcompare);
+  }
+
+  /**
+   * 找出一组版本之间不满足的peer要求和命中的已知问题规则，并给出解决每个冲突的版本
+   * @param {Object} versions - 计划中的版本
+   * @returns {Array<Object>} - [{ type, dependent, dependency, range, version, reason, fixes }]，type 为 peer 或 rule
+   */
+  function findConflicts(versions) {
+    const conflicts = [];
+    for (const dependent of names) {
+      const peers = getVersionPeers(dependencyDetails[dependent], versions[dependent]) || {};
+      for (const [dependency, range] of Object.entries(peers)) {
+        const version = versions[dependency];
+        if (!version || dependency === dependent || ignorePair(dependent, dependency)) continue;
+        if (!semver.validRange(range) || semver.satisfies(version, range)) continue;
+
+        // 两种解决方式：把被依赖的包换成满足要求的版本，或者把提出要求的包换成接受当前版本的版本
+        const fixes = [
+          { name: dependency, version: newestSatisfying(dependency, candidate => semver.satisfies(candidate, range)) },
+          {
+            name: dependent,
+            version: newestSatisfying(dependent, candidate => {
+              const candidatePeers = getVersionPeers(dependencyDetails[dependent], candidate) || {};
+              return !candidatePeers[dependency] || semver.satisfies(version, candidatePeers[dependency]);
+            })
+          }
+        ].filter(fix => fix.version && fix.version !== versions[fix.name]);
+
+        conflicts.push({
+          type: 'peer',
+          dependent,
+          dependency,
+          range,
+          version,
+          reason: `${dependent}@${versions[dependent]} 需要 ${dependency}@${range}，但计划中的版本是 ${version}`,
+          fixes
+        });
+      }
+    }
+
+    // 每一对依赖只检查一次已知问题规则，解决方式是把其中一个换成不命中规则的版本
+    names.forEach((dep1, index) => {
+      for (const dep2 of names.slice(index + 1)) {
+        if (ignorePair(dep1, dep2)) continue;
+        const issue = findKnownIssue(rules, dep1, versions[dep1], dep2, versions[dep2]);
+        if (!issue) continue;
+
+        const fixes = [
+          { name: dep2, version: newestSatisfying(dep2, candidate => !findKnownIssue(rules, dep1, versions[dep1], dep2, candidate)) },
+          { name: dep1, version: newestSatisfying(dep1, candidate => !findKnownIssue(rules, dep1, candidate, dep2, versions[dep2])) }
+        ].filter(fix => fix.version && fix.version !== versions[fix.name]);
+
+        conflicts.push({
+          type: 'rule',
+          dependent: dep1,
+          dependency: dep2,
+          range: null,
+          version: versions[dep2],
+          reason: `${dep1}@${versions[dep1]} 与 ${dep2}@${versions[dep2]} 存在已知问题: ${issue.reason}`,
+          fixes
+        });
+      }
+    });
+    return conflicts;
+  }
+
+  return {
+    names,
+
+    /**
+     * 获取依赖在计划中的版本
+     * @param {string} name - 依赖名称
+     * @returns {string|undefined}
+     */
+    versionOf(name) {
+      return planned[name];
+    },
+
+    listVersions,
+
+    /**
+     * 预览把依赖改为某个版本后与它相关的冲突，不修改计划
+     * @param {string} name - 依赖名称
+     * @param {string} version - 版本
+     * @returns {Array<Object>} - 冲突
+     */
+    preview(name, version) {
+      return findConflicts({ ...planned, [name]: version })
+        .filter(conflict => conflict.dependent === name || conflict.dependency === name);
+    },
+
+    /**
+     * 把依赖改为某个版本
+     * @param {string} name - 依赖名称
+     * @param {string} version - 版本
+     * @returns {Array<Object>} - 修改后计划中的所有冲突
+     */
+    set(name, version) {
+      if (!(name in planned)) {
+        throw new Error(`升级计划中没有依赖 ${name}`);
+      }
+      history.push({ name, version: planned[name] });
+      planned[name] = version;
+      return findConflicts(planned);
+    },
+
+    /**
+     * 撤销上一次修改
+     * @returns {Object|null} - 被撤销的修改 { name, from, to }，没有可撤销的修改时为 null
+     */
+    undo() {
+      const last = history.pop();
+      if (!last) {
+        return null;
+      }
+      const change = { name: last.name, from: planned[last.name], to: last.version };
+      planned[last.name] = last.version;
+      return change;
+    },
+
+    /**
+     * 是否有可撤销的修改
+     * @returns {boolean}
+     */
+    canUndo() {
+      return history.length > 0;
+    },
+
+    /**
+     * 计划中的所有冲突
+     * @returns {Array<Object>}
+     */
+    conflicts() {
+      return findConflicts(planned);
+    },
+
+    /**
+     * 与当前版本不同的依赖
+     * @returns {Array<Object>} - [{ name, from, to, level, downgrade }]
+     */
+    changes() {
+      return names
+        .filter(name => planned[name] !== currentVersions[name])
+        .map(name => ({
+          name,
+          from: currentVersions[name],
+          to: planned[name],
+          level: getUpgradeLevel(currentVersions[name], planned[name]),
+          downgrade: semver.lt(planned[name], currentVersions[name])
+        }));
+    },
+
+    /**
+     * 导出计划
+     * @returns {Object} - { changes, conflicts }
+     */
+    toJSON() {
+      return {
+        changes: this.changes(),
+        conflicts: findConflicts(planned).map(({ fixes, ...conflict }) => conflict)
+      };
+    }
+  };
+}
@@ -0,0 +1,194 @@
+import chalk from 'chalk';
+
+/**
+ * 创建进度指示器
+ * 默认输出到标准错误，不会混入标准输出中的报告；只有在输出流是终端时才显示，重定向到文件或在CI中运行时保持安静
+ * @param {string} label - 显示的文字
+ * @param {number} total - 总数，可以通过 addTotal 继续增加
+ * @param {Object} stream - 输出流
+ * @returns {Object} - { addTotal, tick, stop }
+ */
+export function createProgress(label, total = 0, stream = process.stderr) {
+  const enabled = Boolean(stream.isTTY);
+  const width = 24;
+  let completed = 0;
+  let failed = 0;
+
+  function render() {
+    if (!enabled) {
+      return;
+    }
+
+    const ratio = total > 0 ? Math.min(completed / total, 1) : 0;
+    const filled = Math.round(ratio * width);
+    const bar = chalk.green('█'.repeat(filled)) + chalk.gray('░'.repeat(width - filled));
+    const failure = failed > 0 ? chalk.red(` ${failed} 个失败`) : '';
+
+    stream.write(`\r${label} ${bar} ${completed}/${total}${failure}`);
+  }
+
+  return {
+    /**
+     * 增加总数（如遍历依赖树时发现新的包）
+     * @param {number} count - 增加的数量
+     */
+    addTotal(count) {
+      total += count;
+      render();
+    },
+
+    /**
+     * 完成一项
+     * @param {boolean} success - 是否成功
+     */
+    tick(success = true) {
+      completed++;
+      if (!success) {
+        failed++;
+      }
+      render();
+    },
+
+    /**
+     * 结束进度显示
+     */
+    stop() {
+      if (enabled) {
+        render();
+        stream.write('\n');
+      }
+    }
+  };
+}
+
+/**
+ * 创建分析过程的事件报告器
+ * 分析模块不直接输出到控制台，而是通过报告器发出事件，由命令行或 API 的调用方决定如何展示
+ * @param {Function} onEvent - 事件回调，未指定时忽略所有事件
+ * @returns {Object} - { stage, info, warn, progress }
+ */
+export function createReporter(onEvent = null) {
+  const emit = event => {
+    if (onEvent) {
+      onEvent(event);
+    }
+  };
+
+  return {
+    /**
+     * 进入新的分析阶段
+     * @param {string} stage - 阶段名，如 project、compatibility
+     * @param {string} message - 说明文字
+     * @param {Object} data - 附加字段（如工作区名）
+     */
+    stage(stage, message, data = {}) {
+      emit({ type: 'stage', stage, message, ...data });
+    },
+
+    /**
+     * 一般信息
+     * @param {string} message - 说明文字
+     */
+    info(message) {
+      emit({ type: 'info', message });
+    },
+
+    /**
+     * 不影响分析继续进行的问题
+     * @param {string} message - 说明文字
+     */
+    warn(message) {
+      emit({ type: 'warning', message });
+    },
+
+    /**
+     * 开始一项有进度的任务，返回的对象与 createProgress 相同
+     * @param {string} task - 任务名，如 package-details
+     * @param {string} label - 显示的文字
+     * @param {number} total - 总数
+     * @returns {Object} - { addTotal, tick, stop }
+     */
+    progress(task, label, total = 0) {
+      let completed = 0;
+      let failed = 0;
+      const update = done => emit({ type: 'progress', task, label, completed, total, failed, done });
+
+      return {
+        addTotal(count) {
+          total += count;
+          update(false);
+        },
+        tick(success = true) {
+          completed++;
+          if (!success) {
+            failed++;
+          }
+          update(false);
+        },
+        stop() {
+          update(true);
+        }
+      };
+    }
+  };
+}
+
+// 命令行中各分析阶段的显示样式，未列出的子阶段（如获取最新版本）使用蓝色且不空行
+const STAGE_STYLES = {
+  project: { color: chalk.yellow, spaced: true },
+  compatibility: { color: chalk.yellow, spaced: true },
+  workspaces: { color: chalk.yellow, spaced: true },
+  changelog: { color: chalk.yellow, spaced: true },
+  simulate: { color: chalk.yellow, spaced: true },
+  diff: { color: chalk.magenta, spaced: true },
+  init: { color: chalk.yellow, spaced: true },
+  workspace: { color: chalk.blue, spaced: true }
+};
+
+/**
+ * 创建在控制台展示分析事件的回调，供命令行使用
+ * 阶段和提示信息通过 log 输出，进度条输出到标准错误，只在终端中显示
+ * @param {Object} stream - 进度条的输出流
+ * @param {Function} log - 阶段和提示信息的输出函数，报告输出到标准输出时使用 console.error
+ * @returns {Function} - 事件回调
+ */
+export function createConsoleListener(stream = process.stderr, log = console.log) {
+  const bars = new Map();
+
+  return event => {
+    switch (event.type) {
+      case 'stage': {
+        const { color, spaced } = STAGE_STYLES[event.stage] || { color: chalk.blue, spaced: false };
+        log(color(`${spaced ? '\n' : ''}${event.message}`));
+        break;
+      }
+      case 'info':
+        log(chalk.gray(event.message));
+        break;
+      case 'warning':
+        log(chalk.yellow(event.message));
+        break;
+      case 'progress': {
+        // 报告器每完成一项或增加总数都会发出一次事件，把变化同步到进度条
+        if (!bars.has(event.task)) {
+          bars.set(event.task, { bar: createProgress(event.label, 0, stream), total: 0, completed: 0, failed: 0 });
+        }
+        const state = bars.get(event.task);
+        if (event.total > state.total) {
+          state.bar.addTotal(event.total - state.total);
+        }
+        if (event.completed > state.completed) {
+          state.bar.tick(event.failed === state.failed);
+        }
+        Object.assign(state, { total: event.total, completed: event.completed, failed: event.failed });
+        if (event.done) {
+          state.bar.stop();
+          bars.delete(event.task);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  };
+}
@@ -0,0 +1,387 @@
+import axios from 'axios';
+import https from 'https';
+import fs from 'fs';
+import { createMetadataCache } from './cache.js';
+import { getRegistryForPackage, getPackumentUrl, getAuthorization, getProxyForUrl, loadNpmConfig } from './npmrc.js';
+
+// 默认的并发请求数、超时时间（毫秒）和重试次数
+export const DEFAULT_CONCURRENCY = 8;
+export const DEFAULT_TIMEOUT = 30000;
+export const DEFAULT_RETRIES = 3;
+
+// 精简格式的元数据只包含安装需要的字段，体积通常只有完整packument的几分之一
+const ABBREVIATED_ACCEPT = 'application/vnd.npm.install-v1+json; q=1.0, application/json; q=0.8, */*';
+const FULL_ACCEPT = 'application/json';
+
+// npm registry 的批量安全公告接口，按包名提交版本列表，返回影响这些版本的公告
+const BULK_ADVISORY_PATH = '-/npm/v1/security/advisories/bulk';
+
+// 表示 registry 没有实现批量安全公告接口的状态码
+const UNSUPPORTED_ADVISORY_STATUSES = [404, 405, 501];
+
+/**
+ * 创建registry客户端
+ * 同一次运行中每个包只请求一次，请求数量受并发数限制，结果同时写入磁盘缓存
+ * @param {Object} options - 客户端选项
+ * @param {boolean} options.offline - 离线模式，只从缓存读取
+ * @param {string} options.cacheDir - 缓存目录
+ * @param {number} options.cacheTtl - 缓存有效期（分钟）
+ * @param {boolean} options.cache - 为 false 时不使用磁盘缓存
+ * @param {Object} options.npmConfig - .npmrc 配置（见 loadNpmConfig）
+ * @param {string} options.registry - 覆盖默认registry地址
+ * @param {string} options.advisoryUrl - 覆盖批量安全公告接口的地址
+ * @param {number} options.concurrency - 最大并发请求数
+ * @param {number} options.timeout - 单个请求的超时时间（毫秒）
+ * @param {number} options.retries - 遇到429/5xx或网络错误时的重试次数
+ * @returns {Object} - { getPackageInfo, getPackages, getTarball, getAdvisories, cache, offline }
+ */
+export function createRegistryClient(options = {}) {
+  const offline = Boolean(options.offline);
+  const npmConfig = options.npmConfig || {};
+  const httpsAgent = createHttpsAgent(npmConfig);
+  const timeout = Number(options.timeout) || DEFAULT_TIMEOUT;
+  const retries = options.retries === undefined ? DEFAULT_RETRIES : Number(options.retries);
+  const limit = createLimiter(Number(options.concurrency) || DEFAULT_CONCURRENCY);
+  const cache = options.cache === false
+    ? null
+    : createMetadataCache({ dir: options.cacheDir, ttl: options.cacheTtl });
+
+  // 本次运行中已经获取过的包
+  const memo = new Map();
+
+  /**
+   * 获取包的packument
+   * @param {string} packageName - 包名
+   * @param {Object} fetchOptions - 请求选项
+   * @param {boolean} fetchOptions.full - 是否获取完整的packument（包含 repository、time 等字段）
+   * @returns {Promise<Object>} - 包的详细信息
+   */
+  function getPackageInfo(packageName, fetchOptions = {}) {
+    const full = Boolean(fetchOptions.full);
+    const key = `${full ? 'full' : 'abbreviated'}:${packageName}`;
+
+    if (!memo.has(key)) {
+      const pending = fetchPackument(packageName, full);
+      // 失败的请求不保留，允许后续重试
+      pending.catch(() => memo.delete(key));
+      memo.set(key, pending);
+    }
+    return memo.get(key);
+  }
+
+  /**
+   * 并发获取多个包的packument
+   * @param {Array<string>} packageNames - 包名列表
+   * @param {Function} onProgress - 每完成一个包时调用 (name, error)
+   * @returns {Promise<Object>} - { packages: { 包名: packument }, errors: { 包名: Error } }
+   */
+  async function getPackages(packageNames, onProgress) {
+    const packages = {};
+    const errors = {};
+
+    await Promise.all([...new Set(packageNames)].map(async name => {
+      try {
+        packages[name] = await getPackageInfo(name);
+        if (onProgress) onProgress(name, null);
+      } catch (error) {
+        errors[name] = error;
+        if (onProgress) onProgress(name, error);
+      }
+    }));
+
+    return { packages, errors };
+  }
+
+  async function fetchPackument(packageName, full) {
+    const registry = getRegistryForPackage(npmConfig, packageName, options.registry);
+    const url = getPackumentUrl(registry, packageName);
+    const cacheKey = full ? url : `abbreviated:${url}`;
+    const entry = cache ? await cache.read(cacheKey) : null;
+
+    if (offline) {
+      if (entry) {
+        return entry.data;
+      }
+      throw new Error(`获取包 ${packageName} 信息失败: 离线模式下缓存中没有该包，请先在联网环境执行 upgrade-lens cache prime`);
+    }
+
+    if (entry && cache.isFresh(entry)) {
+      return entry.data;
+    }
+
+    // 缓存过期时带上 ETag / Last-Modified 重新验证
+    const headers = { Accept: full ? FULL_ACCEPT : ABBREVIATED_ACCEPT };
+    const authorization = getAuthorization(npmConfig, registry);
+    if (authorization) {
+      headers.Authorization = authorization;
+    }
+    if (entry && entry.etag) {
+      headers['If-None-Match'] = entry.etag;
+    }
+    if (entry && entry.lastModified) {
+      headers['If-Modified-Since'] = entry.lastModified;
+    }
+
+    let response;
+    try {
+      response = await limit(() => requestWithRetry(url, {
+        headers,
+        httpsAgent,
+        timeout,
+        proxy: parseProxy(getProxyForUrl(npmConfig, url)),
+        validateStatus: status => status === 200 || status === 304
+      }));
+    } catch (error) {
+      // 网络不可用时退回到过期的缓存
+      if (entry) {
+        return entry.data;
+      }
+      throw new Error(`获取包 ${packageName} 信息失败: ${error.message}`);
+    }
+
+    if (response.status === 304 && entry) {
+      await cache.write(cacheKey, { ...entry, fetchedAt: Date.now() });
+      return entry.data;
+    }
+
+    if (cache) {
+      await cache.write(cacheKey, {
+        name: packageName,
+        etag: response.headers.etag || null,
+        lastModified: response.headers['last-modified'] || null,
+        fetchedAt: Date.now(),
+        data: response.data
+      });
+    }
+
+    return response.data;
+  }
+
+  /**
+   * 下载包的tarball
+   * tarball 与registry位于同一个主机时带上registry的认证信息
+   * @param {string} packageName - 包名
+   * @param {string} tarballUrl - tarball 地址（packument 中的 dist.tarball）
+   * @param {Object} fetchOptions - 下载选项
+   * @param {number} fetchOptions.maxSize - 最大下载字节数，超过时停止下载
+   * @returns {Promise<Buffer|null>} - tarball 内容（gzip 压缩），超过 maxSize 时为 null
+   */
+  async function getTarball(packageName, tarballUrl, fetchOptions = {}) {
+    if (offline) {
+      throw new Error(`下载 ${packageName} 的tarball失败: 离线模式下无法下载`);
+    }
+
+    const registry = getRegistryForPackage(npmConfig, packageName, options.registry);
+    const headers = {};
+    const authorization = getAuthorization(npmConfig, registry);
+    if (authorization && new URL(tarballUrl).host === new URL(registry).host) {
+      headers.Authorization = authorization;
+    }
+
+    try {
+      const response = await limit(() => requestWithRetry(tarballUrl, {
+        headers,
+        httpsAgent,
+        timeout,
+        proxy: parseProxy(getProxyForUrl(npmConfig, tarballUrl)),
+        responseType: 'arraybuffer',
+        maxContentLength: fetchOptions.maxSize || -1
+      }));
+      return Buffer.from(response.data);
+    } catch (error) {
+      if (isContentTooLarge(error)) {
+        return null;
+      }
+      throw new Error(`下载 ${packageName} 的tarball失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 查询影响指定版本的安全公告
+   * 公告随时可能更新，结果不写入缓存
+   * @param {Object} versionsByName - { 包名: [版本] }
+   * @returns {Promise<Object>} - { 包名: [公告] }，公告字段与 npm audit 相同（id、title、severity、url、vulnerable_versions）
+   */
+  async function getAdvisories(versionsByName) {
+    if (offline) {
+      throw new Error('查询安全公告失败: 离线模式下无法查询');
+    }
+
+    const registry = getRegistryForPackage(npmConfig, '', options.registry);
+    const url = options.advisoryUrl || `${registry}${BULK_ADVISORY_PATH}`;
+    const headers = { 'Content-Type': 'application/json', Accept: 'application/json' };
+    const authorization = getAuthorization(npmConfig, registry);
+    if (authorization && new URL(url).host === new URL(registry).host) {
+      headers.Authorization = authorization;
+    }
+
+    try {
+      const response = await limit(() => requestWithRetry(url, {
+        method: 'post',
+        data: versionsByName,
+        headers,
+        httpsAgent,
+        timeout,
+        proxy: parseProxy(getProxyForUrl(npmConfig, url))
+      }));
+      return response.data && typeof response.data === 'object' ? response.data : {};
+    } catch (error) {
+      // Verdaccio 和很多镜像没有实现批量安全公告接口，这不是查询失败，而是无法查询
+      const status = error.response ? error.response.status : null;
+      if (UNSUPPORTED_ADVISORY_STATUSES.includes(status)) {
+        const unsupported = new Error(`registry 不支持批量安全公告接口（HTTP ${status}），已跳过安全公告查询`);
+        unsupported.unsupported = true;
+        throw unsupported;
+      }
+      throw new Error(`查询安全公告失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 发送请求，遇到限流、服务端错误或网络错误时按指数退避重试
+   * @param {string} url - 请求地址
+   * @param {Object} config - axios配置，未指定 method 时为 GET 请求
+   * @returns {Promise<Object>} - axios响应
+   */
+  async function requestWithRetry(url, config) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await axios.request({ method: 'get', ...config, url });
+      } catch (error) {
+        const status = error.response ? error.response.status : null;
+        // 响应超过 maxContentLength 时重试也不会成功
+        const retryable = status === 429 || (status >= 500 && status < 600) || (!error.response && !isContentTooLarge(error));
+
+        if (!retryable || attempt >= retries) {
+          throw error;
+        }
+
+        // 优先使用服务端返回的 Retry-After
+        const retryAfter = error.response && Number(error.response.headers['retry-after']);
+        const delay = retryAfter > 0 ? retryAfter * 1000 : 500 * 2 ** attempt;
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  return { getPackageInfo, getPackages, getTarball, getAdvisories, cache, offline };
+}
+
+/**
+ * 判断请求是否因为响应超过 maxContentLength 而中止
+ * @param {Error} error - axios 的错误
+ * @returns {boolean}
+ */
+function isContentTooLarge(error) {
+  return !error.response && /maxContentLength size of \d+ exceeded/.test(error.message);
+}
+
+/**
+ * 创建并发限制器
+ * @param {number} concurrency - 最大并发数
+ * @returns {Function} - limit(task)，task 为返回Promise的函数
+ */
+export function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) {
+      return;
+    }
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task().then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+
+  return task => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * 根据 strict-ssl、ca、cafile 配置创建HTTPS agent
+ * @param {Object} npmConfig - npm配置
+ * @returns {https.Agent|undefined}
+ */
+function createHttpsAgent(npmConfig) {
+  const agentOptions = {};
+
+  if (npmConfig['strict-ssl'] === 'false') {
+    agentOptions.rejectUnauthorized = false;
+  }
+
+  if (npmConfig.cafile) {
+    try {
+      agentOptions.ca = fs.readFileSync(npmConfig.cafile, 'utf-8');
+    } catch (error) {
+      throw new Error(`读取 .npmrc 中的 cafile 失败: ${error.message}`);
+    }
+  } else if (npmConfig.ca) {
+    agentOptions.ca = npmConfig.ca;
+  }
+
+  return Object.keys(agentOptions).length > 0 ? new https.Agent(agentOptions) : undefined;
+}
+
+/**
+ * 将代理地址转换为axios的proxy配置
+ * 没有配置代理时返回 false，避免axios再次读取环境变量
+ * @param {string|null} proxyUrl - 代理地址
+ * @returns {Object|false}
+ */
+function parseProxy(proxyUrl) {
+  if (!proxyUrl) {
+    return false;
+  }
+
+  const url = new URL(proxyUrl);
+  const proxy = {
+    protocol: url.protocol.replace(':', ''),
+    host: url.hostname,
+    port: Number(url.port) || (url.protocol === 'https:' ? 443 : 80)
+  };
+  if (url.username) {
+    proxy.auth = {
+      username: decodeURIComponent(url.username),
+      password: decodeURIComponent(url.password)
+    };
+  }
+  return proxy;
+}
+
+/**
+ * 根据分析选项和项目的 .npmrc 创建registry客户端
+ * @param {Object} options - 分析选项（path、offline、cache、cacheDir、cacheTtl、concurrency、timeout、registry、advisoryUrl）
+ * @returns {Promise<Object>} - registry客户端
+ */
+export async function createRegistryFromOptions(options) {
+  return createRegistryClient({
+    offline: options.offline,
+    cache: options.cache,
+    cacheDir: options.cacheDir,
+    cacheTtl: options.cacheTtl,
+    concurrency: options.concurrency,
+    timeout: options.timeout,
+    registry: options.registry,
+    advisoryUrl: options.advisoryUrl,
+    npmConfig: await loadNpmConfig(options.path)
+  });
+}
+
+let defaultClient = null;
+
+/**
+ * 获取默认的registry客户端
+ * @returns {Object} - registry客户端
+ */
+export function getDefaultRegistryClient() {
+  if (!defaultClient) {
+    defaultClient = createRegistryClient();
+  }
+  return defaultClient;
+}
@@ -1,33 +1,180 @@
 import fs from 'fs/promises';
 import chalk from 'chalk';
+import { toJsonReport } from './json-report.js';
+import { toSarifReport, toWorkspacesSarifReport } from './sarif-report.js';
+import { toHtmlReport } from './html-report.js';
+import { sortBySecurityPriority, describeAdvisoryFix } from './advisories.js';
+import { describeDedupe } from './duplicates.js';
+
+// 支持的报告格式
+export const REPORT_FORMATS = ['text', 'markdown', 'json', 'sarif', 'html'];
+
+// 更新日志来源的显示名称
+const CHANGELOG_SOURCE_LABELS = {
+  github: 'GitHub Releases',
+  tarball: 'tarball 中的 CHANGELOG'
+};
+
+// 控制台中每个依赖最多列出的不兼容变更数量，Markdown 报告中列出全部
+const MAX_CONSOLE_BREAKING = 10;
 
 /**
  * 生成兼容性报告
+ * text 格式输出到控制台（指定输出文件时同时保存Markdown报告），
+ * 其他格式写入输出文件，未指定时输出到标准输出
  * @param {Object} compatibilityResults - 兼容性分析结果
+ * @param {Object} options - 报告选项
+ * @param {string} options.output - 输出文件路径
+ * @param {string} options.format - 报告格式：text、markdown、json、sarif
+ * @param {Object} options.tool - 工具信息 { name, version }
+ * @returns {Promise<void>}
+ */
+export async function generateReport(compatibilityResults, options = {}) {
+  const { output, format = 'text', tool } = options;
+  
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`不支持的报告格式: ${format}，可选值为 ${REPORT_FORMATS.join(', ')}`);
+  }
+  
+  if (format === 'text') {
+    if (compatibilityResults.workspaces) {
+      printWorkspacesReport(compatibilityResults);
+    } else {
+      printConsoleReport(compatibilityResults);
+    }
+    
+    // 如果指定了输出文件，将报告写入文件
+    if (output) {
+      await saveReport(output, await renderReport(compatibilityResults, 'markdown'));
+    }
+    return;
+  }
+  
+  const content = await renderReport(compatibilityResults, format, tool);
+  if (output) {
+    await saveReport(output, content);
+  } else {
+    process.stdout.write(content);
+  }
+}
+
+/**
+ * 将分析结果渲染为指定格式的文本
+ * @param {Object} results - 兼容性分析结果
+ * @param {string} format - 报告格式：markdown、json、sarif、html
+ * @param {Object} tool - 工具信息
+ * @returns {Promise<string>} - 报告内容
+ */
+export async function renderReport(results, format, tool) {
+  if (format === 'json') {
+    return `${JSON.stringify(toJsonReport(results, tool), null, 2)}\n`;
+  }
+  
+  if (format === 'html') {
+    return toHtmlReport(results, tool);
+  }
+  
+  if (format === 'sarif' && results.workspaces) {
+    const contents = {};
+    for (const workspace of results.workspaces) {
+      contents[workspace.name] = await readPackageJson(workspace.results.project.packageJsonPath);
+    }
+    return `${JSON.stringify(toWorkspacesSarifReport(results, contents, tool), null, 2)}\n`;
+  }
+  
+  if (format === 'sarif') {
+    const packageJsonContent = await readPackageJson(results.project.packageJsonPath);
+    return `${JSON.stringify(toSarifReport(results, packageJsonContent, tool), null, 2)}\n`;
+  }
+  
+  return results.workspaces ? generateWorkspacesMarkdownReport(results) : generateMarkdownReport(results);
+}
+
+/**
+ * 读取 package.json 的原始内容
+ * @param {string} packageJsonPath - package.json 路径
+ * @returns {Promise<string>} - 文件内容，读取失败时为空字符串
+ */
+async function readPackageJson(packageJsonPath) {
+  try {
+    return await fs.readFile(packageJsonPath, 'utf-8');
+  } catch (error) {
+    // 找不到 package.json 时所有问题都定位到第一行
+    return '';
+  }
+}
+
+/**
+ * 保存报告文件
  * @param {string} outputFile - 输出文件路径
+ * @param {string} content - 报告内容
  * @returns {Promise<void>}
  */
-export async function generateReport(compatibilityResults, outputFile) {
-  const { compatible, incompatible, unknown, recommendations, upgradeAnalysis } = compatibilityResults;
+async function saveReport(outputFile, content) {
+  try {
+    await fs.writeFile(outputFile, content, 'utf-8');
+    console.log(chalk.green(`\n📄 报告已保存到: ${outputFile}`));
+  } catch (error) {
+    console.error(chalk.red(`\n❌ 保存报告失败: ${error.message}`));
+  }
+}
+
+/**
+ * 在控制台输出报告
+ * @param {Object} compatibilityResults - 兼容性分析结果
+ */
+function printConsoleReport(compatibilityResults) {
+  const { compatible, incompatible, unconstrained, unknown, recommendations, upgradeAnalysis, deepConflicts, lockfile, rangeFallbacks, peerViolations, config, solution, node, engineMismatches, deprecations, advisories, auditError, target, duplicates } = compatibilityResults;
   
   // 控制台输出报告
   console.log(chalk.blue('\n📊 依赖兼容性分析报告'));
   console.log(chalk.blue('===================='));
   
+  if (config) {
+    console.log(chalk.gray(`\n⚙️ 使用配置文件: ${config.path}`));
+  }
+  
+  // 版本来源
+  if (lockfile) {
+    console.log(chalk.gray(`\n🔒 已安装版本读取自: ${lockfile.path}`));
+  } else {
+    console.log(chalk.gray('\n🔒 未找到锁文件'));
+  }
+  
+  if (node) {
+    console.log(chalk.gray(`\n🟢 项目使用的 Node 版本: ${node.range}（来自 ${node.source}）`));
+  }
+  
+  if (rangeFallbacks && rangeFallbacks.length > 0) {
+    console.log(chalk.yellow(`\n⚠️ 未找到已安装版本，根据版本范围估算的依赖: ${rangeFallbacks.length}`));
+    rangeFallbacks.forEach(item => {
+      console.log(chalk.yellow(`  • ${item.name}: ${item.range} → ${item.version || '无法确定'}`));
+    });
+  }
+  
   // 兼容的依赖
   console.log(chalk.green(`\n✅ 兼容的依赖对: ${compatible.length}`));
   if (compatible.length > 0) {
     compatible.forEach(item => {
-      console.log(chalk.green(`  • ${item.pair}`));
+      console.log(chalk.green(`  • ${item.pair}${formatPairGroups(item)}`));
     });
   }
   
+  // 与其他依赖没有约束的依赖只列出名称
+  if (unconstrained && unconstrained.length > 0) {
+    console.log(chalk.gray(`\n➖ 与其他依赖没有约束的依赖: ${unconstrained.length}`));
+    console.log(chalk.gray(`  ${unconstrained.join(', ')}`));
+  }
+  
   // 不兼容的依赖
   console.log(chalk.red(`\n❌ 不兼容的依赖对: ${incompatible.length}`));
   if (incompatible.length > 0) {
     incompatible.forEach(item => {
-      console.log(chalk.red(`  • ${item.pair}`));
+      console.log(chalk.red(`  • ${item.pair}${formatPairGroups(item)}`));
       console.log(chalk.yellow(`    原因: ${item.reason}`));
+      if (item.rule && item.rule.url) {
+        console.log(chalk.gray(`    参考: ${item.rule.url}`));
+      }
       
       if (item.recommendation) {
         console.log(chalk.blue('    推荐版本:'));
@@ -38,6 +185,66 @@ export async function generateReport(compatibilityResults, outputFile) {
     });
   }
   
+  // 项目自身的peerDependencies
+  if (peerViolations) {
+    console.log(chalk.red(`\n🤝 不满足项目自身peerDependencies的依赖: ${peerViolations.length}`));
+    peerViolations.forEach(item => {
+      console.log(chalk.red(`  • ${item.reason}`));
+    });
+  }
+  
+  // 不支持项目 Node 版本的依赖
+  if (engineMismatches) {
+    console.log(chalk.red(`\n🟢 不支持项目 Node 版本的依赖: ${engineMismatches.length}`));
+    engineMismatches.forEach(item => {
+      console.log((item.partial ? chalk.yellow : chalk.red)(`  • ${item.reason}`));
+    });
+  }
+  
+  // 安全漏洞
+  if (advisories) {
+    console.log(chalk.red(`\n🔒 受安全公告影响的依赖: ${advisories.length}`));
+    advisories.forEach(item => {
+      console.log(chalk.red(`  • [${item.severity}] ${item.name}@${item.version}: ${item.title}`));
+      console.log((item.fixedByTarget ? chalk.green : chalk.yellow)(`    ${describeAdvisoryFix(item)}`));
+      if (item.url) {
+        console.log(chalk.gray(`    参考: ${item.url}`));
+      }
+    });
+  } else if (auditError) {
+    console.log(chalk.yellow(`\n🔒 ${auditError}`));
+  }
+  
+  // 已弃用的版本
+  if (deprecations) {
+    console.log(chalk.yellow(`\n🚫 已弃用的版本: ${deprecations.length}`));
+    deprecations.forEach(item => {
+      console.log(chalk.yellow(`  • ${item.reason}`));
+      console.log((item.fixedByTarget ? chalk.green : chalk.gray)(`    ${formatDeprecationFix(item)}`));
+    });
+  }
+  
+  // 传递依赖中的peer冲突，缺少的peer依赖单独列出
+  if (deepConflicts) {
+    const conflicts = deepConflicts.filter(item => item.type !== 'missing-peer');
+    const missingPeers = deepConflicts.filter(item => item.type === 'missing-peer');
+    console.log(chalk.red(`\n🌳 传递依赖中的peer冲突: ${conflicts.length}`));
+    conflicts.forEach(item => {
+      console.log(chalk.red(`  • ${item.reason}`));
+    });
+    if (missingPeers.length > 0) {
+      console.log(chalk.yellow(`\n🌱 传递依赖缺少的peer依赖: ${missingPeers.length}`));
+      missingPeers.forEach(item => {
+        console.log(chalk.yellow(`  • ${item.reason}`));
+      });
+    }
+  }
+  
+  // 安装了多个版本的依赖
+  if (duplicates) {
+    printDuplicates(duplicates);
+  }
+  
   // 未知状态的依赖
   if (unknown.length > 0) {
     console.log(chalk.yellow(`\n⚠️ 未能确定兼容性的依赖: ${unknown.length}`));
@@ -50,22 +257,38 @@ export async function generateReport(compatibilityResults, outputFile) {
   if (upgradeAnalysis) {
     console.log(chalk.blue('\n🔄 依赖升级分析'));
     console.log(chalk.blue('=============='));
+    if (target && target !== 'latest') {
+      console.log(chalk.gray(`升级目标: ${target}`));
+    }
     
     const upgradeable = [];
     const nonUpgradeable = [];
     
-    for (const [dep, info] of Object.entries(upgradeAnalysis)) {
+    // 带有安全修复的升级排在前面
+    for (const [dep, info] of sortBySecurityPriority(Object.entries(upgradeAnalysis))) {
       if (info.canUpgrade) {
         upgradeable.push({
           name: dep,
+          groups: info.groups,
           from: info.currentVersion,
-          to: info.latestVersion
+          to: info.latestVersion,
+          pinned: info.pinned,
+          updates: info.updates,
+          security: info.security,
+          changelog: info.changelog
         });
       } else {
         nonUpgradeable.push({
           name: dep,
+          groups: info.groups,
           from: info.currentVersion,
           to: info.latestVersion,
+          pinned: info.pinned,
+          blocked: info.blocked,
+          nodeSupportedVersion: info.nodeSupportedVersion,
+          updates: info.updates,
+          security: info.security,
+          changelog: info.changelog,
           issues: info.issues
         });
       }
@@ -75,7 +298,11 @@ export async function generateReport(compatibilityResults, outputFile) {
     console.log(chalk.green(`\n✅ 可以安全升级的依赖: ${upgradeable.length}`));
     if (upgradeable.length > 0) {
       upgradeable.forEach(item => {
-        console.log(chalk.green(`  • ${item.name}: ${item.from} → ${item.to}`));
+        console.log(chalk.green(`  • ${item.name}${formatGroups(item.groups)}: ${item.from} → ${item.to}${formatPin(item.pinned)}${formatSecurity(item.security)}`));
+        if (formatUpdates(item.updates)) {
+          console.log(chalk.gray(`    兼容的最新版本: ${formatUpdates(item.updates)}`));
+        }
+        printChangelog(item.changelog);
       });
     }
     
@@ -83,11 +310,21 @@ export async function generateReport(compatibilityResults, outputFile) {
     console.log(chalk.red(`\n⚠️ 升级可能导致问题的依赖: ${nonUpgradeable.length}`));
     if (nonUpgradeable.length > 0) {
       nonUpgradeable.forEach(item => {
-        console.log(chalk.red(`  • ${item.name}: ${item.from} → ${item.to}`));
-        console.log(chalk.yellow('    可能的问题:'));
-        item.issues.forEach(issue => {
-          console.log(chalk.yellow(`      - 与 ${issue.with} 不兼容: ${issue.reason}`));
-        });
+        console.log(chalk.red(`  • ${item.name}${formatGroups(item.groups)}: ${item.from} → ${item.to}${formatPin(item.pinned)}${formatSecurity(item.security)}`));
+        if (formatUpdates(item.updates)) {
+          console.log(chalk.blue(`    兼容的最新版本: ${formatUpdates(item.updates)}`));
+        }
+        if (item.blocked) {
+          console.log(chalk.red(`    ⛔ 升级被阻止: ${item.blocked.reason}`));
+          console.log(chalk.blue(`    ${formatNodeSupportedVersion(item)}`));
+        }
+        if (item.issues.length > 0) {
+          console.log(chalk.yellow('    可能的问题:'));
+          item.issues.forEach(issue => {
+            console.log(chalk.yellow(`      - 与 ${issue.with} 不兼容: ${issue.reason}`));
+          });
+        }
+        printChangelog(item.changelog);
       });
     }
   }
@@ -115,16 +352,151 @@ export async function generateReport(compatibilityResults, outputFile) {
     }
   }
   
-  // 如果指定了输出文件，将报告写入文件
-  if (outputFile) {
-    try {
-      const reportContent = generateMarkdownReport(compatibilityResults);
-      await fs.writeFile(outputFile, reportContent, 'utf-8');
-      console.log(chalk.green(`\n📄 报告已保存到: ${outputFile}`));
-    } catch (error) {
-      console.error(chalk.red(`\n❌ 保存报告失败: ${error.message}`));
+  // 统一的推荐版本组合
+  if (solution) {
+    console.log(chalk.blue('\n🧩 统一的推荐版本组合'));
+    console.log(chalk.blue('=================='));
+    
+    if (solution.satisfiable) {
+      if (solution.changes.length === 0) {
+        console.log(chalk.green('  当前版本已满足依赖之间所有的peer要求'));
+      } else {
+        console.log(chalk.green('  同时满足所有peer要求和已知问题规则、改动最小的版本组合:'));
+        solution.changes.forEach(change => {
+          console.log(chalk.green(`  • ${change.name}: ${change.from} → ${change.to}${change.downgrade ? ' (降级)' : ''}`));
+        });
+      }
+    } else if (solution.conflicts.length > 0) {
+      console.log(chalk.red('  不存在同时满足所有peer要求和已知问题规则的版本组合，以下约束无法同时满足:'));
+      solution.conflicts.forEach(conflict => {
+        console.log(chalk.red(`  • ${conflict.reason}`));
+      });
+    } else {
+      console.log(chalk.yellow('  依赖之间的约束过于复杂，未能在搜索上限内找到可行的版本组合'));
     }
+    
+    if (solution.satisfiable && !solution.exhaustive) {
+      console.log(chalk.gray('  (搜索超出上限，结果可能不是改动最小的组合)'));
+    }
+  }
+}
+
+/**
+ * 在控制台输出工作区项目的报告：按工作区分组输出，最后是工作区之间的检查和汇总
+ * @param {Object} results - 工作区分析结果
+ */
+function printWorkspacesReport(results) {
+  const { monorepo, workspaces, versionDrift, workspaceLinks, duplicates } = results;
+  
+  console.log(chalk.blue(`\n🗂️ 工作区项目: ${workspaces.length} 个包（来自 ${monorepo.source}）`));
+  
+  workspaces.forEach(workspace => {
+    console.log(chalk.magenta(`\n\n━━━━ 📦 ${workspace.name} (${workspace.path}) ━━━━`));
+    printConsoleReport(workspace.results);
+  });
+  
+  console.log(chalk.blue('\n\n🗂️ 工作区之间的检查'));
+  console.log(chalk.blue('=================='));
+  
+  const conflicting = versionDrift.filter(item => item.conflicting);
+  console.log(chalk.yellow(`\n🔀 各工作区声明不一致的依赖: ${versionDrift.length}（互相冲突: ${conflicting.length}）`));
+  versionDrift.forEach(item => {
+    const color = item.conflicting ? chalk.red : chalk.yellow;
+    console.log(color(`  • ${item.name}${item.conflicting ? ' (冲突)' : ''}`));
+    item.declarations.forEach(declaration => {
+      console.log(chalk.gray(`      - ${declaration.workspace} [${declaration.group}]: ${declaration.range}`));
+    });
+  });
+  
+  console.log(chalk.red(`\n🔗 工作区内部依赖的问题: ${workspaceLinks.length}`));
+  workspaceLinks.forEach(item => {
+    console.log(chalk.red(`  • ${item.reason}`));
+  });
+  
+  if (duplicates) {
+    printDuplicates(duplicates);
+  }
+  
+  console.log(chalk.blue('\n📋 汇总'));
+  workspaces.forEach(workspace => {
+    const summary = summarizeWorkspace(workspace.results);
+    const text = `安全漏洞 ${summary.vulnerabilities}，不兼容 ${summary.incompatible}，升级风险 ${summary.upgradeRisks}，传递冲突 ${summary.transitiveConflicts}，未知 ${summary.unknown}`;
+    const color = summary.vulnerabilities + summary.incompatible + summary.transitiveConflicts > 0 ? chalk.red : chalk.green;
+    console.log(color(`  • ${workspace.name}: ${text}`));
+  });
+}
+
+/**
+ * 生成工作区项目的Markdown报告
+ * @param {Object} results - 工作区分析结果
+ * @returns {string} - Markdown格式的报告内容
+ */
+function generateWorkspacesMarkdownReport(results) {
+  const { monorepo, workspaces, versionDrift, workspaceLinks, duplicates } = results;
+  let markdown = '# 工作区依赖兼容性分析报告\n\n';
+  
+  markdown += `生成时间: ${new Date().toLocaleString()}\n\n`;
+  markdown += `工作区: ${workspaces.length} 个包（来自 ${monorepo.source}）\n\n`;
+  
+  markdown += '## 📋 汇总\n\n';
+  markdown += '| 工作区 | 路径 | 安全漏洞 | 不兼容 | 升级风险 | 传递冲突 | 未知 |\n| --- | --- | --- | --- | --- | --- | --- |\n';
+  workspaces.forEach(workspace => {
+    const summary = summarizeWorkspace(workspace.results);
+    markdown += `| ${workspace.name} | ${workspace.path} | ${summary.vulnerabilities} | ${summary.incompatible} | ${summary.upgradeRisks} | ${summary.transitiveConflicts} | ${summary.unknown} |\n`;
+  });
+  markdown += '\n';
+  
+  markdown += `## 🔀 各工作区声明不一致的依赖 (${versionDrift.length})\n\n`;
+  if (versionDrift.length > 0) {
+    versionDrift.forEach(item => {
+      markdown += `### ${item.name}${item.conflicting ? ' (冲突)' : ''}\n`;
+      item.declarations.forEach(declaration => {
+        markdown += `- ${declaration.workspace} [${declaration.group}]: \`${declaration.range}\`\n`;
+      });
+      markdown += '\n';
+    });
+  } else {
+    markdown += '所有工作区声明的依赖版本一致\n\n';
   }
+  
+  markdown += `## 🔗 工作区内部依赖的问题 (${workspaceLinks.length})\n\n`;
+  if (workspaceLinks.length > 0) {
+    workspaceLinks.forEach(item => {
+      markdown += `- ${item.reason}\n`;
+    });
+    markdown += '\n';
+  } else {
+    markdown += '无\n\n';
+  }
+  
+  if (duplicates) {
+    markdown += formatMarkdownDuplicates(duplicates);
+  }
+  
+  // 每个工作区的详细报告，标题降一级
+  workspaces.forEach(workspace => {
+    markdown += `---\n\n## 📦 ${workspace.name} (${workspace.path})\n\n`;
+    markdown += generateMarkdownReport(workspace.results)
+      .replace(/^# .*\n+/, '')
+      .replace(/^(#+) /gm, '#$1 ');
+  });
+  
+  return markdown;
+}
+
+/**
+ * 统计单个工作区的问题数量
+ * @param {Object} results - 工作区的兼容性分析结果
+ * @returns {Object} - { incompatible, upgradeRisks, transitiveConflicts, unknown, vulnerabilities }
+ */
+function summarizeWorkspace(results) {
+  return {
+    incompatible: results.incompatible.length + (results.peerViolations ? results.peerViolations.length : 0),
+    upgradeRisks: Object.values(results.upgradeAnalysis || {}).filter(info => !info.canUpgrade).length,
+    transitiveConflicts: results.deepConflicts ? results.deepConflicts.filter(item => item.type !== 'missing-peer').length : 0,
+    unknown: results.unknown.length,
+    vulnerabilities: results.advisories ? results.advisories.length : 0
+  };
 }
 
 /**
@@ -133,28 +505,54 @@ export async function generateReport(compatibilityResults, outputFile) {
  * @returns {string} - Markdown格式的报告内容
  */
 function generateMarkdownReport(results) {
-  const { compatible, incompatible, unknown, recommendations, upgradeAnalysis } = results;
+  const { compatible, incompatible, unconstrained, unknown, recommendations, upgradeAnalysis, deepConflicts, lockfile, rangeFallbacks, peerViolations, config, solution, node, engineMismatches, deprecations, advisories, auditError, target, duplicates } = results;
   
   let markdown = '# 依赖兼容性分析报告\n\n';
   markdown += `生成时间: ${new Date().toLocaleString()}\n\n`;
+  if (config) {
+    markdown += `使用配置文件: \`${config.path}\`\n\n`;
+  }
+  markdown += lockfile ? `已安装版本读取自: \`${lockfile.path}\`\n\n` : '未找到锁文件\n\n';
+  if (node) {
+    markdown += `项目使用的 Node 版本: \`${node.range}\`（来自 ${node.source}）\n\n`;
+  }
+  
+  if (rangeFallbacks && rangeFallbacks.length > 0) {
+    markdown += `## ⚠️ 根据版本范围估算的依赖 (${rangeFallbacks.length})\n\n`;
+    markdown += '以下依赖在锁文件和 node_modules 中都没有找到，当前版本根据 package.json 中的版本范围估算：\n\n';
+    rangeFallbacks.forEach(item => {
+      markdown += `- **${item.name}**: ${item.range} → ${item.version || '无法确定'}\n`;
+    });
+    markdown += '\n';
+  }
   
   // 兼容的依赖
   markdown += `## ✅ 兼容的依赖对 (${compatible.length})\n\n`;
   if (compatible.length > 0) {
     compatible.forEach(item => {
-      markdown += `- ${item.pair}\n`;
+      markdown += `- ${item.pair}${formatPairGroups(item)}\n`;
     });
   } else {
     markdown += '无兼容的依赖对\n';
   }
   markdown += '\n';
   
+  // 与其他依赖没有约束的依赖只列出名称
+  if (unconstrained && unconstrained.length > 0) {
+    markdown += `## ➖ 与其他依赖没有约束的依赖 (${unconstrained.length})\n\n`;
+    markdown += '这些依赖与项目中的其他依赖之间没有peer要求，也没有命中已知问题规则：\n\n';
+    markdown += `${unconstrained.map(name => `\`${name}\``).join(', ')}\n\n`;
+  }
+  
   // 不兼容的依赖
   markdown += `## ❌ 不兼容的依赖对 (${incompatible.length})\n\n`;
   if (incompatible.length > 0) {
     incompatible.forEach(item => {
-      markdown += `### ${item.pair}\n`;
+      markdown += `### ${item.pair}${formatPairGroups(item)}\n`;
       markdown += `- **原因**: ${item.reason}\n`;
+      if (item.rule && item.rule.url) {
+        markdown += `- **参考**: [${item.rule.id}](${item.rule.url})\n`;
+      }
       
       if (item.recommendation) {
         markdown += '- **推荐版本**:\n';
@@ -168,6 +566,90 @@ function generateMarkdownReport(results) {
     markdown += '无不兼容的依赖对\n\n';
   }
   
+  // 项目自身的peerDependencies
+  if (peerViolations) {
+    markdown += `## 🤝 不满足项目自身peerDependencies的依赖 (${peerViolations.length})\n\n`;
+    if (peerViolations.length > 0) {
+      peerViolations.forEach(item => {
+        markdown += `- ${item.reason}\n`;
+      });
+    } else {
+      markdown += '所有peerDependencies均已满足\n';
+    }
+    markdown += '\n';
+  }
+  
+  // 不支持项目 Node 版本的依赖
+  if (engineMismatches) {
+    markdown += `## 🟢 不支持项目 Node 版本的依赖 (${engineMismatches.length})\n\n`;
+    if (engineMismatches.length > 0) {
+      engineMismatches.forEach(item => {
+        markdown += `- ${item.reason}\n`;
+      });
+    } else {
+      markdown += '所有依赖均支持项目使用的 Node 版本\n';
+    }
+    markdown += '\n';
+  }
+  
+  // 安全漏洞
+  if (advisories) {
+    markdown += `## 🔒 受安全公告影响的依赖 (${advisories.length})\n\n`;
+    if (advisories.length > 0) {
+      markdown += '| 严重程度 | 依赖 | 公告 | 受影响的版本 | 修复情况 |\n| --- | --- | --- | --- | --- |\n';
+      advisories.forEach(item => {
+        const title = item.url ? `[${item.title}](${item.url})` : item.title;
+        // 版本范围中的 || 会被当成表格的分隔符
+        markdown += `| ${item.severity} | ${item.name}@${item.version} | ${escapeTableCell(title)} | \`${escapeTableCell(item.vulnerableVersions)}\` | ${describeAdvisoryFix(item)} |\n`;
+      });
+    } else {
+      markdown += '未发现影响当前版本的安全公告\n';
+    }
+    markdown += '\n';
+  } else if (auditError) {
+    markdown += `## 🔒 受安全公告影响的依赖\n\n${auditError}\n\n`;
+  }
+  
+  // 已弃用的版本
+  if (deprecations) {
+    markdown += `## 🚫 已弃用的版本 (${deprecations.length})\n\n`;
+    if (deprecations.length > 0) {
+      deprecations.forEach(item => {
+        markdown += `- ${item.reason}\n  - ${formatDeprecationFix(item)}\n`;
+      });
+    } else {
+      markdown += '没有使用已弃用的版本\n';
+    }
+    markdown += '\n';
+  }
+  
+  // 传递依赖中的peer冲突，缺少的peer依赖单独列出
+  if (deepConflicts) {
+    const conflicts = deepConflicts.filter(item => item.type !== 'missing-peer');
+    const missingPeers = deepConflicts.filter(item => item.type === 'missing-peer');
+    markdown += `## 🌳 传递依赖中的peer冲突 (${conflicts.length})\n\n`;
+    if (conflicts.length > 0) {
+      conflicts.forEach(item => {
+        markdown += `- ${item.reason}\n`;
+      });
+    } else {
+      markdown += '无传递依赖冲突\n';
+    }
+    markdown += '\n';
+    if (missingPeers.length > 0) {
+      markdown += `## 🌱 传递依赖缺少的peer依赖 (${missingPeers.length})\n\n`;
+      missingPeers.forEach(item => {
+        markdown += `- ${item.reason}\n`;
+      });
+      markdown += '\n';
+    }
+  }
+  
+  // 安装了多个版本的依赖
+  if (duplicates) {
+    markdown += formatMarkdownDuplicates(duplicates);
+  }
+  
   // 未知状态的依赖
   if (unknown.length > 0) {
     markdown += `## ⚠️ 未能确定兼容性的依赖 (${unknown.length})\n\n`;
@@ -180,22 +662,38 @@ function generateMarkdownReport(results) {
   // 升级分析
   if (upgradeAnalysis) {
     markdown += '## 🔄 依赖升级分析\n\n';
+    if (target && target !== 'latest') {
+      markdown += `升级目标: \`${target}\`\n\n`;
+    }
     
     const upgradeable = [];
     const nonUpgradeable = [];
     
-    for (const [dep, info] of Object.entries(upgradeAnalysis)) {
+    // 带有安全修复的升级排在前面
+    for (const [dep, info] of sortBySecurityPriority(Object.entries(upgradeAnalysis))) {
       if (info.canUpgrade) {
         upgradeable.push({
           name: dep,
+          groups: info.groups,
           from: info.currentVersion,
-          to: info.latestVersion
+          to: info.latestVersion,
+          pinned: info.pinned,
+          updates: info.updates,
+          security: info.security,
+          changelog: info.changelog
         });
       } else {
         nonUpgradeable.push({
           name: dep,
+          groups: info.groups,
           from: info.currentVersion,
           to: info.latestVersion,
+          pinned: info.pinned,
+          blocked: info.blocked,
+          nodeSupportedVersion: info.nodeSupportedVersion,
+          updates: info.updates,
+          security: info.security,
+          changelog: info.changelog,
           issues: info.issues
         });
       }
@@ -205,7 +703,11 @@ function generateMarkdownReport(results) {
     markdown += `### ✅ 可以安全升级的依赖 (${upgradeable.length})\n\n`;
     if (upgradeable.length > 0) {
       upgradeable.forEach(item => {
-        markdown += `- **${item.name}**: ${item.from} → ${item.to}\n`;
+        markdown += `- **${item.name}**${formatGroups(item.groups)}: ${item.from} → ${item.to}${formatPin(item.pinned)}${formatSecurity(item.security)}\n`;
+        if (formatUpdates(item.updates)) {
+          markdown += `  - 兼容的最新版本: ${formatUpdates(item.updates)}\n`;
+        }
+        markdown += formatMarkdownChangelog(item.changelog, '  ');
       });
     } else {
       markdown += '无可安全升级的依赖\n';
@@ -216,11 +718,21 @@ function generateMarkdownReport(results) {
     markdown += `### ⚠️ 升级可能导致问题的依赖 (${nonUpgradeable.length})\n\n`;
     if (nonUpgradeable.length > 0) {
       nonUpgradeable.forEach(item => {
-        markdown += `#### ${item.name}: ${item.from} → ${item.to}\n`;
-        markdown += '可能的问题:\n';
-        item.issues.forEach(issue => {
-          markdown += `- 与 **${issue.with}** 不兼容: ${issue.reason}\n`;
-        });
+        markdown += `#### ${item.name}${formatGroups(item.groups)}: ${item.from} → ${item.to}${formatPin(item.pinned)}${formatSecurity(item.security)}\n`;
+        if (formatUpdates(item.updates)) {
+          markdown += `- 兼容的最新版本: ${formatUpdates(item.updates)}\n`;
+        }
+        if (item.blocked) {
+          markdown += `- ⛔ **升级被阻止**: ${item.blocked.reason}\n`;
+          markdown += `- ${formatNodeSupportedVersion(item)}\n`;
+        }
+        if (item.issues.length > 0) {
+          markdown += '可能的问题:\n';
+          item.issues.forEach(issue => {
+            markdown += `- 与 **${issue.with}** 不兼容: ${issue.reason}\n`;
+          });
+        }
+        markdown += formatMarkdownChangelog(item.changelog, '');
         markdown += '\n';
       });
     } else {
@@ -251,5 +763,240 @@ function generateMarkdownReport(results) {
     }
   }
   
+  // 统一的推荐版本组合
+  if (solution) {
+    markdown += '## 🧩 统一的推荐版本组合\n\n';
+    
+    if (solution.satisfiable) {
+      if (solution.changes.length === 0) {
+        markdown += '当前版本已满足依赖之间所有的peer要求\n\n';
+      } else {
+        markdown += '同时满足所有peer要求和已知问题规则、改动最小的版本组合:\n\n';
+        markdown += '| 依赖 | 当前版本 | 推荐版本 |\n| --- | --- | --- |\n';
+        solution.changes.forEach(change => {
+          markdown += `| ${change.name} | ${change.from} | ${change.to}${change.downgrade ? ' (降级)' : ''} |\n`;
+        });
+        markdown += '\n';
+      }
+      if (!solution.exhaustive) {
+        markdown += '> 搜索超出上限，结果可能不是改动最小的组合\n\n';
+      }
+    } else if (solution.conflicts.length > 0) {
+      markdown += '不存在同时满足所有peer要求和已知问题规则的版本组合，以下约束无法同时满足:\n\n';
+      solution.conflicts.forEach(conflict => {
+        markdown += `- ${conflict.reason}\n`;
+      });
+      markdown += '\n';
+    } else {
+      markdown += '依赖之间的约束过于复杂，未能在搜索上限内找到可行的版本组合\n\n';
+    }
+  }
+  
   return markdown;
-}
\ No newline at end of file
+}
+
+/**
+ * 在控制台输出安装了多个版本的依赖，以及引入每个版本的依赖方
+ * @param {Array<Object>} duplicates - 重复安装的包
+ */
+function printDuplicates(duplicates) {
+  const singletons = duplicates.filter(item => item.singleton);
+  const color = singletons.length > 0 ? chalk.red : chalk.yellow;
+  console.log(color(`\n🧬 安装了多个版本的依赖: ${duplicates.length}（只能存在一份的包: ${singletons.length}）`));
+  duplicates.forEach(item => {
+    console.log((item.singleton ? chalk.red : chalk.yellow)(`  • ${item.name}${item.singleton ? ' (只能存在一份)' : ''}`));
+    item.versions.forEach(({ version, dependents }) => {
+      console.log(chalk.gray(`      - ${version} ← ${formatDependents(dependents)}`));
+    });
+    console.log((item.dedupeVersion ? chalk.blue : chalk.yellow)(`    ${describeDedupe(item)}`));
+  });
+}
+
+/**
+ * 生成安装了多个版本的依赖的Markdown内容
+ * @param {Array<Object>} duplicates - 重复安装的包
+ * @returns {string}
+ */
+function formatMarkdownDuplicates(duplicates) {
+  const singletons = duplicates.filter(item => item.singleton);
+  let markdown = `## 🧬 安装了多个版本的依赖 (${duplicates.length})\n\n`;
+  if (duplicates.length === 0) {
+    return `${markdown}每个依赖都只安装了一个版本\n\n`;
+  }
+  
+  if (singletons.length > 0) {
+    markdown += `其中 ${singletons.length} 个包只能存在一份，多份副本会导致运行时错误\n\n`;
+  }
+  duplicates.forEach(item => {
+    markdown += `### ${item.name}${item.singleton ? ' (只能存在一份)' : ''}\n`;
+    item.versions.forEach(({ version, dependents }) => {
+      markdown += `- \`${version}\` ← ${formatDependents(dependents)}\n`;
+    });
+    markdown += `- **合并**: ${describeDedupe(item)}\n\n`;
+  });
+  return markdown;
+}
+
+/**
+ * 格式化引入某个版本的依赖方
+ * @param {Array<Object>} dependents - [{ name, version, range }]，version 为 null 表示项目或工作区自身
+ * @returns {string} - 如 "app (^17.0.0)、lib@1.0.0 (^16.8.0)"
+ */
+function formatDependents(dependents) {
+  if (dependents.length === 0) {
+    return '未知';
+  }
+  return dependents
+    .map(dependent => `${dependent.version ? `${dependent.name}@${dependent.version}` : dependent.name}${dependent.range ? ` (${dependent.range})` : ''}`)
+    .join('、');
+}
+
+/**
+ * 格式化依赖所属的分组标签
+ * @param {Array<string>} groups - 分组名列表
+ * @returns {string} - 如 " [prod+dev]"
+ */
+function formatGroups(groups) {
+  return groups && groups.length > 0 ? ` [${groups.join('+')}]` : '';
+}
+
+/**
+ * 格式化依赖对的分组标签
+ * @param {Object} item - 依赖对检查结果
+ * @returns {string} - 如 " [prod / dev]"
+ */
+function formatPairGroups(item) {
+  if (!item.groups) {
+    return '';
+  }
+  return ` [${Object.values(item.groups).map(groups => groups.join('+')).join(' / ')}]`;
+}
+
+/**
+ * 格式化版本上限说明
+ * @param {string|null} pinned - 配置中的版本上限
+ * @returns {string}
+ */
+function formatPin(pinned) {
+  return pinned ? ` (受版本上限 ${pinned} 限制)` : '';
+}
+
+/**
+ * 格式化补丁、次版本和主版本中兼容的最新版本
+ * @param {Object} updates - { patch, minor, major }
+ * @returns {string} - 如 "补丁 1.0.3 · 次版本 1.5.0"，都没有时为空字符串
+ */
+function formatUpdates(updates) {
+  if (!updates) {
+    return '';
+  }
+  const labels = { patch: '补丁', minor: '次版本', major: '主版本' };
+  return Object.entries(labels)
+    .filter(([level]) => updates[level])
+    .map(([level, label]) => `${label} ${updates[level]}`)
+    .join(' · ');
+}
+
+/**
+ * 转义Markdown表格单元格中的竖线
+ * @param {string} text - 单元格内容
+ * @returns {string}
+ */
+function escapeTableCell(text) {
+  return String(text).replace(/\|/g, '\\|');
+}
+
+/**
+ * 格式化升级带来的安全修复标记
+ * @param {Object|undefined} security - 升级的安全信息 { advisories, fixes, severity, deprecated, fixesDeprecation }
+ * @returns {string} - 如 " 🔒 修复 2 个安全漏洞（最高 high）"
+ */
+function formatSecurity(security) {
+  if (!security) {
+    return '';
+  }
+  const labels = [];
+  if (security.fixes.length > 0) {
+    labels.push(`修复 ${security.fixes.length} 个安全漏洞（最高 ${security.severity}）`);
+  }
+  if (security.fixesDeprecation) {
+    labels.push('解决弃用');
+  }
+  return labels.length > 0 ? ` 🔒 ${labels.join('，')}` : '';
+}
+
+/**
+ * 描述升级能否解决弃用
+ * @param {Object} item - 弃用的版本
+ * @returns {string}
+ */
+function formatDeprecationFix(item) {
+  if (!item.target) {
+    return '没有可以升级的版本';
+  }
+  return item.fixedByTarget ? `升级到 ${item.target} 后不再是弃用的版本` : `升级目标 ${item.target} 同样已被弃用`;
+}
+
+/**
+ * 格式化因 Node 版本被阻止的升级的建议
+ * @param {Object} item - 升级分析结果
+ * @returns {string}
+ */
+function formatNodeSupportedVersion(item) {
+  return item.nodeSupportedVersion
+    ? `建议: 升级到仍然支持 Node ${item.blocked.node} 的最新版本 ${item.nodeSupportedVersion}`
+    : `没有支持 Node ${item.blocked.node} 的更新版本`;
+}
+
+/**
+ * 在控制台输出升级跳过的版本中的不兼容变更
+ * @param {Object|null|undefined} changelog - 更新日志，未指定 --changelog 时为 undefined
+ */
+function printChangelog(changelog) {
+  if (changelog === undefined) {
+    return;
+  }
+  if (!changelog || !changelog.source) {
+    const detail = changelog && changelog.errors.length > 0 ? `: ${changelog.errors.join('; ')}` : '';
+    console.log(chalk.gray(`    📝 未找到更新日志${detail}`));
+    return;
+  }
+  
+  const breaking = changelog.releases.flatMap(release => release.breaking.map(text => ({ version: release.version, text })));
+  console.log(chalk.blue(`    📝 更新日志（${CHANGELOG_SOURCE_LABELS[changelog.source] || changelog.source}）: 跳过 ${changelog.releases.length} 个版本，不兼容变更 ${breaking.length} 条`));
+  breaking.slice(0, MAX_CONSOLE_BREAKING).forEach(item => {
+    console.log(chalk.yellow(`      ⚠️ ${item.version}: ${item.text}`));
+  });
+  if (breaking.length > MAX_CONSOLE_BREAKING) {
+    console.log(chalk.gray(`      … 另有 ${breaking.length - MAX_CONSOLE_BREAKING} 条，完整内容见 Markdown 报告`));
+  }
+}
+
+/**
+ * 生成升级跳过的版本中不兼容变更的Markdown列表
+ * @param {Object|null|undefined} changelog - 更新日志
+ * @param {string} indent - 列表的缩进
+ * @returns {string}
+ */
+function formatMarkdownChangelog(changelog, indent) {
+  if (changelog === undefined) {
+    return '';
+  }
+  if (!changelog || !changelog.source) {
+    return `${indent}- 📝 未找到更新日志\n`;
+  }
+  
+  const label = CHANGELOG_SOURCE_LABELS[changelog.source] || changelog.source;
+  let markdown = `${indent}- 📝 **更新日志**（${label}）: 跳过 ${changelog.releases.length} 个版本\n`;
+  const releases = changelog.releases.filter(release => release.breaking.length > 0);
+  if (releases.length > 0) {
+    markdown += `${indent}  - **不兼容变更**:\n`;
+    releases.forEach(release => {
+      const version = release.url ? `[${release.version}](${release.url})` : release.version;
+      release.breaking.forEach(text => {
+        markdown += `${indent}    - ${version}: ${text}\n`;
+      });
+    });
+  }
+  return markdown;
+}
@@ -0,0 +1,215 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import semver from 'semver';
+import { parseYaml } from './yaml.js';
+
+// 随工具一起发布的规则
+export const BUILTIN_RULES_PATH = fileURLToPath(new URL('./rules/builtin.json', import.meta.url));
+
+// requireSame 可选的比较级别
+export const MATCH_LEVELS = ['major', 'minor', 'patch'];
+
+/**
+ * 加载已知兼容性问题规则：内置规则、用户的规则文件以及通过npm发布的规则包
+ * 后加载的规则会覆盖 id 相同的规则，因此项目可以改写内置规则
+ * @param {string} projectPath - 项目路径，相对路径的规则文件和规则包都从这里解析
+ * @param {Array<string>} sources - 规则来源：文件路径或npm包名
+ * @returns {Promise<Object>} - { rules, sources: [{ source, path, count }] }
+ */
+export async function loadRules(projectPath = process.cwd(), sources = []) {
+  const byId = new Map();
+  const loaded = [];
+
+  for (const source of ['builtin', ...sources]) {
+    const filePath = source === 'builtin' ? BUILTIN_RULES_PATH : await resolveRuleSource(projectPath, source);
+    const rules = await readRuleFile(filePath);
+    const errors = validateRules(rules);
+
+    if (errors.length > 0) {
+      throw new Error(`规则文件 ${filePath} 格式错误:\n  ${errors.join('\n  ')}`);
+    }
+
+    rules.forEach(rule => byId.set(rule.id, { ...rule, source }));
+    loaded.push({ source, path: filePath, count: rules.length });
+  }
+
+  return { rules: [...byId.values()], sources: loaded };
+}
+
+/**
+ * 将规则来源解析为规则文件路径
+ * 以 . 或 / 开头、或以 .json/.yaml/.yml 结尾的视为文件路径，其余视为安装在项目中的npm规则包。
+ * 规则包通过 package.json 的 upgradeLensRules 字段指定规则文件，默认为 rules.json
+ * @param {string} projectPath - 项目路径
+ * @param {string} source - 规则来源
+ * @returns {Promise<string>} - 规则文件路径
+ */
+export async function resolveRuleSource(projectPath, source) {
+  if (/^[./]/.test(source) || /\.(json|ya?ml)$/.test(source) || path.isAbsolute(source)) {
+    return path.resolve(projectPath, source);
+  }
+
+  const packageDir = path.join(projectPath, 'node_modules', source);
+  let packageJson;
+  try {
+    packageJson = JSON.parse(await fs.readFile(path.join(packageDir, 'package.json'), 'utf-8'));
+  } catch (error) {
+    throw new Error(`无法加载规则包 ${source}，请确认已安装到项目中: ${error.message}`);
+  }
+
+  return path.join(packageDir, packageJson.upgradeLensRules || 'rules.json');
+}
+
+/**
+ * 读取规则文件，支持JSON和YAML，内容可以是规则数组或 { rules: [...] }
+ * @param {string} filePath - 规则文件路径
+ * @returns {Promise<Array<Object>>} - 规则列表（未校验）
+ */
+export async function readRuleFile(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    throw new Error(`读取规则文件 ${filePath} 失败: ${error.message}`);
+  }
+
+  let data;
+  try {
+    data = /\.ya?ml$/.test(filePath) ? parseYaml(content) : JSON.parse(content);
+  } catch (error) {
+    throw new Error(`解析规则文件 ${filePath} 失败: ${error.message}`);
+  }
+
+  const rules = Array.isArray(data) ? data : data && data.rules;
+  if (!Array.isArray(rules)) {
+    throw new Error(`规则文件 ${filePath} 格式错误: 必须是规则数组或包含 rules 数组的对象`);
+  }
+  return rules;
+}
+
+/**
+ * 校验规则
+ * @param {Array<Object>} rules - 规则列表
+ * @returns {Array<string>} - 错误信息，为空表示全部合法
+ */
+export function validateRules(rules) {
+  const errors = [];
+  const ids = new Set();
+
+  rules.forEach((rule, index) => {
+    const label = rule && typeof rule.id === 'string' ? rule.id : `#${index + 1}`;
+    const fail = message => errors.push(`规则 ${label}: ${message}`);
+
+    if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+      fail('规则必须是一个对象');
+      return;
+    }
+
+    if (typeof rule.id !== 'string' || !rule.id) {
+      fail('缺少 id');
+    } else if (ids.has(rule.id)) {
+      fail('id 重复');
+    } else {
+      ids.add(rule.id);
+    }
+
+    const { packages } = rule;
+    if (!Array.isArray(packages) || packages.length !== 2 || packages.some(name => typeof name !== 'string') || packages[0] === packages[1]) {
+      fail('packages 必须是两个不同包名组成的数组');
+      return;
+    }
+
+    if (!rule.when && !rule.requireSame) {
+      fail('至少需要 when 或 requireSame 中的一个条件');
+    }
+
+    for (const field of ['when', 'recommend']) {
+      if (rule[field] === undefined) continue;
+
+      if (typeof rule[field] !== 'object' || rule[field] === null || Array.isArray(rule[field])) {
+        fail(`${field} 必须是 { 包名: 版本范围 } 形式的对象`);
+        continue;
+      }
+      for (const [name, range] of Object.entries(rule[field])) {
+        if (!packages.includes(name)) {
+          fail(`${field}.${name} 不在 packages 中`);
+        } else if (typeof range !== 'string' || !semver.validRange(range)) {
+          fail(`${field}.${name} 不是合法的版本范围: ${range}`);
+        }
+      }
+    }
+
+    if (rule.requireSame !== undefined && !MATCH_LEVELS.includes(rule.requireSame)) {
+      fail(`requireSame 的值必须是 ${MATCH_LEVELS.join(', ')} 之一`);
+    }
+
+    if (typeof rule.reason !== 'string' || !rule.reason) {
+      fail('缺少 reason');
+    }
+
+    if (rule.url !== undefined && (typeof rule.url !== 'string' || !/^https?:\/\//.test(rule.url))) {
+      fail('url 必须是 http(s) 地址');
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * 查找一对依赖命中的已知兼容性问题
+ * @param {Array<Object>} rules - 规则列表
+ * @param {string} dep1 - 依赖1名称
+ * @param {string} version1 - 依赖1版本
+ * @param {string} dep2 - 依赖2名称
+ * @param {string} version2 - 依赖2版本
+ * @returns {Object|null} - { rule, reason, recommend: { 包名: 版本范围 } }，未命中时为 null
+ */
+export function findKnownIssue(rules, dep1, version1, dep2, version2) {
+  if (!semver.valid(version1) || !semver.valid(version2)) {
+    return null;
+  }
+
+  for (const rule of rules) {
+    const [pkg1, pkg2] = rule.packages;
+    if (!((dep1 === pkg1 && dep2 === pkg2) || (dep1 === pkg2 && dep2 === pkg1))) {
+      continue;
+    }
+
+    const versions = { [dep1]: version1, [dep2]: version2 };
+    const when = rule.when || {};
+    const conditionMet = Object.entries(when).every(([name, range]) =>
+      semver.satisfies(versions[name], range, { includePrerelease: true })
+    );
+    if (!conditionMet) {
+      continue;
+    }
+
+    if (rule.requireSame && isSameAtLevel(version1, version2, rule.requireSame)) {
+      continue;
+    }
+
+    // 未指定推荐范围的包保持当前版本，要求版本一致时两者都对齐到较新的版本
+    const newer = semver.gt(version1, version2) ? version1 : version2;
+    const recommend = {};
+    for (const name of [dep1, dep2]) {
+      if (rule.recommend && rule.recommend[name]) {
+        recommend[name] = rule.recommend[name];
+      } else {
+        recommend[name] = rule.requireSame ? newer : versions[name];
+      }
+    }
+
+    return { rule, reason: rule.reason, recommend };
+  }
+
+  return null;
+}
+
+function isSameAtLevel(version1, version2, level) {
+  if (level === 'patch') {
+    return semver.eq(version1, version2);
+  }
+  return semver.major(version1) === semver.major(version2) &&
+    (level === 'major' || semver.minor(version1) === semver.minor(version2));
+}
@@ -0,0 +1,328 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { DEFAULT_SEVERITY } from './config.js';
+import { describeAdvisoryFix } from './advisories.js';
+import { describeDedupe } from './duplicates.js';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// 报告中的路径相对于该基准目录，GitHub code scanning 将其解析为仓库根目录
+const SOURCE_ROOT_ID = '%SRCROOT%';
+
+// SARIF规则定义，id 与 JSON 报告中的 type 对应，findingType 对应配置文件中 severity 的问题类型
+const RULES = {
+  'peer-dependency': {
+    name: 'IncompatiblePeerDependency',
+    description: '依赖的 peerDependencies 要求与项目中安装的版本不兼容',
+    findingType: 'incompatible'
+  },
+  'known-issue': {
+    name: 'KnownCompatibilityIssue',
+    description: '依赖组合命中已知的兼容性问题',
+    findingType: 'incompatible'
+  },
+  'missing-metadata': {
+    name: 'MissingMetadata',
+    description: '无法获取判断兼容性所需的依赖信息',
+    findingType: 'incompatible'
+  },
+  'transitive-peer-conflict': {
+    name: 'TransitivePeerConflict',
+    description: '传递依赖的 peerDependencies 要求不被满足',
+    findingType: 'transitive-conflict'
+  },
+  'transitive-missing-peer': {
+    name: 'TransitiveMissingPeer',
+    description: '传递依赖需要的 peerDependencies 在依赖树中没有安装',
+    findingType: 'missing-peer'
+  },
+  'peer-range-violation': {
+    name: 'PeerRangeViolation',
+    description: '实际安装的版本不满足项目自身声明的 peerDependencies',
+    findingType: 'peer-violation'
+  },
+  'engine-mismatch': {
+    name: 'NodeEngineMismatch',
+    description: '依赖的 engines.node 不支持项目使用的 Node 版本',
+    findingType: 'engine-mismatch'
+  },
+  'vulnerability': {
+    name: 'SecurityAdvisory',
+    description: '依赖的当前版本受已知安全公告影响',
+    findingType: 'vulnerability'
+  },
+  'deprecated': {
+    name: 'DeprecatedVersion',
+    description: '依赖的当前版本已被维护者弃用',
+    findingType: 'deprecated'
+  },
+  'upgrade-risk': {
+    name: 'UpgradeRisk',
+    description: '升级到最新版本会与其他依赖产生冲突，或不支持项目使用的 Node 版本',
+    findingType: 'upgrade-risk'
+  },
+  'unknown': {
+    name: 'UnknownCompatibility',
+    description: '无法确定依赖的兼容性',
+    findingType: 'unknown'
+  },
+  'version-drift': {
+    name: 'WorkspaceVersionDrift',
+    description: '同一个依赖在不同工作区中声明的版本范围互相冲突',
+    findingType: 'version-drift'
+  },
+  'workspace-link': {
+    name: 'WorkspaceLinkViolation',
+    description: '工作区内部依赖的版本或peer要求不被满足',
+    findingType: 'workspace-link'
+  },
+  'singleton-duplicate': {
+    name: 'DuplicateSingletonPackage',
+    description: '只能存在一份的包（如 react）在依赖树中安装了多个版本',
+    findingType: 'duplicate'
+  }
+};
+
+// 配置中的严重程度与SARIF级别的对应关系
+const SARIF_LEVELS = {
+  error: 'error',
+  warning: 'warning',
+  info: 'note'
+};
+
+/**
+ * 生成SARIF 2.1.0格式的报告
+ * 每个问题都定位到 package.json 中声明对应依赖的那一行
+ * @param {Object} results - 兼容性分析结果
+ * @param {string} packageJsonContent - package.json 的原始内容
+ * @param {Object} tool - 工具信息 { name, version }
+ * @param {string} sourceRoot - 路径的基准目录，默认为项目所在的 git 仓库根目录
+ * @returns {Object} - SARIF报告
+ */
+export function toSarifReport(results, packageJsonContent, tool = {}, sourceRoot = null) {
+  const { incompatible, unknown, upgradeAnalysis, deepConflicts, peerViolations, engineMismatches, deprecations, advisories, duplicates, project } = results;
+  const severity = { ...DEFAULT_SEVERITY, ...results.severity };
+  const levelOf = ruleId => SARIF_LEVELS[severity[RULES[ruleId].findingType]] || 'warning';
+  const packageJsonPath = project && project.packageJsonPath ? project.packageJsonPath : 'package.json';
+  const root = sourceRoot || findSourceRoot(path.dirname(path.resolve(packageJsonPath)));
+  const sarifResults = [];
+  const locate = name => createLocation(root, packageJsonPath, packageJsonContent, name);
+
+  const addResult = (ruleId, message, names) => {
+    sarifResults.push({
+      ruleId,
+      level: levelOf(ruleId),
+      message: { text: message },
+      locations: [locate(names[0])],
+      relatedLocations: names.slice(1).map((name, index) => ({ id: index + 1, ...locate(name) }))
+    });
+  };
+
+  incompatible.forEach(item => {
+    const ruleId = RULES[item.type] ? item.type : 'unknown';
+    // 不满足要求的一方作为主位置
+    const names = item.requirement
+      ? [item.requirement.dependency, item.requirement.dependent]
+      : (item.packages || []).map(pkg => pkg.name);
+    addResult(ruleId, item.reason, names);
+  });
+
+  (deepConflicts || []).forEach(item => {
+    // 传递依赖的冲突定位到引入它的直接依赖
+    addResult(item.type === 'missing-peer' ? 'transitive-missing-peer' : 'transitive-peer-conflict', item.reason, [item.path[1]]);
+  });
+
+  (peerViolations || []).forEach(item => {
+    addResult('peer-range-violation', item.reason, [item.name]);
+  });
+
+  (engineMismatches || []).forEach(item => {
+    addResult('engine-mismatch', item.reason, [item.name]);
+  });
+
+  (duplicates || []).filter(item => item.singleton).forEach(item => {
+    addResult('singleton-duplicate', `${item.reason}，${describeDedupe(item)}`, [item.name]);
+  });
+
+  (advisories || []).forEach(item => {
+    addResult('vulnerability', `${item.reason}（${describeAdvisoryFix(item)}）${item.url ? ` ${item.url}` : ''}`, [item.name]);
+  });
+
+  (deprecations || []).forEach(item => {
+    addResult('deprecated', item.reason, [item.name]);
+  });
+
+  Object.entries(upgradeAnalysis || {}).forEach(([name, info]) => {
+    if (!info.canUpgrade) {
+      const issues = [info.blocked, ...info.issues].filter(Boolean).map(issue => issue.reason).join('; ');
+      addResult('upgrade-risk', `${name} 从 ${info.currentVersion} 升级到 ${info.latestVersion} 可能导致问题: ${issues}`, [name]);
+    }
+  });
+
+  unknown.forEach(item => {
+    addResult('unknown', `${item.name}: ${item.reason}`, [item.name]);
+  });
+
+  return createSarifLog(sarifResults, levelOf, tool, root);
+}
+
+/**
+ * 生成工作区项目的SARIF报告
+ * 每个工作区的问题定位到各自的 package.json，工作区之间的问题定位到声明该依赖的每个 package.json
+ * @param {Object} results - 工作区分析结果
+ * @param {Object} contents - 每个工作区 package.json 的原始内容 { 工作区名: 内容 }
+ * @param {Object} tool - 工具信息 { name, version }
+ * @returns {Object} - SARIF报告
+ */
+export function toWorkspacesSarifReport(results, contents, tool = {}) {
+  const severity = { ...DEFAULT_SEVERITY, ...results.severity };
+  const levelOf = ruleId => SARIF_LEVELS[severity[RULES[ruleId].findingType]] || 'warning';
+  const packageJsonPaths = Object.fromEntries(results.workspaces.map(workspace => [
+    workspace.name,
+    workspace.results.project.packageJsonPath
+  ]));
+  // 所有工作区使用同一个基准目录，不在 git 仓库中时为工作区的根目录
+  const root = findSourceRoot(path.dirname(path.resolve(results.project.packageJsonPath)));
+  const locate = (workspaceName, name) => createLocation(root, packageJsonPaths[workspaceName], contents[workspaceName], name);
+
+  const sarifResults = results.workspaces.flatMap(workspace =>
+    toSarifReport(workspace.results, contents[workspace.name], tool, root).runs[0].results
+  );
+
+  results.versionDrift.filter(item => item.conflicting).forEach(item => {
+    const locations = item.declarations.map(declaration => locate(declaration.workspace, item.name));
+    sarifResults.push({
+      ruleId: 'version-drift',
+      level: levelOf('version-drift'),
+      message: { text: item.reason },
+      locations: [locations[0]],
+      relatedLocations: locations.slice(1).map((location, index) => ({ id: index + 1, ...location }))
+    });
+  });
+
+  results.workspaceLinks.forEach(item => {
+    sarifResults.push({
+      ruleId: 'workspace-link',
+      level: levelOf('workspace-link'),
+      message: { text: item.reason },
+      locations: [locate(item.workspace, item.peer || item.dependency)],
+      relatedLocations: []
+    });
+  });
+
+  // 重复安装的单例包定位到直接依赖它的工作区，都不是直接依赖时定位到根目录的 package.json
+  (results.duplicates || []).filter(item => item.singleton).forEach(item => {
+    const owners = [...new Set(item.versions.flatMap(version => version.dependents)
+      .filter(dependent => !dependent.version && packageJsonPaths[dependent.name])
+      .map(dependent => dependent.name))];
+    const locations = (owners.length > 0 ? owners : [results.workspaces[0].name]).map(owner => locate(owner, item.name));
+    sarifResults.push({
+      ruleId: 'singleton-duplicate',
+      level: levelOf('singleton-duplicate'),
+      message: { text: `${item.reason}，${describeDedupe(item)}` },
+      locations: [locations[0]],
+      relatedLocations: locations.slice(1).map((location, index) => ({ id: index + 1, ...location }))
+    });
+  });
+
+  return createSarifLog(sarifResults, levelOf, tool, root);
+}
+
+/**
+ * 查找报告中路径的基准目录：项目所在的 git 仓库根目录，不在仓库中时为项目目录
+ * @param {string} projectDir - 项目目录
+ * @returns {string} - 绝对路径
+ */
+function findSourceRoot(projectDir) {
+  for (let dir = projectDir; ; dir = path.dirname(dir)) {
+    if (fs.existsSync(path.join(dir, '.git'))) {
+      return dir;
+    }
+    if (path.dirname(dir) === dir) {
+      return projectDir;
+    }
+  }
+}
+
+/**
+ * 生成 package.json 中某个依赖的位置
+ * @param {string} root - 路径的基准目录
+ * @param {string} packageJsonPath - package.json 路径
+ * @param {string} content - package.json 内容
+ * @param {string} name - 依赖名
+ * @returns {Object} - SARIF location
+ */
+function createLocation(root, packageJsonPath, content, name) {
+  const uri = path.relative(root, path.resolve(packageJsonPath)).split(path.sep).join('/');
+  const { line, column } = findDependencyLine(content || '', name);
+  return {
+    physicalLocation: {
+      artifactLocation: { uri, uriBaseId: SOURCE_ROOT_ID },
+      region: { startLine: line, startColumn: column }
+    }
+  };
+}
+
+function createSarifLog(sarifResults, levelOf, tool, root) {
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: tool.name || 'upgrade-lens',
+            version: tool.version || undefined,
+            informationUri: 'https://github.com/zjp123/UpgradeDepDetective-',
+            rules: Object.entries(RULES).map(([id, rule]) => ({
+              id,
+              name: rule.name,
+              shortDescription: { text: rule.description },
+              defaultConfiguration: { level: levelOf(id) }
+            }))
+          }
+        },
+        originalUriBaseIds: {
+          [SOURCE_ROOT_ID]: { uri: pathToFileURL(`${root}${path.sep}`).href }
+        },
+        results: sarifResults
+      }
+    ]
+  };
+}
+
+/**
+ * 查找 package.json 中声明某个依赖的行号和列号
+ * 优先在依赖字段（dependencies 等）中查找，找不到时定位到第一行
+ * @param {string} content - package.json 内容
+ * @param {string} name - 依赖名
+ * @returns {Object} - { line, column }，从1开始
+ */
+export function findDependencyLine(content, name) {
+  const lines = content.split(/\r?\n/);
+  const keyPattern = new RegExp(`^(\\s*)"${name.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')}"\\s*:`);
+  let inDependencyGroup = false;
+  let fallback = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (/^\s*"(dependencies|devDependencies|peerDependencies|optionalDependencies)"\s*:/.test(line)) {
+      inDependencyGroup = true;
+    } else if (inDependencyGroup && /^\s*}/.test(line)) {
+      inDependencyGroup = false;
+    }
+
+    const match = line.match(keyPattern);
+    if (match) {
+      const location = { line: i + 1, column: match[1].length + 1 };
+      if (inDependencyGroup) {
+        return location;
+      }
+      fallback = fallback || location;
+    }
+  }
+
+  return fallback || { line: 1, column: 1 };
+}
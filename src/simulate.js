@@ -0,0 +1,211 @@
+import semver from 'semver';
+import { checkVersionCompatibility } from './compatibility.js';
+import { getChannel } from './targets.js';
+
+/**
+ * 解析 <包名>@<版本> 形式的升级目标，版本可以是具体版本、版本范围或 dist-tag，省略时为 latest
+ * @param {string} spec - 升级目标，如 react@18、@types/react@^18.2.0、next@canary
+ * @returns {Object} - { name, range }
+ */
+export function parseTargetSpec(spec) {
+  const index = spec.lastIndexOf('@');
+  if (index <= 0) {
+    return { name: spec, range: 'latest' };
+  }
+  const name = spec.slice(0, index);
+  const range = spec.slice(index + 1).trim();
+  if (!name || !range) {
+    throw new Error(`无效的升级目标: ${spec}，格式为 <包名>@<版本>`);
+  }
+  return { name, range };
+}
+
+/**
+ * 确定升级目标对应的具体版本
+ * @param {Object} packageDetails - 包详细信息
+ * @param {Object} target - { name, range }
+ * @returns {string} - 版本
+ */
+export function resolveTargetSpec(packageDetails, target) {
+  const { name, range } = target;
+  const versions = Object.keys(packageDetails.versions || {}).filter(version => semver.valid(version));
+  const distTags = packageDetails['dist-tags'] || {};
+
+  if (distTags[range]) {
+    return distTags[range];
+  }
+  if (semver.valid(range)) {
+    if (!versions.includes(semver.valid(range))) {
+      throw new Error(`${name} 没有版本 ${range}`);
+    }
+    return semver.valid(range);
+  }
+  if (!semver.validRange(range)) {
+    throw new Error(`${name} 没有名为 ${range} 的 dist-tag`);
+  }
+
+  const version = semver.maxSatisfying(versions, range);
+  if (!version) {
+    throw new Error(`${name} 没有满足 ${range} 的版本`);
+  }
+  return version;
+}
+
+/**
+ * 模拟把若干依赖升级到指定版本：找出因此必须一起变动的依赖（连锁升级）以及无法兼容、阻止这次升级的依赖
+ * 升级目标和已经确定要变动的依赖固定不变，与它们冲突的依赖改为与所有固定依赖兼容的最低版本，
+ * 不存在这样的版本时，该依赖阻止这次升级
+ * @param {Object} currentVersions - 当前版本 { 包名: 版本 }
+ * @param {Object} dependencyDetails - 依赖详细信息（包括升级目标中项目尚未使用的包）
+ * @param {Array<Object>} targets - 升级目标 [{ name, version }]
+ * @param {Object} options - 选项
+ * @param {Object} options.pins - 版本上限 { 包名: 版本范围 }，连锁升级只考虑上限以内的版本
+ * @param {Function} options.ignorePair - 判断依赖对是否被忽略的函数
+ * @returns {Object} - { targets, moves, blockers, versions }
+ */
+export function simulateUpgrade(currentVersions, dependencyDetails, targets, options = {}) {
+  const { pins = {}, ignorePair = () => false } = options;
+  const versions = { ...currentVersions };
+  // 固定不变的依赖，按确定的顺序排列：先是升级目标，然后是连锁升级
+  const fixed = [];
+  const moves = [];
+  const blockers = [];
+  const blocked = new Set();
+  const reported = new Set();
+
+  for (const target of targets) {
+    versions[target.name] = target.version;
+    fixed.push(target.name);
+  }
+
+  const check = (dep1, version1, dep2, version2) => (
+    ignorePair(dep1, dep2)
+      ? { compatible: true }
+      : checkVersionCompatibility(dep1, version1, dep2, version2, dependencyDetails)
+  );
+  const acceptsFixed = (name, version) =>
+    fixed.every(other => other === name || check(name, version, other, versions[other]).compatible);
+
+  // 每次处理一个冲突，直到固定的依赖与其余依赖之间没有新的冲突；
+  // 每处理一个冲突都会固定一个依赖或记录一个阻止项，因此循环一定会结束
+  const names = Object.keys(versions).filter(name => semver.valid(versions[name]));
+  for (;;) {
+    const conflict = findConflict(fixed, names, versions, check, (pair, other) => reported.has(pair) || blocked.has(other));
+    if (!conflict) break;
+
+    const { source, other, result } = conflict;
+    const requirement = result.requirement;
+
+    // 两边都已经固定：无法通过改变其中一个来解决
+    if (fixed.includes(other)) {
+      reported.add(conflict.pair);
+      blockers.push({
+        name: requirement.dependent,
+        version: versions[requirement.dependent],
+        requiredBy: requirement.dependent === source ? other : source,
+        requirement,
+        reason: `${requirement.dependent}@${versions[requirement.dependent]} 需要 ${requirement.dependency}@${requirement.range}，但 ${requirement.dependency} 将是 ${versions[requirement.dependency]}`
+      });
+      continue;
+    }
+
+    const version = findMinimumVersion(dependencyDetails[other], currentVersions[other], pins[other], candidate => acceptsFixed(other, candidate));
+    if (!version) {
+      blocked.add(other);
+      blockers.push({
+        name: other,
+        version: versions[other],
+        requiredBy: source,
+        requirement,
+        reason: `${describeRequirement(requirement, versions)}，且 ${other} 没有与 ${fixed.map(name => `${name}@${versions[name]}`).join('、')} 都兼容的版本`
+      });
+      continue;
+    }
+
+    moves.push({
+      name: other,
+      from: currentVersions[other],
+      to: version,
+      downgrade: semver.lt(version, currentVersions[other]),
+      requiredBy: source,
+      requirement,
+      reason: describeRequirement(requirement, versions)
+    });
+    versions[other] = version;
+    fixed.push(other);
+  }
+
+  return {
+    targets: targets.map(target => ({
+      name: target.name,
+      from: currentVersions[target.name] || null,
+      to: target.version
+    })),
+    moves,
+    blockers,
+    versions
+  };
+}
+
+/**
+ * 查找固定的依赖与其他依赖之间的第一个冲突
+ * @param {Array<string>} fixed - 固定的依赖
+ * @param {Array<string>} names - 所有依赖
+ * @param {Object} versions - 计划中的版本
+ * @param {Function} check - 检查两个依赖版本的兼容性
+ * @param {Function} skip - 跳过已经处理过的依赖对 (pair, other) => boolean
+ * @returns {Object|null} - { source, other, pair, result }
+ */
+function findConflict(fixed, names, versions, check, skip) {
+  for (const source of fixed) {
+    for (const other of names) {
+      if (other === source) continue;
+      const pair = [source, other].sort().join('\u0000');
+      if (skip(pair, other)) continue;
+
+      const result = check(source, versions[source], other, versions[other]);
+      if (!result.compatible) {
+        return { source, other, pair, result };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * 查找满足条件的最低版本，优先不低于当前版本；只有降级才能满足时返回满足条件的最高的更低版本
+ * 当前版本是正式版本时不考虑预发布版本
+ * @param {Object} packageDetails - 包详细信息
+ * @param {string} current - 当前版本
+ * @param {string} pin - 版本上限
+ * @param {Function} accepts - 判断版本是否满足条件
+ * @returns {string|null} - 版本
+ */
+function findMinimumVersion(packageDetails, current, pin, accepts) {
+  if (!packageDetails || !packageDetails.versions) {
+    return null;
+  }
+
+  const channel = getChannel(current);
+  const candidates = Object.keys(packageDetails.versions)
+    .filter(version => semver.valid(version) && version !== current)
+    .filter(version => !getChannel(version) || getChannel(version) === channel)
+    .filter(version => !pin || semver.satisfies(version, pin, { includePrerelease: true }))
+    .sort(semver.compare);
+
+  const upgrade = candidates.find(version => semver.gt(version, current) && accepts(version));
+  if (upgrade) {
+    return upgrade;
+  }
+  return candidates.filter(version => semver.lt(version, current)).reverse().find(accepts) || null;
+}
+
+/**
+ * 描述冲突的peer要求
+ * @param {Object} requirement - { dependent, dependency, range }
+ * @param {Object} versions - 计划中的版本
+ * @returns {string}
+ */
+function describeRequirement(requirement, versions) {
+  return `${requirement.dependent}@${versions[requirement.dependent]} 需要 ${requirement.dependency}@${requirement.range}`;
+}
@@ -0,0 +1,343 @@
+import semver from 'semver';
+import { supportsNode } from './engines.js';
+import { findKnownIssue } from './rules.js';
+
+// 单次搜索最多尝试的赋值次数，超出后返回已找到的最优解
+export const DEFAULT_MAX_STEPS = 200000;
+
+// 冲突说明中每条约束最多列出的版本范围数量
+const MAX_LISTED_RANGES = 4;
+
+/**
+ * 为所有依赖求解一组同时满足彼此之间peerDependencies要求的版本
+ * 只有通过peer要求（或已知问题规则）相互关联的依赖才会参与求解，其余依赖保持当前版本。
+ * 在所有可行的组合中优先选择改动的依赖最少、版本变化最小的一组；
+ * 不存在可行组合时，给出无法同时满足的最小约束集合
+ * @param {Object} currentVersions - 当前版本 { 包名: 版本 }
+ * @param {Object} dependencyDetails - 依赖详细信息
+ * @param {Object} options - 求解选项
+ * @param {Object} options.pins - 版本上限 { 包名: 版本范围 }，当前版本不受限制
+ * @param {Function} options.ignorePair - 判断依赖对是否被忽略的函数，被忽略的依赖对之间的约束不参与求解
+ * @param {number} options.maxSteps - 单次搜索最多尝试的赋值次数
+ * @param {string} options.nodeRange - 项目使用的 Node 版本范围，不支持该版本的候选版本会被排除
+ * @param {Array<Object>} options.rules - 已知问题规则，命中规则的版本组合视为不兼容，默认只考虑peer要求
+ * @returns {Object} - { satisfiable, exhaustive, versions, changes, conflicts }
+ */
+export function solveVersions(currentVersions, dependencyDetails, options = {}) {
+  const { pins = {}, ignorePair = () => false, maxSteps = DEFAULT_MAX_STEPS, nodeRange = null, rules = [] } = options;
+  const names = Object.keys(currentVersions).filter(name =>
+    semver.valid(currentVersions[name]) && dependencyDetails[name] && dependencyDetails[name].versions
+  );
+
+  // 每个依赖的候选版本，按与当前版本的差距从小到大排列
+  const candidates = {};
+  for (const name of names) {
+    candidates[name] = buildCandidates(dependencyDetails[name], currentVersions[name], nodeRange);
+  }
+
+  // 依赖之间的peer约束（A 的某些版本要求 B 满足某个范围）
+  const edges = [];
+  for (const dependent of names) {
+    const dependencies = new Set();
+    for (const version of candidates[dependent]) {
+      for (const dependency of Object.keys(getPeers(dependencyDetails, dependent, version))) {
+        if (dependency !== dependent && candidates[dependency] && !ignorePair(dependent, dependency)) {
+          dependencies.add(dependency);
+        }
+      }
+    }
+    dependencies.forEach(dependency => edges.push({ type: 'peer', dependent, dependency }));
+  }
+
+  // 已知问题规则涉及的依赖对，规则不区分方向，每对只记录一次
+  for (const rule of rules) {
+    const [dep1, dep2] = rule.packages;
+    const exists = edges.some(edge => edge.type === 'rule' &&
+      ((edge.dependent === dep1 && edge.dependency === dep2) || (edge.dependent === dep2 && edge.dependency === dep1)));
+    if (dep1 !== dep2 && candidates[dep1] && candidates[dep2] && !ignorePair(dep1, dep2) && !exists) {
+      edges.push({ type: 'rule', dependent: dep1, dependency: dep2 });
+    }
+  }
+
+  const solution = {
+    satisfiable: true,
+    exhaustive: true,
+    versions: { ...currentVersions },
+    changes: [],
+    conflicts: []
+  };
+
+  for (const component of findComponents(names, edges)) {
+    const componentEdges = edges.filter(edge => component.includes(edge.dependent));
+    const componentPins = component
+      .filter(name => pins[name])
+      .map(name => ({ type: 'pin', name, range: pins[name] }));
+    const problem = { names: component, candidates, currentVersions, dependencyDetails, maxSteps, rules };
+
+    const result = search(problem, [...componentEdges, ...componentPins], true);
+    if (!result.complete) {
+      solution.exhaustive = false;
+    }
+
+    if (result.assignment) {
+      Object.assign(solution.versions, result.assignment);
+      continue;
+    }
+
+    solution.satisfiable = false;
+    if (result.complete) {
+      const conflicting = findMinimalConflict(problem, [...componentEdges, ...componentPins]);
+      solution.conflicts.push(...conflicting.map(constraint => describeConstraint(constraint, problem)));
+    }
+  }
+
+  if (!solution.satisfiable) {
+    solution.versions = null;
+    return solution;
+  }
+
+  for (const name of names) {
+    if (solution.versions[name] !== currentVersions[name]) {
+      solution.changes.push({
+        name,
+        from: currentVersions[name],
+        to: solution.versions[name],
+        downgrade: semver.lt(solution.versions[name], currentVersions[name])
+      });
+    }
+  }
+
+  return solution;
+}
+
+/**
+ * 生成依赖的候选版本
+ * 同一个 major.minor 只保留最高的补丁版本，peer要求几乎不会在补丁版本之间变化；
+ * 当前版本不是预发布版本时不考虑预发布版本，也不考虑不支持项目 Node 版本的版本
+ * @param {Object} packageDetails - 包详细信息
+ * @param {string} current - 当前版本
+ * @param {string} nodeRange - 项目使用的 Node 版本范围
+ * @returns {Array<string>} - 候选版本，第一个是当前版本
+ */
+function buildCandidates(packageDetails, current, nodeRange) {
+  const highestPatch = {};
+
+  for (const version of Object.keys(packageDetails.versions)) {
+    if (!semver.valid(version) || (semver.prerelease(version) && !semver.prerelease(current)) ||
+        !supportsNode(packageDetails.versions[version], nodeRange)) {
+      continue;
+    }
+    const key = `${semver.major(version)}.${semver.minor(version)}`;
+    if (!highestPatch[key] || semver.gt(version, highestPatch[key])) {
+      highestPatch[key] = version;
+    }
+  }
+
+  const others = Object.values(highestPatch).filter(version => version !== current);
+  others.sort((a, b) => compareDistance(a, b, current));
+
+  return [current, ...others];
+}
+
+/**
+ * 比较两个版本与当前版本的差距
+ * 主版本差距小的优先；差距相同时升级优先于降级，并且越接近当前版本越优先
+ */
+function compareDistance(a, b, current) {
+  const majorDiff = version => Math.abs(semver.major(version) - semver.major(current));
+  const isDowngrade = version => semver.lt(version, current);
+
+  if (majorDiff(a) !== majorDiff(b)) {
+    return majorDiff(a) - majorDiff(b);
+  }
+  if (isDowngrade(a) !== isDowngrade(b)) {
+    return isDowngrade(a) ? 1 : -1;
+  }
+  return isDowngrade(a) ? semver.rcompare(a, b) : semver.compare(a, b);
+}
+
+// 无法解析的版本要求（如 workspace:*）视为满足，避免误报
+function satisfies(version, range) {
+  return !semver.validRange(range) || semver.satisfies(version, range);
+}
+
+function getPeers(dependencyDetails, name, version) {
+  const info = dependencyDetails[name].versions[version] || {};
+  return info.peerDependencies || {};
+}
+
+/**
+ * 按peer约束把依赖划分为相互独立的连通分量，没有任何约束的依赖不参与求解
+ * @param {Array<string>} names - 依赖名
+ * @param {Array<Object>} edges - peer约束
+ * @returns {Array<Array<string>>} - 连通分量
+ */
+function findComponents(names, edges) {
+  const parent = Object.fromEntries(names.map(name => [name, name]));
+  const find = name => (parent[name] === name ? name : (parent[name] = find(parent[name])));
+
+  edges.forEach(({ dependent, dependency }) => {
+    parent[find(dependent)] = find(dependency);
+  });
+
+  const components = {};
+  for (const name of new Set(edges.flatMap(edge => [edge.dependent, edge.dependency]))) {
+    const root = find(name);
+    components[root] = components[root] || [];
+    components[root].push(name);
+  }
+  return Object.values(components);
+}
+
+/**
+ * 在约束下搜索版本组合
+ * @param {Object} problem - 求解问题 { names, candidates, currentVersions, dependencyDetails, maxSteps, rules }
+ * @param {Array<Object>} constraints - 生效的约束（peer 约束、已知问题规则和版本上限）
+ * @param {boolean} optimize - 是否寻找改动最小的组合，否则找到任意一个可行组合即返回
+ * @returns {Object} - { assignment, complete }，complete 为 false 表示搜索超出上限
+ */
+function search(problem, constraints, optimize) {
+  const { names, candidates, currentVersions, dependencyDetails, maxSteps, rules } = problem;
+  const activeEdges = new Set(constraints.filter(item => item.type === 'peer').map(item => `${item.dependent}>${item.dependency}`));
+  const activeRules = new Set(constraints.filter(item => item.type === 'rule').flatMap(item => [
+    `${item.dependent}>${item.dependency}`,
+    `${item.dependency}>${item.dependent}`
+  ]));
+  const pins = Object.fromEntries(constraints.filter(item => item.type === 'pin').map(item => [item.name, item.range]));
+
+  // 约束越多的依赖越先赋值，尽早发现冲突
+  const degree = name => constraints.filter(item => item.dependent === name || item.dependency === name).length;
+  const order = [...names].sort((a, b) => degree(b) - degree(a));
+
+  const domains = {};
+  for (const name of order) {
+    domains[name] = candidates[name].filter(version =>
+      version === currentVersions[name] || !pins[name] || semver.satisfies(version, pins[name])
+    );
+  }
+
+  const assignment = {};
+  let best = null;
+  let bestCost = Infinity;
+  let steps = 0;
+  let complete = true;
+
+  const consistent = (name, version) => {
+    for (const other of Object.keys(assignment)) {
+      if (activeEdges.has(`${name}>${other}`)) {
+        const range = getPeers(dependencyDetails, name, version)[other];
+        if (range && !satisfies(assignment[other], range)) return false;
+      }
+      if (activeEdges.has(`${other}>${name}`)) {
+        const range = getPeers(dependencyDetails, other, assignment[other])[name];
+        if (range && !satisfies(version, range)) return false;
+      }
+      if (activeRules.has(`${name}>${other}`) && findKnownIssue(rules, name, version, other, assignment[other])) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  // 代价：先比较改动的依赖数量，再比较候选版本的排名之和
+  const visit = (depth, changes, rankSum) => {
+    const cost = changes * 1e6 + rankSum;
+    if (cost >= bestCost) return;
+
+    if (depth === order.length) {
+      best = { ...assignment };
+      bestCost = cost;
+      return;
+    }
+
+    const name = order[depth];
+    for (let i = 0; i < domains[name].length; i++) {
+      if (++steps > maxSteps) {
+        complete = false;
+        return;
+      }
+
+      const version = domains[name][i];
+      if (!consistent(name, version)) continue;
+
+      assignment[name] = version;
+      const changed = version === currentVersions[name] ? 0 : 1;
+      visit(depth + 1, changes + changed, rankSum + i);
+      delete assignment[name];
+
+      if (!complete || (best && !optimize)) return;
+    }
+  };
+
+  visit(0, 0, 0);
+
+  return { assignment: best, complete: complete || Boolean(best && !optimize) };
+}
+
+/**
+ * 逐个尝试移除约束，得到仍然无法满足的最小约束集合
+ * @param {Object} problem - 求解问题
+ * @param {Array<Object>} constraints - 无法同时满足的约束
+ * @returns {Array<Object>} - 最小冲突约束集合
+ */
+function findMinimalConflict(problem, constraints) {
+  let conflicting = [...constraints];
+
+  for (const constraint of constraints) {
+    const remaining = conflicting.filter(item => item !== constraint);
+    const result = search(problem, remaining, false);
+    // 移除后仍然无解，说明这个约束不是冲突的必要部分
+    if (!result.assignment && result.complete) {
+      conflicting = remaining;
+    }
+  }
+
+  return conflicting;
+}
+
+/**
+ * 生成约束的说明
+ * @param {Object} constraint - 约束
+ * @param {Object} problem - 求解问题
+ * @returns {Object} - { type, dependent, dependency, name, ranges, reason }
+ */
+function describeConstraint(constraint, problem) {
+  if (constraint.type === 'pin') {
+    return {
+      type: 'pin',
+      name: constraint.name,
+      ranges: [constraint.range],
+      reason: `配置中 ${constraint.name} 的版本上限为 ${constraint.range}`
+    };
+  }
+
+  if (constraint.type === 'rule') {
+    const { dependent, dependency } = constraint;
+    const reasons = [...new Set(problem.rules
+      .filter(rule => rule.packages.includes(dependent) && rule.packages.includes(dependency))
+      .map(rule => rule.reason))];
+    return {
+      type: 'rule',
+      dependent,
+      dependency,
+      ranges: [],
+      reason: `${dependent} 与 ${dependency} 存在已知问题: ${reasons.join('；')}`
+    };
+  }
+
+  const { dependent, dependency } = constraint;
+  const ranges = [...new Set(problem.candidates[dependent]
+    .map(version => getPeers(problem.dependencyDetails, dependent, version)[dependency])
+    .filter(Boolean))];
+  const listed = ranges.slice(0, MAX_LISTED_RANGES).join('、') + (ranges.length > MAX_LISTED_RANGES ? ' 等' : '');
+
+  return {
+    type: 'peer',
+    dependent,
+    dependency,
+    ranges,
+    reason: ranges.length === 1
+      ? `${dependent} 需要 ${dependency}@${ranges[0]}`
+      : `${dependent} 的各个版本分别需要 ${dependency} 满足 ${listed}`
+  };
+}
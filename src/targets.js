@@ -0,0 +1,148 @@
+import semver from 'semver';
+
+// 按范围从小到大排列的升级级别，--target 为其中之一时只考虑不超过该级别的版本
+export const UPGRADE_LEVELS = ['patch', 'minor', 'major'];
+
+export const DEFAULT_TARGET = 'latest';
+
+// 列出依赖中存在的 dist-tag 时最多显示的数量
+const MAX_LISTED_TAGS = 10;
+
+/**
+ * 解析 --target 参数
+ * dist-tag 不能是合法的版本范围（npm 也不允许），写成版本号或版本范围的通常是误用
+ * @param {string} target - patch、minor、major、latest 或 dist-tag
+ * @returns {string} - 升级目标，未指定时为 latest
+ */
+export function parseTarget(target) {
+  const value = String(target || '').trim() || DEFAULT_TARGET;
+  if (!UPGRADE_LEVELS.includes(value) && semver.validRange(value)) {
+    throw new Error(`--target 不能是版本号或版本范围: ${value}，可选值为 ${[...UPGRADE_LEVELS, DEFAULT_TARGET].join(', ')} 或 dist-tag（如 next、beta）`);
+  }
+  return value;
+}
+
+/**
+ * 检查作为升级目标的 dist-tag 是否存在，没有任何依赖有这个 dist-tag 时报错（通常是拼写错误）
+ * @param {string} target - parseTarget 的结果
+ * @param {Object} packages - 依赖详细信息 { 包名: packument }
+ */
+export function checkTargetTag(target, packages) {
+  const details = Object.values(packages || {});
+  if (UPGRADE_LEVELS.includes(target) || target === DEFAULT_TARGET || details.length === 0) {
+    return;
+  }
+
+  const tags = [...new Set(details.flatMap(item => Object.keys(item['dist-tags'] || {})))].sort();
+  if (tags.includes(target)) {
+    return;
+  }
+
+  const listed = tags.filter(tag => tag !== DEFAULT_TARGET);
+  const tagText = listed.length > 0
+    ? `，以及依赖中存在的 dist-tag: ${listed.slice(0, MAX_LISTED_TAGS).join(', ')}${listed.length > MAX_LISTED_TAGS ? ' 等' : ''}`
+    : '';
+  throw new Error(`没有任何依赖存在名为 ${target} 的 dist-tag，可选的升级目标为 ${[...UPGRADE_LEVELS, DEFAULT_TARGET].join(', ')}${tagText}`);
+}
+
+/**
+ * 获取预发布版本所在的通道，如 19.0.0-beta.1 → beta
+ * @param {string} version - 版本
+ * @returns {string|null} - 通道名，正式版本为 null
+ */
+export function getChannel(version) {
+  const prerelease = semver.valid(version) ? semver.prerelease(version) : null;
+  return prerelease ? String(prerelease[0]) : null;
+}
+
+/**
+ * 判断从当前版本升级到某个版本属于哪个级别
+ * @param {string} current - 当前版本
+ * @param {string} version - 新版本
+ * @returns {string} - patch、minor 或 major
+ */
+export function getUpgradeLevel(current, version) {
+  if (semver.major(version) !== semver.major(current)) {
+    return 'major';
+  }
+  return semver.minor(version) === semver.minor(current) ? 'patch' : 'minor';
+}
+
+/**
+ * 列出比当前版本更新、可以作为升级目标的版本
+ * 默认不包含预发布版本；当前版本是预发布版本时，包含同一通道（如 beta）中更新的预发布版本
+ * @param {Object} packageDetails - 包详细信息
+ * @param {string} current - 当前版本
+ * @param {Object} options - 选项
+ * @param {boolean} options.prerelease - 是否包含所有预发布版本
+ * @param {string} options.pin - 版本上限
+ * @returns {Array<string>} - 从新到旧排列的版本
+ */
+export function listUpgradeVersions(packageDetails, current, options = {}) {
+  const { prerelease = false, pin = null } = options;
+  if (!packageDetails || !packageDetails.versions || !semver.valid(current)) {
+    return [];
+  }
+
+  const channel = getChannel(current);
+  return Object.keys(packageDetails.versions)
+    .filter(version => semver.valid(version) && semver.gt(version, current))
+    .filter(version => !getChannel(version) || prerelease || getChannel(version) === channel)
+    .filter(version => !pin || semver.satisfies(version, pin, { includePrerelease: true }))
+    .sort(semver.rcompare);
+}
+
+/**
+ * 根据 --target 确定依赖的升级目标版本
+ * patch / minor / major 为不超过该级别的最新版本；latest 和其他 dist-tag 为对应标签指向的版本，
+ * 当前版本位于 next、beta 等通道时，latest 使用同一通道的标签
+ * @param {Object} packageDetails - 包详细信息
+ * @param {string} current - 当前版本
+ * @param {string} target - 升级目标：patch、minor、major、latest 或 dist-tag
+ * @param {Object} options - 选项，同 listUpgradeVersions
+ * @returns {string|null} - 目标版本，没有更新的版本时为 null
+ */
+export function resolveTargetVersion(packageDetails, current, target = DEFAULT_TARGET, options = {}) {
+  const versions = listUpgradeVersions(packageDetails, current, options);
+
+  if (UPGRADE_LEVELS.includes(target)) {
+    const maxLevel = UPGRADE_LEVELS.indexOf(target);
+    return versions.find(version => UPGRADE_LEVELS.indexOf(getUpgradeLevel(current, version)) <= maxLevel) || null;
+  }
+
+  const distTags = packageDetails && packageDetails['dist-tags'] ? packageDetails['dist-tags'] : {};
+  // 通道的标签没有比当前版本更新时（如正式版本已经发布），退回到 latest
+  const tags = target === DEFAULT_TARGET ? [findChannelTag(distTags, current), DEFAULT_TARGET] : [target];
+  const tagged = tags
+    .map(tag => distTags[tag])
+    .find(version => semver.valid(version) && semver.valid(current) && semver.gt(version, current));
+  if (!tagged) {
+    return null;
+  }
+
+  // 明确指定的 dist-tag 可以指向预发布版本，latest 只在允许预发布版本时才会指向它
+  const allowed = target !== DEFAULT_TARGET || versions.includes(tagged);
+  const { pin = null } = options;
+  if (allowed && (!pin || semver.satisfies(tagged, pin, { includePrerelease: true }))) {
+    return tagged;
+  }
+
+  // 标签指向的版本超出版本上限或是预发布版本时，使用不超过该版本的最新版本
+  return versions.find(version => semver.lte(version, tagged)) || null;
+}
+
+/**
+ * 查找当前版本所在通道的 dist-tag，优先使用与通道同名的标签
+ * @param {Object} distTags - dist-tags
+ * @param {string} current - 当前版本
+ * @returns {string|null} - 标签名，当前版本是正式版本时为 null
+ */
+function findChannelTag(distTags, current) {
+  const channel = getChannel(current);
+  if (!channel) {
+    return null;
+  }
+
+  const tags = Object.keys(distTags).filter(tag => getChannel(distTags[tag]) === channel);
+  return tags.includes(channel) ? channel : tags[0] || null;
+}
@@ -0,0 +1,267 @@
+import semver from 'semver';
+import { createReporter } from './progress.js';
+
+/**
+ * 解析依赖范围对应的具体版本
+ * @param {Object} packageDetails - 包详细信息
+ * @param {string} range - 版本范围
+ * @returns {string|null} - 满足范围的最高版本
+ */
+export function resolveVersion(packageDetails, range) {
+  if (!packageDetails || !packageDetails.versions) {
+    return null;
+  }
+
+  const versions = Object.keys(packageDetails.versions);
+  const tags = packageDetails['dist-tags'] || {};
+
+  // dist-tag（如 latest、next）直接取对应版本
+  if (tags[range]) {
+    return tags[range];
+  }
+
+  try {
+    // 优先选择 latest 标签，与 npm 的解析行为保持一致
+    if (tags.latest && semver.satisfies(tags.latest, range)) {
+      return tags.latest;
+    }
+    return semver.maxSatisfying(versions, range);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 构建完整的传递依赖树
+ * @param {Object} rootDependencies - 根节点的直接依赖 { 包名: 版本 }
+ * @param {string} rootName - 根节点名称
+ * @param {Object} dependencyDetails - 已获取的依赖详细信息（会被补充）
+ * @param {Function} fetchDetails - 获取包详细信息的函数
+ * @param {Object} reporter - 进度报告器（见 createReporter），默认不输出
+ * @returns {Promise<Object>} - 依赖树根节点
+ */
+export async function buildDependencyTree(rootDependencies, rootName, dependencyDetails, fetchDetails, reporter = createReporter()) {
+  const root = {
+    name: rootName,
+    version: null,
+    path: [rootName],
+    parent: null,
+    children: {}
+  };
+
+  // 同一个 name@version 在相同的peer依赖版本下只展开一次子依赖，避免重复遍历；
+  // peer依赖解析到的版本不同时，子依赖中的peer要求也可能得到不同的结果，需要分别展开
+  const expanded = new Set();
+  const failed = new Set();
+  const progress = reporter.progress('dependency-tree', '解析依赖树', 0);
+
+  // 根节点的直接依赖已经是确定的版本
+  let queue = Object.entries(rootDependencies).map(([name, version]) => ({
+    parent: root,
+    name,
+    range: version,
+    exact: true
+  }));
+
+  while (queue.length > 0) {
+    // 按层批量获取尚未下载的包信息
+    const missing = [...new Set(queue.map(item => item.name))]
+      .filter(name => !dependencyDetails[name] && !failed.has(name));
+
+    progress.addTotal(missing.length);
+    await Promise.all(missing.map(async name => {
+      try {
+        dependencyDetails[name] = await fetchDetails(name);
+        progress.tick(true);
+      } catch (error) {
+        failed.add(name);
+        progress.tick(false);
+      }
+    }));
+
+    // 先把这一层的节点全部加入树中，再决定是否展开，peer依赖可能由后面的同级节点提供
+    const nodes = queue.map(({ parent, name, range, exact }) => {
+      const details = dependencyDetails[name];
+      const version = exact && details && details.versions[range]
+        ? range
+        : resolveVersion(details, range);
+
+      const node = {
+        name,
+        version,
+        range,
+        path: [...parent.path, name],
+        parent,
+        children: {}
+      };
+      parent.children[name] = node;
+      return node;
+    });
+
+    const nextQueue = [];
+
+    for (const node of nodes) {
+      // 循环依赖不再向下遍历
+      if (!node.version || node.parent.path.includes(node.name)) {
+        continue;
+      }
+
+      const versionInfo = dependencyDetails[node.name].versions[node.version] || {};
+      const key = `${node.name}@${node.version}|${describePeerContext(node, versionInfo.peerDependencies)}`;
+      if (expanded.has(key)) {
+        continue;
+      }
+      expanded.add(key);
+
+      for (const [childName, childRange] of Object.entries(versionInfo.dependencies || {})) {
+        nextQueue.push({ parent: node, name: childName, range: childRange, exact: false });
+      }
+    }
+
+    queue = nextQueue;
+  }
+
+  progress.stop();
+
+  return root;
+}
+
+/**
+ * 检查依赖树中所有的peerDependencies要求
+ * 沿依赖路径找不到peer依赖时，使用依赖树中离根节点最近的同名包（npm 7+ 会自动安装并提升peer依赖）；
+ * 整棵树中都没有时记为缺少peer依赖（type 为 missing-peer），严重程度低于版本冲突（type 为 conflict）
+ * @param {Object} tree - 依赖树根节点
+ * @param {Object} dependencyDetails - 依赖详细信息
+ * @returns {Array<Object>} - 冲突列表，每项包含完整的依赖路径
+ */
+export function checkTreePeerDependencies(tree, dependencyDetails) {
+  const conflicts = [];
+  const seen = new Set();
+  const stack = Object.values(tree.children);
+  const shallowest = indexShallowestNodes(tree);
+
+  while (stack.length > 0) {
+    const node = stack.pop();
+    stack.push(...Object.values(node.children));
+
+    const details = dependencyDetails[node.name];
+    if (!node.version || !details) {
+      continue;
+    }
+
+    const versionInfo = details.versions[node.version] || {};
+    const peerDependencies = versionInfo.peerDependencies || {};
+    const peerMeta = versionInfo.peerDependenciesMeta || {};
+
+    for (const [peerName, requirement] of Object.entries(peerDependencies)) {
+      const pathText = node.path.join(' → ');
+      const key = `${pathText}|${peerName}`;
+
+      if (seen.has(key)) {
+        continue;
+      }
+
+      const ancestorProvider = findPeerProvider(node, peerName);
+      const provider = ancestorProvider && ancestorProvider.version ? ancestorProvider : shallowest.get(peerName);
+
+      if (!provider) {
+        // 可选的peer依赖缺失不算问题
+        if (peerMeta[peerName] && peerMeta[peerName].optional) {
+          continue;
+        }
+        seen.add(key);
+        conflicts.push({
+          type: 'missing-peer',
+          path: node.path,
+          package: node.name,
+          version: node.version,
+          peer: peerName,
+          requirement,
+          resolvedVersion: null,
+          reason: `${pathText} 需要 ${peerName}@${requirement}，但依赖树中未安装 ${peerName}`
+        });
+        continue;
+      }
+
+      let satisfied = false;
+      try {
+        satisfied = semver.satisfies(provider.version, requirement, { includePrerelease: true });
+      } catch (e) {
+        // 无效的版本要求视为满足，避免误报
+        satisfied = true;
+      }
+
+      if (!satisfied) {
+        seen.add(key);
+        conflicts.push({
+          type: 'conflict',
+          path: node.path,
+          package: node.name,
+          version: node.version,
+          peer: peerName,
+          requirement,
+          resolvedVersion: provider.version,
+          providerPath: provider.path,
+          reason: `${pathText} 需要 ${peerName}@${requirement}，但解析到的版本是 ${provider.version}`
+        });
+      }
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * 描述节点的peer依赖解析到的版本，作为展开子依赖时去重的一部分
+ * @param {Object} node - 依赖树节点
+ * @param {Object} peerDependencies - 节点的 peerDependencies
+ * @returns {string} - 如 react@18.2.0,react-dom@-，没有peer依赖时为空字符串
+ */
+function describePeerContext(node, peerDependencies = {}) {
+  return Object.keys(peerDependencies)
+    .sort()
+    .map(peerName => {
+      const provider = findPeerProvider(node, peerName);
+      return `${peerName}@${provider && provider.version ? provider.version : '-'}`;
+    })
+    .join(',');
+}
+
+/**
+ * 按层遍历依赖树，记录每个包离根节点最近的节点
+ * @param {Object} tree - 依赖树根节点
+ * @returns {Map<string, Object>} - { 包名: 节点 }，只包含解析到了版本的节点
+ */
+function indexShallowestNodes(tree) {
+  const index = new Map();
+  let level = Object.values(tree.children);
+
+  while (level.length > 0) {
+    for (const node of level) {
+      if (node.version && !index.has(node.name)) {
+        index.set(node.name, node);
+      }
+    }
+    level = level.flatMap(node => Object.values(node.children));
+  }
+
+  return index;
+}
+
+/**
+ * 按照npm的安装规则查找为某个节点提供peer依赖的节点
+ * peer依赖由父节点的同级依赖提供，找不到时逐级向上查找
+ * @param {Object} node - 依赖树节点
+ * @param {string} peerName - peer依赖名称
+ * @returns {Object|null} - 提供该依赖的节点
+ */
+function findPeerProvider(node, peerName) {
+  let current = node.parent;
+  while (current) {
+    if (current.children[peerName]) {
+      return current.children[peerName];
+    }
+    current = current.parent;
+  }
+  return null;
+}
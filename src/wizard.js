@@ -0,0 +1,290 @@
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { createUpgradePlanner } from './planner.js';
+import { isPairIgnored } from './config.js';
+import { getUpgradeLevel } from './targets.js';
+
+// 保存升级计划的默认文件名
+export const DEFAULT_PLAN_FILE = 'upgrade-plan.json';
+
+// 选择版本时每页显示的数量
+const PAGE_SIZE = 15;
+
+/**
+ * 交互式制定升级计划：选择依赖和目标版本，立即查看与其他依赖的冲突，接受或撤销，直到满意为止
+ * @param {Object} results - 兼容性分析结果
+ * @param {Object} options - 选项
+ * @param {Object} options.registry - registry客户端，用于获取依赖的所有版本
+ * @param {Object} options.config - 项目配置（版本上限、忽略的依赖对）
+ * @param {Array<Object>} options.rules - 已知兼容性问题规则
+ * @param {boolean} options.prerelease - 可选的版本是否包含预发布版本
+ * @param {string} options.path - 项目路径，保存计划的默认位置
+ * @returns {Promise<Object|null>} - 升级计划，没有修改任何依赖时为 null
+ */
+export async function runUpgradeWizard(results, options) {
+  const target = results.workspaces ? await selectWorkspace(results.workspaces) : { name: null, results };
+  const { currentVersions = {}, upgradeAnalysis = {} } = target.results;
+
+  const { packages: dependencyDetails } = await options.registry.getPackages(Object.keys(currentVersions));
+  const planner = createUpgradePlanner(currentVersions, dependencyDetails, {
+    pins: options.config ? options.config.pins : {},
+    ignorePair: (dep1, dep2) => isPairIgnored(options.config, dep1, dep2),
+    rules: options.rules,
+    prerelease: options.prerelease
+  });
+  if (planner.names.length === 0) {
+    console.log(chalk.yellow('没有可以制定升级计划的依赖'));
+    return null;
+  }
+
+  printConflicts(planner.conflicts(), '当前版本之间的冲突');
+
+  for (;;) {
+    const conflicts = planner.conflicts();
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: `升级计划: ${planner.changes().length} 个修改，${conflicts.length} 个冲突`,
+        choices: [
+          { name: '修改一个依赖的版本', value: 'change' },
+          ...(conflicts.length > 0 ? [{ name: '解决一个冲突', value: 'resolve' }] : []),
+          ...(planner.canUndo() ? [{ name: '撤销上一次修改', value: 'undo' }] : []),
+          { name: '查看当前计划', value: 'show' },
+          { name: '完成', value: 'done' }
+        ]
+      }
+    ]);
+
+    if (action === 'done') break;
+
+    if (action === 'show') {
+      printPlan(planner);
+    } else if (action === 'undo') {
+      const change = planner.undo();
+      console.log(chalk.gray(`已撤销: ${change.name} ${change.from} → ${change.to}`));
+    } else {
+      const choice = action === 'change'
+        ? await selectVersion(planner, upgradeAnalysis)
+        : await selectFix(conflicts);
+      if (choice) {
+        await tryChange(planner, choice.name, choice.version);
+      }
+    }
+  }
+
+  const plan = planner.toJSON();
+  printPlan(planner);
+  if (plan.changes.length === 0) {
+    return null;
+  }
+
+  await savePlan(plan, target, options);
+  return plan;
+}
+
+/**
+ * 工作区项目：选择要制定计划的工作区
+ * @param {Array<Object>} workspaces - 各工作区的分析结果
+ * @returns {Promise<Object>} - { name, results }
+ */
+async function selectWorkspace(workspaces) {
+  const { index } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'index',
+      message: '选择要制定升级计划的工作区:',
+      choices: workspaces.map((workspace, index) => ({ name: `${workspace.name} (${workspace.path})`, value: index }))
+    }
+  ]);
+  return workspaces[index];
+}
+
+/**
+ * 选择依赖和它的目标版本，每个版本旁边标出改为该版本后的冲突数量
+ * @param {Object} planner - 升级计划
+ * @param {Object} upgradeAnalysis - 升级分析结果，用于标出有更新的依赖
+ * @returns {Promise<Object|null>} - { name, version }，返回上一级时为 null
+ */
+async function selectVersion(planner, upgradeAnalysis) {
+  const { name } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'name',
+      message: '选择依赖:',
+      pageSize: PAGE_SIZE,
+      choices: [
+        ...planner.names.map(dep => {
+          const upgrade = upgradeAnalysis[dep];
+          const latest = upgrade ? chalk.gray(` (目标版本 ${upgrade.latestVersion})`) : '';
+          return { name: `${dep} ${planner.versionOf(dep)}${latest}`, value: dep };
+        }),
+        new inquirer.Separator(),
+        { name: '返回', value: null }
+      ]
+    }
+  ]);
+  if (!name) {
+    return null;
+  }
+
+  const current = planner.versionOf(name);
+  const { version } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'version',
+      message: `选择 ${name} 的版本（当前计划 ${current}）:`,
+      pageSize: PAGE_SIZE,
+      default: current,
+      choices: [
+        ...planner.listVersions(name).map(version => {
+          const conflicts = planner.preview(name, version).length;
+          const level = version === current ? '当前' : getUpgradeLevel(current, version);
+          const status = conflicts > 0 ? chalk.red(`⚠️ ${conflicts} 个冲突`) : chalk.green('✓');
+          return { name: `${version} ${chalk.gray(`[${level}]`)} ${status}`, value: version };
+        }),
+        new inquirer.Separator(),
+        { name: '返回', value: null }
+      ]
+    }
+  ]);
+  return version && version !== current ? { name, version } : null;
+}
+
+/**
+ * 选择一个冲突的解决方式
+ * @param {Array<Object>} conflicts - 冲突
+ * @returns {Promise<Object|null>} - { name, version }，返回上一级时为 null
+ */
+async function selectFix(conflicts) {
+  const choices = [];
+  conflicts.forEach(conflict => {
+    choices.push(new inquirer.Separator(chalk.red(conflict.reason)));
+    if (conflict.fixes.length === 0) {
+      choices.push(new inquirer.Separator(chalk.gray('  没有可以解决该冲突的版本')));
+    }
+    conflict.fixes.forEach(fix => {
+      choices.push({ name: `将 ${fix.name} 改为 ${fix.version}`, value: fix });
+    });
+  });
+
+  const { fix } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'fix',
+      message: '选择解决方式:',
+      pageSize: PAGE_SIZE,
+      choices: [...choices, new inquirer.Separator(), { name: '返回', value: null }]
+    }
+  ]);
+  return fix;
+}
+
+/**
+ * 修改计划中的版本，显示修改后与它相关的冲突，由用户决定接受还是撤销
+ * @param {Object} planner - 升级计划
+ * @param {string} name - 依赖名称
+ * @param {string} version - 版本
+ */
+async function tryChange(planner, name, version) {
+  const from = planner.versionOf(name);
+  const conflicts = planner.set(name, version)
+    .filter(conflict => conflict.dependent === name || conflict.dependency === name);
+
+  console.log(chalk.blue(`\n${name}: ${from} → ${version}`));
+  if (conflicts.length === 0) {
+    console.log(chalk.green('  与其他依赖没有冲突'));
+  } else {
+    printConflicts(conflicts, '修改后的冲突');
+  }
+
+  const { accept } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'accept',
+      message: '是否接受这个修改?',
+      choices: [
+        { name: '接受', value: true },
+        { name: '撤销', value: false }
+      ]
+    }
+  ]);
+  if (!accept) {
+    planner.undo();
+    console.log(chalk.gray(`已撤销: ${name} ${version} → ${from}`));
+  }
+}
+
+/**
+ * 输出冲突以及解决每个冲突需要的版本
+ * @param {Array<Object>} conflicts - 冲突
+ * @param {string} title - 标题
+ */
+function printConflicts(conflicts, title) {
+  if (conflicts.length === 0) {
+    return;
+  }
+  console.log(chalk.red(`\n❌ ${title}: ${conflicts.length}`));
+  conflicts.forEach(conflict => {
+    console.log(chalk.red(`  • ${conflict.reason}`));
+    if (conflict.fixes.length > 0) {
+      console.log(chalk.gray(`    需要: ${conflict.fixes.map(fix => `${fix.name}@${fix.version}`).join(' 或 ')}`));
+    }
+  });
+}
+
+/**
+ * 输出升级计划
+ * @param {Object} planner - 升级计划
+ */
+function printPlan(planner) {
+  const changes = planner.changes();
+  console.log(chalk.blue('\n📋 升级计划'));
+  console.log(chalk.blue('=========='));
+  if (changes.length === 0) {
+    console.log(chalk.gray('  没有修改任何依赖'));
+  }
+  changes.forEach(change => {
+    const level = change.downgrade ? chalk.yellow('降级') : chalk.gray(change.level);
+    console.log(`  • ${change.name}: ${change.from} → ${change.to} [${level}]`);
+  });
+
+  const conflicts = planner.conflicts();
+  if (conflicts.length > 0) {
+    printConflicts(conflicts, '计划中仍然存在的冲突');
+  } else if (changes.length > 0) {
+    console.log(chalk.green('  计划中的版本之间没有peer冲突'));
+  }
+}
+
+/**
+ * 询问是否保存升级计划，保存为 JSON 文件
+ * @param {Object} plan - 升级计划
+ * @param {Object} target - 制定计划的项目或工作区 { name, results }
+ * @param {Object} options - 选项
+ */
+async function savePlan(plan, target, options) {
+  const { file } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'file',
+      message: '保存升级计划到文件（留空则不保存）:',
+      default: path.join(options.path, DEFAULT_PLAN_FILE)
+    }
+  ]);
+  if (!file.trim()) {
+    return;
+  }
+
+  const content = {
+    project: target.results.project ? target.results.project.name : null,
+    workspace: target.name,
+    generatedAt: new Date().toISOString(),
+    ...plan
+  };
+  const outputPath = path.resolve(options.path, file.trim());
+  await fs.writeFile(outputPath, `${JSON.stringify(content, null, 2)}\n`, 'utf-8');
+  console.log(chalk.green(`📄 升级计划已保存到: ${outputPath}`));
+}
@@ -0,0 +1,369 @@
+import fs from 'fs/promises';
+import path from 'path';
+import semver from 'semver';
+import { parseYaml } from './yaml.js';
+import { readLockfile, listInstalledPackages } from './lockfile.js';
+import { analyzeProject } from './analyzer.js';
+import { checkCompatibility } from './compatibility.js';
+import { DEFAULT_SEVERITY } from './config.js';
+import { createReporter } from './progress.js';
+import { findDuplicates } from './duplicates.js';
+
+// 检查版本漂移时比较的依赖分组，peerDependencies 的范围通常有意写得较宽，不参与比较
+const DRIFT_GROUPS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+const LINK_GROUPS = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+
+// 查找工作区时跳过的目录
+const SKIPPED_DIRS = new Set(['node_modules', '.git']);
+
+/**
+ * 查找项目中的工作区
+ * 工作区来自 pnpm-workspace.yaml 的 packages，或 package.json 的 workspaces（数组或 { packages }）
+ * @param {string} rootPath - 项目根目录
+ * @returns {Promise<Object|null>} - { root, source, packages: [{ name, version, path, relativePath, packageJson }] }，不是工作区项目时为 null
+ */
+export async function findWorkspaces(rootPath) {
+  let rootPackageJson;
+  try {
+    rootPackageJson = JSON.parse(await fs.readFile(path.join(rootPath, 'package.json'), 'utf-8'));
+  } catch (error) {
+    return null;
+  }
+
+  let patterns = null;
+  let source = null;
+
+  try {
+    const content = await fs.readFile(path.join(rootPath, 'pnpm-workspace.yaml'), 'utf-8');
+    patterns = parseYaml(content).packages || [];
+    source = 'pnpm-workspace.yaml';
+  } catch (error) {
+    const { workspaces } = rootPackageJson;
+    if (workspaces) {
+      patterns = Array.isArray(workspaces) ? workspaces : workspaces.packages || [];
+      source = 'package.json';
+    }
+  }
+
+  if (!patterns || patterns.length === 0) {
+    return null;
+  }
+
+  const includes = patterns.filter(pattern => !pattern.startsWith('!')).map(globToRegex);
+  const excludes = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => globToRegex(pattern.slice(1)));
+  const packages = [];
+
+  // 根目录的包（通常只包含开发工具依赖）同样参与分析
+  packages.push(createWorkspace(rootPath, '.', rootPackageJson));
+
+  for (const relativePath of await findPackageDirs(rootPath, patterns.filter(pattern => !pattern.startsWith('!')))) {
+    if (!includes.some(regex => regex.test(relativePath)) || excludes.some(regex => regex.test(relativePath))) {
+      continue;
+    }
+
+    try {
+      const packageJson = JSON.parse(await fs.readFile(path.join(rootPath, relativePath, 'package.json'), 'utf-8'));
+      packages.push(createWorkspace(path.join(rootPath, relativePath), relativePath, packageJson));
+    } catch (error) {
+      throw new Error(`读取工作区 ${relativePath} 的 package.json 失败: ${error.message}`);
+    }
+  }
+
+  return { root: rootPath, source, packages };
+}
+
+function createWorkspace(workspacePath, relativePath, packageJson) {
+  return {
+    name: packageJson.name || relativePath,
+    version: packageJson.version || null,
+    path: workspacePath,
+    relativePath,
+    packageJson
+  };
+}
+
+/**
+ * 查找可能与工作区 glob 匹配的包目录
+ * 每个 glob 只从不含通配符的前缀目录（packages/* 的 packages）开始查找；不含 ** 的 glob 只查找到与它相同的层数，
+ * 不会进入包内部的 dist、fixtures 等目录
+ * @param {string} rootPath - 根目录
+ * @param {Array<string>} patterns - 工作区的 glob（不含 ! 开头的排除项）
+ * @returns {Promise<Array<string>>} - 相对于根目录的路径（使用 / 分隔）
+ */
+async function findPackageDirs(rootPath, patterns) {
+  const found = new Set();
+
+  for (const pattern of patterns) {
+    const segments = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/');
+    const wildcardIndex = segments.findIndex(segment => /[*?]/.test(segment));
+    const prefix = segments.slice(0, wildcardIndex === -1 ? segments.length : wildcardIndex).join('/');
+    const maxDepth = segments.includes('**') ? Infinity : segments.length - prefix.split('/').filter(Boolean).length;
+
+    if (prefix && await isPackageDir(rootPath, prefix)) {
+      found.add(prefix);
+    }
+
+    const queue = [{ relativeDir: prefix, depth: 0 }];
+    while (queue.length > 0) {
+      const { relativeDir, depth } = queue.shift();
+      if (depth >= maxDepth) {
+        continue;
+      }
+
+      let entries;
+      try {
+        entries = await fs.readdir(path.join(rootPath, relativeDir), { withFileTypes: true });
+      } catch (error) {
+        continue;
+      }
+
+      for (const entry of entries) {
+        if (!entry.isDirectory() || SKIPPED_DIRS.has(entry.name) || entry.name.startsWith('.')) {
+          continue;
+        }
+        const child = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+        queue.push({ relativeDir: child, depth: depth + 1 });
+
+        if (await isPackageDir(rootPath, child)) {
+          found.add(child);
+        }
+      }
+    }
+  }
+
+  return [...found].sort();
+}
+
+/**
+ * 判断目录中是否有 package.json
+ * @param {string} rootPath - 根目录
+ * @param {string} relativeDir - 相对于根目录的路径
+ * @returns {Promise<boolean>}
+ */
+async function isPackageDir(rootPath, relativeDir) {
+  try {
+    await fs.access(path.join(rootPath, relativeDir, 'package.json'));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 将工作区的 glob 写法（packages/*、apps/**）转换为正则表达式
+ * @param {string} pattern - glob
+ * @returns {RegExp}
+ */
+function globToRegex(pattern) {
+  const normalized = pattern.replace(/^\.\//, '').replace(/\/+$/, '');
+  const source = normalized
+    .split('/')
+    .map(segment => {
+      if (segment === '**') {
+        return '.*';
+      }
+      return segment
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '[^/]*')
+        .replace(/\?/g, '[^/]');
+    })
+    .join('/')
+    .replace(/\.\*\//g, '(?:.*/)?');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * 分析工作区中的每个包
+ * 所有包共用根目录的锁文件和同一个registry客户端，工作区内部的包不会请求registry
+ * @param {Object} workspaces - findWorkspaces 的返回值
+ * @param {Object} options - 分析选项，与 checkCompatibility 相同
+ * @param {string} options.node - --node 指定的 Node 版本
+ * @param {Object} options.reporter - 进度报告器（见 createReporter），默认不输出
+ * @returns {Promise<Object>} - 工作区分析结果
+ */
+export async function analyzeWorkspaces(workspaces, options = {}) {
+  const { scope, registry, config = null, reporter = createReporter() } = options;
+  const lockfile = await readLockfile(workspaces.root);
+  const internalNames = workspaces.packages.map(pkg => pkg.name);
+  const results = [];
+  let rootNodeRuntime = null;
+
+  for (const workspace of workspaces.packages) {
+    reporter.stage('workspace', `📦 工作区 ${workspace.name} (${workspace.relativePath})`, { workspace: workspace.name });
+
+    const importer = lockfile ? { ...lockfile, importer: workspace.relativePath } : null;
+    const projectInfo = await analyzeProject(workspace.path, {
+      scope,
+      registry,
+      lockfile: importer,
+      exclude: internalNames,
+      node: options.node,
+      reporter,
+      // 工作区自己没有 .nvmrc 或 engines.node 时使用根目录的 Node 版本
+      nodeRuntime: rootNodeRuntime
+    });
+    if (workspace.relativePath === '.') {
+      rootNodeRuntime = projectInfo.nodeRuntime;
+    }
+    const compatibilityResults = await checkCompatibility(projectInfo, options);
+
+    results.push({
+      name: workspace.name,
+      path: workspace.relativePath,
+      installedVersions: projectInfo.installedVersions,
+      results: compatibilityResults
+    });
+  }
+
+  const severity = config ? config.severity : { ...DEFAULT_SEVERITY };
+  
+  // 所有工作区共用一个锁文件，重复安装的版本在整个项目范围内检查
+  let duplicates = null;
+  if (lockfile) {
+    const importers = workspaces.packages.map(pkg => ({
+      name: pkg.name,
+      path: pkg.relativePath,
+      dependencies: {
+        ...pkg.packageJson.devDependencies,
+        ...pkg.packageJson.optionalDependencies,
+        ...pkg.packageJson.dependencies
+      }
+    }));
+    duplicates = severity.duplicate === 'off'
+      ? []
+      : await findDuplicates(listInstalledPackages(lockfile, importers), { registry, config, reporter });
+  }
+  
+  const rootPackage = workspaces.packages[0];
+  return {
+    project: {
+      name: rootPackage.name,
+      version: rootPackage.version,
+      packageJsonPath: path.join(workspaces.root, 'package.json')
+    },
+    monorepo: {
+      root: workspaces.root,
+      source: workspaces.source,
+      packages: workspaces.packages.length
+    },
+    scope,
+    config: config && config.path ? { path: config.path } : null,
+    severity,
+    lockfile: lockfile ? { type: lockfile.type, path: lockfile.path } : null,
+    workspaces: results.map(({ name, path: relativePath, results: workspaceResults }) => ({
+      name,
+      path: relativePath,
+      results: workspaceResults
+    })),
+    versionDrift: severity['version-drift'] === 'off' ? [] : checkVersionDrift(workspaces.packages, internalNames),
+    workspaceLinks: severity['workspace-link'] === 'off' ? [] : checkWorkspaceLinks(workspaces.packages, results),
+    duplicates
+  };
+}
+
+/**
+ * 检查同一个外部依赖在不同工作区中声明的版本范围是否一致
+ * @param {Array<Object>} packages - 工作区中的包
+ * @param {Array<string>} internalNames - 工作区内部的包名
+ * @returns {Array<Object>} - [{ name, declarations: [{ workspace, group, range }], conflicting, reason }]
+ */
+export function checkVersionDrift(packages, internalNames = []) {
+  const declared = {};
+
+  for (const pkg of packages) {
+    for (const group of DRIFT_GROUPS) {
+      for (const [name, range] of Object.entries(pkg.packageJson[group] || {})) {
+        // workspace:、git 地址等不是registry版本，不参与比较
+        if (internalNames.includes(name) || !semver.validRange(range)) continue;
+        declared[name] = declared[name] || [];
+        declared[name].push({ workspace: pkg.name, group, range });
+      }
+    }
+  }
+
+  const drift = [];
+  for (const [name, declarations] of Object.entries(declared)) {
+    const ranges = [...new Set(declarations.map(item => item.range))];
+    if (ranges.length < 2) continue;
+
+    // 任意两个范围没有交集时，无法只安装一个版本同时满足所有工作区
+    const conflicting = ranges.some((a, i) => ranges.slice(i + 1).some(b => !semver.intersects(a, b)));
+    const summary = declarations.map(item => `${item.workspace} ${item.range}`).join('、');
+    drift.push({
+      name,
+      declarations,
+      conflicting,
+      reason: conflicting
+        ? `${name} 在各工作区中声明的版本范围互相冲突: ${summary}`
+        : `${name} 在各工作区中声明的版本范围不一致: ${summary}`
+    });
+  }
+
+  return drift.sort((a, b) => Number(b.conflicting) - Number(a.conflicting) || a.name.localeCompare(b.name));
+}
+
+/**
+ * 检查工作区内部的依赖：声明的范围是否包含被依赖包的版本，以及被依赖包的peer要求是否被满足
+ * @param {Array<Object>} packages - 工作区中的包
+ * @param {Array<Object>} analyzed - 每个工作区的分析结果 { name, installedVersions }
+ * @returns {Array<Object>} - [{ workspace, dependency, peer, range, version, reason }]
+ */
+export function checkWorkspaceLinks(packages, analyzed = []) {
+  const byName = Object.fromEntries(packages.map(pkg => [pkg.name, pkg]));
+  const installedByWorkspace = Object.fromEntries(analyzed.map(item => [item.name, item.installedVersions || {}]));
+  const issues = [];
+
+  for (const pkg of packages) {
+    const declared = {};
+    LINK_GROUPS.forEach(group => Object.assign(declared, pkg.packageJson[group] || {}));
+
+    // 工作区中某个依赖实际使用的版本：内部包使用它自己的版本，外部包使用安装的版本
+    const providedVersion = name => {
+      if (byName[name]) return byName[name].version;
+      const installed = (installedByWorkspace[pkg.name] || {})[name];
+      return installed && installed.version ? installed.version : null;
+    };
+
+    for (const group of LINK_GROUPS) {
+      for (const [name, range] of Object.entries(pkg.packageJson[group] || {})) {
+        const target = byName[name];
+        if (!target || target === pkg) continue;
+
+        // workspace:*、workspace:^、workspace:~ 总是链接到工作区中的版本
+        const spec = range.startsWith('workspace:') ? range.slice('workspace:'.length) : range;
+        if (target.version && semver.validRange(spec) && !['*', '^', '~', ''].includes(spec) &&
+            !semver.satisfies(target.version, spec)) {
+          issues.push({
+            workspace: pkg.name,
+            dependency: name,
+            peer: null,
+            range,
+            version: target.version,
+            reason: `${pkg.name} 声明 ${name}@${range}，但工作区中的 ${name} 版本是 ${target.version}`
+          });
+        }
+
+        // peerDependencies 由依赖方提供，只检查依赖方自己声明了的peer
+        if (group === 'peerDependencies') continue;
+        for (const [peer, peerRange] of Object.entries(target.packageJson.peerDependencies || {})) {
+          if (!declared[peer] && peer !== pkg.name) continue;
+
+          const version = peer === pkg.name ? pkg.version : providedVersion(peer);
+          if (version && semver.validRange(peerRange) && !semver.satisfies(version, peerRange, { includePrerelease: true })) {
+            issues.push({
+              workspace: pkg.name,
+              dependency: name,
+              peer,
+              range: peerRange,
+              version,
+              reason: `${pkg.name} 依赖的 ${name} 需要 ${peer}@${peerRange}，但 ${pkg.name} 中的 ${peer} 版本是 ${version}`
+            });
+          }
+        }
+      }
+    }
+  }
+
+  return issues;
+}
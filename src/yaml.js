@@ -0,0 +1,192 @@
+/**
+ * 解析YAML文本
+ * 只支持锁文件、工作区配置和规则文件中用到的子集：缩进的映射、列表、
+ * 引号字符串以及单行的 {a: b} / [a, b] 写法
+ * @param {string} text - YAML文本
+ * @returns {Object} - 解析结果
+ */
+export function parseYaml(text) {
+  const lines = [];
+
+  for (const raw of text.split(/\r?\n/)) {
+    const content = raw.trim();
+    if (!content || content.startsWith('#') || content === '---') {
+      continue;
+    }
+    lines.push({
+      indent: raw.length - raw.trimStart().length,
+      content
+    });
+  }
+
+  let index = 0;
+
+  const isListItem = line => line.content === '-' || line.content.startsWith('- ');
+
+  function parseNode(indent) {
+    return isListItem(lines[index]) ? parseList(indent) : parseMap(indent);
+  }
+
+  function parseMap(indent) {
+    const result = {};
+
+    while (index < lines.length && lines[index].indent >= indent) {
+      const line = lines[index];
+
+      // 多行字符串等不支持的结构直接跳过
+      if (line.indent > indent || isListItem(line)) {
+        index++;
+        continue;
+      }
+
+      const [key, value] = splitKeyValue(line.content);
+      index++;
+
+      if (key === null) {
+        continue;
+      }
+
+      if (value === '') {
+        const next = lines[index];
+        if (next && (next.indent > indent || (next.indent === indent && isListItem(next)))) {
+          result[key] = parseNode(next.indent);
+        } else {
+          result[key] = null;
+        }
+      } else {
+        result[key] = parseScalar(value);
+      }
+    }
+
+    return result;
+  }
+
+  function parseList(indent) {
+    const result = [];
+
+    while (index < lines.length && lines[index].indent >= indent) {
+      const line = lines[index];
+
+      if (line.indent > indent || !isListItem(line)) {
+        if (line.indent === indent) {
+          break;
+        }
+        index++;
+        continue;
+      }
+
+      const item = line.content.slice(1).trimStart();
+
+      // 「- key: value」开始一个映射，后续的键与第一个键对齐
+      if (item && !/^[[{]/.test(item) && splitKeyValue(item)[0] !== null) {
+        const itemIndent = line.indent + line.content.length - item.length;
+        lines[index] = { indent: itemIndent, content: item };
+        result.push(parseMap(itemIndent));
+        continue;
+      }
+
+      result.push(parseScalar(item));
+      index++;
+    }
+
+    return result;
+  }
+
+  return lines.length > 0 ? parseNode(lines[0].indent) : {};
+}
+
+/**
+ * 拆分 key: value 形式的行
+ * @param {string} content - 行内容
+ * @returns {Array} - [key, value]，无法解析时 key 为 null
+ */
+function splitKeyValue(content) {
+  let key;
+  let rest;
+
+  if (content.startsWith('"') || content.startsWith('\'')) {
+    const quote = content[0];
+    const end = content.indexOf(quote, 1);
+    if (end === -1) {
+      return [null, null];
+    }
+    key = content.slice(1, end);
+    rest = content.slice(end + 1).trim();
+    if (!rest.startsWith(':')) {
+      return [null, null];
+    }
+    rest = rest.slice(1);
+  } else {
+    const separator = content.indexOf(': ');
+    if (separator !== -1) {
+      key = content.slice(0, separator);
+      rest = content.slice(separator + 1);
+    } else if (content.endsWith(':')) {
+      key = content.slice(0, -1);
+      rest = '';
+    } else {
+      return [null, null];
+    }
+  }
+
+  return [key.trim(), stripComment(rest.trim())];
+}
+
+/**
+ * 去掉行尾注释
+ * @param {string} value - 值
+ * @returns {string} - 去掉注释后的值
+ */
+function stripComment(value) {
+  if (value.startsWith('"') || value.startsWith('\'')) {
+    return value;
+  }
+  const commentIndex = value.indexOf(' #');
+  return commentIndex === -1 ? value : value.slice(0, commentIndex).trim();
+}
+
+/**
+ * 解析标量值
+ * 版本号等数字形式的值保持为字符串，避免 1.10 被解析成 1.1
+ * @param {string} value - 原始值
+ * @returns {*} - 解析后的值
+ */
+function parseScalar(value) {
+  if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith('\'') && value.endsWith('\''))) {
+    return value.slice(1, -1);
+  }
+
+  if (value.startsWith('{') && value.endsWith('}')) {
+    const result = {};
+    for (const part of splitFlow(value.slice(1, -1))) {
+      const [key, item] = splitKeyValue(part);
+      if (key !== null) {
+        result[key] = parseScalar(item);
+      }
+    }
+    return result;
+  }
+
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return splitFlow(value.slice(1, -1)).map(parseScalar);
+  }
+
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+
+  if (value === 'null' || value === '~') {
+    return null;
+  }
+
+  return value;
+}
+
+/**
+ * 按逗号拆分单行的 {} / [] 内容
+ * @param {string} text - 内容
+ * @returns {Array<string>} - 拆分结果
+ */
+function splitFlow(text) {
+  return text.split(',').map(part => part.trim()).filter(Boolean);
+}
@@ -0,0 +1,141 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { applyUpgradePlan } from '../src/apply.js';
+import { setJsonMembers } from '../src/json-edit.js';
+
+describe('applyUpgradePlan', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'upgrade-lens-apply-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * 写入 package.json
+   * @param {Object|string} content - package.json 内容
+   * @returns {Promise<string>} - 文件路径
+   */
+  async function writePackageJson(content) {
+    const packageJsonPath = path.join(dir, 'package.json');
+    await fs.writeFile(packageJsonPath, typeof content === 'string' ? content : JSON.stringify(content, null, 2) + '\n');
+    return packageJsonPath;
+  }
+
+  test('保留原有的范围前缀', async () => {
+    const packageJsonPath = await writePackageJson({
+      dependencies: { caret: '^1.0.0', tilde: '~1.0.0', exact: '1.0.0', gte: '>=1.0.0' }
+    });
+    const plan = ['caret', 'tilde', 'exact', 'gte'].map(name => ({ name, to: '1.2.3' }));
+
+    const { changes, written } = await applyUpgradePlan(packageJsonPath, plan);
+
+    expect(changes.map(change => change.to)).toEqual(['^1.2.3', '~1.2.3', '1.2.3', '>=1.2.3']);
+    expect(written).toBe(true);
+    expect(JSON.parse(await fs.readFile(packageJsonPath, 'utf-8')).dependencies).toEqual({
+      caret: '^1.2.3', tilde: '~1.2.3', exact: '1.2.3', gte: '>=1.2.3'
+    });
+  });
+
+  test('复杂的范围已包含新版本时只更新锁文件，否则改写为 ^新版本', async () => {
+    const packageJsonPath = await writePackageJson({
+      dependencies: { react: '16.x', vue: '^2 || ^3', local: 'workspace:*' },
+      devDependencies: { jest: '^27.0.0 || ^28.0.0' }
+    });
+
+    const { changes, skipped, written } = await applyUpgradePlan(packageJsonPath, [
+      { name: 'react', to: '16.14.0' },
+      { name: 'vue', to: '4.0.0' },
+      { name: 'local', to: '2.0.0' },
+      { name: 'jest', to: '29.7.0' },
+      { name: 'lodash', to: '4.17.21' }
+    ], { dryRun: true });
+
+    expect(changes).toEqual([
+      { name: 'vue', group: 'dependencies', from: '^2 || ^3', to: '^4.0.0' },
+      { name: 'jest', group: 'devDependencies', from: '^27.0.0 || ^28.0.0', to: '^29.7.0' }
+    ]);
+    expect(skipped).toEqual([
+      { name: 'react', reason: '版本范围 16.x 已包含 16.14.0，只需要更新锁文件', lockfileOnly: true },
+      { name: 'local', reason: '无法改写版本范围 workspace:*' },
+      { name: 'lodash', reason: '不在 dependencies、devDependencies 中' }
+    ]);
+    expect(written).toBe(false);
+  });
+
+  test('差异的 hunk 头包含正确的行号和行数', async () => {
+    const dependencies = Object.fromEntries(Array.from({ length: 12 }, (_, i) => [`pkg-${String(i).padStart(2, '0')}`, '^1.0.0']));
+    const packageJsonPath = await writePackageJson({ name: 'app', dependencies });
+
+    const { diff } = await applyUpgradePlan(packageJsonPath, [
+      { name: 'pkg-00', to: '1.1.0' },
+      { name: 'pkg-11', to: '1.1.0' }
+    ], { dryRun: true });
+
+    expect(diff).toBe([
+      '--- a/package.json',
+      '+++ b/package.json',
+      '@@ -1,7 +1,7 @@',
+      ' {',
+      '   "name": "app",',
+      '   "dependencies": {',
+      '-    "pkg-00": "^1.0.0",',
+      '+    "pkg-00": "^1.1.0",',
+      '     "pkg-01": "^1.0.0",',
+      '     "pkg-02": "^1.0.0",',
+      '     "pkg-03": "^1.0.0",',
+      '@@ -12,6 +12,6 @@',
+      '     "pkg-08": "^1.0.0",',
+      '     "pkg-09": "^1.0.0",',
+      '     "pkg-10": "^1.0.0",',
+      '-    "pkg-11": "^1.0.0"',
+      '+    "pkg-11": "^1.1.0"',
+      '   }',
+      ' }',
+      ''
+    ].join('\n'));
+  });
+
+  test('没有修改时差异为空', async () => {
+    const packageJsonPath = await writePackageJson({ dependencies: { react: '^18.0.0' } });
+
+    const { diff, written } = await applyUpgradePlan(packageJsonPath, [{ name: 'react', to: '18.0.0' }]);
+
+    expect(diff).toBe('');
+    expect(written).toBe(false);
+  });
+});
+
+describe('setJsonMembers', () => {
+  test('只替换已有成员的值，新成员按键名顺序插入', () => {
+    const text = '{\n  "dependencies": {\n    "b": "^1.0.0",\n    "d": "^1.0.0"\n  },\n  "scripts": { "test": "jest" }\n}\n';
+
+    expect(setJsonMembers(text, 'dependencies', { d: '^2.0.0', a: '^1.0.0', c: '^1.0.0', e: '^1.0.0' })).toBe(
+      '{\n  "dependencies": {\n    "a": "^1.0.0",\n    "b": "^1.0.0",\n    "c": "^1.0.0",\n    "d": "^2.0.0",\n    "e": "^1.0.0"\n  },\n  "scripts": { "test": "jest" }\n}\n'
+    );
+  });
+
+  test('保留制表符缩进和 CRLF 换行', () => {
+    const text = '{\r\n\t"name": "app",\r\n\t"devDependencies": {}\r\n}\r\n';
+
+    expect(setJsonMembers(text, 'devDependencies', { jest: '^29.0.0' })).toBe(
+      '{\r\n\t"name": "app",\r\n\t"devDependencies": {\r\n\t\t"jest": "^29.0.0"\r\n\t}\r\n}\r\n'
+    );
+  });
+
+  test('分组不存在时追加到顶层对象末尾', () => {
+    const text = '{\n    "name": "app",\n    "version": "1.0.0"\n}\n';
+
+    expect(setJsonMembers(text, 'dependencies', { react: '^18.0.0' })).toBe(
+      '{\n    "name": "app",\n    "version": "1.0.0",\n    "dependencies": {\n        "react": "^18.0.0"\n    }\n}\n'
+    );
+  });
+
+  test('分组不是对象时报错', () => {
+    expect(() => setJsonMembers('{ "dependencies": [] }', 'dependencies', { react: '^18.0.0' })).toThrow('dependencies 不是一个对象');
+  });
+});
@@ -0,0 +1,204 @@
+import zlib from 'zlib';
+import { createRegistryClient } from '../src/registry.js';
+import {
+  createGithubReleasesSource,
+  createTarballChangelogSource,
+  createChangelogClient,
+  extractBreakingChanges,
+  parseChangelog
+} from '../src/changelog.js';
+import { startServer, sendJson } from './helpers/http-server.js';
+
+/**
+ * 生成只包含普通文件的 tar.gz
+ * @param {Object} files - { 路径: 内容 }
+ * @returns {Buffer}
+ */
+function createTarball(files) {
+  const blocks = [];
+  for (const [name, content] of Object.entries(files)) {
+    const data = Buffer.from(content, 'utf-8');
+    const header = Buffer.alloc(512);
+    header.write(name, 0, 100, 'utf-8');
+    header.write('0000644\0', 100);
+    header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+    header.write('0', 156);
+    header.write('ustar\0', 257);
+    blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+  }
+  blocks.push(Buffer.alloc(1024));
+  return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+const release = (tag, body = '') => ({ tag_name: tag, html_url: `https://github.com/acme/repo/releases/tag/${tag}`, body, draft: false });
+
+let server;
+let handler;
+
+beforeEach(async () => {
+  handler = (req, res) => sendJson(res, 404, {});
+  server = await startServer((req, res, body) => handler(req, res, body));
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+describe('GitHub Releases', () => {
+  const packument = name => ({ name, repository: { url: 'git+https://github.com/acme/repo.git' } });
+
+  test('只返回两个版本之间的 release', async () => {
+    handler = (req, res) => sendJson(res, 200, [
+      release('v3.0.0', '## Breaking Changes\n- drop Node 14'),
+      release('v2.1.0'),
+      release('v2.0.0'),
+      release('v1.0.0')
+    ]);
+
+    const source = createGithubReleasesSource({ apiUrl: server.url, token: 'gh-token' });
+    const releases = await source.getReleases(packument('lib'), '2.0.0', '3.0.0');
+
+    expect(releases.map(item => item.version)).toEqual(['3.0.0', '2.1.0']);
+    expect(server.requests[0].url).toBe('/repos/acme/repo/releases?per_page=100&page=1');
+    expect(server.requests[0].headers.authorization).toBe('Bearer gh-token');
+  });
+
+  test('monorepo 中只使用包名完全一致的 tag', async () => {
+    handler = (req, res) => sendJson(res, 200, [
+      release('react-router@7.0.0'),
+      release('router@2.0.0'),
+      release('react-router@6.0.0'),
+      release('router@1.1.0')
+    ]);
+
+    const source = createGithubReleasesSource({ apiUrl: server.url });
+    const releases = await source.getReleases(packument('router'), '1.0.0', '7.0.0');
+
+    expect(releases.map(item => item.version)).toEqual(['2.0.0', '1.1.0']);
+  });
+
+  test('没有这个包的 tag 时不使用其他包的 tag', async () => {
+    handler = (req, res) => sendJson(res, 200, [release('react-router@7.0.0'), release('v2.0.0')]);
+
+    const source = createGithubReleasesSource({ apiUrl: server.url });
+    const releases = await source.getReleases(packument('router'), '1.0.0', '7.0.0');
+
+    expect(releases.map(item => item.version)).toEqual(['2.0.0']);
+  });
+
+  test('仓库不存在或不是 GitHub 仓库时返回 null', async () => {
+    const source = createGithubReleasesSource({ apiUrl: server.url });
+
+    await expect(source.getReleases(packument('lib'), '1.0.0', '2.0.0')).resolves.toBeNull();
+    await expect(source.getReleases({ name: 'lib', repository: 'https://gitlab.com/acme/repo' }, '1.0.0', '2.0.0')).resolves.toBeNull();
+  });
+});
+
+describe('tarball 中的 CHANGELOG.md', () => {
+  const changelog = [
+    '# Changelog',
+    '## [3.0.0] - 2024-01-01',
+    '### BREAKING CHANGES',
+    '- `render` 改为异步',
+    '## [2.1.0]',
+    '- BREAKING CHANGE: 移除 `legacy` 选项',
+    '## [2.0.0]',
+    '- 初始版本'
+  ].join('\n');
+
+  test('从 registry 下载tarball并解析两个版本之间的章节', async () => {
+    handler = (req, res) => {
+      if (req.url === '/lib') {
+        sendJson(res, 200, {
+          name: 'lib',
+          versions: { '3.0.0': { dist: { tarball: `${server.url}lib/-/lib-3.0.0.tgz` } } }
+        });
+      } else if (req.url === '/lib/-/lib-3.0.0.tgz') {
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+        res.end(createTarball({ 'package/package.json': '{}', 'package/CHANGELOG.md': changelog }));
+      } else {
+        sendJson(res, 404, {});
+      }
+    };
+
+    const registry = createRegistryClient({ registry: server.url, cache: false, npmConfig: { noproxy: '127.0.0.1' } });
+    const client = createChangelogClient({ registry, sources: [createTarballChangelogSource({ registry })] });
+    const result = await client.getChangelog('lib', '2.0.0', '3.0.0');
+
+    expect(result.source).toBe('tarball');
+    expect(result.releases).toEqual([
+      { version: '3.0.0', url: null, breaking: ['`render` 改为异步'] },
+      { version: '2.1.0', url: null, breaking: ['移除 `legacy` 选项'] }
+    ]);
+  });
+
+  test('同时处理的tarball数量受并发数限制', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const registry = {
+      async getTarball() {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        active--;
+        return createTarball({ 'package/CHANGELOG.md': changelog });
+      }
+    };
+    const source = createTarballChangelogSource({ registry, concurrency: 2 });
+    const packument = { name: 'lib', versions: { '3.0.0': { dist: { tarball: 'https://registry.example.com/lib.tgz' } } } };
+
+    const results = await Promise.all(Array.from({ length: 6 }, () => source.getReleases(packument, '2.0.0', '3.0.0')));
+
+    expect(results.every(releases => releases.length === 2)).toBe(true);
+    expect(maxActive).toBe(2);
+  });
+
+  test('解压后超过最大大小时视为没有更新日志', async () => {
+    const registry = {
+      async getTarball() {
+        return createTarball({ 'package/CHANGELOG.md': changelog, 'package/dist/bundle.js': 'x'.repeat(64 * 1024) });
+      }
+    };
+    const source = createTarballChangelogSource({ registry, maxUnpackedSize: 16 * 1024 });
+    const packument = { name: 'lib', versions: { '3.0.0': { dist: { tarball: 'https://registry.example.com/lib.tgz' } } } };
+
+    await expect(source.getReleases(packument, '2.0.0', '3.0.0')).resolves.toBeNull();
+  });
+
+  test('tarball 超过最大下载大小时视为没有更新日志', async () => {
+    const calls = [];
+    const registry = {
+      async getTarball(...args) {
+        calls.push(args);
+        return null;
+      }
+    };
+    const source = createTarballChangelogSource({ registry, maxTarballSize: 1024 });
+    const packument = { name: 'lib', versions: { '3.0.0': { dist: { tarball: 'https://registry.example.com/lib.tgz' } } } };
+
+    await expect(source.getReleases(packument, '2.0.0', '3.0.0')).resolves.toBeNull();
+    expect(calls).toEqual([['lib', 'https://registry.example.com/lib.tgz', { maxSize: 1024 }]]);
+  });
+});
+
+describe('更新说明解析', () => {
+  test('按版本拆分 CHANGELOG.md', () => {
+    const sections = parseChangelog('# Changelog\n## v2.0.0\n- a\n### Fixes\n- b\n## 1.0.0\n- c');
+    expect(sections).toEqual([
+      { version: '2.0.0', body: '- a\n### Fixes\n- b' },
+      { version: '1.0.0', body: '- c' }
+    ]);
+  });
+
+  test('提取 breaking 章节中的条目和带标记的条目', () => {
+    const markdown = [
+      '## Breaking Changes',
+      '- 移除 `foo`',
+      '  改用 `bar`',
+      '## Features',
+      '- 新增 `baz`',
+      '- **BREAKING:** 重命名 `qux`'
+    ].join('\n');
+    expect(extractBreakingChanges(markdown)).toEqual(['移除 `foo` 改用 `bar`', '重命名 `qux`']);
+  });
+});
@@ -0,0 +1,92 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { resolveNodeRuntime, getNodeSupport, supportsNode, findNewestSupportedVersion } from '../src/engines.js';
+import { checkCompatibility } from '../src/compatibility.js';
+
+const manifest = node => ({ engines: { node } });
+
+describe('resolveNodeRuntime', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'upgrade-lens-engines-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('只写了主版本或次版本时转换为对应的版本区间', async () => {
+    await fs.writeFile(path.join(dir, '.nvmrc'), 'v16\n');
+    await expect(resolveNodeRuntime(dir)).resolves.toEqual({ range: '>=16.0.0 <17.0.0', source: '.nvmrc' });
+    await expect(resolveNodeRuntime(dir, {}, '16.20')).resolves.toEqual({ range: '>=16.20.0 <16.21.0', source: '--node' });
+    await expect(resolveNodeRuntime(dir, {}, 'lts/gallium')).resolves.toEqual({ range: '>=16.0.0 <17.0.0', source: '--node' });
+  });
+
+  test('完整的版本号和版本范围保持不变', async () => {
+    await fs.writeFile(path.join(dir, '.node-version'), '16.20.0');
+    await expect(resolveNodeRuntime(dir)).resolves.toEqual({ range: '16.20.0', source: '.node-version' });
+    await expect(resolveNodeRuntime(dir, {}, '>=18')).resolves.toEqual({ range: '>=18', source: '--node' });
+  });
+});
+
+describe('getNodeSupport', () => {
+  const node16 = '>=16.0.0 <17.0.0';
+
+  test('区分完全支持、部分支持和不支持', () => {
+    expect(getNodeSupport(manifest('>=14'), node16)).toBe('full');
+    expect(getNodeSupport(manifest('>=16.14'), node16)).toBe('partial');
+    expect(getNodeSupport(manifest('>=18'), node16)).toBe('none');
+    expect(getNodeSupport({}, node16)).toBe('full');
+  });
+
+  test('只有完全支持时才能作为升级目标或推荐版本', () => {
+    expect(supportsNode(manifest('>=14'), node16)).toBe(true);
+    expect(supportsNode(manifest('>=16.14'), node16)).toBe(false);
+    expect(supportsNode(manifest('>=18'), node16)).toBe(false);
+
+    const details = { versions: { '1.0.0': manifest('>=14'), '2.0.0': manifest('>=16.14'), '3.0.0': manifest('>=18') } };
+    expect(findNewestSupportedVersion(details, node16)).toBe('1.0.0');
+  });
+});
+
+describe('Node 版本检查', () => {
+  const eslint = {
+    name: 'eslint',
+    'dist-tags': { latest: '10.12.0' },
+    versions: {
+      '8.0.0': { name: 'eslint', version: '8.0.0', ...manifest('^12.22.0 || ^14.17.0 || >=16.0.0') },
+      '8.57.0': { name: 'eslint', version: '8.57.0', ...manifest('^12.22.0 || ^14.17.0 || >=16.0.0') },
+      '10.12.0': { name: 'eslint', version: '10.12.0', ...manifest('^20.19.0 || ^22.13.0 || >=24') }
+    }
+  };
+
+  async function analyzeEslint(nodeRange) {
+    return checkCompatibility({
+      devDependencies: { eslint: '8.0.0' },
+      latestVersions: { eslint: { current: '8.0.0', latest: '10.12.0' } },
+      nodeRuntime: { range: nodeRange, source: 'package.json engines' }
+    }, {
+      scope: ['dev'],
+      registry: { getPackages: async () => ({ packages: { eslint }, errors: {} }) },
+      rules: [],
+      audit: false
+    });
+  }
+
+  test('升级目标只支持项目 Node 版本范围中的部分版本时升级受阻', async () => {
+    const results = await analyzeEslint('>=14.16.0');
+    const upgrade = results.upgradeAnalysis.eslint;
+
+    expect(upgrade.canUpgrade).toBe(false);
+    expect(upgrade.blocked).toMatchObject({ engines: '^20.19.0 || ^22.13.0 || >=24', node: '>=14.16.0', partial: true });
+    expect(upgrade.blocked.reason).toContain('中只有部分版本满足要求');
+  });
+
+  test('当前版本只支持部分版本时作为警告列出', async () => {
+    const results = await analyzeEslint('>=12.0.0 <13.0.0');
+
+    expect(results.engineMismatches).toEqual([expect.objectContaining({ name: 'eslint', partial: true })]);
+  });
+});
@@ -0,0 +1,112 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { collectFindings, readBaseline, writeBaseline, parseFailOn, evaluateGate, EXIT_CODES } from '../src/gate.js';
+
+const finding = (id, category, severity = 'error') => ({ id, category, type: category, severity, message: id });
+
+describe('parseFailOn', () => {
+  test('阈值包括指定的类别和更严重的类别', () => {
+    expect(parseFailOn('incompatible')).toEqual(['incompatible']);
+    expect(parseFailOn('upgrade-risk')).toEqual(['incompatible', 'upgrade-risk']);
+    expect(parseFailOn(' unknown ')).toEqual(['incompatible', 'upgrade-risk', 'unknown']);
+  });
+
+  test('security 只有明确指定时才会导致失败', () => {
+    expect(parseFailOn('unknown')).not.toContain('security');
+    expect(parseFailOn('security')).toEqual(['security']);
+    expect(parseFailOn(['upgrade-risk', 'security'])).toEqual(['security', 'incompatible', 'upgrade-risk']);
+  });
+
+  test('未知的类别报错', () => {
+    expect(() => parseFailOn('incompatible,warnings')).toThrow('未知的 --fail-on 类别: warnings');
+  });
+});
+
+describe('evaluateGate', () => {
+  test('没有达到阈值的问题时通过', () => {
+    const gate = evaluateGate([finding('unknown:a', 'unknown')], 'incompatible');
+
+    expect(gate.exitCode).toBe(EXIT_CODES.ok);
+    expect(gate.newFindings).toEqual([]);
+  });
+
+  test('同时命中多个类别时使用最严重类别的退出码', () => {
+    const findings = [finding('unknown:a', 'unknown'), finding('upgrade-risk:b', 'upgrade-risk'), finding('incompatible:c', 'incompatible')];
+
+    expect(evaluateGate(findings, 'unknown')).toMatchObject({
+      exitCode: EXIT_CODES.incompatible,
+      failedCategories: ['incompatible', 'upgrade-risk', 'unknown']
+    });
+    expect(evaluateGate([...findings, finding('advisory:d', 'security')], 'incompatible,security').exitCode).toBe(EXIT_CODES.security);
+  });
+
+  test('严重程度为 info 的问题不会导致失败', () => {
+    const gate = evaluateGate([finding('transitive:a', 'incompatible', 'info')], 'incompatible');
+
+    expect(gate.exitCode).toBe(EXIT_CODES.ok);
+    expect(gate.newFindings).toEqual([]);
+  });
+
+  test('基线中已接受的问题不会导致失败', () => {
+    const findings = [finding('incompatible:a', 'incompatible'), finding('incompatible:b', 'incompatible')];
+    const gate = evaluateGate(findings, 'incompatible', new Set(['incompatible:a']));
+
+    expect(gate.exitCode).toBe(EXIT_CODES.incompatible);
+    expect(gate.newFindings.map(item => item.id)).toEqual(['incompatible:b']);
+    expect(gate.acceptedCount).toBe(1);
+  });
+});
+
+describe('collectFindings', () => {
+  test('相同 id 的问题只保留一次', () => {
+    const conflict = {
+      packages: [{ name: 'react-dom' }, { name: 'react' }],
+      requirement: { dependent: 'react-dom', dependency: 'react', range: '^18.2.0' },
+      reason: 'react-dom@18.2.0 需要 react@^18.2.0'
+    };
+    const findings = collectFindings({
+      incompatible: [conflict, { ...conflict }],
+      unknown: [],
+      severity: { incompatible: 'error' }
+    });
+
+    expect(findings).toEqual([{
+      id: 'incompatible:react+react-dom:react-dom>react@^18.2.0',
+      category: 'incompatible',
+      type: 'incompatible',
+      severity: 'error',
+      message: 'react-dom@18.2.0 需要 react@^18.2.0'
+    }]);
+  });
+});
+
+describe('基线文件', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'upgrade-lens-gate-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('写入后读取得到相同的问题 id', async () => {
+    const baselinePath = path.join(dir, '.upgrade-lens-baseline.json');
+    await writeBaseline(baselinePath, [finding('unknown:b', 'unknown'), finding('incompatible:a', 'incompatible')]);
+
+    expect(await readBaseline(baselinePath)).toEqual(new Set(['incompatible:a', 'unknown:b']));
+    const saved = JSON.parse(await fs.readFile(baselinePath, 'utf-8'));
+    expect(saved.version).toBe(1);
+    expect(saved.findings.map(item => item.id)).toEqual(['incompatible:a', 'unknown:b']);
+  });
+
+  test('文件不存在时为空，格式错误时报错', async () => {
+    await expect(readBaseline(path.join(dir, 'missing.json'))).resolves.toEqual(new Set());
+
+    const invalidPath = path.join(dir, 'invalid.json');
+    await fs.writeFile(invalidPath, '{');
+    await expect(readBaseline(invalidPath)).rejects.toThrow(`基线文件 ${invalidPath} 格式错误`);
+  });
+});
@@ -0,0 +1,37 @@
+import http from 'http';
+
+/**
+ * 启动本地 HTTP 服务器，记录收到的每个请求
+ * @param {Function} handler - (req, res, body) 处理请求，body 为请求体字符串
+ * @returns {Promise<Object>} - { url, requests, close }，url 以 / 结尾
+ */
+export async function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      handler(req, res, body);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * 以 JSON 格式响应
+ * @param {http.ServerResponse} res - 响应
+ * @param {number} status - 状态码
+ * @param {Object} data - 响应体
+ * @param {Object} headers - 额外的响应头
+ */
+export function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(data === undefined ? '' : JSON.stringify(data));
+}
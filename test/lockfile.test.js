@@ -0,0 +1,51 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readLockfile, getLockedVersion, listInstalledPackages } from '../src/lockfile.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'lockfiles');
+
+// 每个锁文件都记录同一个项目：app 依赖 react@^18.2.0 和 react-dom@^18.2.0，react-dom 依赖 scheduler@^0.23.0
+const importers = [{ name: 'app', path: '.', dependencies: { react: '^18.2.0', 'react-dom': '^18.2.0' } }];
+
+describe.each([
+  ['npm-v1', 'npm', '^0.23.0'],
+  ['npm-v2', 'npm', '^0.23.0'],
+  ['npm-v3', 'npm', '^0.23.0'],
+  ['pnpm-v5', 'pnpm', null],
+  ['pnpm-v6', 'pnpm', null],
+  ['pnpm-v9', 'pnpm', null],
+  ['yarn-v1', 'yarn', '^0.23.0'],
+  ['yarn-berry', 'yarn', '^0.23.0']
+])('%s', (fixture, type, schedulerRange) => {
+  let lockfile;
+
+  beforeAll(async () => {
+    lockfile = await readLockfile(path.join(FIXTURES, fixture));
+  });
+
+  test('识别锁文件类型', () => {
+    expect(lockfile.type).toBe(type);
+  });
+
+  test('读取直接依赖的安装版本', () => {
+    expect(getLockedVersion(lockfile, 'react', '^18.2.0')).toBe('18.2.0');
+    expect(getLockedVersion(lockfile, 'react-dom', '^18.2.0')).toBe('18.2.0');
+    expect(getLockedVersion(lockfile, 'vue', '^3.0.0')).toBeNull();
+  });
+
+  test('列出安装的包和依赖方', () => {
+    const installed = listInstalledPackages(lockfile, importers);
+
+    expect(Object.keys(installed).sort()).toEqual(['react', 'react-dom', 'scheduler']);
+    expect(installed.react['18.2.0']).toContainEqual({ name: 'app', version: null, range: '^18.2.0' });
+    expect(installed.scheduler['0.23.0']).toEqual([{ name: 'react-dom', version: '18.2.0', range: schedulerRange }]);
+  });
+});
+
+test('没有锁文件时返回 null', async () => {
+  const lockfile = await readLockfile(FIXTURES);
+
+  expect(lockfile).toBeNull();
+  expect(getLockedVersion(lockfile, 'react', '^18.2.0')).toBeNull();
+  expect(listInstalledPackages(lockfile, importers)).toEqual({});
+});
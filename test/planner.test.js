@@ -0,0 +1,68 @@
+import { createUpgradePlanner } from '../src/planner.js';
+
+/**
+ * 生成依赖详细信息
+ * @param {Object} packages - { 包名: { 版本: peerDependencies } }
+ * @returns {Object}
+ */
+function createDetails(packages) {
+  return Object.fromEntries(Object.entries(packages).map(([name, versions]) => [name, {
+    name,
+    versions: Object.fromEntries(Object.entries(versions).map(([version, peerDependencies]) => [
+      version,
+      { name, version, peerDependencies }
+    ]))
+  }]));
+}
+
+const details = createDetails({
+  react: { '18.2.0': {}, '18.3.1': {} },
+  'react-dom': { '18.2.0': { react: '^18.2.0' }, '18.3.1': { react: '^18.3.1' } }
+});
+
+const rules = [{
+  id: 'react-react-dom-version-mismatch',
+  packages: ['react', 'react-dom'],
+  requireSame: 'minor',
+  reason: 'React和React DOM的版本必须完全匹配'
+}];
+
+describe('createUpgradePlanner', () => {
+  test('peer要求不满足时给出两种解决方式', () => {
+    const planner = createUpgradePlanner({ react: '18.2.0', 'react-dom': '18.2.0' }, details);
+
+    expect(planner.set('react-dom', '18.3.1')).toEqual([expect.objectContaining({
+      type: 'peer',
+      dependent: 'react-dom',
+      dependency: 'react',
+      reason: 'react-dom@18.3.1 需要 react@^18.3.1，但计划中的版本是 18.2.0',
+      fixes: [{ name: 'react', version: '18.3.1' }, { name: 'react-dom', version: '18.2.0' }]
+    })]);
+  });
+
+  test('命中已知问题规则的组合作为冲突列出', () => {
+    const planner = createUpgradePlanner({ react: '18.2.0', 'react-dom': '18.2.0' }, details, { rules });
+
+    expect(planner.preview('react', '18.3.1')).toEqual([{
+      type: 'rule',
+      dependent: 'react',
+      dependency: 'react-dom',
+      range: null,
+      version: '18.2.0',
+      reason: 'react@18.3.1 与 react-dom@18.2.0 存在已知问题: React和React DOM的版本必须完全匹配',
+      fixes: [{ name: 'react-dom', version: '18.3.1' }, { name: 'react', version: '18.2.0' }]
+    }]);
+
+    planner.set('react', '18.3.1');
+    expect(planner.set('react-dom', '18.3.1')).toEqual([]);
+  });
+
+  test('被忽略的依赖对不检查已知问题规则', () => {
+    const planner = createUpgradePlanner({ react: '18.2.0', 'react-dom': '18.2.0' }, details, {
+      rules,
+      ignorePair: () => true
+    });
+
+    expect(planner.set('react', '18.3.1')).toEqual([]);
+  });
+});
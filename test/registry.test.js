@@ -0,0 +1,235 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createRegistryClient } from '../src/registry.js';
+import { loadNpmConfig } from '../src/npmrc.js';
+import { startServer, sendJson } from './helpers/http-server.js';
+
+const packument = name => ({
+  name,
+  'dist-tags': { latest: '1.0.0' },
+  versions: { '1.0.0': { name, version: '1.0.0' } }
+});
+
+// 本地服务器不经过代理
+const baseConfig = { noproxy: '127.0.0.1' };
+
+let server;
+let handler;
+let cacheDir;
+
+beforeEach(async () => {
+  handler = (req, res) => sendJson(res, 200, packument(decodeURIComponent(req.url.split('/').pop())));
+  server = await startServer((req, res, body) => handler(req, res, body));
+  cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'upgrade-lens-registry-'));
+});
+
+afterEach(async () => {
+  await server.close();
+  await fs.rm(cacheDir, { recursive: true, force: true });
+});
+
+const createClient = (options = {}) => createRegistryClient({
+  registry: server.url,
+  cacheDir,
+  npmConfig: baseConfig,
+  ...options
+});
+
+describe('缓存', () => {
+  test('同一次运行中每个包只请求一次', async () => {
+    const client = createClient({ cache: false });
+    const [first, second] = await Promise.all([client.getPackageInfo('react'), client.getPackageInfo('react')]);
+
+    expect(first.name).toBe('react');
+    expect(second).toBe(first);
+    expect(server.requests).toHaveLength(1);
+  });
+
+  test('有效期内直接使用磁盘缓存', async () => {
+    await createClient().getPackageInfo('react');
+    const data = await createClient().getPackageInfo('react');
+
+    expect(data.name).toBe('react');
+    expect(server.requests).toHaveLength(1);
+  });
+
+  test('缓存过期后带上 ETag 重新验证，304 时使用缓存的内容', async () => {
+    handler = (req, res) => {
+      if (req.headers['if-none-match'] === '"v1"') {
+        res.writeHead(304);
+        res.end();
+      } else {
+        sendJson(res, 200, packument('react'), { ETag: '"v1"', 'Last-Modified': 'Mon, 01 Jan 2024 00:00:00 GMT' });
+      }
+    };
+
+    await createClient({ cacheTtl: 0 }).getPackageInfo('react');
+    const data = await createClient({ cacheTtl: 0 }).getPackageInfo('react');
+
+    expect(data).toEqual(packument('react'));
+    expect(server.requests).toHaveLength(2);
+    expect(server.requests[0].headers['if-none-match']).toBeUndefined();
+    expect(server.requests[1].headers['if-none-match']).toBe('"v1"');
+    expect(server.requests[1].headers['if-modified-since']).toBe('Mon, 01 Jan 2024 00:00:00 GMT');
+  });
+
+  test('缓存过期且 registry 不可用时退回到过期的缓存', async () => {
+    await createClient({ cacheTtl: 0 }).getPackageInfo('react');
+    handler = (req, res) => sendJson(res, 404, { error: 'Not found' });
+
+    const data = await createClient({ cacheTtl: 0 }).getPackageInfo('react');
+    expect(data.name).toBe('react');
+  });
+
+  test('离线模式只读取缓存', async () => {
+    await createClient().getPackageInfo('react');
+    const client = createClient({ offline: true });
+
+    await expect(client.getPackageInfo('react')).resolves.toEqual(packument('react'));
+    await expect(client.getPackageInfo('vue')).rejects.toThrow('离线模式下缓存中没有该包');
+    expect(server.requests).toHaveLength(1);
+  });
+});
+
+describe('重试', () => {
+  test('遇到 5xx 时按退避时间重试', async () => {
+    let count = 0;
+    handler = (req, res) => (count++ === 0 ? sendJson(res, 503, {}) : sendJson(res, 200, packument('react')));
+
+    const start = Date.now();
+    const data = await createClient({ cache: false }).getPackageInfo('react');
+
+    expect(data.name).toBe('react');
+    expect(server.requests).toHaveLength(2);
+    expect(Date.now() - start).toBeGreaterThanOrEqual(450);
+  });
+
+  test('遇到 429 时按 Retry-After 等待后重试', async () => {
+    let count = 0;
+    handler = (req, res) => (count++ === 0
+      ? sendJson(res, 429, {}, { 'Retry-After': '1' })
+      : sendJson(res, 200, packument('react')));
+
+    const start = Date.now();
+    await createClient({ cache: false }).getPackageInfo('react');
+
+    expect(server.requests).toHaveLength(2);
+    expect(Date.now() - start).toBeGreaterThanOrEqual(950);
+  });
+
+  test('超过重试次数后报错', async () => {
+    handler = (req, res) => sendJson(res, 500, {});
+
+    await expect(createClient({ cache: false, retries: 1 }).getPackageInfo('react'))
+      .rejects.toThrow('获取包 react 信息失败');
+    expect(server.requests).toHaveLength(2);
+  });
+
+  test('4xx 不重试', async () => {
+    handler = (req, res) => sendJson(res, 404, {});
+
+    const { packages, errors } = await createClient({ cache: false }).getPackages(['missing']);
+    expect(packages).toEqual({});
+    expect(errors.missing.message).toContain('404');
+    expect(server.requests).toHaveLength(1);
+  });
+});
+
+describe('tarball', () => {
+  test('超过最大下载大小时返回 null，不重试', async () => {
+    handler = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+      res.end(Buffer.alloc(64 * 1024));
+    };
+
+    const client = createClient({ cache: false });
+    const tarballUrl = `${server.url}lib/-/lib-1.0.0.tgz`;
+
+    await expect(client.getTarball('lib', tarballUrl, { maxSize: 1024 })).resolves.toBeNull();
+    expect(server.requests).toHaveLength(1);
+    await expect(client.getTarball('lib', tarballUrl)).resolves.toHaveLength(64 * 1024);
+  });
+});
+
+describe('.npmrc', () => {
+  let projectDir;
+  const env = { ...process.env };
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'upgrade-lens-npmrc-'));
+    process.env.NPM_CONFIG_USERCONFIG = path.join(projectDir, 'missing-user-npmrc');
+    process.env.CORP_TOKEN = 'corp-secret';
+  });
+
+  afterEach(async () => {
+    process.env = { ...env };
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  test('作用域包使用 @scope:registry 和对应路径的认证信息', async () => {
+    const host = new URL(server.url).host;
+    await fs.writeFile(path.join(projectDir, '.npmrc'), [
+      `registry=${server.url}public/`,
+      `@corp:registry=${server.url}corp/`,
+      `//${host}/corp/:_authToken=\${CORP_TOKEN}`,
+      'noproxy=127.0.0.1'
+    ].join('\n'));
+
+    const client = createRegistryClient({ cache: false, npmConfig: await loadNpmConfig(projectDir) });
+    await client.getPackageInfo('@corp/ui');
+    await client.getPackageInfo('react');
+
+    const [scoped, unscoped] = server.requests;
+    expect(scoped.url).toBe('/corp/@corp%2fui');
+    expect(scoped.headers.authorization).toBe('Bearer corp-secret');
+    expect(unscoped.url).toBe('/public/react');
+    expect(unscoped.headers.authorization).toBeUndefined();
+  });
+
+  test('registry 路径下没有认证信息时逐级向上查找', async () => {
+    const host = new URL(server.url).host;
+    const auth = Buffer.from('user:pass').toString('base64');
+    const client = createRegistryClient({
+      cache: false,
+      registry: `${server.url}npm/private/`,
+      npmConfig: { ...baseConfig, [`//${host}/:_auth`]: auth }
+    });
+    await client.getPackageInfo('react');
+
+    expect(server.requests[0].url).toBe('/npm/private/react');
+    expect(server.requests[0].headers.authorization).toBe(`Basic ${auth}`);
+  });
+
+  test('项目的 .npmrc 覆盖用户级配置', async () => {
+    const userNpmrc = path.join(projectDir, 'user-npmrc');
+    await fs.writeFile(userNpmrc, 'registry=https://user.example.com/\nstrict-ssl=false\n');
+    await fs.writeFile(path.join(projectDir, '.npmrc'), 'registry=https://project.example.com/\n');
+    process.env.NPM_CONFIG_USERCONFIG = userNpmrc;
+
+    const config = await loadNpmConfig(projectDir);
+    expect(config.registry).toBe('https://project.example.com/');
+    expect(config['strict-ssl']).toBe('false');
+  });
+});
+
+describe('安全公告', () => {
+  test('提交版本列表并返回公告', async () => {
+    const advisories = { lodash: [{ id: 1, title: 'Prototype Pollution', severity: 'high' }] };
+    handler = (req, res) => sendJson(res, 200, advisories);
+
+    const result = await createClient().getAdvisories({ lodash: ['4.17.15'] });
+
+    expect(result).toEqual(advisories);
+    expect(server.requests[0].method).toBe('POST');
+    expect(server.requests[0].url).toBe('/-/npm/v1/security/advisories/bulk');
+    expect(JSON.parse(server.requests[0].body)).toEqual({ lodash: ['4.17.15'] });
+  });
+
+  test('registry 没有实现批量接口时标记为不支持', async () => {
+    handler = (req, res) => sendJson(res, 405, {});
+
+    await expect(createClient().getAdvisories({ lodash: ['4.17.15'] }))
+      .rejects.toMatchObject({ unsupported: true });
+  });
+});
@@ -0,0 +1,48 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { toSarifReport } from '../src/sarif-report.js';
+
+const packageJson = '{\n  "name": "web",\n  "dependencies": {\n    "legacy": "^1.0.0"\n  }\n}\n';
+
+function createResults(packageJsonPath) {
+  return {
+    project: { name: 'web', packageJsonPath },
+    incompatible: [],
+    unknown: [{ name: 'legacy', reason: '无法获取包信息' }],
+    upgradeAnalysis: {},
+    severity: {}
+  };
+}
+
+describe('toSarifReport', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'upgrade-lens-sarif-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('路径相对于 git 仓库根目录，与当前目录无关', async () => {
+    await fs.mkdir(path.join(dir, '.git'));
+    await fs.mkdir(path.join(dir, 'apps', 'web'), { recursive: true });
+
+    const report = toSarifReport(createResults(path.join(dir, 'apps', 'web', 'package.json')), packageJson);
+    const run = report.runs[0];
+
+    expect(run.originalUriBaseIds['%SRCROOT%'].uri).toBe(`file://${dir}/`);
+    expect(run.results[0].locations[0].physicalLocation).toEqual({
+      artifactLocation: { uri: 'apps/web/package.json', uriBaseId: '%SRCROOT%' },
+      region: { startLine: 4, startColumn: 5 }
+    });
+  });
+
+  test('不在 git 仓库中时相对于项目目录', () => {
+    const report = toSarifReport(createResults(path.join(dir, 'package.json')), packageJson);
+
+    expect(report.runs[0].results[0].locations[0].physicalLocation.artifactLocation.uri).toBe('package.json');
+  });
+});
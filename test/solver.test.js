@@ -0,0 +1,146 @@
+import { solveVersions } from '../src/solver.js';
+
+/**
+ * 生成依赖详细信息
+ * @param {Object} packages - { 包名: { 版本: peerDependencies } }
+ * @returns {Object}
+ */
+function createDetails(packages) {
+  return Object.fromEntries(Object.entries(packages).map(([name, versions]) => [name, {
+    name,
+    versions: Object.fromEntries(Object.entries(versions).map(([version, peerDependencies]) => [
+      version,
+      { name, version, peerDependencies }
+    ]))
+  }]));
+}
+
+describe('solveVersions', () => {
+  test('当前版本已经满足所有peer要求时不做修改', () => {
+    const details = createDetails({
+      react: { '18.2.0': {}, '18.3.1': {} },
+      'react-dom': { '18.2.0': { react: '^18.2.0' } }
+    });
+
+    const solution = solveVersions({ react: '18.2.0', 'react-dom': '18.2.0' }, details);
+
+    expect(solution.satisfiable).toBe(true);
+    expect(solution.exhaustive).toBe(true);
+    expect(solution.changes).toEqual([]);
+  });
+
+  test('有解时选择改动最少的一组版本', () => {
+    const details = createDetails({
+      react: { '18.2.0': {} },
+      'react-dom': { '17.0.2': { react: '17.0.2' }, '18.2.0': { react: '^18.2.0' } },
+      antd: { '4.24.0': { react: '>=16.9.0', 'react-dom': '>=16.9.0' } }
+    });
+
+    const solution = solveVersions({ react: '18.2.0', 'react-dom': '17.0.2', antd: '4.24.0' }, details);
+
+    expect(solution.satisfiable).toBe(true);
+    expect(solution.versions).toEqual({ react: '18.2.0', 'react-dom': '18.2.0', antd: '4.24.0' });
+    expect(solution.changes).toEqual([{ name: 'react-dom', from: '17.0.2', to: '18.2.0', downgrade: false }]);
+  });
+
+  test('遵守配置中的版本上限', () => {
+    const details = createDetails({
+      react: { '17.0.2': {}, '18.2.0': {} },
+      'react-dom': { '17.0.2': { react: '17.0.2' }, '18.2.0': { react: '^18.2.0' } }
+    });
+
+    const solution = solveVersions({ react: '18.2.0', 'react-dom': '17.0.2' }, details, { pins: { react: '<18' } });
+
+    expect(solution.satisfiable).toBe(true);
+    expect(solution.changes).toEqual([{ name: 'react', from: '18.2.0', to: '17.0.2', downgrade: true }]);
+  });
+
+  test('命中已知问题规则的组合视为不兼容', () => {
+    const details = createDetails({
+      eslint: { '7.32.0': {}, '8.57.0': {} },
+      'eslint-plugin-legacy': { '1.0.0': {} }
+    });
+    const rules = [{
+      packages: ['eslint', 'eslint-plugin-legacy'],
+      when: { eslint: '>=8' },
+      reason: 'eslint-plugin-legacy 不支持 eslint 8'
+    }];
+
+    const solution = solveVersions({ eslint: '8.57.0', 'eslint-plugin-legacy': '1.0.0' }, details, { rules });
+
+    expect(solution.satisfiable).toBe(true);
+    expect(solution.versions.eslint).toBe('7.32.0');
+  });
+
+  test('无解时返回 null 版本和冲突说明', () => {
+    const details = createDetails({
+      react: { '18.2.0': {} },
+      legacy: { '1.0.0': { react: '^16.8.0' }, '1.1.0': { react: '^16.14.0 || ^17.0.0' } }
+    });
+
+    const solution = solveVersions({ react: '18.2.0', legacy: '1.0.0' }, details);
+
+    expect(solution.satisfiable).toBe(false);
+    expect(solution.versions).toBeNull();
+    expect(solution.conflicts).toEqual([{
+      type: 'peer',
+      dependent: 'legacy',
+      dependency: 'react',
+      ranges: ['^16.8.0', '^16.14.0 || ^17.0.0'],
+      reason: 'legacy 的各个版本分别需要 react 满足 ^16.8.0、^16.14.0 || ^17.0.0'
+    }]);
+  });
+
+  test('冲突只包含无法同时满足的最小约束集合', () => {
+    const details = createDetails({
+      react: { '17.0.2': {}, '18.2.0': {} },
+      'react-dom': { '18.2.0': { react: '^18.2.0' } },
+      router: { '6.0.0': { react: '>=16.8' } },
+      antd: { '4.24.0': { react: '>=16.9.0', 'react-dom': '>=16.9.0' } }
+    });
+
+    const solution = solveVersions(
+      { react: '17.0.2', 'react-dom': '18.2.0', router: '6.0.0', antd: '4.24.0' },
+      details,
+      { pins: { react: '<18' } }
+    );
+
+    expect(solution.satisfiable).toBe(false);
+    expect(solution.conflicts.map(conflict => conflict.type).sort()).toEqual(['peer', 'pin']);
+    expect(solution.conflicts.find(conflict => conflict.type === 'peer')).toMatchObject({ dependent: 'react-dom', dependency: 'react' });
+    expect(solution.conflicts.find(conflict => conflict.type === 'pin')).toMatchObject({ name: 'react', ranges: ['<18'] });
+  });
+
+  test('冲突中包含已知问题规则', () => {
+    const details = createDetails({
+      eslint: { '8.57.0': {} },
+      'eslint-plugin-legacy': { '1.0.0': {} }
+    });
+    const rules = [{ packages: ['eslint', 'eslint-plugin-legacy'], when: { eslint: '>=8' }, reason: '不支持 eslint 8' }];
+
+    const solution = solveVersions({ eslint: '8.57.0', 'eslint-plugin-legacy': '1.0.0' }, details, { rules });
+
+    expect(solution.satisfiable).toBe(false);
+    expect(solution.conflicts).toEqual([{
+      type: 'rule',
+      dependent: 'eslint',
+      dependency: 'eslint-plugin-legacy',
+      ranges: [],
+      reason: 'eslint 与 eslint-plugin-legacy 存在已知问题: 不支持 eslint 8'
+    }]);
+  });
+
+  test('被忽略的依赖对不参与求解', () => {
+    const details = createDetails({
+      react: { '18.2.0': {} },
+      legacy: { '1.0.0': { react: '^16.8.0' } }
+    });
+
+    const solution = solveVersions({ react: '18.2.0', legacy: '1.0.0' }, details, {
+      ignorePair: (dep1, dep2) => [dep1, dep2].sort().join() === 'legacy,react'
+    });
+
+    expect(solution.satisfiable).toBe(true);
+    expect(solution.changes).toEqual([]);
+  });
+});
@@ -0,0 +1,47 @@
+import { parseTarget, checkTargetTag, resolveTargetVersion } from '../src/targets.js';
+
+const packument = (versions, distTags) => ({
+  'dist-tags': distTags,
+  versions: Object.fromEntries(versions.map(version => [version, { version }]))
+});
+
+const react = packument(['17.0.2', '18.2.0', '18.3.1', '19.0.0', '19.1.0-rc.1'], { latest: '19.0.0', next: '19.1.0-rc.1' });
+const antd = packument(['4.24.0', '5.0.0'], { latest: '5.0.0', beta: '5.0.0' });
+
+describe('parseTarget', () => {
+  test('接受升级级别、latest 和 dist-tag', () => {
+    expect(parseTarget('minor')).toBe('minor');
+    expect(parseTarget(' next ')).toBe('next');
+    expect(parseTarget(undefined)).toBe('latest');
+  });
+
+  test('拒绝版本号和版本范围', () => {
+    expect(() => parseTarget('18')).toThrow('--target 不能是版本号或版本范围: 18');
+    expect(() => parseTarget('^18.0.0')).toThrow('可选值为 patch, minor, major, latest 或 dist-tag');
+  });
+});
+
+describe('checkTargetTag', () => {
+  test('至少一个依赖存在该 dist-tag 时通过', () => {
+    expect(() => checkTargetTag('next', { react, antd })).not.toThrow();
+    expect(() => checkTargetTag('major', { react, antd })).not.toThrow();
+  });
+
+  test('没有任何依赖存在该 dist-tag 时列出可选的升级目标', () => {
+    expect(() => checkTargetTag('nexxt', { react, antd }))
+      .toThrow('没有任何依赖存在名为 nexxt 的 dist-tag，可选的升级目标为 patch, minor, major, latest，以及依赖中存在的 dist-tag: beta, next');
+  });
+});
+
+describe('resolveTargetVersion', () => {
+  test('按升级级别选择目标版本', () => {
+    expect(resolveTargetVersion(react, '18.2.0', 'patch')).toBeNull();
+    expect(resolveTargetVersion(react, '18.2.0', 'minor')).toBe('18.3.1');
+    expect(resolveTargetVersion(react, '18.2.0', 'major')).toBe('19.0.0');
+  });
+
+  test('dist-tag 可以指向预发布版本', () => {
+    expect(resolveTargetVersion(react, '18.2.0', 'next')).toBe('19.1.0-rc.1');
+    expect(resolveTargetVersion(react, '18.2.0', 'latest')).toBe('19.0.0');
+  });
+});
@@ -0,0 +1,97 @@
+import { buildDependencyTree, checkTreePeerDependencies } from '../src/tree.js';
+
+/**
+ * 生成 registry 中的包
+ * @param {Object} packages - { 包名: { 版本: { dependencies, peerDependencies, peerDependenciesMeta } } }
+ * @returns {Object} - { 包名: packument }
+ */
+function createRegistry(packages) {
+  return Object.fromEntries(Object.entries(packages).map(([name, versions]) => [name, {
+    name,
+    'dist-tags': { latest: Object.keys(versions).pop() },
+    versions: Object.fromEntries(Object.entries(versions).map(([version, manifest]) => [version, { name, version, ...manifest }]))
+  }]));
+}
+
+async function analyzeTree(rootDependencies, packages) {
+  const registry = createRegistry(packages);
+  const dependencyDetails = {};
+  const fetchDetails = async name => {
+    if (!registry[name]) {
+      throw new Error(`${name} 不存在`);
+    }
+    return registry[name];
+  };
+
+  const tree = await buildDependencyTree(rootDependencies, 'app', dependencyDetails, fetchDetails);
+  return checkTreePeerDependencies(tree, dependencyDetails);
+}
+
+describe('checkTreePeerDependencies', () => {
+  test('同一个版本在不同的peer依赖版本下分别检查', async () => {
+    // host-b 先被遍历，widget 在 react 18 下没有问题；host-a 中的 widget 使用 react 17，其子依赖的要求不满足
+    const conflicts = await analyzeTree({ 'host-b': '1.0.0', 'host-a': '1.0.0' }, {
+      'host-a': { '1.0.0': { dependencies: { react: '^17.0.0', widget: '^1.0.0' } } },
+      'host-b': { '1.0.0': { dependencies: { react: '^18.0.0', widget: '^1.0.0' } } },
+      react: { '17.0.2': {}, '18.2.0': {} },
+      widget: { '1.0.0': { dependencies: { 'widget-core': '^1.0.0' }, peerDependencies: { react: '*' } } },
+      'widget-core': { '1.0.0': { peerDependencies: { react: '^18.0.0' } } }
+    });
+
+    expect(conflicts).toEqual([expect.objectContaining({
+      type: 'conflict',
+      path: ['app', 'host-a', 'widget', 'widget-core'],
+      peer: 'react',
+      resolvedVersion: '17.0.2'
+    })]);
+  });
+
+  test('依赖路径上没有peer依赖时使用依赖树中的同名包', async () => {
+    const conflicts = await analyzeTree({ lib: '1.0.0', ui: '1.0.0' }, {
+      lib: { '1.0.0': { dependencies: { plugin: '^1.0.0', 'old-plugin': '^1.0.0' } } },
+      ui: { '1.0.0': { dependencies: { react: '^18.0.0' } } },
+      react: { '18.2.0': {} },
+      plugin: { '1.0.0': { peerDependencies: { react: '^18.0.0' } } },
+      'old-plugin': { '1.0.0': { peerDependencies: { react: '^17.0.0' } } }
+    });
+
+    expect(conflicts).toEqual([expect.objectContaining({
+      type: 'conflict',
+      package: 'old-plugin',
+      resolvedVersion: '18.2.0',
+      providerPath: ['app', 'ui', 'react']
+    })]);
+  });
+
+  test('整棵树中都没有的peer依赖记为缺少，可选的除外', async () => {
+    const conflicts = await analyzeTree({ plugin: '1.0.0' }, {
+      plugin: {
+        '1.0.0': {
+          peerDependencies: { react: '^18.0.0', '@types/react': '*' },
+          peerDependenciesMeta: { '@types/react': { optional: true } }
+        }
+      }
+    });
+
+    expect(conflicts).toEqual([{
+      type: 'missing-peer',
+      path: ['app', 'plugin'],
+      package: 'plugin',
+      version: '1.0.0',
+      peer: 'react',
+      requirement: '^18.0.0',
+      resolvedVersion: null,
+      reason: 'app → plugin 需要 react@^18.0.0，但依赖树中未安装 react'
+    }]);
+  });
+
+  test('同级依赖提供的peer依赖满足要求时没有问题', async () => {
+    const conflicts = await analyzeTree({ 'react-dom': '18.2.0', react: '18.2.0' }, {
+      react: { '18.2.0': {} },
+      'react-dom': { '18.2.0': { dependencies: { scheduler: '^0.23.0' }, peerDependencies: { react: '^18.2.0' } } },
+      scheduler: { '0.23.0': {} }
+    });
+
+    expect(conflicts).toEqual([]);
+  });
+});
@@ -0,0 +1,55 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { findWorkspaces } from '../src/workspaces.js';
+
+describe('findWorkspaces', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'upgrade-lens-workspaces-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * 写入 package.json，自动创建目录
+   * @param {string} relativeDir - 相对于临时目录的路径
+   * @param {Object} packageJson - package.json 内容
+   */
+  async function writePackageJson(relativeDir, packageJson) {
+    await fs.mkdir(path.join(dir, relativeDir), { recursive: true });
+    await fs.writeFile(path.join(dir, relativeDir, 'package.json'), JSON.stringify(packageJson));
+  }
+
+  test('只查找与 glob 层数相同的目录，不会进入包内部', async () => {
+    await writePackageJson('.', { name: 'root', workspaces: ['packages/*', 'tools/cli', '!packages/legacy'] });
+    await writePackageJson('packages/a', { name: 'a' });
+    await writePackageJson('packages/a/dist', { name: 'a-dist' });
+    await writePackageJson('packages/b', { name: 'b' });
+    await writePackageJson('packages/legacy', { name: 'legacy' });
+    await writePackageJson('tools/cli', { name: 'cli' });
+    await writePackageJson('examples/demo', { name: 'demo' });
+
+    const workspaces = await findWorkspaces(dir);
+
+    expect(workspaces.source).toBe('package.json');
+    expect(workspaces.packages.map(pkg => pkg.relativePath)).toEqual(['.', 'packages/a', 'packages/b', 'tools/cli']);
+  });
+
+  test('** 查找前缀目录下的所有层级', async () => {
+    await writePackageJson('.', { name: 'root' });
+    await fs.writeFile(path.join(dir, 'pnpm-workspace.yaml'), 'packages:\n  - "apps/**"\n');
+    await writePackageJson('apps/web', { name: 'web' });
+    await writePackageJson('apps/mobile/ios', { name: 'ios' });
+    await writePackageJson('apps/web/node_modules/react', { name: 'react' });
+    await writePackageJson('libs/utils', { name: 'utils' });
+
+    const workspaces = await findWorkspaces(dir);
+
+    expect(workspaces.source).toBe('pnpm-workspace.yaml');
+    expect(workspaces.packages.map(pkg => pkg.name)).toEqual(['root', 'ios', 'web']);
+  });
+});
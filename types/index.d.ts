@@ -0,0 +1,386 @@
+// upgrade-lens 编程接口的类型声明
+
+export type DependencyGroup = 'prod' | 'dev' | 'peer' | 'optional';
+export type ReportFormat = 'markdown' | 'json' | 'sarif' | 'html';
+export type FailOnCategory = 'security' | 'incompatible' | 'upgrade-risk' | 'unknown';
+export type AdvisorySeverity = 'info' | 'low' | 'moderate' | 'high' | 'critical';
+
+/** 依赖，用于 select 回调 */
+export interface DependencyChoice {
+  name: string;
+  range: string;
+  groups: DependencyGroup[];
+}
+
+/** 进入新的分析阶段 */
+export interface StageEvent {
+  type: 'stage';
+  /** 阶段名：project、latest-versions、compatibility、dependency-tree、workspaces、workspace、changelog、simulate、diff、init */
+  stage: string;
+  message: string;
+  /** stage 为 workspace 时的工作区名 */
+  workspace?: string;
+}
+
+/** 有进度的任务（如获取依赖详细信息）的进度更新 */
+export interface ProgressEvent {
+  type: 'progress';
+  /** 任务名：latest-versions、package-details、dependency-tree、duplicates、changelog、init */
+  task: string;
+  label: string;
+  completed: number;
+  total: number;
+  failed: number;
+  /** 任务是否已结束 */
+  done: boolean;
+}
+
+/** 一般信息或不影响分析继续进行的问题 */
+export interface MessageEvent {
+  type: 'info' | 'warning';
+  message: string;
+}
+
+export type AnalysisEvent = StageEvent | ProgressEvent | MessageEvent;
+
+/** 分析选项，字段与命令行选项相同（驼峰命名），未指定时使用配置文件中的 options 或默认值 */
+export interface AnalyzeOptions {
+  /** 项目路径，默认为当前目录 */
+  path?: string;
+  /** 深度分析传递依赖 */
+  deep?: boolean;
+  /** 要分析的依赖分组，逗号分隔，默认为 prod */
+  scope?: string;
+  /** 覆盖 .npmrc 中的默认registry地址 */
+  registry?: string;
+  concurrency?: number | string;
+  /** 单个registry请求的超时时间（毫秒） */
+  timeout?: number | string;
+  /** 只使用缓存中的registry元数据 */
+  offline?: boolean;
+  cacheDir?: string;
+  /** 缓存有效期（分钟） */
+  cacheTtl?: number | string;
+  /** 为 false 时不使用磁盘缓存 */
+  cache?: boolean;
+  /** 额外的已知问题规则文件路径或npm规则包名 */
+  rules?: string | string[];
+  /** 为 false 时不分析工作区 */
+  workspaces?: boolean;
+  /** 项目使用的 Node 版本 */
+  node?: string;
+  /** 升级目标：patch、minor、major、latest 或 dist-tag */
+  target?: string;
+  prerelease?: boolean;
+  /** 为 false 时不查询安全公告 */
+  audit?: boolean;
+  advisoryUrl?: string;
+  /** 获取主版本升级和有问题的升级的更新日志 */
+  changelog?: boolean;
+  changelogSource?: string | string[];
+  githubApi?: string;
+  /** 分析过程的事件回调 */
+  onEvent?: (event: AnalysisEvent) => void;
+  /** 选择要分析的依赖，返回空数组时 analyze 返回 null */
+  select?: (dependencies: DependencyChoice[]) => string[] | Promise<string[]>;
+}
+
+export interface PackageRef {
+  name: string;
+  version: string;
+}
+
+export interface Incompatibility {
+  type: 'peer-dependency' | 'known-issue' | 'missing-metadata';
+  packages: PackageRef[];
+  reason: string;
+  requirement?: { dependent: string; dependency: string; range: string; version: string };
+  recommendation?: string | null;
+  rule?: { id: string; url?: string; source?: string };
+}
+
+export interface UpgradeIssue {
+  with: string;
+  reason: string;
+  requirement?: { dependent: string; dependency: string; range: string; version: string };
+}
+
+export interface UpgradeSecurity {
+  advisories: string[];
+  fixes: string[];
+  severity: AdvisorySeverity | null;
+  deprecated: boolean;
+  fixesDeprecation: boolean;
+}
+
+export interface UpgradeInfo {
+  groups: DependencyGroup[];
+  currentVersion: string;
+  /** 按升级目标确定的目标版本 */
+  latestVersion: string;
+  pinned?: string | null;
+  canUpgrade: boolean;
+  blocked: { engines: string; node: string; partial: boolean; reason: string } | null;
+  nodeSupportedVersion: string | null;
+  updates: { patch: string | null; minor: string | null; major: string | null };
+  issues: UpgradeIssue[];
+  changelog?: {
+    source: string;
+    releases: Array<{ version: string; url: string | null; breaking: string[] }>;
+    errors: string[];
+  } | null;
+  security?: UpgradeSecurity;
+}
+
+export interface Deprecation {
+  name: string;
+  version: string;
+  message: string;
+  reason: string;
+  target: string | null;
+  fixedByTarget: boolean;
+}
+
+export interface Advisory {
+  id: string;
+  name: string;
+  version: string;
+  title: string;
+  severity: AdvisorySeverity;
+  url: string | null;
+  vulnerableVersions: string;
+  fixedIn: string | null;
+  reason: string;
+  target: string | null;
+  fixedByTarget: boolean;
+}
+
+export interface Solution {
+  satisfiable: boolean;
+  exhaustive: boolean;
+  versions: Record<string, string>;
+  changes: Array<{ name: string; from: string; to: string; downgrade: boolean }>;
+  conflicts: SolverConflict[];
+}
+
+/** 锁文件中安装了多个版本的包 */
+export interface Duplicate {
+  name: string;
+  /** 是否为只能存在一份的包（如 react） */
+  singleton: boolean;
+  /** 依赖方是项目或工作区时 version 为 null */
+  versions: Array<{ version: string; dependents: Array<{ name: string; version: string | null; range: string | null }> }>;
+  /** 能同时满足所有依赖方的版本 */
+  dedupeVersion: string | null;
+  reason: string;
+}
+
+/** 单个项目的兼容性分析结果 */
+export interface AnalysisResults {
+  project: { name: string | null; version: string | null; packageJsonPath: string | null };
+  scope: DependencyGroup[];
+  config: { path: string } | null;
+  severity: Record<string, string>;
+  lockfile: { type: string; path: string } | null;
+  node: { range: string; source: string } | null;
+  target: string;
+  compatible: Array<{ packages: PackageRef[] }>;
+  incompatible: Incompatibility[];
+  unknown: Array<{ name: string; reason: string }>;
+  unconstrained: string[];
+  recommendations: Record<string, Array<{ with: string; version: string }>>;
+  rangeFallbacks: Array<{ name: string; range: string; version: string }>;
+  /** 每个被分析依赖的当前版本 */
+  currentVersions: Record<string, string>;
+  /** partial 为 true 时依赖只支持项目 Node 版本范围中的部分版本 */
+  engineMismatches?: Array<{ name: string; version: string; engines: string; partial: boolean; reason: string }>;
+  peerViolations?: Array<{ name: string; range: string; version: string; reason: string }>;
+  /** 深度分析发现的问题，type 为 missing-peer 时依赖树中没有安装该 peer 依赖 */
+  deepConflicts?: Array<{ type: 'conflict' | 'missing-peer'; path: string[]; package: string; version: string; peer: string; requirement: string; resolvedVersion: string | null; providerPath?: string[]; reason: string }>;
+  solution: Solution | null;
+  upgradeAnalysis: Record<string, UpgradeInfo>;
+  deprecations: Deprecation[];
+  advisories?: Advisory[];
+  /** 找到锁文件时存在 */
+  duplicates?: Duplicate[];
+  /** 查询安全公告失败的原因 */
+  auditError?: string;
+  /** registry 没有实现批量安全公告接口，此时 auditError 只是提示，不会作为问题 */
+  auditUnsupported?: boolean;
+}
+
+/** 工作区项目的分析结果 */
+export interface WorkspaceAnalysisResults {
+  project: { name: string | null; version: string | null; packageJsonPath: string };
+  monorepo: { root: string; source: string; packages: number };
+  scope: DependencyGroup[];
+  config: { path: string } | null;
+  severity: Record<string, string>;
+  lockfile: { type: string; path: string } | null;
+  workspaces: Array<{ name: string; path: string; results: AnalysisResults }>;
+  versionDrift: Array<Record<string, unknown>>;
+  workspaceLinks: Array<Record<string, unknown>>;
+  /** 整个项目中安装了多个版本的包，没有锁文件时为 null */
+  duplicates: Duplicate[] | null;
+}
+
+export type Results = AnalysisResults | WorkspaceAnalysisResults;
+
+export interface Finding {
+  id: string;
+  category: FailOnCategory;
+  type: string;
+  severity: string;
+  message: string;
+}
+
+export interface GateResult {
+  exitCode: number;
+  newFindings: Finding[];
+  failedCategories: FailOnCategory[];
+  acceptedCount: number;
+}
+
+/**
+ * 分析项目的依赖兼容性，不会输出到控制台或退出进程
+ * @returns 分析结果，select 没有选择任何依赖时为 null
+ */
+export function analyze(options?: AnalyzeOptions): Promise<Results | null>;
+
+export interface Requirement {
+  dependent: string;
+  dependency: string;
+  range: string;
+  version: string;
+}
+
+/** 模拟升级的结果 */
+export interface SimulationResult {
+  project: { name: string | null; version: string | null; packageJsonPath: string };
+  /** from 为 null 表示项目尚未使用该包 */
+  targets: Array<{ name: string; from: string | null; to: string }>;
+  /** 需要一起变动的依赖，to 为与所有固定依赖兼容的最低版本 */
+  moves: Array<{ name: string; from: string; to: string; downgrade: boolean; requiredBy: string; requirement: Requirement; reason: string }>;
+  /** 阻止这次升级的依赖 */
+  blockers: Array<{ name: string; version: string; requiredBy: string; requirement: Requirement; reason: string }>;
+  /** 模拟后所有依赖的版本 */
+  versions: Record<string, string>;
+}
+
+/**
+ * 模拟把若干依赖升级到指定版本，只分析项目路径下的 package.json
+ * @param specs 升级目标，如 ['react@18', 'next@14']
+ */
+export function simulate(specs: string[], options?: AnalyzeOptions): Promise<SimulationResult>;
+
+/** 比较结果中的不兼容依赖对，与 JSON 报告的 incompatible 相同 */
+export interface DiffIncompatibility {
+  type: Incompatibility['type'];
+  packages: Array<PackageRef & { groups: DependencyGroup[] }>;
+  requirement: Requirement | null;
+  message: string;
+}
+
+/** 比较结果中的升级风险，与 JSON 报告的 upgrades 相同，但 issues 和 blocked 只包含新增（或已消除）的风险 */
+export interface DiffUpgradeRisk {
+  name: string;
+  current: string;
+  latest: string;
+  blocked: { engines: string; node: string; message: string } | null;
+  issues: Array<{ with: string; requirement: Requirement | null; message: string }>;
+}
+
+/** 两个版本之间依赖健康状况的变化 */
+export interface DiffResult {
+  base: { label: string; generatedAt: string };
+  head: { label: string; generatedAt: string };
+  /** 只包含发生变化的项目；工作区项目按工作区名称比较，单个项目的 name 为 null */
+  projects: Array<{
+    name: string | null;
+    status: 'added' | 'removed' | 'changed';
+    incompatible: { added: DiffIncompatibility[]; resolved: DiffIncompatibility[] };
+    versions: Array<{ name: string; from: string | null; to: string | null; change: 'added' | 'removed' | 'upgrade' | 'downgrade' }>;
+    upgradeRisks: { added: DiffUpgradeRisk[]; resolved: DiffUpgradeRisk[] };
+  }>;
+  changed: boolean;
+}
+
+/**
+ * 比较两个版本的依赖健康状况
+ * @param base 项目目录、JSON 报告文件或 git 版本
+ * @param head 同上，省略时为项目路径下当前的文件
+ */
+export function diff(base: string, head?: string | null, options?: AnalyzeOptions): Promise<DiffResult>;
+
+export interface InitOptions extends AnalyzeOptions {
+  /** dependencies 中使用精确版本，默认除明确指定的版本外使用 ^版本 */
+  exact?: boolean;
+}
+
+/** 无法同时满足的约束 */
+export interface SolverConflict {
+  type: 'peer' | 'rule' | 'pin';
+  dependent?: string;
+  dependency?: string;
+  name?: string;
+  ranges: string[];
+  reason: string;
+}
+
+/** 为新项目选择的版本 */
+export interface InitResult {
+  satisfiable: boolean;
+  /** 搜索是否在上限内完成，为 false 时结果可能不是最新的组合 */
+  exhaustive: boolean;
+  packages: Array<{
+    name: string;
+    /** 指定的版本，未指定时为 latest；自动加入的 peer 依赖为 null */
+    range: string | null;
+    /** 选择的版本，无解时为 null */
+    version: string | null;
+    /** 允许选择的最新版本 */
+    newest: string;
+    latest: string | null;
+    /** 自动加入的 peer 依赖：需要它的依赖 */
+    requiredBy: string[] | null;
+  }>;
+  /** 可以直接使用的 dependencies，无解时为 null */
+  dependencies: Record<string, string> | null;
+  conflicts: SolverConflict[];
+}
+
+/**
+ * 为新项目选择一组相互兼容的最新版本
+ * @param specs 依赖列表，如 'react@18,react-router,antd' 或 ['react@18', 'antd']
+ */
+export function init(specs: string | string[], options?: InitOptions): Promise<InitResult>;
+
+/** 将分析结果渲染为报告 */
+export function renderReport(results: Results, format?: ReportFormat): Promise<string>;
+
+/** 汇总分析结果中的问题 */
+export function collectFindings(results: Results): Finding[];
+
+/**
+ * 根据阈值和基线评估问题
+ * @param failOn 达到该类别时检查失败，可以是逗号分隔的多个类别；security 只有明确指定时才会导致失败
+ * @param baseline 基线中已接受的问题 id
+ */
+export function evaluateGate(findings: Finding[], failOn: FailOnCategory | FailOnCategory[] | string, baseline?: Set<string>): GateResult;
+
+/** 解析 --fail-on，返回会导致检查失败的类别 */
+export function parseFailOn(failOn: FailOnCategory | FailOnCategory[] | string): FailOnCategory[];
+
+export const API_REPORT_FORMATS: ReportFormat[];
+export const FAIL_ON_CATEGORIES: FailOnCategory[];
+export const EXIT_CODES: {
+  ok: 0;
+  error: 1;
+  incompatible: 2;
+  'upgrade-risk': 3;
+  unknown: 4;
+  security: 5;
+};
+export const DEFAULT_OPTIONS: Required<Pick<AnalyzeOptions,
+  'deep' | 'scope' | 'concurrency' | 'timeout' | 'offline' | 'cacheTtl' | 'cache' | 'workspaces' |
+  'target' | 'prerelease' | 'audit' | 'changelog' | 'changelogSource' | 'githubApi'>>;